@@ -0,0 +1,204 @@
+// curriculum-graph.js
+// Prerequisite / co-requisite graph over a curriculum's subjects.
+// Each subject lists "prerequisites" (must be passed before) and
+// "corequisites" (taken in the same term or earlier). Cycles are only
+// possible through prerequisites and make a curriculum invalid.
+
+const graphCache = new WeakMap();
+
+function graphError(status, message, extra = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, extra);
+  return error;
+}
+
+// ==================== BUILD & VALIDATE ====================
+function buildCurriculumGraph(curriculum) {
+  const codes = Object.keys(curriculum.subjects);
+  const prerequisites = new Map();
+  const corequisites = new Map(codes.map((code) => [code, new Set()]));
+  const dependents = new Map(codes.map((code) => [code, []]));
+
+  codes.forEach((code) => {
+    const subject = curriculum.subjects[code];
+    const prereqs = subject.prerequisites || [];
+    const coreqs = subject.corequisites || [];
+
+    [...prereqs, ...coreqs].forEach((ref) => {
+      if (!curriculum.subjects[ref]) {
+        throw graphError(
+          422,
+          `${curriculum.id}: ${code} references unknown course "${ref}"`
+        );
+      }
+    });
+
+    prerequisites.set(code, [...prereqs]);
+    prereqs.forEach((ref) => dependents.get(ref).push(code));
+
+    // Co-requisites go both ways
+    coreqs.forEach((ref) => {
+      corequisites.get(code).add(ref);
+      corequisites.get(ref).add(code);
+    });
+  });
+
+  const graph = {
+    curriculumId: curriculum.id,
+    codes,
+    prerequisites,
+    corequisites: new Map(
+      [...corequisites].map(([code, refs]) => [code, [...refs]])
+    ),
+    dependents,
+  };
+
+  const cycle = findPrerequisiteCycle(graph);
+  if (cycle) {
+    throw graphError(
+      422,
+      `${curriculum.id}: prerequisite cycle ${cycle.join(" → ")}`,
+      { cycle }
+    );
+  }
+
+  return graph;
+}
+
+// Depth-first search; returns the cycle path (first node repeated) or null
+function findPrerequisiteCycle(graph) {
+  const VISITING = 1;
+  const DONE = 2;
+  const state = new Map();
+  const stack = [];
+
+  function visit(code) {
+    state.set(code, VISITING);
+    stack.push(code);
+
+    for (const prereq of graph.prerequisites.get(code)) {
+      if (state.get(prereq) === VISITING) {
+        return [...stack.slice(stack.indexOf(prereq)), prereq];
+      }
+      if (!state.has(prereq)) {
+        const cycle = visit(prereq);
+        if (cycle) return cycle;
+      }
+    }
+
+    stack.pop();
+    state.set(code, DONE);
+    return null;
+  }
+
+  for (const code of graph.codes) {
+    if (!state.has(code)) {
+      const cycle = visit(code);
+      if (cycle) return cycle;
+    }
+  }
+  return null;
+}
+
+function getCurriculumGraph(curriculum) {
+  if (!graphCache.has(curriculum)) {
+    graphCache.set(curriculum, buildCurriculumGraph(curriculum));
+  }
+  return graphCache.get(curriculum);
+}
+
+// ==================== QUERIES ====================
+// Walks edges breadth-first and returns every reachable code with its distance
+function collectReachable(edges, code) {
+  const distance = new Map();
+  let frontier = [code];
+  let depth = 0;
+
+  while (frontier.length > 0) {
+    depth++;
+    const next = [];
+    frontier.forEach((current) => {
+      edges.get(current).forEach((ref) => {
+        if (!distance.has(ref)) {
+          distance.set(ref, depth);
+          next.push(ref);
+        }
+      });
+    });
+    frontier = next;
+  }
+  return distance;
+}
+
+// All courses that must be passed before `code`, in a valid taking order
+function getPrerequisiteChain(graph, code) {
+  const reachable = collectReachable(graph.prerequisites, code);
+  return {
+    subjectCode: code,
+    direct: graph.prerequisites.get(code),
+    corequisites: graph.corequisites.get(code),
+    chain: topologicalOrder(graph).filter((c) => reachable.has(c)),
+  };
+}
+
+// Courses that list `code` as a prerequisite, directly or transitively
+function getUnlockedCourses(graph, code) {
+  const reachable = collectReachable(graph.dependents, code);
+  return {
+    subjectCode: code,
+    direct: graph.dependents.get(code),
+    all: topologicalOrder(graph).filter((c) => reachable.has(c)),
+  };
+}
+
+// Kahn's algorithm; ties keep curriculum order so the result reads like the
+// checklist. Throws (422) if the prerequisites contain a cycle.
+function topologicalOrder(graph) {
+  const position = new Map(graph.codes.map((code, i) => [code, i]));
+  const remaining = new Map(
+    graph.codes.map((code) => [code, graph.prerequisites.get(code).length])
+  );
+  const ready = graph.codes.filter((code) => remaining.get(code) === 0);
+  const order = [];
+
+  while (ready.length > 0) {
+    ready.sort((a, b) => position.get(a) - position.get(b));
+    const code = ready.shift();
+    order.push(code);
+
+    graph.dependents.get(code).forEach((dependent) => {
+      remaining.set(dependent, remaining.get(dependent) - 1);
+      if (remaining.get(dependent) === 0) ready.push(dependent);
+    });
+  }
+
+  if (order.length !== graph.codes.length) {
+    const cycle = findPrerequisiteCycle(graph);
+    throw graphError(
+      422,
+      `${graph.curriculumId}: prerequisite cycle ${cycle.join(" → ")}`,
+      { cycle }
+    );
+  }
+  return order;
+}
+
+// Longest prerequisite path leading to each course (0 = no prerequisites)
+function getPrerequisiteDepths(graph) {
+  const depths = new Map();
+  topologicalOrder(graph).forEach((code) => {
+    const prereqDepths = graph.prerequisites.get(code).map((p) => depths.get(p));
+    depths.set(code, prereqDepths.length ? Math.max(...prereqDepths) + 1 : 0);
+  });
+  return depths;
+}
+
+module.exports = {
+  buildCurriculumGraph,
+  getCurriculumGraph,
+  getPrerequisiteChain,
+  getUnlockedCourses,
+  topologicalOrder,
+  getPrerequisiteDepths,
+};
@@ -1,462 +1,449 @@
 // curriculum-reference.js
-// Complete Bicol University BSCS Curriculum (Effective SY 2022-2023)
-// BOR Resolution No. 712, dated April 7, 2022
-// CORRECTED based on official curriculum document
-
-const CURRICULUM_REFERENCE = {
-  // ==================== FIRST YEAR ====================
-  // First Semester
-  "CS 101": {
-    name: "Introduction to Computing",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "1st Year",
-    semester: "1st Semester"
-  },
-  "CS 102": {
-    name: "Computer Programming 1 (Fundamentals of Programming)",
-    lecUnits: 2,
-    labUnits: 1,
-    units: 3,
-    yearLevel: "1st Year",
-    semester: "1st Semester"
-  },
-  "Math 101": {
-    name: "Mathematical Analysis 1",
-    lecUnits: 5,
-    labUnits: 0,
-    units: 5,
-    yearLevel: "1st Year",
-    semester: "1st Semester"
-  },
-  "Phys 1": {
-    name: "Physics for Computing",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "1st Year",
-    semester: "1st Semester"
-  },
-  "GEC 11": {
-    name: "Understanding the Self",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "1st Year",
-    semester: "1st Semester"
-  },
-  "PATHFIT 1": {
-    name: "Movement Competency Training",
-    lecUnits: 2,
-    labUnits: 0,
-    units: 2,
-    yearLevel: "1st Year",
-    semester: "1st Semester"
-  },
-  "NSTP 11": {
-    name: "LTS/CWTS/ROTC",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "1st Year",
-    semester: "1st Semester"
-  },
-  
-  // Second Semester
-  "CS 103": {
-    name: "Computer Programming 2 (Intermediate Programming)",
-    lecUnits: 2,
-    labUnits: 1,
-    units: 3,
-    yearLevel: "1st Year",
-    semester: "2nd Semester"
-  },
-  "CS 107": {
-    name: "Digital System Design",
-    lecUnits: 2,
-    labUnits: 1,
-    units: 3,
-    yearLevel: "1st Year",
-    semester: "2nd Semester"
-  },
-  "Math 102": {
-    name: "Mathematical Analysis 2",
-    lecUnits: 5,
-    labUnits: 0,
-    units: 5,
-    yearLevel: "1st Year",
-    semester: "2nd Semester"
-  },
-  "GEC 12": {
-    name: "Readings in the Philippine History",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "1st Year",
-    semester: "2nd Semester"
-  },
-  "GEC 13": {
-    name: "The Contemporary World",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "1st Year",
-    semester: "2nd Semester"
-  },
-  "PATHFIT 2": {
-    name: "Exercise-based Fitness Activities",
-    lecUnits: 2,
-    labUnits: 0,
-    units: 2,
-    yearLevel: "1st Year",
-    semester: "2nd Semester"
-  },
-  "NSTP 2": {
-    name: "LTS/CWTS/ROTC",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "1st Year",
-    semester: "2nd Semester"
-  },
-
-  // ==================== SECOND YEAR ====================
-  // First Semester
-  "CS 104": {
-    name: "Data Structure and Algorithm",
-    lecUnits: 2,
-    labUnits: 1,
-    units: 3,
-    yearLevel: "2nd Year",
-    semester: "1st Semester"
-  },
-  "CS 106": {
-    name: "Application Development and Emerging Technologies",
-    lecUnits: 2,
-    labUnits: 1,
-    units: 3,
-    yearLevel: "2nd Year",
-    semester: "1st Semester"
-  },
-  "CS 108": {
-    name: "Object-oriented Programming",
-    lecUnits: 2,
-    labUnits: 1,
-    units: 3,
-    yearLevel: "2nd Year",
-    semester: "1st Semester"
-  },
-  "CS 109": {
-    name: "Discrete Structures 1",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "2nd Year",
-    semester: "1st Semester"
-  },
-  "Math Elec 101": {
-    name: "Linear Algebra",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "2nd Year",
-    semester: "1st Semester"
-  },
-  "GEC 14": {
-    name: "Mathematics in the Modern World",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "2nd Year",
-    semester: "1st Semester"
-  },
-  "PATHFIT 3": {
-    name: "Menu of Dance, Sports, Martial Arts, Group Exercises and Outdoor Adventure Activities",
-    lecUnits: 2,
-    labUnits: 0,
-    units: 2,
-    yearLevel: "2nd Year",
-    semester: "1st Semester"
-  },
-  
-  // Second Semester
-  "CS 105": {
-    name: "Information Management",
-    lecUnits: 2,
-    labUnits: 1,
-    units: 3,
-    yearLevel: "2nd Year",
-    semester: "2nd Semester"
-  },
-  "CS 110": {
-    name: "Discrete Structures 2",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "2nd Year",
-    semester: "2nd Semester"
-  },
-  "CS 111": {
-    name: "Design and Analysis of Algorithms",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "2nd Year",
-    semester: "2nd Semester"
-  },
-  "CS 112": {
-    name: "Programming Languages",
-    lecUnits: 2,
-    labUnits: 1,
-    units: 3,
-    yearLevel: "2nd Year",
-    semester: "2nd Semester"
-  },
-  "CS 113": {
-    name: "Special Topics In Computing",
-    lecUnits: 1,
-    labUnits: 0,
-    units: 1,
-    yearLevel: "2nd Year",
-    semester: "2nd Semester"
-  },
-  "Math Elec 102": {
-    name: "Differential Equations",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "2nd Year",
-    semester: "2nd Semester"
-  },
-  "GEC 15": {
-    name: "Purposive Communication",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "2nd Year",
-    semester: "2nd Semester"
-  },
-  "PATHFIT 4": {
-    name: "Menu of Dance, Sports, Martial Arts, Group Exercises and Outdoor Adventure Activities",
-    lecUnits: 2,
-    labUnits: 0,
-    units: 2,
-    yearLevel: "2nd Year",
-    semester: "2nd Semester"
-  },
-
-  // ==================== THIRD YEAR ====================
-  // First Semester
-  "CS 114": {
-    name: "Operating Systems",
-    lecUnits: 2,
-    labUnits: 1,
-    units: 3,
-    yearLevel: "3rd Year",
-    semester: "1st Semester"
-  },
-  "CS 115": {
-    name: "Computer Architecture and Organization",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "3rd Year",
-    semester: "1st Semester"
-  },
-  "CS 116": {
-    name: "Automata Theory and Formal Languages",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "3rd Year",
-    semester: "1st Semester"
-  },
-  "CS 117": {
-    name: "Software Engineering 1",
-    lecUnits: 2,
-    labUnits: 1,
-    units: 3,
-    yearLevel: "3rd Year",
-    semester: "1st Semester"
-  },
-  "CS Elec 1": {
-    name: "CS Elective 1",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "3rd Year",
-    semester: "1st Semester"
-  },
-  "GEC 16": {
-    name: "Art Appreciation",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "3rd Year",
-    semester: "1st Semester"
-  },
-  
-  // Second Semester
-  "CS 118": {
-    name: "Software Engineering 2",
-    lecUnits: 2,
-    labUnits: 1,
-    units: 3,
-    yearLevel: "3rd Year",
-    semester: "2nd Semester"
-  },
-  "CS 119": {
-    name: "Networks and Communications",
-    lecUnits: 2,
-    labUnits: 1,
-    units: 3,
-    yearLevel: "3rd Year",
-    semester: "2nd Semester"
-  },
-  "CS 120": {
-    name: "Human Computer Interaction",
-    lecUnits: 1,
-    labUnits: 0,
-    units: 1,
-    yearLevel: "3rd Year",
-    semester: "2nd Semester"
-  },
-  "CS 121": {
-    name: "Information Assurance and Security",
-    lecUnits: 2,
-    labUnits: 0,
-    units: 2,
-    yearLevel: "3rd Year",
-    semester: "2nd Semester"
-  },
-  "CS Elec 2": {
-    name: "CS Elective 2",
-    lecUnits: 2,
-    labUnits: 1,
-    units: 3,
-    yearLevel: "3rd Year",
-    semester: "2nd Semester"
-  },
-  "GEC 17": {
-    name: "Science, Technology and Society",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "3rd Year",
-    semester: "2nd Semester"
-  },
-  "GEC 18": {
-    name: "Ethics",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "3rd Year",
-    semester: "2nd Semester"
-  },
-  
-  // Summer
-  "CS 122": {
-    name: "Practicum (240 hours)",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "3rd Year",
-    semester: "Summer"
-  },
-
-  // ==================== FOURTH YEAR ====================
-  // First Semester
-  "CS 123": {
-    name: "Numerical Analysis",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "4th Year",
-    semester: "1st Semester"
-  },
-  "CS 124": {
-    name: "CS Thesis 1",
-    lecUnits: 2,
-    labUnits: 1,
-    units: 3,
-    yearLevel: "4th Year",
-    semester: "1st Semester"
-  },
-  "CS Elec 3": {
-    name: "CS Elective 3",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "4th Year",
-    semester: "1st Semester"
-  },
-  "GEC 20": {
-    name: "The Entrepreneurial Mind",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "4th Year",
-    semester: "1st Semester"
-  },
-  "GEC Elec 1": {
-    name: "Environmental Science",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "4th Year",
-    semester: "1st Semester"
-  },
-  "GEC Elec 22": {
-    name: "Great Books",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "4th Year",
-    semester: "1st Semester"
-  },
-  
-  // Second Semester
-  "CS 125": {
-    name: "CS Thesis 2",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "4th Year",
-    semester: "2nd Semester"
-  },
-  "CS 126": {
-    name: "Social Issues and Professional Practice",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "4th Year",
-    semester: "2nd Semester"
-  },
-  "GEC 19": {
-    name: "Life and Works of Rizal",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "4th Year",
-    semester: "2nd Semester"
-  },
-  "GEC Elec 2": {
-    name: "Living in the IT Era",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "4th Year",
-    semester: "2nd Semester"
-  },
-  "GEC Elec 21": {
-    name: "Human Reproduction",
-    lecUnits: 3,
-    labUnits: 0,
-    units: 3,
-    yearLevel: "4th Year",
-    semester: "2nd Semester"
+// Registry of curricula, keyed by program and effective school year.
+// Each curriculum is a JSON data file in ./curricula (see bscs-2022.json):
+//   id, program, programName, programAliases, effectiveSchoolYear,
+//   codePatterns (prompt hints), scanLayout (expected counts per image),
+//   subjects (code → { name, lecUnits, labUnits, units, yearLevel, semester,
+//                      prerequisites, corequisites, offeredIn? })
+//   offeredIn lists the semesters a subject runs in; defaults to its own
+
+const fs = require("fs");
+const path = require("path");
+const { getCurriculumGraph } = require("./curriculum-graph");
+const { matchSubjectCode, suggestSubjectCode } = require("./subject-matcher");
+
+const CURRICULA_DIR = path.join(__dirname, "curricula");
+const DEFAULT_CURRICULUM_ID = process.env.DEFAULT_CURRICULUM || "bscs-2022";
+
+const YEAR_ORDER = ["1st Year", "2nd Year", "3rd Year", "4th Year", "5th Year"];
+const SEMESTER_ORDER = ["1st Semester", "2nd Semester", "Summer"];
+
+const registry = new Map();
+
+// ==================== HELPERS ====================
+// Normalize for lookups: uppercase, remove ALL spaces
+function normalizeCode(code) {
+  return String(code || "").toUpperCase().replace(/\s+/g, "");
+}
+
+function normalizeText(text) {
+  return String(text || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]+/g, " ")
+    .trim();
+}
+
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// ==================== REGISTRATION ====================
+// Adds derived fields so consumers never recompute them
+function registerCurriculum(data) {
+  if (!data.id || !data.program || !data.subjects) {
+    throw new Error("Curriculum data needs id, program and subjects");
   }
-};
 
-module.exports = { CURRICULUM_REFERENCE };
\ No newline at end of file
+  const codes = Object.keys(data.subjects);
+  const yearLevels = [
+    ...new Set(codes.map((code) => data.subjects[code].yearLevel)),
+  ].sort((a, b) => YEAR_ORDER.indexOf(a) - YEAR_ORDER.indexOf(b));
+
+  const curriculum = {
+    programAliases: [],
+    codePatterns: [],
+    scanLayout: [],
+    ...data,
+    totalSubjects: codes.length,
+    yearLevels,
+    summerSubjects: codes.filter(
+      (code) => data.subjects[code].semester === "Summer"
+    ),
+  };
+
+  // Rejects unknown references and prerequisite cycles before registering
+  getCurriculumGraph(curriculum);
+
+  registry.set(curriculum.id, curriculum);
+  return curriculum;
+}
+
+function loadCurriculaFromDir(dir) {
+  fs.readdirSync(dir)
+    .filter((file) => file.endsWith(".json"))
+    .sort()
+    .forEach((file) => {
+      const data = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8"));
+      registerCurriculum(data);
+    });
+}
+
+loadCurriculaFromDir(CURRICULA_DIR);
+
+// ==================== LOOKUP ====================
+function listCurricula() {
+  return [...registry.values()];
+}
+
+function getCurriculum(id) {
+  return registry.get(id) || null;
+}
+
+function getDefaultCurriculum() {
+  return registry.get(DEFAULT_CURRICULUM_ID) || listCurricula()[0];
+}
+
+// Reference key for a code in any spacing/case ("cs101" → "CS 101"), or null
+function findSubjectCode(curriculum, code) {
+  const wanted = normalizeCode(code);
+  return (
+    Object.keys(curriculum.subjects).find(
+      (key) => normalizeCode(key) === wanted
+    ) || null
+  );
+}
+
+// ==================== HYDRATE SUBJECTS FROM REFERENCE ====================
+// Matched subjects carry match: { confidence, rule, needsConfirmation,
+// extractedCode } (see subject-matcher.js)
+function hydrateSubjectsFromReference(
+  subjects,
+  curriculum = getDefaultCurriculum()
+) {
+  return subjects.map((subject) => {
+    const match = matchSubjectCode(
+      curriculum,
+      subject.subjectCode,
+      subject.subjectName
+    );
+
+    if (match) {
+      const reference = curriculum.subjects[match.subjectCode];
+      return {
+        subjectCode: match.subjectCode, // Use the correct formatted key
+        subjectName: reference.name,
+        lecUnits: reference.lecUnits,
+        labUnits: reference.labUnits,
+        units: reference.units,
+        yearLevel: reference.yearLevel,
+        semester: reference.semester,
+        match: describeMatch(match, subject.subjectCode),
+      };
+    }
+
+    // If not in reference, return as-is (with a name match to offer)
+    const suggestion = describeSuggestion(curriculum, subject.subjectName);
+    return suggestion ? { ...subject, suggestion } : subject;
+  });
+}
+
+// Curriculum subject whose name matches an unmatched code's name, for the
+// user to consider; the printed code is never replaced by it
+function describeSuggestion(curriculum, name) {
+  const match = suggestSubjectCode(curriculum, name);
+  if (!match) return null;
+  return {
+    subjectCode: match.subjectCode,
+    subjectName: curriculum.subjects[match.subjectCode].name,
+    confidence: match.confidence,
+    rule: match.rule,
+  };
+}
+
+function describeMatch(match, extractedCode) {
+  return {
+    confidence: match.confidence,
+    rule: match.rule,
+    needsConfirmation: match.needsConfirmation,
+    extractedCode: extractedCode || "",
+  };
+}
+
+// ==================== REFERENCE VALIDATION ====================
+// For COR courses and grade rows: maps codes to reference keys and attaches
+// official names and units. The model's own values are kept under
+// "extracted"; flags: "not_in_curriculum" (with a name-based "suggestion"
+// when one is close), "unit_mismatch" (extracted units
+// differ from the reference), "low_confidence_match" (fuzzy code or name match
+// the user should confirm, see subject-matcher.js).
+function validateAgainstReference(entries, curriculum = getDefaultCurriculum()) {
+  const notInCurriculum = [];
+  const unitMismatches = [];
+  const needsConfirmation = [];
+
+  const validated = entries.map((entry) => {
+    const match = matchSubjectCode(
+      curriculum,
+      entry.subjectCode,
+      entry.subjectName
+    );
+    const refKey = match ? match.subjectCode : null;
+    const extracted = {
+      subjectCode: entry.subjectCode,
+      subjectName: entry.subjectName,
+      ...(entry.units !== undefined && { units: entry.units }),
+    };
+
+    if (!refKey) {
+      notInCurriculum.push(entry.subjectCode);
+      const suggestion = describeSuggestion(curriculum, entry.subjectName);
+      return {
+        ...entry,
+        inCurriculum: false,
+        flags: ["not_in_curriculum"],
+        extracted,
+        ...(suggestion && { suggestion }),
+      };
+    }
+
+    const reference = curriculum.subjects[refKey];
+    const flags = [];
+    if (match.needsConfirmation) {
+      flags.push("low_confidence_match");
+      needsConfirmation.push({
+        subjectCode: refKey,
+        extractedCode: entry.subjectCode || "",
+        confidence: match.confidence,
+        rule: match.rule,
+      });
+    }
+    // 0 means the units column was unreadable, not a mismatch
+    if (entry.units && entry.units !== reference.units) {
+      flags.push("unit_mismatch");
+      unitMismatches.push({
+        subjectCode: refKey,
+        extracted: entry.units,
+        reference: reference.units,
+      });
+    }
+
+    return {
+      ...entry,
+      subjectCode: refKey,
+      subjectName: reference.name,
+      lecUnits: reference.lecUnits,
+      labUnits: reference.labUnits,
+      units: reference.units,
+      inCurriculum: true,
+      flags,
+      match: describeMatch(match, entry.subjectCode),
+      extracted,
+    };
+  });
+
+  return {
+    entries: validated,
+    notInCurriculum,
+    unitMismatches,
+    needsConfirmation,
+  };
+}
+
+// Reference codes with no matching (already hydrated) subject
+function findMissingCourses(subjects, curriculum = getDefaultCurriculum()) {
+  const extractedCodes = new Set(subjects.map((s) => s.subjectCode));
+  return Object.keys(curriculum.subjects).filter(
+    (code) => !extractedCodes.has(code)
+  );
+}
+
+// Newest effective school year first
+function byEffectiveYearDesc(a, b) {
+  return b.effectiveSchoolYear.localeCompare(a.effectiveSchoolYear);
+}
+
+function matchesProgram(curriculum, program) {
+  const wanted = normalizeText(program);
+  return [curriculum.program, curriculum.programName, ...curriculum.programAliases]
+    .map(normalizeText)
+    .includes(wanted);
+}
+
+// Resolve an explicit { program, curriculumVersion } request.
+// curriculumVersion may be a curriculum id ("bscs-2022") or a school year
+// ("2022-2023" / "2022"). Returns null when neither is given (auto-detect).
+function resolveCurriculum({ program, curriculumVersion } = {}) {
+  if (!program && !curriculumVersion) return null;
+
+  if (curriculumVersion && registry.has(curriculumVersion)) {
+    const curriculum = registry.get(curriculumVersion);
+    if (program && !matchesProgram(curriculum, program)) {
+      throw httpError(
+        400,
+        `Curriculum "${curriculumVersion}" is not for program "${program}"`
+      );
+    }
+    return curriculum;
+  }
+
+  let candidates = listCurricula();
+  if (program) {
+    candidates = candidates.filter((c) => matchesProgram(c, program));
+    if (candidates.length === 0) {
+      throw httpError(400, `Unknown program "${program}"`);
+    }
+  }
+  if (curriculumVersion) {
+    candidates = candidates.filter((c) =>
+      c.effectiveSchoolYear.startsWith(curriculumVersion)
+    );
+    if (candidates.length === 0) {
+      throw httpError(
+        400,
+        `No curriculum${program ? ` for ${program}` : ""} effective ${curriculumVersion}`
+      );
+    }
+  }
+
+  return candidates.sort(byEffectiveYearDesc)[0];
+}
+
+// ==================== AUTO-DETECTION ====================
+// Pick the curriculum whose subject codes overlap most with the extracted ones
+function detectCurriculumFromSubjects(subjects) {
+  const extracted = new Set(subjects.map((s) => normalizeCode(s.subjectCode)));
+
+  let best = null;
+  let bestMatches = 0;
+  listCurricula()
+    .sort(byEffectiveYearDesc)
+    .forEach((curriculum) => {
+      const matches = Object.keys(curriculum.subjects).filter((code) =>
+        extracted.has(normalizeCode(code))
+      ).length;
+      if (matches > bestMatches) {
+        best = curriculum;
+        bestMatches = matches;
+      }
+    });
+
+  return best || getDefaultCurriculum();
+}
+
+// Match a free-text program (e.g. the "program" line on a COR); latest version wins
+function detectCurriculumFromProgram(programText) {
+  const text = ` ${normalizeText(programText)} `;
+  const matches = listCurricula().filter((curriculum) =>
+    [curriculum.program, curriculum.programName, ...curriculum.programAliases]
+      .map(normalizeText)
+      .some((alias) => alias && text.includes(` ${alias} `))
+  );
+  return matches.sort(byEffectiveYearDesc)[0] || null;
+}
+
+// ==================== QUERY HELPERS ====================
+// Accepts "1", "1st", "1st Year", "first year" → "1st Year" (null if invalid)
+function normalizeYearLevel(value) {
+  const text = String(value).trim().toLowerCase();
+  const words = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5 };
+  const number = parseInt(text) || words[text.split(/\s+/)[0]];
+  return YEAR_ORDER[number - 1] || null;
+}
+
+// Accepts "1", "1st", "1st Sem", "second semester", "summer" (null if invalid)
+function normalizeSemester(value) {
+  const text = String(value).trim().toLowerCase();
+  if (text.startsWith("sum")) return "Summer";
+  const words = { first: 1, second: 2 };
+  const number = parseInt(text) || words[text.split(/\s+/)[0]];
+  return number === 1 || number === 2 ? SEMESTER_ORDER[number - 1] : null;
+}
+
+function formatSubject(code, subject) {
+  return {
+    subjectCode: code,
+    subjectName: subject.name,
+    lecUnits: subject.lecUnits,
+    labUnits: subject.labUnits,
+    units: subject.units,
+    yearLevel: subject.yearLevel,
+    semester: subject.semester,
+    prerequisites: subject.prerequisites || [],
+    corequisites: subject.corequisites || [],
+  };
+}
+
+// Subjects in checklist order, optionally filtered by (normalized) term
+function querySubjects(curriculum, { yearLevel, semester } = {}) {
+  return Object.keys(curriculum.subjects)
+    .map((code) => formatSubject(code, curriculum.subjects[code]))
+    .filter((s) => !yearLevel || s.yearLevel === yearLevel)
+    .filter((s) => !semester || s.semester === semester);
+}
+
+function sumUnits(subjects) {
+  return subjects.reduce(
+    (totals, s) => ({
+      subjectCount: totals.subjectCount + 1,
+      lecUnits: totals.lecUnits + s.lecUnits,
+      labUnits: totals.labUnits + s.labUnits,
+      units: totals.units + s.units,
+    }),
+    { subjectCount: 0, lecUnits: 0, labUnits: 0, units: 0 }
+  );
+}
+
+// Unit totals per year/semester term, in academic order
+function getTermTotals(subjects) {
+  const terms = new Map();
+  subjects.forEach((s) => {
+    const key = `${s.yearLevel}|${s.semester}`;
+    if (!terms.has(key)) terms.set(key, []);
+    terms.get(key).push(s);
+  });
+
+  return [...terms.values()]
+    .map((termSubjects) => ({
+      yearLevel: termSubjects[0].yearLevel,
+      semester: termSubjects[0].semester,
+      ...sumUnits(termSubjects),
+    }))
+    .sort(
+      (a, b) =>
+        YEAR_ORDER.indexOf(a.yearLevel) - YEAR_ORDER.indexOf(b.yearLevel) ||
+        SEMESTER_ORDER.indexOf(a.semester) - SEMESTER_ORDER.indexOf(b.semester)
+    );
+}
+
+function summarizeCurriculum(curriculum) {
+  return {
+    id: curriculum.id,
+    program: curriculum.program,
+    programName: curriculum.programName,
+    institution: curriculum.institution,
+    effectiveSchoolYear: curriculum.effectiveSchoolYear,
+    totalSubjects: curriculum.totalSubjects,
+  };
+}
+
+// Kept for existing callers: the default curriculum's subject map
+const CURRICULUM_REFERENCE = getDefaultCurriculum().subjects;
+
+module.exports = {
+  CURRICULUM_REFERENCE,
+  DEFAULT_CURRICULUM_ID,
+  YEAR_ORDER,
+  SEMESTER_ORDER,
+  normalizeCode,
+  registerCurriculum,
+  loadCurriculaFromDir,
+  listCurricula,
+  getCurriculum,
+  getDefaultCurriculum,
+  findSubjectCode,
+  hydrateSubjectsFromReference,
+  validateAgainstReference,
+  findMissingCourses,
+  resolveCurriculum,
+  detectCurriculumFromSubjects,
+  detectCurriculumFromProgram,
+  normalizeYearLevel,
+  normalizeSemester,
+  formatSubject,
+  querySubjects,
+  sumUnits,
+  getTermTotals,
+  summarizeCurriculum,
+};
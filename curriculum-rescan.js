@@ -0,0 +1,139 @@
+// curriculum-rescan.js
+// Follow-up extraction for a curriculum page whose validation failed. The
+// reference subjects of the page's years that were not extracted become the
+// target: a second model call names those codes and year sections, on a crop
+// of the page covering only the year blocks they belong to. Newly found
+// subjects are merged into the page result.
+
+const sharp = require("sharp");
+const { planTiles } = require("./image-tiles");
+const { normalizeCode, findMissingCourses } = require("./curriculum-reference");
+
+// "true" → this many extra calls per request
+const DEFAULT_RESCANS = 2;
+const MAX_RESCANS = 5;
+// Year blocks are not exactly equal in height; extend the crop generously
+const SECTION_OVERLAP = 0.25;
+
+function rescanError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// ==================== LIMIT ====================
+// Extra model calls allowed per request: "2" → 2, "true" → default,
+// falsy/"false" → 0 (off)
+function parseRescanLimit(value) {
+  if (value === undefined || value === null || value === "") return 0;
+  const text = String(value).trim().toLowerCase();
+  if (text === "false") return 0;
+  if (text === "true") return DEFAULT_RESCANS;
+
+  const limit = /^\d+$/.test(text) ? parseInt(text) : -1;
+  if (limit < 0 || limit > MAX_RESCANS) {
+    throw rescanError(
+      `Invalid rescans "${value}" (use a number from 0 to ${MAX_RESCANS})`
+    );
+  }
+  return limit;
+}
+
+// ==================== TARGET ====================
+// Page layout years (top to bottom) for an image of the curriculum scan
+function pageYears(curriculum, imageNumber) {
+  const layout = curriculum.scanLayout.find((l) => l.imageNumber === imageNumber);
+  return layout ? Object.keys(layout.yearMinimums || {}) : [];
+}
+
+// → { years, codes } still missing on this page, or null when nothing is
+function planRescan(subjects, curriculum, imageNumber) {
+  const years = pageYears(curriculum, imageNumber);
+  const codes = findMissingCourses(subjects, curriculum).filter((code) =>
+    years.includes(curriculum.subjects[code].yearLevel)
+  );
+  if (codes.length === 0) return null;
+
+  return {
+    years: years.filter((year) =>
+      codes.some((code) => curriculum.subjects[code].yearLevel === year)
+    ),
+    codes,
+  };
+}
+
+// Page area of the target years: one horizontal band per year of the page.
+// null when every year is targeted (the whole page is sent again).
+function sectionRegion(width, height, curriculum, imageNumber, target) {
+  const years = pageYears(curriculum, imageNumber);
+  if (years.length < 2 || target.years.length === years.length) return null;
+
+  const bands = planTiles(
+    width,
+    height,
+    { rows: years.length, columns: 1 },
+    SECTION_OVERLAP
+  ).filter((band) => target.years.includes(years[band.row]));
+  const top = Math.min(...bands.map((b) => b.top));
+  const bottom = Math.max(...bands.map((b) => b.top + b.height));
+  return { left: 0, top, width, height: bottom - top };
+}
+
+// Writes the crop of the target years as "<file>_rescan.png"
+// → { path, region } (path is the page itself when no crop applies)
+async function cropSection(filePath, curriculum, imageNumber, target) {
+  const { width, height } = await sharp(filePath).metadata();
+  const region = sectionRegion(width, height, curriculum, imageNumber, target);
+  if (!region) return { path: filePath, region: null };
+
+  const cropPath = `${filePath}_rescan.png`;
+  await sharp(filePath).extract(region).png().toFile(cropPath);
+  return { path: cropPath, region };
+}
+
+// Appended to the page prompt: the codes and sections the first pass missed
+function buildRescanPrompt(prompt, target, curriculum, cropped) {
+  const list = target.codes
+    .map((code) => {
+      const ref = curriculum.subjects[code];
+      return `- ${code} (${ref.name}) – ${ref.yearLevel}, ${ref.semester}`;
+    })
+    .join("\n");
+  const view = cropped
+    ? `This image shows only the ${target.years.join(" and ")} section(s) of the page.`
+    : "This is the same page as before.";
+
+  return `${prompt}
+
+FOLLOW-UP SCAN: a previous pass missed subjects in ${target.years.join(", ")}. ${view}
+Look carefully for these subject codes (the printed code may differ slightly):
+${list}
+- Extract every subject you can see in ${target.years.join(", ")}, including the ones above
+- Do NOT invent subjects that are not printed on the page`;
+}
+
+// ==================== MERGE ====================
+// Adds the entries of a follow-up pass whose code is not on the page yet
+// → { subjects, added }
+function mergeRescanSubjects(subjects, found) {
+  const seen = new Set(subjects.map((s) => normalizeCode(s.subjectCode)));
+  const added = [];
+  found.forEach((subject) => {
+    const key = normalizeCode(subject.subjectCode);
+    if (seen.has(key)) return;
+    seen.add(key);
+    added.push(subject);
+  });
+  return { subjects: [...subjects, ...added], added };
+}
+
+module.exports = {
+  DEFAULT_RESCANS,
+  MAX_RESCANS,
+  parseRescanLimit,
+  planRescan,
+  sectionRegion,
+  cropSection,
+  buildRescanPrompt,
+  mergeRescanSubjects,
+};
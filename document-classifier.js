@@ -0,0 +1,75 @@
+// document-classifier.js
+// What kind of document an upload is: "cor", "curriculum", "grades" or
+// "timetable" (null when it is none of them or cannot be told). POST /api/scan
+// asks the model first and dispatches on the answer; the typed endpoints read
+// the documentType every extraction prompt asks for and warn on a mismatch.
+
+const DOCUMENT_LABELS = {
+  cor: "Certificate of Registration (COR)",
+  curriculum: "curriculum checklist",
+  grades: "grade report",
+  timetable: "class timetable",
+};
+
+// Model spellings → document type
+const TYPE_ALIASES = {
+  cor: "cor",
+  certificate_of_registration: "cor",
+  registration: "cor",
+  curriculum: "curriculum",
+  curriculum_checklist: "curriculum",
+  checklist: "curriculum",
+  prospectus: "curriculum",
+  grades: "grades",
+  grade_report: "grades",
+  grade: "grades",
+  timetable: "timetable",
+  class_schedule: "timetable",
+  class_timetable: "timetable",
+};
+
+// Shared by the extraction prompts and the classification prompt
+const DOCUMENT_TYPE_HINT = `"documentType" is what the image actually shows: "cor" (Certificate of Registration), "curriculum" (curriculum checklist / prospectus), "grades" (grade report), "timetable" (weekly class schedule grid) or "other"`;
+
+// "Curriculum Checklist" → "curriculum"; null for "other" or unknown values
+function normalizeDocumentType(value) {
+  if (typeof value !== "string") return null;
+  const key = value
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z]+/g, "_")
+    .replace(/^_|_$/g, "");
+  return TYPE_ALIASES[key] || null;
+}
+
+// Classification answer → { documentType, confidence, reason }
+function readClassification(raw) {
+  const answer = raw && typeof raw === "object" ? raw : {};
+  const confidence = String(answer.confidence || "").toLowerCase();
+  return {
+    documentType: normalizeDocumentType(answer.documentType),
+    confidence: ["high", "medium", "low"].includes(confidence)
+      ? confidence
+      : "unknown",
+    reason: typeof answer.reason === "string" ? answer.reason : "",
+  };
+}
+
+// Endpoint type vs. detected type → { expected, detected, matches, warning? }.
+// Nothing detected counts as a match: there is nothing to warn about.
+function checkDocumentType(expected, detected) {
+  const check = { expected, detected: detected || null, matches: true };
+  if (!detected || detected === expected) return check;
+
+  check.matches = false;
+  check.warning = `This looks like a ${DOCUMENT_LABELS[detected]}, not a ${DOCUMENT_LABELS[expected]}. Use /api/scan-${detected} or /api/scan.`;
+  return check;
+}
+
+module.exports = {
+  DOCUMENT_LABELS,
+  DOCUMENT_TYPE_HINT,
+  normalizeDocumentType,
+  readClassification,
+  checkDocumentType,
+};
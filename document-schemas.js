@@ -0,0 +1,381 @@
+// document-schemas.js
+// Declared shape of the model's answer for each document type, as JSON
+// Schema (draft 2020-12, published at GET /api/schemas/:type). coerceDocument
+// checks an answer against its schema and repairs what it can. Every change
+// is recorded as a warning { path, code, message, value }:
+//   missing   – required field absent or null → its default
+//   coerced   – converted to the declared type ("3.0" → 3, "High" → "high")
+//   ambiguous – several readings, the first was used ("3.0 3.0 0.0" → 3)
+//   invalid   – unusable value (wrong type, out of range, empty)
+//   dropped   – field not in the schema, or an unusable array entry
+// Invalid fields get their default when they have one and are left out
+// otherwise. The schemas leave additionalProperties open: scan responses
+// carry these entries plus what the routes add (reference fields, normalized
+// schedules), so a client can validate responses with them too.
+
+const SCHEMA_DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+const CONFIDENCE = {
+  type: "string",
+  enum: ["high", "medium", "low", "unknown"],
+};
+const UNITS = { type: "number", minimum: 0, maximum: 30, default: 0 };
+const COUNT = { type: "integer", minimum: 0 };
+
+// Either row shape schedule-time.js reads: COR { days, time } or timetable
+// { day, startTime, endTime }, whichever the model sent. Nothing is required:
+// normalizeSchedules flags rows it cannot read. day and the times may be null,
+// as in the canonical entries of an unreadable row.
+const SCHEDULE_ROWS = {
+  type: "array",
+  items: {
+    type: "object",
+    properties: {
+      days: { type: "string" },
+      day: { type: ["string", "null"] },
+      time: { type: "string" },
+      startTime: { type: ["string", "null"] },
+      endTime: { type: ["string", "null"] },
+      room: { type: "string" },
+    },
+  },
+};
+
+// ==================== SCHEMAS ====================
+const DOCUMENT_SCHEMAS = {
+  cor: {
+    $schema: SCHEMA_DIALECT,
+    title: "Certificate of Registration",
+    type: "object",
+    required: ["courses"],
+    properties: {
+      program: { type: "string", default: "" },
+      courses: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["subjectCode", "subjectName", "units", "schedules"],
+          properties: {
+            subjectCode: { type: "string", minLength: 1 },
+            subjectName: { type: "string", minLength: 1 },
+            units: UNITS,
+            // Raw rows here, canonical entries in responses (schedule-time.js)
+            schedules: SCHEDULE_ROWS,
+            section: { type: "string", default: "" },
+            instructor: { type: "string", default: "" },
+          },
+        },
+      },
+      // What the image turned out to be (see document-classifier.js)
+      documentType: { type: "string" },
+      totalCoursesFound: COUNT,
+      confidence: CONFIDENCE,
+    },
+  },
+
+  curriculum: {
+    $schema: SCHEMA_DIALECT,
+    title: "Curriculum checklist page",
+    type: "object",
+    required: ["subjects"],
+    properties: {
+      subjects: {
+        type: "array",
+        items: {
+          type: "object",
+          required: [
+            "subjectCode",
+            "subjectName",
+            "lecUnits",
+            "labUnits",
+            "units",
+            "yearLevel",
+            "semester",
+          ],
+          properties: {
+            subjectCode: { type: "string", minLength: 1 },
+            subjectName: { type: "string", default: "" },
+            lecUnits: UNITS,
+            labUnits: UNITS,
+            units: UNITS,
+            yearLevel: { type: "string", minLength: 1, default: "Unknown" },
+            semester: { type: "string", minLength: 1, default: "Unknown" },
+          },
+        },
+      },
+      documentType: { type: "string" },
+      totalSubjectsFound: COUNT,
+      confidence: CONFIDENCE,
+    },
+  },
+
+  // grade stays text when it is not a plain number ("INC", "1.75 PASSED");
+  // grade-status.js reads those
+  grades: {
+    $schema: SCHEMA_DIALECT,
+    title: "Grade report",
+    type: "object",
+    required: ["grades"],
+    properties: {
+      grades: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["subjectCode", "grade"],
+          properties: {
+            subjectCode: { type: "string", minLength: 1 },
+            subjectName: { type: "string", default: "" },
+            grade: { type: ["number", "string", "null"], default: null },
+            remarks: { type: ["string", "null"] },
+            status: { type: ["string", "null"] },
+          },
+        },
+      },
+      documentType: { type: "string" },
+      totalFound: COUNT,
+      confidence: CONFIDENCE,
+    },
+  },
+
+  timetable: {
+    $schema: SCHEMA_DIALECT,
+    title: "Class timetable",
+    type: "object",
+    required: ["subjects"],
+    properties: {
+      academicYear: { type: "string", default: "" },
+      semester: { type: "string", default: "" },
+      subjects: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["subjectName", "schedules"],
+          properties: {
+            subjectName: { type: "string", minLength: 1 },
+            subjectCode: { type: "string", default: "" },
+            section: { type: "string", default: "" },
+            room: { type: "string", default: "" },
+            instructor: { type: "string", default: "" },
+            schedules: SCHEDULE_ROWS,
+          },
+        },
+      },
+      documentType: { type: "string" },
+      totalSubjectsFound: COUNT,
+      confidence: CONFIDENCE,
+    },
+  },
+};
+
+const DOCUMENT_TYPES = Object.keys(DOCUMENT_SCHEMAS);
+
+function getDocumentSchema(type) {
+  const schema = DOCUMENT_SCHEMAS[type];
+  if (!schema) {
+    const error = new Error(
+      `Unknown document type "${type}". Use one of: ${DOCUMENT_TYPES.join(", ")}`
+    );
+    error.status = 404;
+    throw error;
+  }
+  return schema;
+}
+
+// ==================== TYPES ====================
+const INVALID = Symbol("invalid");
+
+function typesOf(schema) {
+  return [].concat(schema.type);
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return typeof value === "object" && value !== null && !Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function defaultFor(schema) {
+  if (schema.default !== undefined) return schema.default;
+  const type = typesOf(schema)[0];
+  if (type === "array") return [];
+  if (type === "object") return {};
+  if (type === "number" || type === "integer") return 0;
+  if (type === "null") return null;
+  return "";
+}
+
+// "3" → 3 (coerced); "3.0 3.0 0.0" → 3 (ambiguous); no number → null
+function readNumber(text, integer) {
+  const trimmed = text.trim();
+  const numbers = trimmed.match(/-?\d+(\.\d+)?/g) || [];
+  if (numbers.length === 0) return null;
+
+  const value = parseFloat(numbers[0]);
+  if (integer && !Number.isInteger(value)) return null;
+  const exact = /^-?\d+(\.\d+)?$/.test(trimmed);
+  return { value, code: exact ? "coerced" : "ambiguous" };
+}
+
+// Converts a value to one of the schema's types → { value, code } or null
+function convert(value, types) {
+  for (const type of types) {
+    if ((type === "number" || type === "integer") && typeof value === "string") {
+      const read = readNumber(value, type === "integer");
+      if (read) return read;
+    }
+    if (type === "string" && ["number", "boolean"].includes(typeof value)) {
+      return { value: String(value), code: "coerced" };
+    }
+    // A single entry where a list was expected
+    if (type === "array" && hasType(value, "object")) {
+      return { value: [value], code: "coerced" };
+    }
+  }
+  return null;
+}
+
+// ==================== COERCION ====================
+function describe(value) {
+  return typeof value === "string" ? `"${value}"` : JSON.stringify(value);
+}
+
+function joinPath(path, key) {
+  return typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+// → the coerced value, or INVALID (recorded as `invalidCode`)
+function coerceValue(schema, value, path, warnings, invalidCode = "invalid") {
+  const types = typesOf(schema);
+  const reject = (message) => {
+    warnings.push({ path, code: invalidCode, message, value });
+    return INVALID;
+  };
+
+  if (!types.some((type) => hasType(value, type))) {
+    const converted = convert(value, types);
+    if (!converted) {
+      return reject(`Expected ${types.join(" or ")}, got ${describe(value)}`);
+    }
+    warnings.push({
+      path,
+      code: converted.code,
+      message:
+        converted.code === "ambiguous"
+          ? `${describe(value)} has several values; used ${describe(converted.value)}`
+          : `${describe(value)} read as ${describe(converted.value)}`,
+      value,
+    });
+    value = converted.value;
+  }
+
+  if (hasType(value, "object") && schema.properties) {
+    return coerceObject(schema, value, path, warnings);
+  }
+  if (Array.isArray(value) && schema.items) {
+    return value
+      .map((item, index) =>
+        coerceValue(schema.items, item, joinPath(path, index), warnings, "dropped")
+      )
+      .filter((item) => item !== INVALID);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const match = schema.enum.find(
+      (option) => String(option).toLowerCase() === String(value).trim().toLowerCase()
+    );
+    if (match === undefined) {
+      return reject(`${describe(value)} is not one of: ${schema.enum.join(", ")}`);
+    }
+    warnings.push({
+      path,
+      code: "coerced",
+      message: `${describe(value)} read as ${describe(match)}`,
+      value,
+    });
+    value = match;
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return reject(`${value} is below ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return reject(`${value} is above ${schema.maximum}`);
+    }
+  }
+  if (typeof value === "string" && value.trim().length < (schema.minLength || 0)) {
+    return reject("Empty value");
+  }
+  return value;
+}
+
+function coerceObject(schema, value, path, warnings) {
+  const required = schema.required || [];
+  const result = {};
+
+  Object.entries(schema.properties).forEach(([key, property]) => {
+    const fieldPath = joinPath(path, key);
+    const raw = value[key];
+
+    // null is how the model says "not printed": same as absent
+    if (raw === undefined || (raw === null && !typesOf(property).includes("null"))) {
+      if (required.includes(key)) {
+        warnings.push({
+          path: fieldPath,
+          code: "missing",
+          message: `Missing ${key}`,
+          ...(raw === null ? { value: raw } : {}),
+        });
+        result[key] = defaultFor(property);
+      } else if (property.default !== undefined) {
+        result[key] = property.default;
+      }
+      return;
+    }
+
+    const coerced = coerceValue(property, raw, fieldPath, warnings);
+    if (coerced !== INVALID) {
+      result[key] = coerced;
+    } else if (required.includes(key) || property.default !== undefined) {
+      result[key] = defaultFor(property);
+    }
+  });
+
+  Object.keys(value)
+    .filter((key) => !schema.properties[key])
+    .forEach((key) =>
+      warnings.push({
+        path: joinPath(path, key),
+        code: "dropped",
+        message: `${key} is not part of the schema`,
+        value: value[key],
+      })
+    );
+  return result;
+}
+
+// Model answer → { value, warnings }; value always has the schema's shape
+function coerceDocument(type, raw) {
+  const schema = getDocumentSchema(type);
+  const warnings = [];
+  let value = coerceValue(schema, raw, "", warnings);
+  if (value === INVALID) value = coerceObject(schema, {}, "", warnings);
+  return { value, warnings };
+}
+
+module.exports = {
+  DOCUMENT_SCHEMAS,
+  DOCUMENT_TYPES,
+  getDocumentSchema,
+  coerceDocument,
+};
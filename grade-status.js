@@ -0,0 +1,136 @@
+// grade-status.js
+// Structured grade records. A grade report row can carry a numeric grade,
+// a PASSED/FAILED remark, or a non-numeric status (INC, DRP); all of them
+// are kept so audits can see incompletes instead of losing the row.
+//
+// status: "NUMERIC" – numeric grade, no remark
+//         "PASSED" / "FAILED" – remark column (grade may be null)
+//         "INC" / "DRP" – incomplete / dropped (grade is null)
+
+const GRADE_STATUSES = ["NUMERIC", "PASSED", "FAILED", "INC", "DRP"];
+
+const STATUS_ALIASES = {
+  INC: "INC",
+  INCOMPLETE: "INC",
+  DRP: "DRP",
+  DRPD: "DRP",
+  DROPPED: "DRP",
+  PASSED: "PASSED",
+  PASS: "PASSED",
+  P: "PASSED",
+  FAILED: "FAILED",
+  FAIL: "FAILED",
+  F: "FAILED",
+};
+
+// Grades outside this range are misreads (e.g. units or a percentage)
+const MIN_GRADE = 1.0;
+const MAX_GRADE = 5.0;
+
+function tokenize(value) {
+  if (value === null || value === undefined) return [];
+  return String(value)
+    .toUpperCase()
+    .split(/[\s,/|()]+/)
+    .filter(Boolean);
+}
+
+// Returns { grade, status } or null when the row has neither a valid grade
+// nor a recognizable status
+function parseGradeValue(grade, remarks) {
+  let numeric = null;
+  let status = null;
+
+  [...tokenize(grade), ...tokenize(remarks)].forEach((token) => {
+    if (!status && STATUS_ALIASES[token]) {
+      status = STATUS_ALIASES[token];
+    } else if (numeric === null && /^\d+(\.\d+)?$/.test(token)) {
+      const value = parseFloat(token);
+      if (value >= MIN_GRADE && value <= MAX_GRADE) numeric = value;
+    }
+  });
+
+  // INC / DRP never carry a grade, even if a units value was misread
+  if (status === "INC" || status === "DRP") return { grade: null, status };
+  if (status) return { grade: numeric, status };
+  if (numeric !== null) return { grade: numeric, status: "NUMERIC" };
+  return null;
+}
+
+// Rows that cannot be read are dropped; with a warnings array, each drop and
+// each grade read out of mixed text ("1.75 PASSED") is recorded there in the
+// document-schemas.js format
+function parseGradeRecords(rawGrades, warnings = []) {
+  return (rawGrades || [])
+    .map((g, idx) => {
+      const remarks = g.remarks ?? g.status;
+      const parsed = parseGradeValue(g.grade, remarks);
+      if (!parsed) {
+        warnings.push({
+          path: `grades[${idx}]`,
+          code: "dropped",
+          message: "No valid grade or status",
+          value: { grade: g.grade, remarks },
+        });
+        return null;
+      }
+      if (typeof g.grade === "string" && tokenize(g.grade).length > 1) {
+        warnings.push({
+          path: `grades[${idx}].grade`,
+          code: "coerced",
+          message: `"${g.grade}" read as grade ${parsed.grade ?? "none"}, status ${parsed.status}`,
+          value: g.grade,
+        });
+      }
+      return {
+        subjectCode: g.subjectCode || `UNKNOWN_${idx + 1}`,
+        subjectName: g.subjectName || "",
+        grade: parsed.grade,
+        status: parsed.status,
+      };
+    })
+    .filter(Boolean);
+}
+
+function hasNumericGrade(record) {
+  return typeof record.grade === "number" && !Number.isNaN(record.grade);
+}
+
+// Records from /api/scan-grades already carry a status; raw client input
+// ({ grade, remarks }) is parsed the same way the scan does
+function normalizeGradeRecord(record) {
+  const value = GRADE_STATUSES.includes(record.status)
+    ? {
+        grade: record.grade == null ? null : parseFloat(record.grade),
+        status: record.status,
+      }
+    : parseGradeValue(record.grade, record.remarks) || {
+        grade: null,
+        status: null,
+      };
+  return { ...record, ...value };
+}
+
+// Outcome of one attempt: "passed", "inProgress" (INC or a 4.0 conditional
+// awaiting removal), "failed", "dropped", or null when unreadable
+function getGradeOutcome(record) {
+  if (record.status === "INC") return "inProgress";
+  if (record.status === "DRP") return "dropped";
+  if (record.status === "FAILED") return "failed";
+  if (hasNumericGrade(record)) {
+    if (record.grade >= 5.0) return "failed";
+    if (record.grade >= 4.0) return "inProgress";
+    return "passed";
+  }
+  if (record.status === "PASSED") return "passed";
+  return null;
+}
+
+module.exports = {
+  GRADE_STATUSES,
+  parseGradeValue,
+  parseGradeRecords,
+  hasNumericGrade,
+  normalizeGradeRecord,
+  getGradeOutcome,
+};
@@ -0,0 +1,210 @@
+// graduation-audit.js
+// Graduation audit: a student's accumulated grades against a curriculum.
+// Every curriculum subject takes the outcome of its best attempt:
+//   completed  – passed (3.0 or better, or PASSED)
+//   inProgress – INC, 4.0 conditional, or currently enrolled
+//   failed     – only failed (5.0 / FAILED) attempts
+//   missing    – never attempted, or only dropped
+// Elective slots (CS Elec, GEC Elec, Math Elec) can also be satisfied by a
+// passed elective of the same category that is not in the curriculum.
+
+const {
+  YEAR_ORDER,
+  SEMESTER_ORDER,
+  hydrateSubjectsFromReference,
+  findMissingCourses,
+  formatSubject,
+  sumUnits,
+} = require("./curriculum-reference");
+const { normalizeGradeRecord, getGradeOutcome } = require("./grade-status");
+
+// Higher wins when a subject was taken more than once
+const OUTCOME_RANK = { dropped: 0, failed: 1, inProgress: 2, passed: 3 };
+
+// ==================== ELECTIVES ====================
+// "CS Elective 4" / "CS Elect 4" / "CS Elec 4" → "CS ELEC"; null if not an elective
+function getElectiveCategory(code) {
+  const text = String(code || "")
+    .toUpperCase()
+    .replace(/\bELECT(IVE)?\b/g, "ELEC");
+  const match = text.match(/^(.*\bELEC)\b/);
+  return match ? match[1].replace(/\s+/g, " ").trim() : null;
+}
+
+// ==================== HELPERS ====================
+function groupByTerm(subjects) {
+  const terms = new Map();
+  subjects.forEach((s) => {
+    const key = `${s.yearLevel}|${s.semester}`;
+    if (!terms.has(key)) {
+      terms.set(key, {
+        yearLevel: s.yearLevel,
+        semester: s.semester,
+        units: 0,
+        subjects: [],
+      });
+    }
+    terms.get(key).units += s.units;
+    terms.get(key).subjects.push(s);
+  });
+
+  return [...terms.values()].sort(
+    (a, b) =>
+      YEAR_ORDER.indexOf(a.yearLevel) - YEAR_ORDER.indexOf(b.yearLevel) ||
+      SEMESTER_ORDER.indexOf(a.semester) - SEMESTER_ORDER.indexOf(b.semester)
+  );
+}
+
+function bestAttempt(attempts) {
+  return attempts.reduce((best, a) =>
+    OUTCOME_RANK[a.outcome] >= OUTCOME_RANK[best.outcome] ? a : best
+  );
+}
+
+function describeAttempt(record) {
+  return {
+    grade: record.grade,
+    status: record.status,
+    outcome: record.outcome,
+    ...(record.enrolled && { enrolled: true }),
+  };
+}
+
+// ==================== AUDIT ====================
+// grades: records as returned by /api/scan-grades (or raw { subjectCode, grade, remarks })
+// inProgress: codes the student is currently enrolled in (e.g. from a COR)
+function auditGraduation(grades, curriculum, { inProgress = [] } = {}) {
+  const records = [
+    ...grades.map((g) => {
+      const record = normalizeGradeRecord(g);
+      return { ...record, outcome: getGradeOutcome(record) };
+    }),
+    ...inProgress.map((code) => ({
+      subjectCode: code,
+      grade: null,
+      status: null,
+      outcome: "inProgress",
+      enrolled: true,
+    })),
+  ].map((record) => ({
+    ...record,
+    subjectCode: String(record.subjectCode || "").trim(),
+  }));
+
+  // Same code matching as the scan endpoints
+  const hydrated = hydrateSubjectsFromReference(records, curriculum);
+  const attemptsByCode = new Map();
+  const outside = [];
+  records.forEach((record, i) => {
+    const code = hydrated[i].subjectCode;
+    if (curriculum.subjects[code] && record.outcome) {
+      if (!attemptsByCode.has(code)) attemptsByCode.set(code, []);
+      attemptsByCode.get(code).push(record);
+    } else {
+      outside.push(record);
+    }
+  });
+
+  const attempted = [...attemptsByCode.keys()]
+    .filter((code) => bestAttempt(attemptsByCode.get(code)).outcome !== "dropped")
+    .map((subjectCode) => ({ subjectCode }));
+  const missingCodes = findMissingCourses(attempted, curriculum);
+
+  // Elective slots still open get the passed outside electives, in order
+  const substitutes = outside.filter(
+    (r) => r.outcome === "passed" && getElectiveCategory(r.subjectCode)
+  );
+  const usedSubstitutes = [];
+  const electives = Object.keys(curriculum.subjects)
+    .filter((code) => getElectiveCategory(code))
+    .map((code) => {
+      const category = getElectiveCategory(code);
+      const attempts = attemptsByCode.get(code);
+      if (attempts && bestAttempt(attempts).outcome === "passed") {
+        return { subjectCode: code, category, satisfied: true, satisfiedBy: code };
+      }
+      const index = substitutes.findIndex(
+        (r) => getElectiveCategory(r.subjectCode) === category
+      );
+      if (index === -1) {
+        return { subjectCode: code, category, satisfied: false, satisfiedBy: null };
+      }
+      const [substitute] = substitutes.splice(index, 1);
+      usedSubstitutes.push(substitute);
+      return {
+        subjectCode: code,
+        category,
+        satisfied: true,
+        satisfiedBy: substitute.subjectCode,
+        substitute: describeAttempt(substitute),
+      };
+    });
+  const substitutedSlots = new Map(
+    electives
+      .filter((e) => e.substitute)
+      .map((e) => [e.subjectCode, e.satisfiedBy])
+  );
+
+  const completed = [];
+  const inProgressSubjects = [];
+  const failed = [];
+  const missing = [];
+  Object.keys(curriculum.subjects).forEach((code) => {
+    const subject = formatSubject(code, curriculum.subjects[code]);
+    const attempts = attemptsByCode.get(code) || [];
+
+    if (substitutedSlots.has(code)) {
+      completed.push({ ...subject, satisfiedBy: substitutedSlots.get(code) });
+      return;
+    }
+    if (missingCodes.includes(code)) {
+      missing.push({ ...subject, attempts: attempts.map(describeAttempt) });
+      return;
+    }
+
+    const best = bestAttempt(attempts);
+    const entry = {
+      ...subject,
+      grade: best.grade,
+      status: best.status,
+      attempts: attempts.map(describeAttempt),
+    };
+    if (best.outcome === "passed") completed.push(entry);
+    else if (best.outcome === "inProgress") inProgressSubjects.push(entry);
+    else failed.push(entry);
+  });
+
+  const unitsRequired = sumUnits(Object.values(curriculum.subjects)).units;
+  const unitsEarned = sumUnits(completed).units;
+  const unitsInProgress = sumUnits(inProgressSubjects).units;
+
+  return {
+    summary: {
+      totalSubjects: curriculum.totalSubjects,
+      completed: completed.length,
+      inProgress: inProgressSubjects.length,
+      failed: failed.length,
+      missing: missing.length,
+      unitsRequired,
+      unitsEarned,
+      unitsInProgress,
+      unitsRemaining: unitsRequired - unitsEarned,
+      percentComplete:
+        unitsRequired === 0
+          ? 0
+          : Math.round((unitsEarned / unitsRequired) * 1000) / 10,
+    },
+    completed: groupByTerm(completed),
+    inProgress: groupByTerm(inProgressSubjects),
+    failed: groupByTerm(failed),
+    missing: groupByTerm(missing),
+    electives,
+    // Rows that match no curriculum subject and filled no elective slot
+    unmatched: outside
+      .filter((r) => !usedSubstitutes.includes(r))
+      .map((r) => ({ subjectCode: r.subjectCode, ...describeAttempt(r) })),
+    eligibleToGraduate: completed.length === curriculum.totalSubjects,
+  };
+}
+
+module.exports = { getElectiveCategory, auditGraduation };
@@ -0,0 +1,305 @@
+// gwa-calculator.js
+// Units-weighted GWA per term and cumulative, with failed/conditional
+// subjects and Dean's list / Latin honors eligibility.
+// Grades use the Philippine scale: 1.0 (highest) … 3.0 (passing), 4.0
+// (conditional), 5.0 (failed). INC/DRP and grade-less PASSED rows are
+// reported but never averaged.
+
+const { YEAR_ORDER, SEMESTER_ORDER } = require("./curriculum-reference");
+const { hasNumericGrade, normalizeGradeRecord } = require("./grade-status");
+const { matchSubjectCode } = require("./subject-matcher");
+
+// Override per deployment with GWA_THRESHOLDS (JSON) or per request
+const DEFAULT_THRESHOLDS = {
+  conditionalGrade: 4.0,
+  failingGrade: 5.0,
+  // Subjects not counted toward GWA (matched as code prefixes)
+  excludedPrefixes: ["PATHFIT", "NSTP"],
+  deansList: { maxGwa: 1.75, maxSubjectGrade: 2.5, minUnits: 15 },
+  latinHonors: {
+    maxSubjectGrade: 2.5,
+    levels: [
+      { title: "Summa Cum Laude", maxGwa: 1.2 },
+      { title: "Magna Cum Laude", maxGwa: 1.45 },
+      { title: "Cum Laude", maxGwa: 1.75 },
+    ],
+  },
+};
+
+// ==================== THRESHOLDS ====================
+function isPlainObject(value) {
+  return value && typeof value === "object" && !Array.isArray(value);
+}
+
+function mergeThresholds(base, override) {
+  if (!isPlainObject(override)) return base;
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(base[key])
+        ? mergeThresholds(base[key], value)
+        : value;
+  });
+  return merged;
+}
+
+function thresholdsError(message) {
+  const error = new Error(`Invalid thresholds: ${message}`);
+  error.status = 400;
+  return error;
+}
+
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+// Merged thresholds must keep the shape of DEFAULT_THRESHOLDS
+function checkThresholds(thresholds) {
+  const numbers = {
+    conditionalGrade: thresholds.conditionalGrade,
+    failingGrade: thresholds.failingGrade,
+    "deansList.maxGwa": thresholds.deansList?.maxGwa,
+    "deansList.maxSubjectGrade": thresholds.deansList?.maxSubjectGrade,
+    "deansList.minUnits": thresholds.deansList?.minUnits,
+    "latinHonors.maxSubjectGrade": thresholds.latinHonors?.maxSubjectGrade,
+  };
+  Object.entries(numbers).forEach(([path, value]) => {
+    if (!isNumber(value)) throw thresholdsError(`${path} must be a number`);
+  });
+
+  const prefixes = thresholds.excludedPrefixes;
+  if (!Array.isArray(prefixes) || !prefixes.every((p) => typeof p === "string")) {
+    throw thresholdsError("excludedPrefixes must be a list of strings");
+  }
+
+  const levels = thresholds.latinHonors.levels;
+  if (
+    !Array.isArray(levels) ||
+    levels.length === 0 ||
+    !levels.every(
+      (l) => isPlainObject(l) && typeof l.title === "string" && isNumber(l.maxGwa)
+    )
+  ) {
+    throw thresholdsError(
+      "latinHonors.levels must be a non-empty list of { title, maxGwa }"
+    );
+  }
+  return thresholds;
+}
+
+// GWA_THRESHOLDS is parsed once per value; unreadable or invalid JSON is
+// logged and the defaults are used instead of failing every request
+let configured = null;
+
+function getConfiguredThresholds() {
+  const raw = process.env.GWA_THRESHOLDS || "";
+  if (configured && configured.raw === raw) return configured.thresholds;
+
+  let thresholds = DEFAULT_THRESHOLDS;
+  if (raw) {
+    try {
+      thresholds = checkThresholds(
+        mergeThresholds(DEFAULT_THRESHOLDS, JSON.parse(raw))
+      );
+    } catch (error) {
+      console.log(
+        `⚠️  Ignoring GWA_THRESHOLDS (${error.message}); using the defaults`
+      );
+    }
+  }
+  configured = { raw, thresholds };
+  return thresholds;
+}
+
+// Per-request override → thresholds; a malformed override is a 400
+function getThresholds(override) {
+  return checkThresholds(mergeThresholds(getConfiguredThresholds(), override));
+}
+
+// ==================== HELPERS ====================
+function round(value, digits = 4) {
+  return Math.round(value * 10 ** digits) / 10 ** digits;
+}
+
+function weightedAverage(entries) {
+  const units = entries.reduce((sum, e) => sum + e.units, 0);
+  if (units === 0) return { gwa: null, units: 0 };
+  const points = entries.reduce((sum, e) => sum + e.grade * e.units, 0);
+  return { gwa: points / units, units };
+}
+
+function isExcluded(code, thresholds) {
+  const normalized = code.toUpperCase().replace(/\s+/g, "");
+  return thresholds.excludedPrefixes.some((prefix) =>
+    normalized.startsWith(prefix.toUpperCase().replace(/\s+/g, ""))
+  );
+}
+
+// Join one grade with the curriculum; term falls back to curriculum placement.
+// Codes are matched like the scan routes do (subject-matcher.js); fuzzy
+// matches carry the printed code as extractedCode for the user to confirm.
+function joinGrade(rawGrade, curriculum) {
+  const grade = normalizeGradeRecord(rawGrade);
+  const match = matchSubjectCode(curriculum, grade.subjectCode, grade.subjectName);
+  const refCode = match ? match.subjectCode : null;
+  const reference = refCode ? curriculum.subjects[refCode] : null;
+  const units = reference ? reference.units : parseFloat(grade.units) || 0;
+
+  return {
+    subjectCode: refCode || grade.subjectCode,
+    subjectName: reference ? reference.name : grade.subjectName || "",
+    grade: grade.grade,
+    status: grade.status,
+    units,
+    inCurriculum: !!reference,
+    yearLevel: grade.yearLevel || reference?.yearLevel || "Unknown",
+    semester: grade.semester || reference?.semester || "Unknown",
+    ...(match?.needsConfirmation && {
+      needsConfirmation: true,
+      extractedCode: grade.subjectCode || "",
+    }),
+  };
+}
+
+function compareTerms(a, b) {
+  return (
+    YEAR_ORDER.indexOf(a.yearLevel) - YEAR_ORDER.indexOf(b.yearLevel) ||
+    SEMESTER_ORDER.indexOf(a.semester) - SEMESTER_ORDER.indexOf(b.semester)
+  );
+}
+
+// ==================== ELIGIBILITY ====================
+function termKey(entry) {
+  return `${entry.yearLevel}|${entry.semester}`;
+}
+
+function checkDeansList(term, incomplete, thresholds) {
+  const rules = thresholds.deansList;
+  const reasons = [];
+
+  if (term.gwa === null || term.gwa > rules.maxGwa) {
+    reasons.push(`Term GWA must be ${rules.maxGwa} or better`);
+  }
+  if (term.subjects.some((s) => s.grade > rules.maxSubjectGrade)) {
+    reasons.push(`No grade lower than ${rules.maxSubjectGrade} allowed`);
+  }
+  if (term.units < rules.minUnits) {
+    reasons.push(`At least ${rules.minUnits} GWA units required (has ${term.units})`);
+  }
+  if (incomplete.some((e) => termKey(e) === termKey(term))) {
+    reasons.push("No INC grades allowed");
+  }
+
+  return { eligible: reasons.length === 0, reasons };
+}
+
+function checkLatinHonors(cumulativeGwa, entries, thresholds) {
+  const rules = thresholds.latinHonors;
+  const reasons = [];
+
+  if (
+    entries.some(
+      (e) => e.grade >= thresholds.conditionalGrade || e.status === "FAILED"
+    )
+  ) {
+    reasons.push("Has failed or conditional grades");
+  } else if (entries.some((e) => e.grade > rules.maxSubjectGrade)) {
+    reasons.push(`Has a grade lower than ${rules.maxSubjectGrade}`);
+  }
+  if (entries.some((e) => e.status === "INC")) {
+    reasons.push("Has unresolved INC grades");
+  }
+
+  const level =
+    cumulativeGwa === null
+      ? null
+      : [...rules.levels]
+          .sort((a, b) => a.maxGwa - b.maxGwa)
+          .find((l) => cumulativeGwa <= l.maxGwa);
+  if (!level) {
+    const loosest = Math.max(...rules.levels.map((l) => l.maxGwa));
+    reasons.push(`Cumulative GWA must be ${loosest} or better`);
+  }
+
+  const eligible = reasons.length === 0;
+  return { eligible, title: eligible ? level.title : null, reasons };
+}
+
+// ==================== CALCULATOR ====================
+function computeGwa(grades, curriculum, thresholdOverride) {
+  const thresholds = getThresholds(thresholdOverride);
+  const joined = grades.map((g) => joinGrade(g, curriculum));
+
+  const incomplete = joined.filter((e) => e.status === "INC");
+  const dropped = joined.filter((e) => e.status === "DRP");
+  const unmatched = joined.filter(
+    (e) => !e.status || (hasNumericGrade(e) && e.units === 0)
+  );
+  const counted = joined.filter(
+    (e) =>
+      hasNumericGrade(e) &&
+      !unmatched.includes(e) &&
+      !isExcluded(e.subjectCode, thresholds)
+  );
+  // Not averaged: PATHFIT/NSTP and PASSED/FAILED rows without a number
+  const excluded = joined.filter(
+    (e) =>
+      (e.status === "PASSED" || e.status === "FAILED" || hasNumericGrade(e)) &&
+      !unmatched.includes(e) &&
+      !counted.includes(e)
+  );
+
+  // Per-term GWA
+  const byTerm = new Map();
+  counted.forEach((e) => {
+    if (!byTerm.has(termKey(e))) byTerm.set(termKey(e), []);
+    byTerm.get(termKey(e)).push(e);
+  });
+
+  const terms = [...byTerm.values()]
+    .map((subjects) => {
+      const { gwa, units } = weightedAverage(subjects);
+      const term = {
+        yearLevel: subjects[0].yearLevel,
+        semester: subjects[0].semester,
+        gwa: gwa === null ? null : round(gwa),
+        units,
+        subjects,
+      };
+      term.deansList = checkDeansList({ ...term, gwa }, incomplete, thresholds);
+      return term;
+    })
+    .sort(compareTerms);
+
+  const cumulative = weightedAverage(counted);
+
+  return {
+    terms,
+    cumulative: {
+      gwa: cumulative.gwa === null ? null : round(cumulative.gwa),
+      units: cumulative.units,
+      subjectCount: counted.length,
+    },
+    failed: joined.filter(
+      (e) => e.grade >= thresholds.failingGrade || e.status === "FAILED"
+    ),
+    conditional: joined.filter(
+      (e) =>
+        e.grade >= thresholds.conditionalGrade &&
+        e.grade < thresholds.failingGrade
+    ),
+    incomplete,
+    dropped,
+    latinHonors: checkLatinHonors(
+      cumulative.gwa,
+      // Failing an excluded subject (e.g. PATHFIT) still blocks honors
+      [...counted, ...excluded, ...incomplete],
+      thresholds
+    ),
+    excluded,
+    unmatched,
+    thresholds,
+  };
+}
+
+module.exports = { DEFAULT_THRESHOLDS, getThresholds, computeGwa };
@@ -0,0 +1,209 @@
+// ical-export.js
+// RFC 5545 calendar of a scanned COR or timetable. Every class meeting
+// becomes a weekly recurring event from the first matching weekday on or
+// after the semester start until the semester end; holidays become EXDATEs.
+// Times are local to the university (Asia/Manila, UTC+8, no DST).
+
+const crypto = require("crypto");
+const { normalizeSchedules, timeToMinutes } = require("./schedule-time");
+
+const TIMEZONE = "Asia/Manila";
+const UTC_OFFSET_MINUTES = 8 * 60;
+const PRODID = "-//ClasSync//Schedule Export//EN";
+
+function calendarError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// ==================== DATES ====================
+// "2024-08-12" → Date at 00:00 UTC (used as a plain calendar date); null if invalid
+function parseDate(value) {
+  const match = String(value || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return date.getUTCDate() === +match[3] ? date : null;
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * 86400000);
+}
+
+// Weekday of a calendar date, Monday = 0
+function weekdayIndex(date) {
+  return (date.getUTCDay() + 6) % 7;
+}
+
+function pad(value, length = 2) {
+  return String(value).padStart(length, "0");
+}
+
+function formatDate(date) {
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+}
+
+function formatLocal(date, minutes) {
+  return `${formatDate(date)}T${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}00`;
+}
+
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// ==================== TEXT ====================
+function escapeText(value) {
+  return String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/\r?\n/g, "\\n")
+    .replace(/([,;])/g, "\\$1");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// ==================== MEETINGS ====================
+// COR courses and timetable subjects → one meeting per weekday (schedules
+// in the canonical or the raw scan shape, see schedule-time.js)
+function collectMeetings({ courses = [], subjects = [] }) {
+  const meetings = [];
+  const skipped = [];
+
+  [...courses, ...subjects].forEach((entry) => {
+    normalizeSchedules(entry.schedules, { room: entry.room }).forEach((m) => {
+      if (!m.valid) {
+        skipped.push({ subjectCode: entry.subjectCode || "", schedule: m.source });
+        return;
+      }
+      meetings.push({
+        subjectCode: entry.subjectCode || "",
+        subjectName: entry.subjectName || "",
+        section: entry.section || "",
+        instructor: entry.instructor || "",
+        room: m.room,
+        weekday: m.isoWeekday - 1,
+        start: timeToMinutes(m.startTime),
+        end: timeToMinutes(m.endTime),
+      });
+    });
+  });
+
+  return { meetings, skipped };
+}
+
+// ==================== CALENDAR ====================
+function buildEvent(meeting, { start, end, holidays, stamp }) {
+  const firstDate = addDays(start, (meeting.weekday - weekdayIndex(start) + 7) % 7);
+  if (firstDate > end) return null;
+
+  // UNTIL is UTC: the last local minute of the semester end date
+  const until = new Date(
+    end.getTime() + (24 * 60 - 1 - UTC_OFFSET_MINUTES) * 60000
+  );
+  const exdates = holidays.filter(
+    (h) => h >= firstDate && h <= end && weekdayIndex(h) === meeting.weekday
+  );
+
+  const title = [meeting.subjectCode, meeting.subjectName]
+    .filter(Boolean)
+    .join(" – ");
+  const description = [
+    meeting.instructor && `Instructor: ${meeting.instructor}`,
+    meeting.section && `Section: ${meeting.section}`,
+    meeting.room && `Room: ${meeting.room}`,
+  ]
+    .filter(Boolean)
+    .join("\n");
+  const uid = crypto
+    .createHash("sha1")
+    .update(
+      [
+        meeting.subjectCode,
+        meeting.subjectName,
+        meeting.section,
+        meeting.weekday,
+        meeting.start,
+        formatDate(start),
+      ].join("|")
+    )
+    .digest("hex");
+
+  return [
+    "BEGIN:VEVENT",
+    `UID:${uid}@classync`,
+    `DTSTAMP:${stamp}`,
+    `SUMMARY:${escapeText(title || "Class")}`,
+    `DTSTART;TZID=${TIMEZONE}:${formatLocal(firstDate, meeting.start)}`,
+    `DTEND;TZID=${TIMEZONE}:${formatLocal(firstDate, meeting.end)}`,
+    `RRULE:FREQ=WEEKLY;UNTIL=${formatUtc(until)}`,
+    ...exdates.map(
+      (h) => `EXDATE;TZID=${TIMEZONE}:${formatLocal(h, meeting.start)}`
+    ),
+    meeting.room && `LOCATION:${escapeText(meeting.room)}`,
+    description && `DESCRIPTION:${escapeText(description)}`,
+    "END:VEVENT",
+  ].filter(Boolean);
+}
+
+// options: { semesterStart, semesterEnd, holidays: ["YYYY-MM-DD"], now }
+function buildCalendar(schedule, options = {}) {
+  const start = parseDate(options.semesterStart);
+  const end = parseDate(options.semesterEnd);
+  if (!start || !end) {
+    throw calendarError("semesterStart and semesterEnd must be YYYY-MM-DD dates");
+  }
+  if (start > end) {
+    throw calendarError("semesterStart must be on or before semesterEnd");
+  }
+  const holidays = (options.holidays || []).map((h) => {
+    const date = parseDate(h);
+    if (!date) throw calendarError(`Invalid holiday date "${h}"`);
+    return date;
+  });
+
+  const { meetings, skipped } = collectMeetings(schedule);
+  const stamp = formatUtc(options.now || new Date());
+  const events = meetings
+    .map((m) => buildEvent(m, { start, end, holidays, stamp }))
+    .filter(Boolean);
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "BEGIN:VTIMEZONE",
+    `TZID:${TIMEZONE}`,
+    "BEGIN:STANDARD",
+    "DTSTART:19700101T000000",
+    "TZOFFSETFROM:+0800",
+    "TZOFFSETTO:+0800",
+    "TZNAME:PST",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+    ...events.flat(),
+    "END:VCALENDAR",
+  ];
+
+  return {
+    ics: lines.map(foldLine).join("\r\n") + "\r\n",
+    eventCount: events.length,
+    skipped,
+  };
+}
+
+module.exports = { TIMEZONE, parseDate, escapeText, foldLine, buildCalendar };
@@ -0,0 +1,388 @@
+// image-preprocess.js
+// Prepares a phone photo of a printed document for extraction:
+//   1. perspective – finds the paper against a darker background and warps
+//                    its four corners to a flat rectangle
+//   2. rotate      – levels the text lines (skew from image-quality.js)
+//   3. crop        – trims the plain margins around the content
+//   4. upscale, contrast and sharpening as before
+// Every step that changed the image is listed in `transforms`, which the
+// scan routes report in the per-image quality block.
+
+const sharp = require("sharp");
+const { ANALYSIS_WIDTH, estimateSkewAngle } = require("./image-quality");
+
+// Document detection runs on a small copy
+const DETECT_WIDTH = 400;
+// The paper must cover this share of the photo to count as a document
+const MIN_PAGE_AREA = 0.2;
+const MAX_PAGE_AREA = 0.98;
+// Paper has to be clearly brighter than what surrounds it
+const MIN_PAGE_CONTRAST = 25;
+// Corners this close (share of the frame) to the photo corners mean the
+// paper already fills the frame
+const FRAME_TOLERANCE = 0.02;
+// Warped pages are capped so huge photos stay cheap
+const MAX_PAGE_SIDE = 3000;
+// Smaller tilts are left alone
+const MIN_DESKEW = 0.5;
+const TRIM_THRESHOLD = 25;
+const CROP_MARGIN = 16;
+const MIN_WIDTH = 1200;
+
+// ==================== HELPERS ====================
+function histogramOf(pixels) {
+  const histogram = new Array(256).fill(0);
+  for (const value of pixels) histogram[value]++;
+  return histogram;
+}
+
+// Grey level that best splits the histogram into two classes
+function otsuThreshold(histogram, total) {
+  let sum = 0;
+  for (let value = 0; value < 256; value++) sum += value * histogram[value];
+
+  let best = 0;
+  let bestVariance = -1;
+  let weightBelow = 0;
+  let sumBelow = 0;
+  for (let value = 0; value < 256; value++) {
+    weightBelow += histogram[value];
+    if (weightBelow === 0) continue;
+    const weightAbove = total - weightBelow;
+    if (weightAbove === 0) break;
+    sumBelow += value * histogram[value];
+    const meanBelow = sumBelow / weightBelow;
+    const meanAbove = (sum - sumBelow) / weightAbove;
+    const variance = weightBelow * weightAbove * (meanBelow - meanAbove) ** 2;
+    if (variance > bestVariance) {
+      best = value;
+      bestVariance = variance;
+    }
+  }
+  return best;
+}
+
+// Most common grey level above the threshold: the paper colour
+function paperLevel(histogram, threshold) {
+  let paper = 255;
+  for (let value = threshold + 1; value < 256; value++) {
+    if (histogram[value] > histogram[paper]) paper = value;
+  }
+  return paper;
+}
+
+function rawInput(page) {
+  return sharp(page.data, {
+    raw: { width: page.width, height: page.height, channels: 1 },
+  });
+}
+
+async function toPage(image) {
+  const { data, info } = await image
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  // Single-channel output; guard against sharp keeping extra channels
+  if (info.channels !== 1) {
+    const grey = Buffer.alloc(info.width * info.height);
+    for (let i = 0; i < grey.length; i++) grey[i] = data[i * info.channels];
+    return { data: grey, width: info.width, height: info.height };
+  }
+  return { data, width: info.width, height: info.height };
+}
+
+// ==================== DOCUMENT BOUNDARY ====================
+// Largest 4-connected region of mask pixels → list of pixel indexes
+function largestRegion(mask, width, height) {
+  const labels = new Int32Array(mask.length);
+  const queue = new Int32Array(mask.length);
+  let best = null;
+  let label = 0;
+
+  for (let start = 0; start < mask.length; start++) {
+    if (!mask[start] || labels[start]) continue;
+    label++;
+    let head = 0;
+    let tail = 0;
+    queue[tail++] = start;
+    labels[start] = label;
+    while (head < tail) {
+      const i = queue[head++];
+      const x = i % width;
+      const neighbours = [
+        x > 0 ? i - 1 : -1,
+        x < width - 1 ? i + 1 : -1,
+        i - width,
+        i + width < mask.length ? i + width : -1,
+      ];
+      for (const n of neighbours) {
+        if (n >= 0 && mask[n] && !labels[n]) {
+          labels[n] = label;
+          queue[tail++] = n;
+        }
+      }
+    }
+    if (!best || tail > best.length) best = queue.slice(0, tail);
+  }
+  return best || new Int32Array(0);
+}
+
+function quadArea(corners) {
+  let area = 0;
+  corners.forEach(([x1, y1], i) => {
+    const [x2, y2] = corners[(i + 1) % corners.length];
+    area += x1 * y2 - x2 * y1;
+  });
+  return Math.abs(area) / 2;
+}
+
+// Paper corners [topLeft, topRight, bottomRight, bottomLeft] in page pixels,
+// or null when no separate document boundary is visible
+async function findDocumentCorners(page) {
+  const small = await toPage(
+    rawInput(page).resize({ width: DETECT_WIDTH, withoutEnlargement: true })
+  );
+  const { data, width, height } = small;
+  const total = width * height;
+  const threshold = otsuThreshold(histogramOf(data), total);
+
+  const mask = new Uint8Array(total);
+  for (let i = 0; i < total; i++) mask[i] = data[i] > threshold ? 1 : 0;
+  const region = largestRegion(mask, width, height);
+  if (region.length < total * MIN_PAGE_AREA || region.length > total * MAX_PAGE_AREA) {
+    return null;
+  }
+
+  // Extreme points of the paper region are its corners
+  let topLeft, topRight, bottomRight, bottomLeft;
+  let inside = 0;
+  const inRegion = new Uint8Array(total);
+  region.forEach((i) => {
+    const x = i % width;
+    const y = Math.floor(i / width);
+    inRegion[i] = 1;
+    inside += data[i];
+    if (!topLeft || x + y < topLeft[0] + topLeft[1]) topLeft = [x, y];
+    if (!bottomRight || x + y > bottomRight[0] + bottomRight[1]) bottomRight = [x, y];
+    if (!topRight || x - y > topRight[0] - topRight[1]) topRight = [x, y];
+    if (!bottomLeft || x - y < bottomLeft[0] - bottomLeft[1]) bottomLeft = [x, y];
+  });
+
+  let outside = 0;
+  for (let i = 0; i < total; i++) if (!inRegion[i]) outside += data[i];
+  const insideMean = inside / region.length;
+  const outsideMean = outside / (total - region.length);
+  if (insideMean - outsideMean < MIN_PAGE_CONTRAST) return null;
+
+  const corners = [topLeft, topRight, bottomRight, bottomLeft];
+  // A blob rather than a sheet of paper
+  if (quadArea(corners) < region.length * 0.8) return null;
+
+  const frame = [[0, 0], [width - 1, 0], [width - 1, height - 1], [0, height - 1]];
+  const fillsFrame = corners.every(
+    ([x, y], i) =>
+      Math.abs(x - frame[i][0]) <= width * FRAME_TOLERANCE &&
+      Math.abs(y - frame[i][1]) <= height * FRAME_TOLERANCE
+  );
+  if (fillsFrame) return null;
+
+  const scale = page.width / width;
+  return corners.map(([x, y]) => [
+    Math.round((x + 0.5) * scale),
+    Math.round((y + 0.5) * scale),
+  ]);
+}
+
+// ==================== PERSPECTIVE ====================
+// Solves A·h = b by Gaussian elimination with partial pivoting
+function solveLinear(matrix, vector) {
+  const n = vector.length;
+  const rows = matrix.map((row, i) => [...row, vector[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(rows[r][col]) > Math.abs(rows[pivot][col])) pivot = r;
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+    for (let r = 0; r < n; r++) {
+      if (r === col) continue;
+      const factor = rows[r][col] / rows[col][col];
+      for (let c = col; c <= n; c++) rows[r][c] -= factor * rows[col][c];
+    }
+  }
+  return rows.map((row, i) => row[n] / row[i]);
+}
+
+// Homography taking output rectangle points to photo points
+function rectToQuad(width, height, corners) {
+  const targets = [[0, 0], [width, 0], [width, height], [0, height]];
+  const matrix = [];
+  const vector = [];
+  targets.forEach(([u, v], i) => {
+    const [x, y] = corners[i];
+    matrix.push([u, v, 1, 0, 0, 0, -u * x, -v * x]);
+    vector.push(x);
+    matrix.push([0, 0, 0, u, v, 1, -u * y, -v * y]);
+    vector.push(y);
+  });
+  return solveLinear(matrix, vector);
+}
+
+function distance([x1, y1], [x2, y2]) {
+  return Math.hypot(x2 - x1, y2 - y1);
+}
+
+// Corners → flat page, sampled bilinearly; outside the photo is white
+function warpPerspective(page, corners) {
+  const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+  let width = Math.max(distance(topLeft, topRight), distance(bottomLeft, bottomRight));
+  let height = Math.max(distance(topLeft, bottomLeft), distance(topRight, bottomRight));
+  const shrink = Math.min(1, MAX_PAGE_SIDE / Math.max(width, height));
+  width = Math.max(1, Math.round(width * shrink));
+  height = Math.max(1, Math.round(height * shrink));
+
+  const h = rectToQuad(width, height, corners);
+  const out = Buffer.alloc(width * height);
+  const src = page.data;
+  for (let v = 0; v < height; v++) {
+    for (let u = 0; u < width; u++) {
+      const w = h[6] * u + h[7] * v + 1;
+      const x = (h[0] * u + h[1] * v + h[2]) / w;
+      const y = (h[3] * u + h[4] * v + h[5]) / w;
+      const x0 = Math.floor(x);
+      const y0 = Math.floor(y);
+      if (x0 < 0 || y0 < 0 || x0 >= page.width - 1 || y0 >= page.height - 1) {
+        out[v * width + u] = 255;
+        continue;
+      }
+      const fx = x - x0;
+      const fy = y - y0;
+      const i = y0 * page.width + x0;
+      const top = src[i] * (1 - fx) + src[i + 1] * fx;
+      const bottom = src[i + page.width] * (1 - fx) + src[i + page.width + 1] * fx;
+      out[v * width + u] = Math.round(top * (1 - fy) + bottom * fy);
+    }
+  }
+  return { data: out, width, height };
+}
+
+// ==================== PIPELINE ====================
+async function deskew(page, transforms) {
+  const small = await toPage(
+    rawInput(page).resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+  );
+  const angle = estimateSkewAngle(small.data, small.width, small.height);
+  if (!angle || Math.abs(angle) < MIN_DESKEW) return page;
+
+  const histogram = histogramOf(page.data);
+  const paper = paperLevel(histogram, otsuThreshold(histogram, page.data.length));
+  const rotated = await toPage(
+    rawInput(page).rotate(-angle, { background: { r: paper, g: paper, b: paper } })
+  );
+  transforms.push({ type: "rotate", angle: -angle });
+  return rotated;
+}
+
+async function cropMargins(page, transforms) {
+  const histogram = histogramOf(page.data);
+  const paper = paperLevel(histogram, otsuThreshold(histogram, page.data.length));
+  try {
+    const { data, info } = await rawInput(page)
+      .trim({ background: { r: paper, g: paper, b: paper }, threshold: TRIM_THRESHOLD })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    if (info.width === page.width && info.height === page.height) return page;
+
+    const left = -info.trimOffsetLeft;
+    const top = -info.trimOffsetTop;
+    const trimmed = await toPage(
+      sharp(data, {
+        raw: { width: info.width, height: info.height, channels: info.channels },
+      }).extend({
+        top: CROP_MARGIN,
+        bottom: CROP_MARGIN,
+        left: CROP_MARGIN,
+        right: CROP_MARGIN,
+        background: { r: paper, g: paper, b: paper },
+      })
+    );
+    transforms.push({
+      type: "crop",
+      left: Math.max(0, left - CROP_MARGIN),
+      top: Math.max(0, top - CROP_MARGIN),
+      width: trimmed.width,
+      height: trimmed.height,
+    });
+    return trimmed;
+  } catch {
+    // Nothing but background: leave the page as it is
+    return page;
+  }
+}
+
+// → { path, transforms }; on failure the original path and no transforms
+async function preprocessImage(filePath) {
+  console.log("   🔧 Preprocessing image...");
+
+  try {
+    const transforms = [];
+    // 1. Grayscale (EXIF orientation applied) for better text recognition
+    let page = await toPage(sharp(filePath).rotate());
+    console.log(`   📐 Original: ${page.width}x${page.height}`);
+
+    // 2. Flatten the document if the photo shows its edges
+    const corners = await findDocumentCorners(page);
+    if (corners) {
+      page = warpPerspective(page, corners);
+      transforms.push({
+        type: "perspective",
+        corners,
+        width: page.width,
+        height: page.height,
+      });
+      console.log(`   📄 Document found, flattened to ${page.width}x${page.height}`);
+    }
+
+    // 3. Level the text lines, then trim the margins
+    page = await deskew(page, transforms);
+    page = await cropMargins(page, transforms);
+
+    // 4. Upscale if resolution is too low
+    let processedImage = rawInput(page);
+    if (page.width < MIN_WIDTH) {
+      const scale = Math.ceil(MIN_WIDTH / page.width);
+      processedImage = processedImage.resize(page.width * scale, page.height * scale, {
+        kernel: "lanczos3",
+      });
+      transforms.push({ type: "upscale", scale });
+      console.log(`   ⬆️  Upscaled ${scale}x`);
+    }
+
+    // 5. Enhance contrast and sharpness
+    processedImage = processedImage
+      .normalize() // Auto-adjust contrast
+      .sharpen({ sigma: 1.5 }) // Sharpen text
+      .linear(1.2, -(128 * 0.2)); // Increase contrast slightly
+
+    // 6. Save processed image
+    const processedPath = filePath + "_processed.png";
+    await processedImage.png().toFile(processedPath);
+
+    transforms
+      .filter((t) => t.type === "rotate" || t.type === "crop")
+      .forEach((t) =>
+        console.log(
+          t.type === "rotate"
+            ? `   🔄 Rotated ${t.angle}°`
+            : `   ✂️  Cropped to ${t.width}x${t.height}`
+        )
+      );
+    console.log("   ✅ Preprocessing complete");
+    return { path: processedPath, transforms };
+  } catch (error) {
+    console.log(`   ⚠️  Preprocessing failed: ${error.message}`);
+    return { path: filePath, transforms: [] }; // Original if preprocessing fails
+  }
+}
+
+module.exports = { findDocumentCorners, warpPerspective, preprocessImage };
@@ -0,0 +1,315 @@
+// image-quality.js
+// Photo quality metrics computed with sharp on a downscaled greyscale copy:
+//   blurScore  – variance of the Laplacian (low = blurry)
+//   skewAngle  – text-line angle in degrees, positive = rotated clockwise
+//                (projection-profile search over ±15°; null without text)
+//   glareRatio – share of the page covered by blown-out regions brighter
+//                than the paper around them
+//   contrast   – standard deviation of the grey levels (0–127)
+// checkPreflight turns the metrics into a usable / not usable verdict with
+// guidance, so hopeless photos are rejected before any model call.
+
+const sharp = require("sharp");
+
+// Metrics are computed at this width so thresholds do not depend on the camera
+const ANALYSIS_WIDTH = 1000;
+const GLARE_GRID = 16;
+const GLARE_LEVEL = 245;
+// A glare block must stand out from the paper; flat white scans do not count
+const GLARE_MARGIN = 20;
+const MAX_SKEW = 15;
+// The best angle must sharpen the row profile this much over 0°
+const MIN_SKEW_GAIN = 1.3;
+
+// Flags (warnings) and pre-flight rejections
+const THRESHOLDS = {
+  blurry: 100,
+  rejectBlurry: 20,
+  skewed: 2,
+  glare: 0.02,
+  rejectGlare: 0.15,
+  lowContrast: 20,
+  rejectLowContrast: 10,
+  dark: 60,
+  rejectDark: 40,
+  bright: 200,
+};
+
+// ==================== METRICS ====================
+function laplacianVariance(pixels, width, height) {
+  let sum = 0;
+  let sumSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value =
+        pixels[i - 1] + pixels[i + 1] + pixels[i - width] + pixels[i + width] -
+        4 * pixels[i];
+      sum += value;
+      sumSquares += value * value;
+      count++;
+    }
+  }
+  if (count === 0) return 0;
+  const mean = sum / count;
+  return sumSquares / count - mean * mean;
+}
+
+function greyStats(pixels) {
+  let sum = 0;
+  let sumSquares = 0;
+  const histogram = new Array(256).fill(0);
+  for (const value of pixels) {
+    sum += value;
+    sumSquares += value * value;
+    histogram[value]++;
+  }
+  const mean = sum / pixels.length;
+  return {
+    mean,
+    stdev: Math.sqrt(Math.max(0, sumSquares / pixels.length - mean * mean)),
+    histogram,
+  };
+}
+
+function percentile(histogram, total, fraction) {
+  let seen = 0;
+  for (let value = 0; value < 256; value++) {
+    seen += histogram[value];
+    if (seen >= total * fraction) return value;
+  }
+  return 255;
+}
+
+// Ink is anything clearly darker than the midpoint of the page's range
+function inkLevel(histogram, total) {
+  return (
+    (percentile(histogram, total, 0.05) + percentile(histogram, total, 0.95)) / 2
+  );
+}
+
+// Paper level = the most common grey level on the light side of the ink
+function glareRatio(pixels, width, height, histogram, darkLevel) {
+  const blockWidth = Math.ceil(width / GLARE_GRID);
+  const blockHeight = Math.ceil(height / GLARE_GRID);
+  const means = [];
+  for (let by = 0; by < height; by += blockHeight) {
+    for (let bx = 0; bx < width; bx += blockWidth) {
+      let sum = 0;
+      let count = 0;
+      for (let y = by; y < Math.min(by + blockHeight, height); y++) {
+        for (let x = bx; x < Math.min(bx + blockWidth, width); x++) {
+          sum += pixels[y * width + x];
+          count++;
+        }
+      }
+      means.push(sum / count);
+    }
+  }
+  let paper = 255;
+  for (let value = Math.ceil(darkLevel); value < 256; value++) {
+    if (histogram[value] > histogram[paper]) paper = value;
+  }
+  const blown = means.filter(
+    (m) => m >= GLARE_LEVEL && m - paper >= GLARE_MARGIN
+  ).length;
+  return blown / means.length;
+}
+
+// Sum of squared row counts of the dark pixels, projected at an angle
+function projectionScore(points, angle) {
+  const radians = (angle * Math.PI) / 180;
+  const sin = Math.sin(radians);
+  const cos = Math.cos(radians);
+  const rows = new Map();
+  for (let i = 0; i < points.length; i += 2) {
+    const row = Math.round(points[i + 1] * cos - points[i] * sin);
+    rows.set(row, (rows.get(row) || 0) + 1);
+  }
+  let score = 0;
+  rows.forEach((count) => (score += count * count));
+  return score;
+}
+
+function estimateSkew(pixels, width, height, darkLevel) {
+  const points = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * width + x] < darkLevel) points.push(x, y);
+    }
+  }
+  // Too little ink to find lines (blank page or a photo of nothing)
+  if (points.length / 2 < width * height * 0.005) return null;
+
+  // Cap the work on very dense images
+  const stride = Math.max(1, Math.floor(points.length / 2 / 20000));
+  const sample = [];
+  for (let i = 0; i < points.length; i += 2 * stride) {
+    sample.push(points[i], points[i + 1]);
+  }
+
+  const search = (from, to, step, best) => {
+    for (let angle = from; angle <= to + 1e-9; angle += step) {
+      const score = projectionScore(sample, angle);
+      if (score > best.score) best = { angle, score };
+    }
+    return best;
+  };
+  const level = projectionScore(sample, 0);
+  const coarse = search(-MAX_SKEW, MAX_SKEW, 1, { angle: 0, score: level });
+  const fine = search(coarse.angle - 1, coarse.angle + 1, 0.1, coarse);
+  // Blurred or irregular content gives no clear lines: report level
+  if (fine.score < level * MIN_SKEW_GAIN) return 0;
+  return Math.round(fine.angle * 10) / 10 || 0;
+}
+
+// Skew of raw greyscale pixels (one byte per pixel), null without text
+function estimateSkewAngle(pixels, width, height) {
+  const grey = greyStats(pixels);
+  if (grey.stdev < THRESHOLDS.rejectLowContrast) return null;
+  return estimateSkew(
+    pixels,
+    width,
+    height,
+    inkLevel(grey.histogram, width * height)
+  );
+}
+
+// ==================== ANALYSIS ====================
+async function analyzeImageQuality(filePath) {
+  try {
+    const image = sharp(filePath);
+    const metadata = await image.metadata();
+    const { data, info } = await sharp(filePath)
+      .rotate() // honor EXIF orientation
+      .greyscale()
+      .resize({ width: ANALYSIS_WIDTH, withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height } = info;
+    const grey = greyStats(data);
+    const darkLevel = inkLevel(grey.histogram, width * height);
+    // Size as displayed: EXIF orientations 5–8 swap width and height
+    const [shownWidth, shownHeight] =
+      metadata.orientation >= 5
+        ? [metadata.height, metadata.width]
+        : [metadata.width, metadata.height];
+
+    const blurScore = Math.round(laplacianVariance(data, width, height));
+    const skewAngle = estimateSkewAngle(data, width, height);
+    const glare =
+      Math.round(
+        glareRatio(data, width, height, grey.histogram, darkLevel) * 1000
+      ) / 1000;
+    const contrast = Math.round(grey.stdev * 10) / 10;
+    const brightness = Math.round(grey.mean * 10) / 10;
+
+    return {
+      width: shownWidth,
+      height: shownHeight,
+      resolution: shownWidth * shownHeight,
+      isLowRes: shownWidth < 800 || shownHeight < 600,
+      blurScore,
+      isBlurry: blurScore < THRESHOLDS.blurry,
+      skewAngle,
+      isSkewed: skewAngle !== null && Math.abs(skewAngle) > THRESHOLDS.skewed,
+      glareRatio: glare,
+      hasGlare: glare >= THRESHOLDS.glare,
+      contrast,
+      isLowContrast: contrast < THRESHOLDS.lowContrast,
+      brightness,
+      isDark: brightness < THRESHOLDS.dark,
+      isBright: brightness > THRESHOLDS.bright,
+    };
+  } catch (error) {
+    return { error: error.message, isLowRes: true };
+  }
+}
+
+// ==================== PRE-FLIGHT ====================
+// → { usable, problems, warnings }, each item { code, message, guidance }
+function checkPreflight(quality) {
+  const problems = [];
+  const warnings = [];
+  const add = (list, code, message, guidance) =>
+    list.push({ code, message, guidance });
+
+  if (quality.error) {
+    add(
+      problems,
+      "unreadable",
+      `Could not read the image (${quality.error})`,
+      "Upload a JPG, PNG or WEBP photo of the document."
+    );
+    return { usable: false, problems, warnings };
+  }
+
+  if (quality.brightness < THRESHOLDS.rejectDark) {
+    add(
+      problems,
+      "too_dark",
+      "The photo is too dark to read",
+      "Retake it in better light or turn on the flash."
+    );
+  } else if (quality.contrast < THRESHOLDS.rejectLowContrast) {
+    add(
+      problems,
+      "no_contrast",
+      "The page looks blank or washed out",
+      "Make sure the whole document is in frame and not overexposed."
+    );
+  } else if (quality.blurScore < THRESHOLDS.rejectBlurry) {
+    add(
+      problems,
+      "too_blurry",
+      "The photo is too blurry to read",
+      "Hold the phone steady and tap the text to focus before taking the photo."
+    );
+  }
+  if (quality.glareRatio >= THRESHOLDS.rejectGlare) {
+    add(
+      problems,
+      "glare",
+      `Glare covers ${Math.round(quality.glareRatio * 100)}% of the page`,
+      "Tilt the page or move away from the lamp to remove reflections."
+    );
+  }
+
+  if (quality.isLowRes) {
+    add(
+      warnings,
+      "low_resolution",
+      `Low resolution (${quality.width}x${quality.height})`,
+      "Move closer so the document fills the frame."
+    );
+  }
+  if (problems.length === 0 && quality.isBlurry) {
+    add(warnings, "blurry", "The photo is slightly blurry", "Hold the phone steady.");
+  }
+  if (quality.isSkewed) {
+    add(
+      warnings,
+      "skewed",
+      `The page is tilted ${quality.skewAngle}°`,
+      "Line the page up with the edges of the frame."
+    );
+  }
+  if (problems.length === 0 && quality.hasGlare) {
+    add(warnings, "glare", "Some glare on the page", "Avoid direct light on the page.");
+  }
+  if (problems.length === 0 && quality.isLowContrast) {
+    add(warnings, "low_contrast", "Low contrast", "Use even, brighter lighting.");
+  }
+
+  return { usable: problems.length === 0, problems, warnings };
+}
+
+module.exports = {
+  ANALYSIS_WIDTH,
+  THRESHOLDS,
+  estimateSkewAngle,
+  analyzeImageQuality,
+  checkPreflight,
+};
@@ -0,0 +1,196 @@
+// image-tiles.js
+// Tiled extraction for dense checklist pages. A page is cut into a grid of
+// overlapping tiles ("2x2" = two year blocks × two semester columns), each
+// tile is extracted on its own, and the tile results are stitched:
+//   - a subject seen in several tiles (overlap) is kept once
+//   - curriculum subjects take year and semester from the reference
+//   - other subjects are placed by the curriculum subjects listed next to
+//     them in the same tile
+
+const sharp = require("sharp");
+const { normalizeCode } = require("./curriculum-reference");
+
+const DEFAULT_LAYOUT = "2x2";
+// Share of a tile's size added on each inner edge
+const DEFAULT_OVERLAP = 0.15;
+const MAX_TILES_PER_SIDE = 4;
+
+function tileError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// ==================== LAYOUT ====================
+// "2x2" → { rows: 2, columns: 2 }; "true" → default; falsy/"false" → null
+function parseTileLayout(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const text = String(value).trim().toLowerCase();
+  if (text === "false") return null;
+
+  const layout = text === "true" ? DEFAULT_LAYOUT : text;
+  const match = layout.match(/^(\d+)x(\d+)$/);
+  const rows = match ? parseInt(match[1]) : 0;
+  const columns = match ? parseInt(match[2]) : 0;
+  if (
+    rows < 1 ||
+    columns < 1 ||
+    rows > MAX_TILES_PER_SIDE ||
+    columns > MAX_TILES_PER_SIDE ||
+    rows * columns < 2
+  ) {
+    throw tileError(
+      `Invalid tiles "${value}" (use ROWSxCOLUMNS, e.g. "2x2", up to ${MAX_TILES_PER_SIDE}x${MAX_TILES_PER_SIDE})`
+    );
+  }
+  return { rows, columns };
+}
+
+// Overlapping grid → [{ index, row, column, left, top, width, height }]
+function planTiles(
+  width,
+  height,
+  { rows, columns },
+  overlap = DEFAULT_OVERLAP
+) {
+  const tileWidth = width / columns;
+  const tileHeight = height / rows;
+  const tiles = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const left = Math.max(0, Math.floor((column - overlap) * tileWidth));
+      const top = Math.max(0, Math.floor((row - overlap) * tileHeight));
+      const right = Math.min(
+        width,
+        Math.ceil((column + 1 + overlap) * tileWidth)
+      );
+      const bottom = Math.min(
+        height,
+        Math.ceil((row + 1 + overlap) * tileHeight)
+      );
+      tiles.push({
+        index: tiles.length,
+        row,
+        column,
+        left,
+        top,
+        width: right - left,
+        height: bottom - top,
+      });
+    }
+  }
+  return tiles;
+}
+
+// Writes each tile as "<file>_tile<n>.png" → tiles with a path
+async function cutTiles(filePath, layout) {
+  const { width, height } = await sharp(filePath).metadata();
+  const tiles = planTiles(width, height, layout);
+  for (const tile of tiles) {
+    tile.path = `${filePath}_tile${tile.index + 1}.png`;
+    await sharp(filePath)
+      .extract({
+        left: tile.left,
+        top: tile.top,
+        width: tile.width,
+        height: tile.height,
+      })
+      .png()
+      .toFile(tile.path);
+  }
+  return tiles;
+}
+
+// Appended to the page prompt so the model knows it sees part of the page
+function buildTilePrompt(prompt, tile, { rows, columns }) {
+  return `${prompt}
+
+NOTE: This image is ONE SECTION of a larger checklist page: row ${tile.row + 1} of ${rows} (from the top), column ${tile.column + 1} of ${columns} (from the left).
+- Sections overlap, so rows at the edges may be cut off: extract only subjects whose code is fully visible
+- If the year or semester header is not visible, infer it from the section's position and the subject codes`;
+}
+
+// ==================== STITCHING ====================
+// Models list subjects in reading order, so the curriculum subjects just
+// before and after an entry in the same tile show where it sits on the page
+function neighbourTerms(subjects, tileIndexes, i) {
+  const find = (step) => {
+    for (let j = i + step; j >= 0 && j < subjects.length; j += step) {
+      if (tileIndexes[j] !== tileIndexes[i]) return null;
+      if (subjects[j].match) return subjects[j];
+    }
+    return null;
+  };
+  return [find(-1), find(1)].filter(Boolean).map((s) => ({
+    yearLevel: s.yearLevel,
+    semester: s.semester,
+  }));
+}
+
+function sameTerm(a, b) {
+  return a.yearLevel === b.yearLevel && a.semester === b.semester;
+}
+
+// How well an entry's own year/semester fits its neighbours (0–2)
+function termScore(subject, neighbours) {
+  return Math.max(
+    0,
+    ...neighbours.map(
+      (n) =>
+        (n.yearLevel === subject.yearLevel ? 1 : 0) +
+        (n.semester === subject.semester ? 1 : 0)
+    )
+  );
+}
+
+// Year/semester for an entry the curriculum does not know: its own when
+// given, unless both neighbours agree on another one
+function attributeTerm(subject, neighbours) {
+  const [before, after] = neighbours;
+  if (before && after && sameTerm(before, after) && !sameTerm(subject, before)) {
+    return { ...subject, ...before };
+  }
+  const fallback = before || after;
+  if (!fallback) return subject;
+  return {
+    ...subject,
+    yearLevel: subject.yearLevel === "Unknown" ? fallback.yearLevel : subject.yearLevel,
+    semester: subject.semester === "Unknown" ? fallback.semester : subject.semester,
+  };
+}
+
+// subjects: hydrated subjects of all tiles in tile order; tileIndexes[i] is
+// the tile subjects[i] came from. Curriculum subjects already carry the
+// reference year/semester; of other entries seen twice, the copy that fits
+// its neighbours best is kept. Order of first appearance is preserved.
+function stitchTileSubjects(subjects, tileIndexes) {
+  const best = new Map();
+  subjects.forEach((subject, i) => {
+    const key = subject.match
+      ? subject.subjectCode
+      : normalizeCode(subject.subjectCode);
+    const neighbours = subject.match ? [] : neighbourTerms(subjects, tileIndexes, i);
+    const candidate = {
+      subject,
+      neighbours,
+      score: subject.match
+        ? 2 + subject.match.confidence
+        : termScore(subject, neighbours),
+    };
+    const current = best.get(key);
+    if (!current || candidate.score > current.score) best.set(key, candidate);
+  });
+
+  return [...best.values()].map(({ subject, neighbours }) =>
+    subject.match ? subject : attributeTerm(subject, neighbours)
+  );
+}
+
+module.exports = {
+  DEFAULT_LAYOUT,
+  parseTileLayout,
+  planTiles,
+  cutTiles,
+  buildTilePrompt,
+  stitchTileSubjects,
+};
@@ -0,0 +1,214 @@
+// pdf-pages.js
+// PDF uploads (e.g. a COR or grade report downloaded from the portal) are
+// rasterized page by page with pdf.js, so every page goes through the same
+// image pipeline as a photo. Page images are written next to the upload and
+// removed with it. Results of the pages are merged with mergePageResults.
+
+const fs = require("fs");
+const path = require("path");
+
+const PDF_MIME = "application/pdf";
+// 200 dpi keeps small print legible without huge images
+const PDF_DPI = parseInt(process.env.PDF_DPI) || 200;
+const MAX_PDF_PAGES = parseInt(process.env.PDF_MAX_PAGES) || 10;
+// A large-format page at full DPI would need hundreds of MB of canvas;
+// bigger pages are rendered at a lower scale instead (12 MP ≈ 48 MB RGBA)
+const MAX_PAGE_PIXELS = parseInt(process.env.PDF_MAX_PAGE_PIXELS) || 12000000;
+const MAX_PAGE_SIDE = 8000;
+
+const STANDARD_FONTS = path.join(
+  path.dirname(require.resolve("pdfjs-dist/package.json")),
+  "standard_fonts",
+  path.sep
+);
+
+// pdf.js ships as an ES module only
+let pdfjsPromise;
+function loadPdfjs() {
+  pdfjsPromise = pdfjsPromise || import("pdfjs-dist/legacy/build/pdf.mjs");
+  return pdfjsPromise;
+}
+
+function pdfError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// ==================== DETECTION ====================
+function isPdf(file) {
+  if (file.mimetype === PDF_MIME) return true;
+  try {
+    const fd = fs.openSync(file.path, "r");
+    const header = Buffer.alloc(5);
+    fs.readSync(fd, header, 0, 5, 0);
+    fs.closeSync(fd);
+    return header.toString("latin1") === "%PDF-";
+  } catch {
+    return false;
+  }
+}
+
+// ==================== RASTERIZE ====================
+// → [{ pageNumber, path, width, height, size }] as PNG files "<file>_page<n>.png"
+// Render scale for a page of width × height points: dpi / 72, lowered so the
+// canvas stays within maxPixels and MAX_PAGE_SIDE on either side
+function pageScale(width, height, dpi, maxPixels = MAX_PAGE_PIXELS) {
+  const scale = dpi / 72;
+  return Math.min(
+    scale,
+    Math.sqrt(maxPixels / (width * height)),
+    MAX_PAGE_SIDE / Math.max(width, height)
+  );
+}
+
+async function rasterizePdf(
+  filePath,
+  { dpi = PDF_DPI, maxPages = MAX_PDF_PAGES, maxPixels = MAX_PAGE_PIXELS } = {}
+) {
+  const { getDocument } = await loadPdfjs();
+  const { createCanvas } = require("@napi-rs/canvas");
+
+  let document;
+  try {
+    document = await getDocument({
+      data: new Uint8Array(fs.readFileSync(filePath)),
+      standardFontDataUrl: STANDARD_FONTS,
+      isEvalSupported: false,
+      verbosity: 0,
+    }).promise;
+  } catch (error) {
+    throw pdfError(`Could not read PDF: ${error.message}`);
+  }
+
+  try {
+    if (document.numPages > maxPages) {
+      throw pdfError(
+        `PDF has ${document.numPages} pages (at most ${maxPages} allowed)`
+      );
+    }
+
+    const pages = [];
+    for (let n = 1; n <= document.numPages; n++) {
+      const page = await document.getPage(n);
+      const size = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({
+        scale: pageScale(size.width, size.height, dpi, maxPixels),
+      });
+      const canvas = createCanvas(
+        Math.ceil(viewport.width),
+        Math.ceil(viewport.height)
+      );
+      const context = canvas.getContext("2d");
+      // Transparent PDF backgrounds would otherwise come out black
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      await page.render({ canvasContext: context, viewport, canvas }).promise;
+      page.cleanup();
+
+      const png = canvas.toBuffer("image/png");
+      const pagePath = `${filePath}_page${n}.png`;
+      fs.writeFileSync(pagePath, png);
+      pages.push({
+        pageNumber: n,
+        path: pagePath,
+        width: canvas.width,
+        height: canvas.height,
+        size: png.length,
+      });
+    }
+    return pages;
+  } finally {
+    await document.destroy();
+  }
+}
+
+// ==================== UPLOADS ====================
+// Multer files → one image "file" per page. Images pass through; PDFs become
+// their pages ({ ..., pageNumber, sourceFile, generated: true }).
+async function expandUploads(files, options = {}) {
+  const pages = [];
+  for (const file of files) {
+    if (!isPdf(file)) {
+      pages.push(file);
+      continue;
+    }
+    try {
+      const rendered = await rasterizePdf(file.path, options);
+      rendered.forEach((page) =>
+        pages.push({
+          path: page.path,
+          originalname: `${file.originalname} (page ${page.pageNumber})`,
+          mimetype: "image/png",
+          size: page.size,
+          pageNumber: page.pageNumber,
+          sourceFile: file.originalname,
+          generated: true,
+        })
+      );
+    } catch (error) {
+      removePages(pages);
+      throw error;
+    }
+  }
+  return pages;
+}
+
+// Deletes the page images expandUploads wrote (never the uploads themselves)
+function removePages(pages) {
+  for (const page of pages || []) {
+    if (!page.generated) continue;
+    try {
+      fs.unlinkSync(page.path);
+    } catch {}
+  }
+}
+
+// ==================== MERGE ====================
+const CONFIDENCE_ORDER = ["low", "medium", "high"];
+
+// Schema-checked answers of several pages (see coerceDocument) → one result:
+// arrays are concatenated, counts ("total…") summed, other fields keep the
+// first non-empty value, confidence the lowest one
+function mergePageResults(results) {
+  if (results.length === 1) return results[0];
+
+  const merged = {};
+  results.forEach((result) => {
+    Object.entries(result || {}).forEach(([key, value]) => {
+      if (key === "confidence") return;
+      if (Array.isArray(value)) {
+        merged[key] = [...(merged[key] || []), ...value];
+      } else if (key.startsWith("total") && typeof value === "number") {
+        merged[key] = (merged[key] || 0) + value;
+      } else if (
+        merged[key] === undefined ||
+        merged[key] === null ||
+        merged[key] === ""
+      ) {
+        merged[key] = value;
+      }
+    });
+  });
+
+  const confidences = results
+    .map((r) => r && r.confidence)
+    .filter((c) => CONFIDENCE_ORDER.includes(c));
+  if (confidences.length > 0) {
+    merged.confidence = confidences.sort(
+      (a, b) => CONFIDENCE_ORDER.indexOf(a) - CONFIDENCE_ORDER.indexOf(b)
+    )[0];
+  }
+  return merged;
+}
+
+module.exports = {
+  PDF_MIME,
+  MAX_PDF_PAGES,
+  isPdf,
+  pageScale,
+  rasterizePdf,
+  expandUploads,
+  removePages,
+  mergePageResults,
+};
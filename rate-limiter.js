@@ -0,0 +1,273 @@
+// rate-limiter.js
+// Request budgets, all built on one token bucket (capacity = per-minute
+// budget, refilled continuously):
+//   - model scheduler: one per provider, queues model calls within the
+//     provider's requests-per-minute budget and retries 429 / 5xx answers
+//     with exponential backoff, honoring Retry-After. A call that would wait
+//     longer than VISION_QUEUE_MAX_WAIT_SECONDS is refused at once with the
+//     expected wait (error.retryAfter, seconds) instead.
+//   - client limiter: requests per minute per client (configured API key or
+//     IP) on the scan endpoints, so one client cannot use up the shared budget.
+
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30 * 1000;
+
+function limitError(message, retryAfterMs) {
+  const error = new Error(message);
+  error.status = 429;
+  error.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+  return error;
+}
+
+function abortError(signal) {
+  return signal.reason instanceof Error ? signal.reason : new Error("Aborted");
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener(
+      "abort",
+      () => {
+        clearTimeout(timer);
+        reject(abortError(signal));
+      },
+      { once: true }
+    );
+  });
+}
+
+// ==================== TOKEN BUCKET ====================
+function createTokenBucket({ perMinute, now = Date.now }) {
+  const msPerToken = 60000 / perMinute;
+  let tokens = perMinute;
+  let updatedAt = now();
+
+  function refill() {
+    const time = now();
+    tokens = Math.min(perMinute, tokens + (time - updatedAt) / msPerToken);
+    updatedAt = time;
+  }
+
+  return {
+    // Takes a token → 0, or the ms until one is available (nothing taken)
+    take() {
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return 0;
+      }
+      return Math.ceil((1 - tokens) * msPerToken);
+    },
+
+    // ms until `count` tokens are available
+    msUntil(count) {
+      refill();
+      return Math.max(0, Math.ceil((count - tokens) * msPerToken));
+    },
+
+    drain() {
+      refill();
+      tokens = Math.min(tokens, 0);
+    },
+  };
+}
+
+// ==================== RETRIES ====================
+function isRetryable(error) {
+  return !error.status || error.status === 429 || error.status >= 500;
+}
+
+// Retry-After in seconds or as an HTTP date → ms (0 when absent)
+function retryAfterMs(error, now = Date.now) {
+  const headers = error.headers || {};
+  const value =
+    typeof headers.get === "function"
+      ? headers.get("retry-after")
+      : headers["retry-after"];
+  if (!value) return 0;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? 0 : Math.max(0, date - now());
+}
+
+// ==================== MODEL SCHEDULER ====================
+// perMinute 0 = no budget (calls run at once, still retried)
+function createModelScheduler({
+  perMinute = 0,
+  maxQueue = 50,
+  maxWaitMs = 120 * 1000,
+  maxRetries = 0,
+  baseDelayMs = BASE_DELAY_MS,
+  maxDelayMs = MAX_DELAY_MS,
+  now = Date.now,
+  wait = sleep,
+}) {
+  const bucket = perMinute > 0 ? createTokenBucket({ perMinute, now }) : null;
+  const queue = [];
+  let pausedUntil = 0;
+  let timer = null;
+
+  // ms until the waiter at `position` (1 = next) gets its turn
+  function etaFor(position) {
+    const paused = Math.max(0, pausedUntil - now());
+    return paused + (bucket ? bucket.msUntil(position) : 0);
+  }
+
+  function pump() {
+    clearTimeout(timer);
+    timer = null;
+    while (queue.length > 0) {
+      const paused = pausedUntil - now();
+      const delay = paused > 0 ? paused : bucket ? bucket.take() : 0;
+      if (delay > 0) {
+        timer = setTimeout(pump, delay);
+        return;
+      }
+      queue.shift().start();
+    }
+  }
+
+  // Resolves when the call may run. Retries go to the front of the queue and
+  // are never refused.
+  function acquire({ signal, onQueued, retry }) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(abortError(signal));
+
+      const position = retry ? 1 : queue.length + 1;
+      const etaMs = etaFor(position);
+      if (!retry && (queue.length >= maxQueue || etaMs > maxWaitMs)) {
+        return reject(
+          limitError(
+            `Model queue is full (${queue.length} waiting, about ${Math.ceil(etaMs / 1000)}s)`,
+            etaMs
+          )
+        );
+      }
+
+      const onAbort = () => {
+        const index = queue.indexOf(waiter);
+        if (index !== -1) queue.splice(index, 1);
+        if (queue.length === 0) clearTimeout(timer);
+        reject(abortError(signal));
+      };
+      const waiter = {
+        start() {
+          signal?.removeEventListener("abort", onAbort);
+          resolve();
+        },
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      if (retry) queue.unshift(waiter);
+      else queue.push(waiter);
+      if (etaMs > 0 && onQueued) onQueued({ position, etaMs });
+      pump();
+    });
+  }
+
+  return {
+    // Runs task() within the budget → its result; onQueued({ position, etaMs })
+    // is called when the call has to wait
+    async run(task, { signal, onQueued } = {}) {
+      for (let attempt = 0; ; attempt++) {
+        await acquire({ signal, onQueued, retry: attempt > 0 });
+        try {
+          return await task();
+        } catch (error) {
+          if (signal?.aborted || !isRetryable(error)) throw error;
+
+          const requested = retryAfterMs(error, now);
+          if (attempt >= maxRetries || requested > maxWaitMs) {
+            if (requested > 0) error.retryAfter = Math.ceil(requested / 1000);
+            throw error;
+          }
+          const delay = Math.max(
+            Math.min(maxDelayMs, baseDelayMs * 2 ** attempt),
+            requested
+          );
+          // A rate limit holds every queued call, not just this one
+          if (error.status === 429) {
+            pausedUntil = Math.max(pausedUntil, now() + delay);
+            if (bucket) bucket.drain();
+          }
+          await wait(delay, signal);
+        }
+      }
+    },
+
+    stats() {
+      return {
+        perMinute,
+        queued: queue.length,
+        etaMs: etaFor(queue.length + 1),
+      };
+    },
+  };
+}
+
+// Read from the environment on every call; one scheduler per provider
+const schedulers = new Map();
+function getModelScheduler(provider, env = process.env) {
+  const settings = {
+    perMinute: provider.requestsPerMinute || 0,
+    maxRetries: provider.maxRetries || 0,
+    maxQueue: parseInt(env.VISION_QUEUE_MAX) || 50,
+    maxWaitMs: (parseInt(env.VISION_QUEUE_MAX_WAIT_SECONDS) || 120) * 1000,
+  };
+  const signature = JSON.stringify(settings);
+  const current = schedulers.get(provider.name);
+  if (current && current.signature === signature) return current.scheduler;
+
+  const scheduler = createModelScheduler(settings);
+  schedulers.set(provider.name, { signature, scheduler });
+  return scheduler;
+}
+
+// ==================== CLIENT LIMITER ====================
+// perMinute 0 = unlimited
+function createClientLimiter({ perMinute, now = Date.now }) {
+  const buckets = new Map();
+
+  return {
+    // → { allowed } or { allowed: false, retryAfter } (seconds)
+    check(client) {
+      if (!perMinute) return { allowed: true };
+
+      // Idle clients are back to a full bucket: forget them
+      if (buckets.size > 1000) {
+        buckets.forEach((bucket, key) => {
+          if (bucket.msUntil(perMinute) === 0) buckets.delete(key);
+        });
+      }
+      let bucket = buckets.get(client);
+      if (!bucket) {
+        bucket = createTokenBucket({ perMinute, now });
+        buckets.set(client, bucket);
+      }
+      const waitMs = bucket.take();
+      return waitMs === 0
+        ? { allowed: true }
+        : { allowed: false, retryAfter: Math.ceil(waitMs / 1000) };
+    },
+  };
+}
+
+let clientLimiter = null;
+function getClientLimiter(env = process.env) {
+  const perMinute = parseInt(env.CLIENT_REQUESTS_PER_MINUTE ?? "20") || 0;
+  if (!clientLimiter || clientLimiter.perMinute !== perMinute) {
+    clientLimiter = { perMinute, limiter: createClientLimiter({ perMinute }) };
+  }
+  return clientLimiter.limiter;
+}
+
+module.exports = {
+  createTokenBucket,
+  retryAfterMs,
+  createModelScheduler,
+  getModelScheduler,
+  createClientLimiter,
+  getClientLimiter,
+};
@@ -0,0 +1,152 @@
+// scan-cache.js
+// Model results cached on disk, so a re-uploaded screenshot does not cost
+// another rate-limited model call. Key: SHA-256 of the image bytes sent, the
+// document type, the prompt text (editing a prompt invalidates its entries),
+// the provider/model and the curriculum version. One JSON file per entry in
+// SCAN_CACHE_DIR, so the cache survives restarts:
+//   SCAN_CACHE=false           disables it
+//   SCAN_CACHE_TTL_HOURS       entry lifetime (default 24)
+//   SCAN_CACHE_MAX_ENTRIES     size bound; least recently used go first (default 500)
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_DIR = path.join(__dirname, "cache");
+
+// Read from the environment on every call, like the provider config
+function getCacheConfig(env = process.env) {
+  return {
+    enabled: env.SCAN_CACHE !== "false",
+    dir: env.SCAN_CACHE_DIR || DEFAULT_DIR,
+    ttlMs: (parseFloat(env.SCAN_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000,
+    maxEntries: parseInt(env.SCAN_CACHE_MAX_ENTRIES) || 500,
+  };
+}
+
+// ==================== KEY ====================
+function scanCacheKey({ image, documentType, prompt, model, curriculumVersion }) {
+  const hash = crypto.createHash("sha256");
+  hash.update(image);
+  [documentType, prompt, model, curriculumVersion || "auto"].forEach((part) =>
+    hash.update(`\0${part}`)
+  );
+  return hash.digest("hex");
+}
+
+// ==================== STORE ====================
+// The file's mtime is the last use (for eviction); createdAt in the file is
+// when the result was stored (for the TTL)
+function createScanCache({ dir, ttlMs, maxEntries, now = Date.now }) {
+  const entryPath = (key) => path.join(dir, `${key}.json`);
+
+  function listEntries() {
+    let names;
+    try {
+      names = fs.readdirSync(dir).filter((name) => name.endsWith(".json"));
+    } catch {
+      return [];
+    }
+    return names
+      .map((name) => {
+        const file = path.join(dir, name);
+        try {
+          return { file, usedAt: fs.statSync(file).mtimeMs };
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  function remove(file) {
+    try {
+      fs.unlinkSync(file);
+    } catch {}
+  }
+
+  return {
+    dir,
+
+    get(key) {
+      const file = entryPath(key);
+      let entry;
+      try {
+        entry = JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch {
+        return null;
+      }
+      // An entry without a readable createdAt counts as expired
+      const age = now() - Date.parse(entry?.createdAt);
+      if (!(age <= ttlMs)) {
+        remove(file);
+        return null;
+      }
+      const usedAt = new Date(now());
+      try {
+        fs.utimesSync(file, usedAt, usedAt);
+      } catch {}
+      return entry.value;
+    },
+
+    // Written to a temp file first so a crash never leaves half an entry.
+    // Throws when the entry cannot be written (full disk, read-only dir); the
+    // temp file is removed first.
+    set(key, value, meta = {}) {
+      const file = entryPath(key);
+      const temp = `${file}.${process.pid}.tmp`;
+      const createdAt = new Date(now());
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(
+          temp,
+          JSON.stringify({ key, ...meta, createdAt: createdAt.toISOString(), value })
+        );
+        fs.renameSync(temp, file);
+        fs.utimesSync(file, createdAt, createdAt);
+      } catch (error) {
+        remove(temp);
+        throw error;
+      }
+
+      const entries = listEntries();
+      if (entries.length > maxEntries) {
+        entries
+          .sort((a, b) => a.usedAt - b.usedAt)
+          .slice(0, entries.length - maxEntries)
+          .forEach((entry) => remove(entry.file));
+      }
+    },
+
+    // → number of entries removed
+    purge() {
+      const entries = listEntries();
+      entries.forEach((entry) => remove(entry.file));
+      return entries.length;
+    },
+
+    stats() {
+      return { entries: listEntries().length, dir, ttlMs, maxEntries };
+    },
+  };
+}
+
+// Cache for the current environment, or null when disabled
+let current = null;
+function getScanCache(env = process.env) {
+  const config = getCacheConfig(env);
+  if (!config.enabled) return null;
+
+  const signature = JSON.stringify(config);
+  if (!current || current.signature !== signature) {
+    current = { signature, cache: createScanCache(config) };
+  }
+  return current.cache;
+}
+
+module.exports = {
+  getCacheConfig,
+  scanCacheKey,
+  createScanCache,
+  getScanCache,
+};
@@ -0,0 +1,221 @@
+// scan-jobs.js
+// In-memory scan jobs, for clients that cannot hold one HTTP request open
+// through preprocessing and several model calls (mobile on campus Wi-Fi).
+// A job runs an ordinary scan route handler against a recorded response
+// (createJobResponse), so jobs and the synchronous endpoints share one code
+// path. Progress steps are kept on the job and emitted to listeners (the
+// Server-Sent Events stream). Finished jobs are dropped after JOB_TTL_MINUTES.
+// Jobs hold their uploads and results in memory, so running jobs are capped
+// in total and per client (429 past either), and the oldest finished jobs
+// are dropped early once MAX_STORED_JOBS are kept.
+
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+
+// "scan" detects the document type first, like POST /api/scan
+const JOB_TYPES = ["curriculum", "cor", "grades", "timetable", "scan"];
+const JOB_TTL_MS = (parseInt(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000;
+const FINISHED = ["completed", "failed", "cancelled"];
+
+const jobs = new Map();
+
+// Read per call so tests and deployments can change them
+function getJobLimits(env = process.env) {
+  return {
+    maxActive: parseInt(env.MAX_ACTIVE_JOBS) || 20,
+    maxActivePerClient: parseInt(env.MAX_ACTIVE_JOBS_PER_CLIENT) || 3,
+    maxStored: parseInt(env.MAX_STORED_JOBS) || 200,
+  };
+}
+
+function jobError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// ==================== LIFECYCLE ====================
+function validateJobType(type) {
+  if (!JOB_TYPES.includes(type)) {
+    throw jobError(
+      400,
+      `Unknown job type "${type}". Use one of: ${JOB_TYPES.join(", ")}`
+    );
+  }
+}
+
+// Drops the oldest finished jobs until there is room for one more
+function makeRoom(maxStored) {
+  const finished = [...jobs.values()]
+    .filter(isFinished)
+    .sort((a, b) => Date.parse(a.finishedAt) - Date.parse(b.finishedAt));
+  while (jobs.size >= maxStored && finished.length > 0) {
+    jobs.delete(finished.shift().id);
+  }
+}
+
+// status: queued → running → completed | failed | cancelled
+// client: who started the job (see clientId in server.js), for the per-client cap
+function createJob(type, client = null) {
+  validateJobType(type);
+  pruneJobs();
+
+  const limits = getJobLimits();
+  const active = [...jobs.values()].filter((job) => !isFinished(job));
+  if (active.length >= limits.maxActive) {
+    throw jobError(429, "Too many scan jobs are running. Try again shortly.");
+  }
+  if (
+    client &&
+    active.filter((job) => job.client === client).length >= limits.maxActivePerClient
+  ) {
+    throw jobError(
+      429,
+      `At most ${limits.maxActivePerClient} scan jobs per client can run at once. Wait for one to finish.`
+    );
+  }
+  makeRoom(limits.maxStored);
+
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    client,
+    status: "queued",
+    progress: [],
+    httpStatus: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null,
+    controller: new AbortController(),
+    events: new EventEmitter(),
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+function getJob(id) {
+  pruneJobs();
+  return jobs.get(id) || null;
+}
+
+function isFinished(job) {
+  return FINISHED.includes(job.status);
+}
+
+function touch(job) {
+  job.updatedAt = new Date().toISOString();
+}
+
+// Runs work(job) in the background; work must end by calling the job
+// response (see createJobResponse). A throw fails the job.
+function runJob(job, work) {
+  job.status = "running";
+  touch(job);
+  Promise.resolve()
+    .then(() => work(job))
+    .catch((error) =>
+      finishJob(job, error.status || 500, { success: false, error: error.message })
+    )
+    .finally(() => {
+      // A handler that never responded still ends the job
+      if (!isFinished(job)) {
+        finishJob(job, 500, { success: false, error: "Job ended without a result" });
+      }
+    });
+}
+
+// Records a step; throws once the job is cancelled, so the route stops at its
+// next step and runs its own cleanup
+function reportJobProgress(job, step, message, details = {}) {
+  if (job.status === "cancelled") throw jobError(499, "Job cancelled");
+
+  const event = { step, message, ...details, at: new Date().toISOString() };
+  job.progress.push(event);
+  touch(job);
+  job.events.emit("progress", event);
+}
+
+function finishJob(job, httpStatus, body) {
+  if (isFinished(job)) return;
+  job.status = httpStatus < 400 ? "completed" : "failed";
+  job.httpStatus = httpStatus;
+  job.result = body;
+  job.finishedAt = new Date().toISOString();
+  touch(job);
+  job.events.emit("done", describeJob(job));
+}
+
+// Aborts the in-flight model call; the route notices at its next step
+function cancelJob(job) {
+  if (isFinished(job)) {
+    throw jobError(409, `Job already ${job.status}`);
+  }
+  job.status = "cancelled";
+  job.finishedAt = new Date().toISOString();
+  touch(job);
+  job.controller.abort();
+  job.events.emit("done", describeJob(job));
+}
+
+function pruneJobs(now = Date.now()) {
+  jobs.forEach((job, id) => {
+    if (job.finishedAt && now - Date.parse(job.finishedAt) > JOB_TTL_MS) {
+      jobs.delete(id);
+    }
+  });
+}
+
+// ==================== RESPONSE ====================
+// Stands in for Express's res in a route handler run as a job
+function createJobResponse(job) {
+  let statusCode = 200;
+  return {
+    status(code) {
+      statusCode = code;
+      return this;
+    },
+    // Headers (e.g. Retry-After) have no place in a job; the body carries them
+    set() {
+      return this;
+    },
+    json(body) {
+      finishJob(job, statusCode, body);
+      return this;
+    },
+  };
+}
+
+// ==================== VIEW ====================
+// Public shape for GET /api/jobs/:id and the "done" event
+function describeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    step: job.progress.length ? job.progress[job.progress.length - 1].step : null,
+    progress: job.progress,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+    httpStatus: job.httpStatus,
+    result: job.result,
+  };
+}
+
+module.exports = {
+  JOB_TYPES,
+  JOB_TTL_MS,
+  getJobLimits,
+  validateJobType,
+  createJob,
+  getJob,
+  isFinished,
+  runJob,
+  reportJobProgress,
+  cancelJob,
+  pruneJobs,
+  createJobResponse,
+  describeJob,
+};
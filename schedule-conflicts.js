@@ -0,0 +1,101 @@
+// schedule-conflicts.js
+// Detects conflicts between the classes of one COR or timetable scan, using
+// the canonical meetings from schedule-time.js:
+//   student_overlap    – two different classes meet at the same time
+//   room_double_booked – two different classes use the same room at once
+//   unparseable_time   – a day or time the model returned could not be read
+
+const {
+  normalizeSchedules,
+  formatMinutes,
+  timeToMinutes,
+} = require("./schedule-time");
+
+function describeClass(entry) {
+  return {
+    subjectCode: entry.subjectCode || "",
+    subjectName: entry.subjectName || "",
+    section: entry.section || "",
+  };
+}
+
+function normalizeRoom(room) {
+  return String(room || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+// classes: COR courses or timetable subjects, each with schedules in the
+// canonical or the raw scan shape
+function detectScheduleConflicts(classes) {
+  const meetings = [];
+  const unreadable = [];
+
+  classes.forEach((entry, classIndex) => {
+    const info = describeClass(entry);
+    normalizeSchedules(entry.schedules, { room: entry.room }).forEach((m) => {
+      if (!m.valid) {
+        unreadable.push({
+          type: "unparseable_time",
+          class: info,
+          schedule: m.source,
+          issues: m.issues,
+          message: `Could not read ${m.day ? "time" : "day"} for ${
+            info.subjectCode || info.subjectName
+          }`,
+        });
+        return;
+      }
+      meetings.push({
+        classIndex,
+        info,
+        day: m.day,
+        room: m.room,
+        start: timeToMinutes(m.startTime),
+        end: timeToMinutes(m.endTime),
+      });
+    });
+  });
+
+  const conflicts = [];
+  for (let i = 0; i < meetings.length; i++) {
+    for (let j = i + 1; j < meetings.length; j++) {
+      const a = meetings[i];
+      const b = meetings[j];
+      if (a.classIndex === b.classIndex || a.day !== b.day) continue;
+      if (a.start >= b.end || b.start >= a.end) continue;
+
+      const overlap = {
+        day: a.day,
+        start: formatMinutes(Math.max(a.start, b.start)),
+        end: formatMinutes(Math.min(a.end, b.end)),
+        classes: [a, b].map((m) => ({
+          ...m.info,
+          time: `${formatMinutes(m.start)}-${formatMinutes(m.end)}`,
+          room: m.room,
+        })),
+      };
+      const names = `${a.info.subjectCode || a.info.subjectName} and ${
+        b.info.subjectCode || b.info.subjectName
+      }`;
+
+      conflicts.push({
+        type: "student_overlap",
+        ...overlap,
+        message: `${names} overlap on ${a.day} ${overlap.start}-${overlap.end}`,
+      });
+
+      const room = normalizeRoom(a.room);
+      if (room && room === normalizeRoom(b.room)) {
+        conflicts.push({
+          type: "room_double_booked",
+          room: a.room,
+          ...overlap,
+          message: `${a.room} is booked for ${names} on ${a.day} ${overlap.start}-${overlap.end}`,
+        });
+      }
+    }
+  }
+
+  return [...conflicts, ...unreadable];
+}
+
+module.exports = { detectScheduleConflicts };
@@ -0,0 +1,246 @@
+// schedule-reconcile.js
+// Merges a COR scan with a portal timetable scan of the same term.
+// The COR is trusted for subject codes and units, the timetable for
+// meeting times and rooms. Entries are paired by subject code when both
+// have one, otherwise by name, section and instructor; codes still
+// missing are filled from the curriculum by subject name. Disagreements in
+// days, times and rooms are reported as field-level diffs.
+
+const { normalizeSchedules } = require("./schedule-time");
+const {
+  nameSimilarity,
+  findCodeByName,
+  matchSubjectCode,
+} = require("./subject-matcher");
+
+// Pairs scoring below this are left unmatched
+const MIN_MATCH_SCORE = 0.5;
+
+// ==================== TEXT MATCHING ====================
+function normalizeKey(value) {
+  return String(value || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+// Placeholders the scan routes use when the model returned nothing
+function realCode(code) {
+  return /^UNKNOWN_\d+$/.test(code || "") ? "" : code || "";
+}
+
+function realName(name) {
+  return /^Unknown Subject( \d+)?$/.test(name || "") ? "" : name || "";
+}
+
+// "ARISPE, M." and "Mark Arispe" share the surname ARISPE
+function sameInstructor(a, b) {
+  const surname = (name) => {
+    const text = String(name || "").toUpperCase();
+    const parts = text.includes(",")
+      ? [text.split(",")[0]]
+      : text.split(/\s+/).slice(-1);
+    return normalizeKey(parts[0]);
+  };
+  const left = surname(a);
+  return left !== "" && left === surname(b);
+}
+
+// ==================== PAIRING ====================
+function scorePair(course, subject) {
+  const courseCode = normalizeKey(realCode(course.subjectCode));
+  const subjectCode = normalizeKey(realCode(subject.subjectCode));
+  if (courseCode && subjectCode) {
+    return courseCode === subjectCode
+      ? { score: 1, matchedOn: ["subjectCode"] }
+      : { score: 0, matchedOn: [] };
+  }
+
+  const matchedOn = [];
+  const similarity = nameSimilarity(
+    realName(course.subjectName),
+    realName(subject.subjectName)
+  );
+  if (similarity > 0) matchedOn.push("subjectName");
+  const sectionMatch =
+    normalizeKey(course.section) !== "" &&
+    normalizeKey(course.section) === normalizeKey(subject.section);
+  if (sectionMatch) matchedOn.push("section");
+  const instructorMatch = sameInstructor(course.instructor, subject.instructor);
+  if (instructorMatch) matchedOn.push("instructor");
+
+  const score =
+    similarity * 0.6 + (sectionMatch ? 0.2 : 0) + (instructorMatch ? 0.2 : 0);
+  return { score: Math.round(score * 100) / 100, matchedOn };
+}
+
+// Greedy: best-scoring pairs first, each entry used once
+function pairEntries(courses, subjects) {
+  const candidates = [];
+  courses.forEach((course, c) => {
+    subjects.forEach((subject, s) => {
+      const match = scorePair(course, subject);
+      if (match.score >= MIN_MATCH_SCORE) candidates.push({ c, s, ...match });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score || a.c - b.c || a.s - b.s);
+
+  const usedCourses = new Set();
+  const usedSubjects = new Set();
+  const pairs = [];
+  candidates.forEach((candidate) => {
+    if (usedCourses.has(candidate.c) || usedSubjects.has(candidate.s)) return;
+    usedCourses.add(candidate.c);
+    usedSubjects.add(candidate.s);
+    pairs.push(candidate);
+  });
+  return pairs.sort((a, b) => a.c - b.c);
+}
+
+// ==================== DIFFS ====================
+function byDay(meetings) {
+  const days = new Map();
+  meetings
+    .filter((m) => m.valid)
+    .forEach((m) => {
+      if (!days.has(m.day)) days.set(m.day, []);
+      days.get(m.day).push(m);
+    });
+  return days;
+}
+
+function timeOf(meeting) {
+  return `${meeting.startTime}-${meeting.endTime}`;
+}
+
+function diffSchedules(corMeetings, timetableMeetings) {
+  const cor = byDay(corMeetings);
+  const timetable = byDay(timetableMeetings);
+  const diffs = [];
+
+  const corDays = [...cor.keys()];
+  const timetableDays = [...timetable.keys()];
+  const sameDays =
+    corDays.length === timetableDays.length &&
+    corDays.every((d) => timetable.has(d));
+  if (!sameDays && corDays.length > 0 && timetableDays.length > 0) {
+    diffs.push({ field: "days", cor: corDays, timetable: timetableDays });
+  }
+
+  corDays
+    .filter((day) => timetable.has(day))
+    .forEach((day) => {
+      const corTimes = cor.get(day).map(timeOf).sort();
+      const timetableTimes = timetable.get(day).map(timeOf).sort();
+      if (corTimes.join() !== timetableTimes.join()) {
+        diffs.push({ field: "time", day, cor: corTimes, timetable: timetableTimes });
+      }
+
+      // A blank room on either side is missing data, not a disagreement
+      const corRooms = [...new Set(cor.get(day).map((m) => m.room))];
+      const timetableRooms = [
+        ...new Set(timetable.get(day).map((m) => m.room)),
+      ];
+      const roomKey = (list) =>
+        list.map(normalizeKey).filter(Boolean).sort().join();
+      if (
+        roomKey(corRooms) &&
+        roomKey(timetableRooms) &&
+        roomKey(corRooms) !== roomKey(timetableRooms)
+      ) {
+        diffs.push({ field: "room", day, cor: corRooms, timetable: timetableRooms });
+      }
+    });
+
+  return diffs;
+}
+
+// ==================== RECONCILE ====================
+function resolveCode(curriculum, ...candidates) {
+  for (const { code, source } of candidates) {
+    if (!realCode(code)) continue;
+    const match = matchSubjectCode(curriculum, code);
+    return { subjectCode: match ? match.subjectCode : code, codeSource: source };
+  }
+  return { subjectCode: "", codeSource: null };
+}
+
+// courses: data.courses of /api/scan-cor; subjects: data.subjects of /api/scan-timetable
+function reconcileSchedules(courses, subjects, curriculum) {
+  const pairs = pairEntries(courses, subjects);
+  const pairedCourses = new Set(pairs.map((p) => p.c));
+  const pairedSubjects = new Set(pairs.map((p) => p.s));
+
+  const merged = pairs.map(({ c, s, score, matchedOn }) => {
+    const course = courses[c];
+    const subject = subjects[s];
+    const corMeetings = normalizeSchedules(course.schedules);
+    const timetableMeetings = normalizeSchedules(subject.schedules, {
+      room: subject.room,
+    });
+    const name = realName(course.subjectName) || realName(subject.subjectName);
+    const code = resolveCode(
+      curriculum,
+      { code: course.subjectCode, source: "cor" },
+      { code: subject.subjectCode, source: "timetable" },
+      { code: findCodeByName(curriculum, name), source: "curriculum" }
+    );
+    const reference = curriculum.subjects[code.subjectCode];
+
+    return {
+      ...code,
+      subjectName: reference ? reference.name : name,
+      units: course.units || (reference ? reference.units : 0),
+      section: course.section || subject.section || "",
+      // Portal timetables print the full name; CORs abbreviate it
+      instructor: subject.instructor || course.instructor || "",
+      // Grid times are more reliable than the COR's
+      schedules: timetableMeetings.some((m) => m.valid)
+        ? timetableMeetings
+        : corMeetings,
+      match: { score, matchedOn },
+      sources: { cor: c, timetable: s },
+      diffs: diffSchedules(corMeetings, timetableMeetings),
+    };
+  });
+
+  const timetableOnly = subjects
+    .map((subject, s) => ({ subject, s }))
+    .filter(({ s }) => !pairedSubjects.has(s))
+    .map(({ subject, s }) => ({
+      ...subject,
+      ...resolveCode(
+        curriculum,
+        { code: subject.subjectCode, source: "timetable" },
+        {
+          code: findCodeByName(curriculum, realName(subject.subjectName)),
+          source: "curriculum",
+        }
+      ),
+      schedules: normalizeSchedules(subject.schedules, { room: subject.room }),
+      sources: { cor: null, timetable: s },
+    }));
+
+  const corOnly = courses
+    .map((course, c) => ({ course, c }))
+    .filter(({ c }) => !pairedCourses.has(c))
+    .map(({ course, c }) => ({
+      ...course,
+      ...resolveCode(
+        curriculum,
+        { code: course.subjectCode, source: "cor" },
+        {
+          code: findCodeByName(curriculum, realName(course.subjectName)),
+          source: "curriculum",
+        }
+      ),
+      schedules: normalizeSchedules(course.schedules),
+      sources: { cor: c, timetable: null },
+    }));
+
+  return {
+    subjects: merged,
+    corOnly,
+    timetableOnly,
+    totalDiffs: merged.reduce((sum, m) => sum + m.diffs.length, 0),
+  };
+}
+
+module.exports = { reconcileSchedules };
@@ -0,0 +1,203 @@
+// schedule-time.js
+// Canonical class-meeting schema shared by COR and timetable scans.
+// COR rows ({ days: "MWF", time: "01:00 PM - 04:00 PM", room }) and
+// timetable rows ({ day: "Monday", startTime, endTime }) both become one
+// entry per weekday:
+//   { day: "Monday", isoWeekday: 1, startTime: "13:00", endTime: "16:00",
+//     durationMinutes: 180, room, valid: true, source }
+// Values that cannot be read are flagged (valid: false, issues: [...]) with
+// null times instead of being passed through. Canonical entries normalize to
+// themselves, so stored results can be fed back in.
+
+const DAY_NAMES = [
+  "Monday",
+  "Tuesday",
+  "Wednesday",
+  "Thursday",
+  "Friday",
+  "Saturday",
+  "Sunday",
+];
+
+// Longest spellings first so "Th" and "Tu" are not read as "T" + a letter
+const DAY_TOKENS = [
+  ["monday", 0], ["tuesday", 1], ["wednesday", 2], ["thursday", 3],
+  ["friday", 4], ["saturday", 5], ["sunday", 6],
+  ["thurs", 3], ["tues", 1],
+  ["mon", 0], ["tue", 1], ["wed", 2], ["thu", 3], ["fri", 4], ["sat", 5], ["sun", 6],
+  ["th", 3], ["tu", 1], ["sa", 5], ["su", 6],
+  ["m", 0], ["t", 1], ["w", 2], ["f", 4], ["s", 5],
+];
+
+// ==================== DAYS ====================
+// "MWF" → ["Monday", "Wednesday", "Friday"], "TTh" or "TuTh" →
+// ["Tuesday", "Thursday"]; null when any part is not a day
+function parseDays(value) {
+  let text = String(value || "").toLowerCase().replace(/[\s,/&.-]+/g, "");
+  if (!text) return null;
+
+  const days = [];
+  while (text) {
+    const token = DAY_TOKENS.find(([spelling]) => text.startsWith(spelling));
+    if (!token) return null;
+    if (!days.includes(DAY_NAMES[token[1]])) days.push(DAY_NAMES[token[1]]);
+    text = text.slice(token[0].length);
+  }
+  return days;
+}
+
+// ISO 8601 weekday: Monday = 1 … Sunday = 7
+function isoWeekday(day) {
+  return DAY_NAMES.indexOf(day) + 1;
+}
+
+// ==================== TIMES ====================
+// "1:00 PM" / "01:00PM" / "1 p.m." / "13:00" / "1300" / "12:00 NN"
+// → { hours, minutes, meridiem }; null if unreadable
+function readClock(value) {
+  const text = String(value || "").trim().toUpperCase();
+  if (text === "NOON") return { hours: 12, minutes: 0, meridiem: "PM" };
+
+  const match = text.match(
+    /^(\d{1,2})(?:[:.]?(\d{2}))?\s*(?:([AP])\.?\s*M?\.?|(NN|NOON))?$/
+  );
+  if (!match) return null;
+
+  const hours = parseInt(match[1]);
+  const minutes = match[2] ? parseInt(match[2]) : 0;
+  const meridiem = match[4] ? "PM" : match[3] ? `${match[3]}M` : null;
+  if (minutes > 59 || hours > 23 || (meridiem && (hours < 1 || hours > 12))) {
+    return null;
+  }
+  return { hours, minutes, meridiem };
+}
+
+// Without AM/PM, 1:00–5:59 is afternoon: no class starts before 6:00 AM
+function toMinutes(clock, meridiem) {
+  let hours = clock.hours;
+  if (meridiem === "PM" && hours < 12) hours += 12;
+  if (meridiem === "AM" && hours === 12) hours = 0;
+  if (!meridiem && hours >= 1 && hours <= 5) hours += 12;
+  return hours * 60 + clock.minutes;
+}
+
+// Start/end pair → { start, end } in minutes since midnight, or null. A start
+// without AM/PM takes the end's ("1:00 - 4:00 PM"), unless that puts it
+// after the end ("11:00 - 1:00 PM")
+function parseTimeRange(startValue, endValue) {
+  const start = readClock(startValue);
+  const end = readClock(endValue);
+  if (!start || !end) return null;
+
+  const endMinutes = toMinutes(end, end.meridiem);
+  let startMinutes = toMinutes(start, start.meridiem || end.meridiem);
+  if (!start.meridiem && end.meridiem === "PM" && startMinutes >= endMinutes) {
+    startMinutes = toMinutes(start, "AM");
+  }
+
+  if (startMinutes >= endMinutes) return null;
+  return { start: startMinutes, end: endMinutes };
+}
+
+// "01:00 PM - 04:00 PM" / "1:00PM to 4:00PM" / "1:00–4:00 PM"
+function parseTimeText(value) {
+  const parts = String(value || "").split(/\s*(?:-|–|—|\bto\b)\s*/i);
+  if (parts.length !== 2) return null;
+  return parseTimeRange(parts[0], parts[1]);
+}
+
+// 810 → "13:30"
+function formatMinutes(minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, "0");
+  return `${hours}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// "13:30" → 810 (canonical times only)
+function timeToMinutes(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+// ==================== NORMALIZATION ====================
+// Reads the day/time text of either row shape. The model sometimes puts the
+// days inside the time ("MWF 1:00 - 2:00 PM"); those are split off here.
+function readRow(schedule) {
+  const dayText = schedule.days ?? schedule.day ?? "";
+  if (schedule.time !== undefined) {
+    const embedded = String(schedule.time).match(/^([A-Za-z]+)\s+(\d.*)$/);
+    if (embedded && parseDays(embedded[1]) && !String(dayText).trim()) {
+      return { dayText: embedded[1], range: parseTimeText(embedded[2]) };
+    }
+    return { dayText, range: parseTimeText(schedule.time) };
+  }
+  return {
+    dayText,
+    range: parseTimeRange(schedule.startTime, schedule.endTime),
+  };
+}
+
+function sourceOf(schedule) {
+  const source = {};
+  ["days", "day", "time", "startTime", "endTime"].forEach((key) => {
+    if (schedule[key] !== undefined) source[key] = schedule[key];
+  });
+  return source;
+}
+
+// One schedule row → canonical entries, one per weekday.
+// defaults.room fills in rooms given per subject (timetable) instead of per row
+function normalizeSchedule(schedule, defaults = {}) {
+  const row = schedule || {};
+  if ("isoWeekday" in row && "valid" in row) {
+    return [{ ...row, room: row.room || defaults.room || "" }];
+  }
+
+  const { dayText, range } = readRow(row);
+  const days = parseDays(dayText);
+  const room = row.room || defaults.room || "";
+  const source = sourceOf(row);
+
+  const issues = [];
+  if (!days) issues.push(`Unreadable day "${dayText}"`);
+  if (!range) {
+    const timeText =
+      row.time !== undefined
+        ? row.time
+        : `${row.startTime || ""} - ${row.endTime || ""}`;
+    issues.push(`Unreadable or inverted time "${timeText}"`);
+  }
+
+  const times = range
+    ? {
+        startTime: formatMinutes(range.start),
+        endTime: formatMinutes(range.end),
+        durationMinutes: range.end - range.start,
+      }
+    : { startTime: null, endTime: null, durationMinutes: null };
+
+  return (days || [null]).map((day) => ({
+    day,
+    isoWeekday: day ? isoWeekday(day) : null,
+    ...times,
+    room,
+    valid: issues.length === 0,
+    ...(issues.length > 0 && { issues }),
+    source,
+  }));
+}
+
+function normalizeSchedules(schedules, defaults = {}) {
+  return (schedules || []).flatMap((s) => normalizeSchedule(s, defaults));
+}
+
+module.exports = {
+  DAY_NAMES,
+  parseDays,
+  isoWeekday,
+  parseTimeRange,
+  parseTimeText,
+  formatMinutes,
+  timeToMinutes,
+  normalizeSchedule,
+  normalizeSchedules,
+};
@@ -2,10 +2,44 @@
  * ClasSync - Groq Vision Server (ENHANCED with Quality Control)
  *
  * Features:
- * - Image preprocessing (contrast, sharpness, upscaling) for curriculum scans
+ * - Image preprocessing for curriculum scans: document detection, perspective
+ *   correction, deskew, margin cropping, contrast, sharpness, upscaling
+ *   (applied transforms are reported per image under quality.transforms)
  * - Quality validation before showing results
- * - Curriculum reference hydration for 100% accurate data
+ * - Photo quality metrics (blur, skew, glare, contrast) and an optional
+ *   pre-flight check that rejects unusable photos before the model call
+ * - Curriculum reference hydration for 100% accurate data (curriculum, COR
+ *   and grade scans), flagging subjects outside the curriculum
+ * - Fuzzy subject-code matching (OCR confusions, elective spellings, names)
+ *   with a confidence per match for the user to confirm
  * - Summer semester awareness (between 3rd and 4th year)
+ * - PDF uploads on every scan endpoint, rasterized page by page; page results
+ *   are merged (a curriculum scan accepts one two-page PDF)
+ * - Optional tiled curriculum extraction ("tiles=2x2"): overlapping tiles
+ *   extracted separately, then stitched and de-duplicated
+ * - Optional follow-up scans ("rescans=2"): pages that fail validation are
+ *   sent again, cropped to the incomplete years, naming the missing codes
+ * - Background scan jobs (/api/jobs) with per-step progress over
+ *   Server-Sent Events, for clients that cannot wait on one long request
+ * - Result cache keyed by image bytes, prompt, model and curriculum, so
+ *   re-uploads skip the model call (responses say cache: "hit" | "miss")
+ * - Model calls queued within the provider's per-minute budget (with retries
+ *   and backoff) and a request limit per client
+ * - Model answers checked against a schema per document type; coerced or
+ *   dropped fields are reported as schemaWarnings (schemas at /api/schemas)
+ * - POST /api/scan classifies the upload (COR, curriculum, grades, timetable)
+ *   and runs the matching scan; the typed endpoints warn when an upload looks
+ *   like another kind of document (documentCheck)
+ * - Pluggable vision providers (Groq, OpenAI-compatible, local stub)
+ * - Curriculum registry (curricula/*.json) selected per request with
+ *   "program" / "curriculumVersion", or auto-detected from the scan
+ * - Graduation audit of accumulated grades against a curriculum
+ * - Study plans to graduation for irregular / shifting students
+ * - One canonical schedule shape for COR and timetable scans
+ *   ({ day, isoWeekday, startTime, endTime, durationMinutes, room, valid })
+ * - Schedule conflict detection (overlapping classes, double-booked rooms)
+ * - COR + timetable reconciliation with field-level diffs
+ * - iCalendar (.ics) export of scanned schedules
  *
  * Setup:
  *   1. Go to https://console.groq.com and sign up (Google login works)
@@ -13,16 +47,141 @@
  *   3. Copy .env.example to .env and paste your key
  *   4. npm install
  *   5. node server.js
+ *
+ * Providers (see vision-providers.js):
+ *   VISION_PROVIDER=groq | openai-compatible | stub   (default: groq)
+ *   VISION_FALLBACK_PROVIDER=<name>                   (used when the primary is down)
+ *   OPENAI_COMPATIBLE_BASE_URL / _MODEL / _API_KEY    (e.g. a local LM Studio server)
+ *   A single request can pick a provider with a "provider" form field or query param;
+ *   "stub" only with VISION_ALLOW_STUB=true (or when it is VISION_PROVIDER).
+ *
+ * Tiled curriculum extraction for every scan: CURRICULUM_TILES=2x2
+ * Follow-up curriculum scans (extra model calls per request): CURRICULUM_RESCANS=2
+ *
+ * PDF input: PDF_DPI (default 200), PDF_MAX_PAGES (default 10),
+ *   PDF_MAX_PAGE_PIXELS (default 12000000; larger pages render at a lower scale)
+ *
+ * Finished scan jobs are kept for JOB_TTL_MINUTES (default 60), at most
+ *   MAX_STORED_JOBS (default 200). Running jobs: MAX_ACTIVE_JOBS (default 20),
+ *   MAX_ACTIVE_JOBS_PER_CLIENT (default 3); past either, POST /api/jobs is a 429
+ *
+ * Result cache (see scan-cache.js): SCAN_CACHE=false to disable,
+ *   SCAN_CACHE_DIR (default ./cache), SCAN_CACHE_TTL_HOURS (default 24),
+ *   SCAN_CACHE_MAX_ENTRIES (default 500)
+ * Admin endpoints (cache purge) need ADMIN_TOKEN, sent as a Bearer token
+ *
+ * Rate limits (see rate-limiter.js):
+ *   GROQ_REQUESTS_PER_MINUTE (default 30), OPENAI_COMPATIBLE_REQUESTS_PER_MINUTE
+ *   (default unlimited): model calls beyond it wait in a queue
+ *   VISION_QUEUE_MAX (default 50), VISION_QUEUE_MAX_WAIT_SECONDS (default 120):
+ *   calls that would wait longer get a 429 with Retry-After
+ *   VISION_MAX_RETRIES (default 2): retries of 429/5xx with backoff
+ *   CLIENT_REQUESTS_PER_MINUTE (default 20, 0 = off): scan requests per client
+ *   CLIENT_API_KEYS (comma-separated): "X-API-Key" values with a budget of their
+ *   own; other clients share their IP's budget
+ *
+ * Image pre-flight for every scan (otherwise per request, "preflight=true"):
+ *   IMAGE_PREFLIGHT=true
+ *
+ * Calendar export defaults (overridable per request):
+ *   SEMESTER_START / SEMESTER_END=YYYY-MM-DD, SEMESTER_HOLIDAYS=YYYY-MM-DD,...
+ *
+ * Tests:
+ *   npm test   (runs against a fake OpenAI-compatible backend, no API key needed)
  */
 
 require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
 const multer = require("multer");
-const OpenAI = require("openai");
 const fs = require("fs");
-const sharp = require("sharp");
-const { CURRICULUM_REFERENCE } = require("./curriculum-reference");
+const crypto = require("crypto");
+const {
+  getCurriculum,
+  getDefaultCurriculum,
+  findSubjectCode,
+  resolveCurriculum,
+  detectCurriculumFromSubjects,
+  detectCurriculumFromProgram,
+  listCurricula,
+  normalizeYearLevel,
+  normalizeSemester,
+  formatSubject,
+  querySubjects,
+  sumUnits,
+  getTermTotals,
+  summarizeCurriculum,
+  hydrateSubjectsFromReference,
+  validateAgainstReference,
+  findMissingCourses,
+} = require("./curriculum-reference");
+const {
+  getProvider,
+  getFallbackProvider,
+  getRequestProvider,
+  getRequestProviderNames,
+} = require("./vision-providers");
+const {
+  getCurriculumGraph,
+  getPrerequisiteChain,
+  getUnlockedCourses,
+  topologicalOrder,
+  getPrerequisiteDepths,
+} = require("./curriculum-graph");
+const { computeGwa, getThresholds } = require("./gwa-calculator");
+const { auditGraduation } = require("./graduation-audit");
+const { generateStudyPlan } = require("./study-planner");
+const { normalizeSchedules } = require("./schedule-time");
+const { detectScheduleConflicts } = require("./schedule-conflicts");
+const { reconcileSchedules } = require("./schedule-reconcile");
+const { buildCalendar } = require("./ical-export");
+const { parseGradeRecords } = require("./grade-status");
+const {
+  DOCUMENT_TYPES,
+  getDocumentSchema,
+  coerceDocument,
+} = require("./document-schemas");
+const {
+  DOCUMENT_LABELS,
+  DOCUMENT_TYPE_HINT,
+  normalizeDocumentType,
+  readClassification,
+  checkDocumentType,
+} = require("./document-classifier");
+const { analyzeImageQuality, checkPreflight } = require("./image-quality");
+const { preprocessImage } = require("./image-preprocess");
+const {
+  parseTileLayout,
+  cutTiles,
+  buildTilePrompt,
+  stitchTileSubjects,
+} = require("./image-tiles");
+const {
+  parseRescanLimit,
+  planRescan,
+  cropSection,
+  buildRescanPrompt,
+  mergeRescanSubjects,
+} = require("./curriculum-rescan");
+const { getScanCache, scanCacheKey } = require("./scan-cache");
+const { getModelScheduler, getClientLimiter } = require("./rate-limiter");
+const {
+  validateJobType,
+  createJob,
+  getJob,
+  isFinished,
+  runJob,
+  reportJobProgress,
+  cancelJob,
+  createJobResponse,
+  describeJob,
+} = require("./scan-jobs");
+const {
+  PDF_MIME,
+  expandUploads,
+  removePages,
+  mergePageResults,
+} = require("./pdf-pages");
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -32,11 +191,11 @@ const upload = multer({
   dest: "uploads/",
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB max
   fileFilter: (req, file, cb) => {
-    const allowed = ["image/jpeg", "image/png", "image/webp"];
+    const allowed = ["image/jpeg", "image/png", "image/webp", PDF_MIME];
     if (allowed.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error("Only JPG, PNG, and WEBP images are allowed"));
+      cb(new Error("Only JPG, PNG, and WEBP images or PDF files are allowed"));
     }
   },
 });
@@ -44,86 +203,81 @@ const upload = multer({
 app.use(cors());
 app.use(express.json());
 
-// Initialize Groq client (OpenAI-compatible)
-const groq = new OpenAI({
-  baseURL: "https://api.groq.com/openai/v1",
-  apiKey: process.env.GROQ_API_KEY,
-});
-
-// ==================== IMAGE PREPROCESSING ====================
-async function preprocessImage(filePath) {
-  console.log("   🔧 Preprocessing image...");
-
-  try {
-    const image = sharp(filePath);
-    const metadata = await image.metadata();
-
-    console.log(`   📐 Original: ${metadata.width}x${metadata.height}`);
-
-    // Determine if upscaling is needed
-    const minWidth = 1200;
-    const needsUpscale = metadata.width < minWidth;
-
-    let processedImage = image;
-
-    // 1. Convert to grayscale for better text recognition
-    processedImage = processedImage.grayscale();
-
-    // 2. Upscale if resolution is too low
-    if (needsUpscale) {
-      const scale = Math.ceil(minWidth / metadata.width);
-      processedImage = processedImage.resize(
-        metadata.width * scale,
-        metadata.height * scale,
-        { kernel: "lanczos3" }
-      );
-      console.log(`   ⬆️  Upscaled ${scale}x`);
-    }
-
-    // 3. Enhance contrast and sharpness
-    processedImage = processedImage
-      .normalize() // Auto-adjust contrast
-      .sharpen({ sigma: 1.5 }) // Sharpen text
-      .linear(1.2, -(128 * 0.2)); // Increase contrast slightly
+// ==================== CLIENT RATE LIMIT ====================
+// Scan requests per client and minute (see rate-limiter.js). Clients are told
+// apart by an "X-API-Key" header listed in CLIENT_API_KEYS, else by IP: an
+// unchecked key would give a client a fresh budget per made-up key. Runs
+// before the upload is stored.
+function clientId(req) {
+  const key = req.get("x-api-key");
+  const keys = (process.env.CLIENT_API_KEYS || "")
+    .split(",")
+    .map((k) => k.trim())
+    .filter(Boolean);
+  return key && keys.includes(key) ? `key:${key}` : `ip:${req.ip}`;
+}
 
-    // 4. Save processed image
-    const processedPath = filePath + "_processed.png";
-    await processedImage.toFile(processedPath);
+function limitClient(req, res, next) {
+  const client = clientId(req);
+  const verdict = getClientLimiter().check(client);
+  if (verdict.allowed) return next();
 
-    console.log("   ✅ Preprocessing complete");
-    return processedPath;
-  } catch (error) {
-    console.log(`   ⚠️  Preprocessing failed: ${error.message}`);
-    return filePath; // Return original if preprocessing fails
-  }
+  console.log(`🚦 Client limit reached for ${client}`);
+  res.set("Retry-After", String(verdict.retryAfter));
+  res.status(429).json({
+    success: false,
+    error: `Too many scan requests. Try again in ${verdict.retryAfter}s.`,
+    retryAfter: verdict.retryAfter,
+  });
 }
 
-// ==================== QUALITY ANALYSIS ====================
-async function analyzeImageQuality(filePath) {
-  try {
-    const image = sharp(filePath);
-    const metadata = await image.metadata();
-    const stats = await image.stats();
-
-    const quality = {
-      width: metadata.width,
-      height: metadata.height,
-      resolution: metadata.width * metadata.height,
-      isLowRes: metadata.width < 800 || metadata.height < 600,
-      isBlurry: false,
-      brightness: stats.channels[0].mean,
-      isDark: stats.channels[0].mean < 60,
-      isBright: stats.channels[0].mean > 200,
-    };
+// ==================== QUALITY PRE-FLIGHT ====================
+// Opt-in per request ("preflight=true" field/query) or for every scan with
+// IMAGE_PREFLIGHT=true. Unusable photos get a 422 with guidance before any
+// model call, so they do not use up rate-limited requests.
+function wantsPreflight(req) {
+  const value =
+    req.body?.preflight ?? req.query.preflight ?? process.env.IMAGE_PREFLIGHT;
+  return String(value) === "true";
+}
 
-    return quality;
-  } catch (error) {
-    return { error: error.message, isLowRes: true };
+// → null when every image is usable, else the 422 body
+async function runPreflight(req, files) {
+  if (!wantsPreflight(req)) return null;
+
+  const results = [];
+  for (let i = 0; i < files.length; i++) {
+    const quality = await analyzeImageQuality(files[i].path);
+    results.push({
+      imageNumber: i + 1,
+      originalFile: files[i].originalname,
+      ...checkPreflight(quality),
+      quality,
+    });
   }
+  const rejected = results.filter((r) => !r.usable);
+  if (rejected.length === 0) return null;
+
+  const reasons = rejected.flatMap((r) => r.problems.map((p) => p.message));
+  console.log(`   🚫 Pre-flight rejected: ${reasons.join("; ")}`);
+  return {
+    success: false,
+    error: `Image not usable: ${reasons.join("; ")}`,
+    preflight: results,
+  };
 }
 
 // ==================== EXTRACTION QUALITY VALIDATION ====================
-function validateExtractionQuality(subjects, imageNumber) {
+// Short form of a subject name for messages: "Practicum (240 hours)" → "Practicum"
+function shortSubjectName(name) {
+  return name.replace(/\s*\(.*\)\s*$/, "");
+}
+
+function validateExtractionQuality(
+  subjects,
+  imageNumber,
+  curriculum = getDefaultCurriculum()
+) {
   const validation = {
     isGood: false,
     issues: [],
@@ -132,22 +286,19 @@ function validateExtractionQuality(subjects, imageNumber) {
     missingCourses: [],
   };
 
-  // Expected counts per image
-  const expectedCounts = {
-    1: { min: 27, max: 31, description: "1st & 2nd Year" },
-    2: { min: 23, max: 27, description: "3rd Year + Summer + 4th Year" },
-  };
-
-  const expected = expectedCounts[imageNumber];
+  // Expected counts per image come from the curriculum's scan layout
+  const expected = curriculum.scanLayout.find(
+    (layout) => layout.imageNumber === imageNumber
+  );
 
   if (expected) {
-    if (subjects.length < expected.min) {
+    if (subjects.length < expected.minSubjects) {
       validation.issues.push(
-        `Only ${subjects.length} subjects found (expected ${expected.min}-${expected.max} for ${expected.description})`
+        `Only ${subjects.length} subjects found (expected ${expected.minSubjects}-${expected.maxSubjects} for ${expected.description})`
       );
-    } else if (subjects.length > expected.max) {
+    } else if (subjects.length > expected.maxSubjects) {
       validation.warnings.push(
-        `Found ${subjects.length} subjects (expected ${expected.min}-${expected.max}). May have duplicates.`
+        `Found ${subjects.length} subjects (expected ${expected.minSubjects}-${expected.maxSubjects}). May have duplicates.`
       );
     } else {
       validation.isGood = true;
@@ -161,37 +312,29 @@ function validateExtractionQuality(subjects, imageNumber) {
   });
 
   // Image-specific checks
-  if (imageNumber === 1) {
-    if (!byYear["1st Year"] || byYear["1st Year"] < 12) {
-      validation.issues.push("1st Year incomplete or missing");
-    }
-    if (!byYear["2nd Year"] || byYear["2nd Year"] < 13) {
-      validation.issues.push("2nd Year incomplete or missing");
-    }
-  }
-
-  if (imageNumber === 2) {
-    if (!byYear["3rd Year"] || byYear["3rd Year"] < 11) {
-      validation.issues.push("3rd Year incomplete or missing");
-    }
-    if (!byYear["4th Year"] || byYear["4th Year"] < 9) {
-      validation.issues.push("4th Year incomplete or missing");
+  const yearMinimums = expected?.yearMinimums || {};
+  Object.entries(yearMinimums).forEach(([year, min]) => {
+    if (!byYear[year] || byYear[year] < min) {
+      validation.issues.push(`${year} incomplete or missing`);
     }
+  });
 
-    // Check for Summer (CS 122)
-    const hasSummer = subjects.some((s) => s.subjectCode === "CS 122");
-    if (!hasSummer) {
-      validation.issues.push("Summer semester missing (CS 122 - Practicum)");
-      validation.missingCourses.push("CS 122");
-    } else {
-      const cs122 = subjects.find((s) => s.subjectCode === "CS 122");
-      if (cs122.semester !== "Summer") {
+  // Check for Summer subjects placed in this image's years
+  curriculum.summerSubjects
+    .filter((code) => yearMinimums[curriculum.subjects[code].yearLevel])
+    .forEach((code) => {
+      const found = subjects.find((s) => s.subjectCode === code);
+      if (!found) {
+        validation.issues.push(
+          `Summer semester missing (${code} - ${shortSubjectName(curriculum.subjects[code].name)})`
+        );
+        validation.missingCourses.push(code);
+      } else if (found.semester !== "Summer") {
         validation.warnings.push(
-          `CS 122 in wrong semester (${cs122.semester}), should be Summer`
+          `${code} in wrong semester (${found.semester}), should be Summer`
         );
       }
-    }
-  }
+    });
 
   validation.isGood = validation.issues.length === 0;
 
@@ -199,17 +342,26 @@ function validateExtractionQuality(subjects, imageNumber) {
 }
 
 // ==================== OVERALL VALIDATION ====================
-function validateOverallExtraction(allSubjects, imageResults) {
+function validateOverallExtraction(
+  allSubjects,
+  imageResults,
+  curriculum = getDefaultCurriculum()
+) {
   const validation = {
     success: false,
     quality: "poor",
     totalCount: allSubjects.length,
+    expectedCount: curriculum.totalSubjects,
     issues: [],
     warnings: [],
     missingCourses: [],
     byYear: {},
   };
 
+  const total = curriculum.totalSubjects;
+  const expectedImages = curriculum.scanLayout.length;
+  const isFullScan = imageResults.length === expectedImages;
+
   // Count by year
   allSubjects.forEach((s) => {
     validation.byYear[s.yearLevel] =
@@ -217,55 +369,48 @@ function validateOverallExtraction(allSubjects, imageResults) {
   });
 
   // Check if individual images are good
-  const image1Good = imageResults[0]?.validation?.isGood || false;
-  const image2Good = imageResults[1]?.validation?.isGood || false;
-  const bothImagesGood = image1Good && image2Good;
+  const allImagesGood =
+    imageResults.length > 0 &&
+    imageResults.every((r) => r.validation?.isGood || false);
 
-  // Total count check
-  if (allSubjects.length >= 54) {
+  // Total count check (thresholds scale with the curriculum size)
+  if (allSubjects.length >= total) {
     validation.quality = "excellent";
     validation.success = true;
-  } else if (allSubjects.length >= 50) {
+  } else if (allSubjects.length >= total - 4) {
     validation.quality = "good";
     validation.success = true;
-    validation.warnings.push(`${54 - allSubjects.length} subjects missing`);
-  } else if (allSubjects.length >= 45) {
+    validation.warnings.push(`${total - allSubjects.length} subjects missing`);
+  } else if (allSubjects.length >= total - 9) {
     validation.quality = "moderate";
-    if (
-      bothImagesGood ||
-      (imageResults.length === 1 && image1Good)
-    ) {
+    if (allImagesGood) {
       validation.success = true;
       validation.warnings.push(
-        `Only ${allSubjects.length}/54 subjects total, but image quality is good`
+        `Only ${allSubjects.length}/${total} subjects total, but image quality is good`
       );
     } else {
       validation.issues.push(
-        `Only ${allSubjects.length}/54 subjects extracted`
+        `Only ${allSubjects.length}/${total} subjects extracted`
       );
     }
   } else {
     validation.quality = "poor";
-    if (
-      imageResults.length === 1 &&
-      (image1Good || image2Good)
-    ) {
+    if (!isFullScan && allImagesGood) {
       validation.quality = "moderate";
       validation.success = true;
       validation.warnings.push(
-        `Partial scan: ${allSubjects.length} subjects extracted from 1 image`
+        `Partial scan: ${allSubjects.length} subjects extracted from ${imageResults.length} image${imageResults.length === 1 ? "" : "s"}`
       );
     } else {
       validation.issues.push(
-        `Very poor extraction: only ${allSubjects.length}/54 subjects`
+        `Very poor extraction: only ${allSubjects.length}/${total} subjects`
       );
     }
   }
 
-  // Check all years present (only if expecting full scan - 2 images)
-  if (imageResults.length === 2) {
-    const expectedYears = ["1st Year", "2nd Year", "3rd Year", "4th Year"];
-    expectedYears.forEach((year) => {
+  // Check all years present (only if expecting full scan)
+  if (isFullScan) {
+    curriculum.yearLevels.forEach((year) => {
       if (!validation.byYear[year] || validation.byYear[year] === 0) {
         validation.issues.push(`${year} completely missing`);
       }
@@ -273,91 +418,67 @@ function validateOverallExtraction(allSubjects, imageResults) {
   }
 
   // Check for Summer
-  const hasSummer = allSubjects.some((s) => s.subjectCode === "CS 122");
-  if (!hasSummer && imageResults.length === 2) {
-    validation.issues.push("Summer semester missing (CS 122)");
-    validation.missingCourses.push("CS 122");
+  const extractedCodes = new Set(allSubjects.map((s) => s.subjectCode));
+  if (isFullScan) {
+    curriculum.summerSubjects
+      .filter((code) => !extractedCodes.has(code))
+      .forEach((code) => {
+        validation.issues.push(`Summer semester missing (${code})`);
+      });
   }
 
   // Find specific missing courses
-  const extractedCodes = new Set(allSubjects.map((s) => s.subjectCode));
-  const allReferenceCodes = Object.keys(CURRICULUM_REFERENCE);
-  validation.missingCourses = allReferenceCodes.filter(
-    (code) => !extractedCodes.has(code)
-  );
+  validation.missingCourses = findMissingCourses(allSubjects, curriculum);
 
   return validation;
 }
 
-// ==================== HYDRATE SUBJECTS FROM REFERENCE ====================
-function hydrateSubjectsFromReference(subjects) {
-  // Build a lookup map: normalized key → { refKey, reference }
-  const refLookup = {};
-  Object.keys(CURRICULUM_REFERENCE).forEach((key) => {
-    // Normalize: uppercase, remove ALL spaces
-    const normalized = key.toUpperCase().replace(/\s+/g, "");
-    refLookup[normalized] = { refKey: key, reference: CURRICULUM_REFERENCE[key] };
-  });
-
-  return subjects.map((subject) => {
-    let code = subject.subjectCode.trim();
-
-    // Normalize extracted code the same way: uppercase, remove ALL spaces
-    const normalizedCode = code.toUpperCase().replace(/\s+/g, "");
-
-    // Look up in reference
-    const match = refLookup[normalizedCode];
-
-    if (match) {
-      return {
-        subjectCode: match.refKey, // Use the correct formatted key
-        subjectName: match.reference.name,
-        lecUnits: match.reference.lecUnits,
-        labUnits: match.reference.labUnits,
-        units: match.reference.units,
-        yearLevel: match.reference.yearLevel,
-        semester: match.reference.semester,
-      };
-    }
-
-    // If not in reference, return as-is
-    return subject;
-  });
-}
-
 // ==================== CURRICULUM EXTRACTION PROMPT (SIMPLIFIED) ====================
-const CURRICULUM_PROMPT = `You are a document scanner for Bicol University BSCS curriculum.
+// Built per curriculum so code patterns and Summer hints match the program
+function buildCurriculumPrompt(curriculum) {
+  const layout = curriculum.scanLayout;
+  const perImage = layout.length
+    ? `expect ${Math.min(...layout.map((l) => l.minSubjects))}-${Math.max(...layout.map((l) => l.maxSubjects))} subjects per image`
+    : "expect every subject in the checklist";
+  const summerCodes = curriculum.summerSubjects.join(", ");
+  const summerLines = curriculum.summerSubjects.length
+    ? {
+        layout: `\n4. ${curriculum.subjects[curriculum.summerSubjects[0]].yearLevel} may have a SUMMER section (separate) with ${summerCodes}`,
+        rule: `\n- If you see a separate "SUMMER" section, mark ${summerCodes} as semester: "Summer"`,
+      }
+    : { layout: "", rule: "" };
+  const skipStep = curriculum.summerSubjects.length ? 5 : 4;
+  const patterns = curriculum.codePatterns.length
+    ? `\n\nSUBJECT CODE PATTERNS:\n${curriculum.codePatterns.map((p) => `- ${p}`).join("\n")}`
+    : "";
+  const exampleCode = Object.keys(curriculum.subjects)[0];
+  const example = curriculum.subjects[exampleCode];
+
+  return `You are a document scanner for ${curriculum.institution || "a university"} ${curriculum.program} curriculum.
 
 Extract ALL subject codes visible in this document. Focus on ACCURACY and COMPLETENESS.
 
 INSTRUCTIONS:
-1. Extract EVERY subject code across all years (expect 25-30 subjects per image)
+1. Extract EVERY subject code across all years (${perImage})
 2. Scan ALL sections systematically
-3. Each year has TWO columns: First Semester (left), Second Semester (right)
-4. Third year may have a SUMMER section (separate) with CS 122
-5. Skip only the "Total" row at the bottom of each semester
-
-SUBJECT CODE PATTERNS:
-- CS courses: CS 101-126
-- Math: Math 101, Math 102, Math Elec 101, Math Elec 102
-- GEC: GEC 11-20, GEC Elec 1, GEC Elec 2, GEC Elec 21, GEC Elec 22
-- CS Electives: CS Elec 1-3
-- Other: Phys 1, PATHFIT 1-4, NSTP 11, NSTP 2
+3. Each year has TWO columns: First Semester (left), Second Semester (right)${summerLines.layout}
+${skipStep}. Skip only the "Total" row at the bottom of each semester${patterns}
 
 IMPORTANT:
 - Extract the code EXACTLY as shown (preserve spacing)
-- Detect year and semester from document layout
-- If you see a separate "SUMMER" section, mark CS 122 as semester: "Summer"
+- Detect year and semester from document layout${summerLines.rule}
+- ${DOCUMENT_TYPE_HINT}
 
 Return ONLY valid JSON:
 {
   "subjects": [
-    {"subjectCode": "CS 101", "subjectName": "", "lecUnits": 0, "labUnits": 0, "units": 0, "yearLevel": "1st Year", "semester": "1st Semester"}
+    {"subjectCode": "${exampleCode}", "subjectName": "", "lecUnits": 0, "labUnits": 0, "units": 0, "yearLevel": "${example.yearLevel}", "semester": "${example.semester}"}
   ],
-  "documentType": "curriculum_checklist",
+  "documentType": "curriculum",
   "totalSubjectsFound": 29,
   "confidence": "high"
 }`;
+}
 
 // ==================== COR EXTRACTION PROMPT ====================
 const COR_PROMPT = `You are a document scanner for a Philippine university (Bicol University).
@@ -389,6 +510,7 @@ IMPORTANT RULES:
 5. If a field is not visible or unclear, set it to ""
 6. Units column may show "3.0 3.0 0.0" meaning total=3, lec=3, lab=0 — just use the first number
 7. Return ONLY valid JSON — no markdown, no backticks, no explanation
+8. ${DOCUMENT_TYPE_HINT}
 
 MULTI-DAY SCHEDULES:
 Some subjects meet on multiple days (e.g., "MW" = Monday & Wednesday, "TTh" = Tuesday & Thursday).
@@ -424,6 +546,7 @@ Return this exact format:
       "instructor": "SANTOS, J."
     }
   ],
+  "documentType": "cor",
   "totalCoursesFound": 5,
   "confidence": "high"
 }`;
@@ -464,6 +587,7 @@ IMPORTANT RULES:
 8. Semester: "1st Semester", "2nd Semester", or "Summer"
 9. If a subject code is visible, include it. If only the subject name is shown, set subjectCode to ""
 10. Return ONLY valid JSON — no markdown, no backticks, no explanation
+11. ${DOCUMENT_TYPE_HINT}
 
 Return this exact format:
 {
@@ -493,6 +617,7 @@ Return this exact format:
       ]
     }
   ],
+  "documentType": "timetable",
   "totalSubjectsFound": 8,
   "confidence": "high"
 }`;
@@ -506,13 +631,15 @@ Extract ALL subject codes and their corresponding grades from this image.
 For each subject, extract:
 - subjectCode: The course code (e.g., "CS 125", "GEC 19", "GEC Elect 21.3", "MATH 101")
 - subjectName: The full course title/description (e.g., "Design and Analysis of Algorithms")
-- grade: The numerical grade value (e.g., 1.0, 1.25, 1.5, 1.75, 2.0, 2.25, 2.5, 2.75, 3.0, 5.0)
+- grade: The numerical grade value (e.g., 1.0, 1.25, 1.5, 1.75, 2.0, 2.25, 2.5, 2.75, 3.0, 5.0),
+  or the text shown instead of a number ("INC", "DRP"), or null if the grade cell is empty
+- remarks: The remarks/status column exactly as shown ("PASSED", "FAILED", "INC", "DRP"), or "" if none
 
 IMPORTANT RULES:
-1. Extract EVERY subject and grade pair visible in the image
+1. Extract EVERY subject row visible in the image, including INC and DRP rows
 2. Grades in Philippine universities typically range from 1.0 (highest) to 5.0 (failing)
 3. Common grade values: 1.0, 1.25, 1.5, 1.75, 2.0, 2.25, 2.5, 2.75, 3.0, 4.0, 5.0
-4. INC = Incomplete, DRP = Dropped — skip these, only extract numeric grades
+4. INC = Incomplete, DRP = Dropped — keep these rows with grade "INC" / "DRP"
 5. Look for table rows with subject codes paired with grade values
 6. Subject codes may appear as: "CS 125", "GEC Elect 21.3", "PATHFIT 1", "NSTP 1", etc.
 7. CRITICAL: Do NOT confuse the "Units" columns (Total, Lec, Lab) with the actual grade!
@@ -520,46 +647,143 @@ IMPORTANT RULES:
    - The GRADE column is usually the LAST numeric column, often near a "PASSED/FAILED" status
    - Example row: "GEC 18 | Ethics | 3.0 | 3.0 | 0.0 | 1.8 | PASSED" → grade is 1.8, NOT 3.0
 8. Return ONLY valid JSON — no markdown, no backticks, no explanation
+9. ${DOCUMENT_TYPE_HINT}
 
 Return this exact format:
 {
   "grades": [
-    { "subjectCode": "CS 125", "subjectName": "CS Thesis 2", "grade": 1.5 },
-    { "subjectCode": "GEC 19", "subjectName": "Ethics", "grade": 1.75 }
+    { "subjectCode": "CS 125", "subjectName": "CS Thesis 2", "grade": 1.5, "remarks": "PASSED" },
+    { "subjectCode": "GEC 19", "subjectName": "Ethics", "grade": 1.75, "remarks": "" },
+    { "subjectCode": "CS 124", "subjectName": "CS Thesis 1", "grade": "INC", "remarks": "INC" }
   ],
+  "documentType": "grades",
   "totalFound": 5,
   "confidence": "high"
 }`;
 
-// ==================== HELPER: Send image to Groq ====================
-async function sendToGroq(file, prompt) {
+// ==================== CLASSIFICATION PROMPT ====================
+// POST /api/scan: which kind of document, before any extraction
+const CLASSIFY_PROMPT = `You are a document classifier for a Philippine university (Bicol University).
+Decide what kind of document this image is. Do NOT extract its contents.
+
+DOCUMENT TYPES:
+- "cor": Certificate of Registration — one semester's enrolled subjects in a schedule table (Code, Subject, Units, Days, Time, Room, Faculty)
+- "curriculum": curriculum checklist / prospectus — every subject of the program, grouped by year level and semester
+- "grades": grade report or portal screenshot — subjects with final grades and PASSED/FAILED remarks
+- "timetable": weekly class schedule grid — days as columns, time slots as rows, class blocks
+- "other": anything else
+
+Return ONLY valid JSON — no markdown, no backticks, no explanation:
+{
+  "documentType": "grades",
+  "confidence": "high",
+  "reason": "Table of subject codes with final grades and remarks"
+}`;
+
+// ==================== HELPER: Pick vision provider ====================
+// Per-request "provider" field/query param, else VISION_PROVIDER, else Groq.
+// The stub is only offered when enabled (see vision-providers.js).
+function resolveProvider(req) {
+  return getRequestProvider(req.body?.provider || req.query.provider);
+}
+
+// ==================== HELPER: Pick curriculum ====================
+// Explicit "program"/"curriculumVersion" field or query param; null = auto-detect
+function resolveRequestCurriculum(req) {
+  return resolveCurriculum({
+    program: req.body?.program || req.query.program,
+    curriculumVersion: req.body?.curriculumVersion || req.query.curriculumVersion,
+  });
+}
+
+// ==================== HELPER: Send image to vision model ====================
+// signal (optional) aborts the call, e.g. when a scan job is cancelled;
+// onQueued({ position, etaMs }) is called when the call waits for rate budget.
+// cacheStats ({ hits, misses }, see modelOptions) opts the call into the
+// result cache (scan-cache.js); answers of a fallback provider are not cached.
+async function sendToGroq(
+  file,
+  prompt,
+  {
+    provider,
+    documentType,
+    signal,
+    onQueued,
+    cacheStats,
+    curriculumVersion,
+    refreshCache,
+  }
+) {
   const imageData = fs.readFileSync(file.path);
+  const cache = cacheStats ? getScanCache() : null;
+  const cacheKey =
+    cache &&
+    scanCacheKey({
+      image: imageData,
+      documentType,
+      prompt,
+      model: `${provider.name}/${provider.model}`,
+      curriculumVersion,
+    });
+  if (cache && !refreshCache) {
+    const cached = cache.get(cacheKey);
+    if (cached) {
+      cacheStats.hits++;
+      console.log("   💾 Cached result (same image, prompt and model)");
+      return cached;
+    }
+  }
+  if (cacheStats) cacheStats.misses++;
+
   const base64Image = imageData.toString("base64");
   const mimeType = file.mimetype;
+  const request = {
+    prompt,
+    documentType,
+    imageUrl: `data:${mimeType};base64,${base64Image}`,
+    signal,
+  };
 
-  const completion = await groq.chat.completions.create({
-    model: "meta-llama/llama-4-scout-17b-16e-instruct",
-    messages: [
-      {
-        role: "user",
-        content: [
-          { type: "text", text: prompt },
-          {
-            type: "image_url",
-            image_url: {
-              url: `data:${mimeType};base64,${base64Image}`,
-            },
-          },
-        ],
-      },
-    ],
-    temperature: 0,
-    max_tokens: 8192,
-  });
+  // Queued within the provider's rate budget, 429/5xx retried (rate-limiter.js)
+  const complete = (target) =>
+    getModelScheduler(target).run(() => target.complete(request), {
+      signal,
+      onQueued,
+    });
+
+  let text;
+  let answeredBy = provider;
+  try {
+    text = await complete(provider);
+  } catch (error) {
+    if (signal?.aborted) throw error;
+
+    // Only fall back when the provider itself is down, not on bad keys/limits
+    const providerDown = !error.status || error.status >= 500;
+    const fallback = providerDown ? getFallbackProvider(provider.name) : null;
+    if (!fallback) throw error;
+
+    console.log(
+      `   ⚠️  ${provider.label} failed (${error.message}), retrying with ${fallback.label}`
+    );
+    text = await complete(fallback);
+    answeredBy = fallback;
+  }
 
-  const text = completion.choices[0]?.message?.content || "";
+  const parsed = parseModelJson(text);
+  // The cache is optional: a failed write must not fail the scan
+  if (cache && answeredBy === provider) {
+    try {
+      cache.set(cacheKey, parsed, { documentType, model: provider.model });
+    } catch (error) {
+      console.log(`   ⚠️  Could not cache the result: ${error.message}`);
+    }
+  }
+  return parsed;
+}
 
-  // Parse JSON from response
+// Parse JSON from response (bare, fenced, or embedded in prose)
+function parseModelJson(text) {
   try {
     return JSON.parse(text);
   } catch {
@@ -575,10 +799,260 @@ async function sendToGroq(file, prompt) {
   }
 }
 
+// Schema warnings of a scan (see document-schemas.js), one line each
+function logSchemaWarnings(warnings) {
+  if (!warnings || warnings.length === 0) return;
+  console.log(`   ⚠️  ${warnings.length} schema warning(s)`);
+  warnings.forEach((w) => console.log(`      ${w.code} ${w.path}: ${w.message}`));
+}
+
+// ==================== HELPER: Document type check ====================
+// The documentType an extraction reported vs. the endpoint it was sent to
+// (see document-classifier.js). On /api/scan the classification is attached.
+function documentCheck(req, expected, reported) {
+  const check = checkDocumentType(expected, normalizeDocumentType(reported));
+  if (!check.matches) console.log(`   ⚠️  ${check.warning}`);
+  return req.classification
+    ? { ...check, classification: req.classification }
+    : check;
+}
+
+// ==================== HELPER: Model call options ====================
+// What the scan routes pass to sendToGroq: job cancellation, queue reports,
+// result cache (hit/miss counted per request) and the key parts it needs.
+// "cache=false" field/query skips the lookup and stores a fresh answer.
+function modelOptions(req, provider, documentType, curriculum) {
+  req.cacheStats = req.cacheStats || { hits: 0, misses: 0 };
+  return {
+    provider,
+    documentType,
+    signal: jobSignal(req),
+    onQueued: ({ position, etaMs }) => {
+      const message = `Waiting for model capacity: #${position} in queue, about ${Math.ceil(etaMs / 1000)}s`;
+      console.log(`   ⏳ ${message}`);
+      if (req.job && !isFinished(req.job)) {
+        reportProgress(req, "queued", message, { position, etaMs });
+      }
+    },
+    cacheStats: req.cacheStats,
+    curriculumVersion: curriculum ? curriculum.id : "auto",
+    refreshCache: String(req.body?.cache ?? req.query.cache) === "false",
+  };
+}
+
+// "hit" only when every scan call of the request came from the cache (the
+// /api/scan classification call keeps its own counts)
+function cacheStatus(req) {
+  const stats = req.cacheStats;
+  return stats && stats.hits > 0 && stats.misses === 0 ? "hit" : "miss";
+}
+
+// ==================== HELPER: Job progress ====================
+// Scan routes also run as background jobs (see scan-jobs.js). Outside a job
+// these do nothing; in a cancelled job reportProgress throws, so call it
+// inside the route's try block.
+function reportProgress(req, step, message, details) {
+  if (req.job) reportJobProgress(req.job, step, message, details);
+}
+
+function jobSignal(req) {
+  return req.job?.controller.signal;
+}
+
+// ==================== HELPER: Remove uploaded temp files ====================
+// For early returns that happen before a route's own finally-cleanup
+function removeUploads(req) {
+  const files = req.files || (req.file ? [req.file] : []);
+  for (const file of files) {
+    try {
+      fs.unlinkSync(file.path);
+    } catch {}
+  }
+  removePages(req.pages);
+}
+
+// ==================== HELPER: Uploads → page images ====================
+// PDFs are rasterized page by page (see pdf-pages.js); images pass through.
+// The pages are kept on req so removeUploads cleans them up too.
+async function prepareUploads(req, files) {
+  req.pages = await expandUploads(files);
+  const fromPdf = req.pages.filter((p) => p.generated).length;
+  if (fromPdf > 0) {
+    console.log(`📄 Rasterized ${fromPdf} PDF page(s)`);
+  }
+  return req.pages;
+}
+
+// ==================== HELPER: Extract every page ====================
+// One model call per page. Each answer is checked against the schema of
+// options.documentType first, so the pages merge in the same shape.
+// → { value, warnings } like coerceDocument; warnings name their page
+async function extractFromPages(pages, prompt, options) {
+  const values = [];
+  const warnings = [];
+  for (const [index, page] of pages.entries()) {
+    if (pages.length > 1) {
+      console.log(`   📄 ${page.originalname}`);
+    }
+    const checked = coerceDocument(
+      options.documentType,
+      await sendToGroq(page, prompt, options)
+    );
+    values.push(checked.value);
+    checked.warnings.forEach((w) =>
+      warnings.push(pages.length > 1 ? { ...w, page: index + 1 } : w)
+    );
+  }
+  return { value: mergePageResults(values), warnings };
+}
+
+// ==================== HELPER: Extract tile by tile ====================
+// Cuts the page into overlapping tiles (see image-tiles.js) and extracts each.
+// Failed tiles are reported; only when every tile fails is the page lost.
+// Each tile is checked against the schema on its own, so subjects stay
+// aligned with tileIndexes.
+// → { parsed: { subjects, documentType }, tileIndexes (tile of each subject),
+//     tiles, schemaWarnings }
+async function extractTiles(file, prompt, layout, options) {
+  const tiles = await cutTiles(file.path, layout);
+  const subjects = [];
+  const tileIndexes = [];
+  const report = [];
+  const schemaWarnings = [];
+  let documentType;
+  let firstError = null;
+
+  try {
+    for (const tile of tiles) {
+      const { path: tilePath, ...box } = tile;
+      try {
+        const { value: parsed, warnings } = coerceDocument(
+          "curriculum",
+          await sendToGroq(
+            { ...file, path: tilePath, mimetype: "image/png" },
+            buildTilePrompt(prompt, tile, layout),
+            options
+          )
+        );
+        const found = parsed.subjects;
+        warnings.forEach((w) => schemaWarnings.push({ ...w, tile: tile.index }));
+        documentType = documentType || parsed.documentType;
+        subjects.push(...found);
+        found.forEach(() => tileIndexes.push(tile.index));
+        report.push({ ...box, subjectCount: found.length });
+        console.log(
+          `   🧩 Tile ${tile.index + 1}/${tiles.length}: ${found.length} subjects`
+        );
+      } catch (error) {
+        firstError = firstError || error;
+        report.push({ ...box, subjectCount: 0, error: error.message });
+        console.log(`   ❌ Tile ${tile.index + 1}/${tiles.length}: ${error.message}`);
+      }
+    }
+  } finally {
+    for (const tile of tiles) {
+      try {
+        fs.unlinkSync(tile.path);
+      } catch {}
+    }
+  }
+
+  if (report.every((t) => t.error)) throw firstError;
+  return {
+    parsed: { subjects, documentType },
+    tileIndexes,
+    tiles: report,
+    schemaWarnings,
+  };
+}
+
+// ==================== HELPER: Clean curriculum subjects ====================
+// Schema-checked entries (see document-schemas.js) → subjects with a code
+function cleanCurriculumSubjects(subjects) {
+  return subjects.map((s, idx) => ({
+    ...s,
+    subjectCode: s.subjectCode || `UNKNOWN_${idx + 1}`,
+  }));
+}
+
+// ==================== HELPER: Re-scan missing subjects ====================
+// While a page fails validation and the request still has follow-up calls
+// left (budget.left), asks the model again for the missing reference codes
+// on a crop of their years (see curriculum-rescan.js). Stops early when an
+// attempt finds nothing new: the same question would get the same answer.
+// → { subjects, validation, attempts }
+async function rescanMissingSubjects(
+  file,
+  { imageNumber, subjects, validation, curriculum, prompt, options, budget }
+) {
+  const attempts = [];
+
+  while (!validation.isGood && budget.left > 0) {
+    const target = planRescan(subjects, curriculum, imageNumber);
+    if (!target) break;
+    budget.left--;
+
+    const attempt = {
+      attempt: attempts.length + 1,
+      years: target.years,
+      codes: target.codes,
+      region: null,
+      found: [],
+    };
+    attempts.push(attempt);
+    console.log(
+      `   🔁 Re-scan ${attempt.attempt}: ${target.codes.length} missing in ${target.years.join(", ")}`
+    );
+
+    let crop = null;
+    try {
+      crop = await cropSection(file.path, curriculum, imageNumber, target);
+      attempt.region = crop.region;
+      const { value: parsed, warnings } = coerceDocument(
+        "curriculum",
+        await sendToGroq(
+          crop.region ? { ...file, path: crop.path, mimetype: "image/png" } : file,
+          buildRescanPrompt(prompt, target, curriculum, Boolean(crop.region)),
+          options
+        )
+      );
+      attempt.schemaWarnings = warnings;
+      const found = hydrateSubjectsFromReference(
+        cleanCurriculumSubjects(parsed.subjects),
+        curriculum
+      );
+      const merged = mergeRescanSubjects(subjects, found);
+      subjects = merged.subjects;
+      validation = validateExtractionQuality(subjects, imageNumber, curriculum);
+      attempt.found = merged.added.map((s) => s.subjectCode);
+      attempt.isGood = validation.isGood;
+      console.log(
+        `   🔁 Found ${attempt.found.length} more: ${attempt.found.join(", ") || "none"}`
+      );
+    } catch (error) {
+      attempt.error = error.message;
+      console.log(`   ❌ Re-scan failed: ${error.message}`);
+      break;
+    } finally {
+      if (crop && crop.path !== file.path) {
+        try {
+          fs.unlinkSync(crop.path);
+        } catch {}
+      }
+    }
+
+    if (attempt.found.length === 0) break;
+  }
+
+  return { subjects, validation, attempts };
+}
+
 // ==================== HELPER: Handle Groq errors ====================
 function getErrorMessage(error) {
   if (error.status === 429) {
-    return "Rate limited. Wait 1 minute and try again (max 30 req/min).";
+    return error.retryAfter
+      ? `Rate limited. Try again in ${error.retryAfter}s.`
+      : "Rate limited. Wait 1 minute and try again.";
   }
   if (error.status === 401) {
     return "Invalid API key. Check your .env file.";
@@ -586,72 +1060,141 @@ function getErrorMessage(error) {
   return error.message;
 }
 
+// Error response of a scan route; rate-limit errors carry the expected wait
+// (retryAfter, seconds), also sent as a Retry-After header
+function sendScanError(res, error, extra = {}) {
+  if (error.retryAfter) res.set("Retry-After", String(error.retryAfter));
+  res.status(error.status || 500).json({
+    success: false,
+    error: getErrorMessage(error),
+    retryAfter: error.retryAfter,
+    ...extra,
+  });
+}
+
 // ==================== SCAN COR ENDPOINT ====================
-app.post("/api/scan-cor", upload.single("image"), async (req, res) => {
+async function scanCor(req, res) {
   console.log("\n📋 Received COR scan request");
 
   if (!req.file) {
     return res.status(400).json({ success: false, error: "No image uploaded" });
   }
 
-  if (!process.env.GROQ_API_KEY) {
+  let provider;
+  let requestedCurriculum;
+  try {
+    provider = resolveProvider(req);
+    requestedCurriculum = resolveRequestCurriculum(req);
+  } catch (error) {
+    removeUploads(req);
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (!provider.isConfigured()) {
+    removeUploads(req);
     return res.status(500).json({
       success: false,
-      error: "GROQ_API_KEY not set. Add it to your .env file.",
+      error: provider.missingConfigMessage,
     });
   }
 
+  let pages;
+  try {
+    pages = await prepareUploads(req, [req.file]);
+  } catch (error) {
+    removeUploads(req);
+    return res
+      .status(error.status || 500)
+      .json({ success: false, error: error.message });
+  }
+
+  const rejection = await runPreflight(req, pages);
+  if (rejection) {
+    removeUploads(req);
+    return res.status(422).json(rejection);
+  }
+
   const file = req.file;
   console.log(
     `📎 Image: ${file.originalname} (${(file.size / 1024).toFixed(1)}KB)`,
   );
-  console.log("🤖 Sending to Groq (Llama 4 Scout) for COR extraction...");
+  console.log(`🤖 Sending to ${provider.label} for COR extraction...`);
 
   try {
-    const parsed = await sendToGroq(file, COR_PROMPT);
+    reportProgress(req, "sending", `Sending to ${provider.label}`);
+    const { value: parsed, warnings: schemaWarnings } = await extractFromPages(
+      pages,
+      COR_PROMPT,
+      modelOptions(req, provider, "cor", requestedCurriculum)
+    );
+    logSchemaWarnings(schemaWarnings);
 
     const program = parsed.program || "BS Computer Science";
-    const courses = (parsed.courses || []).map((c, idx) => ({
+    const extractedCourses = parsed.courses.map((c, idx) => ({
       subjectCode: c.subjectCode || `UNKNOWN_${idx + 1}`,
       subjectName: c.subjectName || "Unknown Subject",
-      units: parseInt(c.units) || 0,
-      schedules: (c.schedules || []).map((s) => ({
-        days: s.days || "",
-        time: s.time || "",
-        room: s.room || "",
-      })),
-      section: c.section || "",
-      instructor: c.instructor || "",
+      units: c.units,
+      // One canonical entry per weekday, see schedule-time.js
+      schedules: normalizeSchedules(c.schedules),
+      section: c.section,
+      instructor: c.instructor,
     }));
 
+    const curriculum =
+      requestedCurriculum ||
+      detectCurriculumFromProgram(program) ||
+      detectCurriculumFromSubjects(extractedCourses);
+
+    // Reference keys, official names and units; flags unknown courses
+    reportProgress(req, "validating", "Checking courses against the curriculum");
+    const {
+      entries: courses,
+      notInCurriculum,
+      unitMismatches,
+      needsConfirmation,
+    } = validateAgainstReference(extractedCourses, curriculum);
+    const conflicts = detectScheduleConflicts(courses);
+
     console.log(
       `✅ Extracted ${courses.length} courses for program: ${program}`,
     );
+    if (conflicts.length > 0) {
+      console.log(`   ⚠️  ${conflicts.length} schedule conflict(s)`);
+    }
+    if (notInCurriculum.length > 0) {
+      console.log(`   ⚠️  Not in curriculum: ${notInCurriculum.join(", ")}`);
+    }
 
     res.json({
       success: true,
+      cache: cacheStatus(req),
       data: {
         program,
+        curriculum: summarizeCurriculum(curriculum),
         courses,
         totalCoursesFound: courses.length,
+        validation: { notInCurriculum, unitMismatches, needsConfirmation },
+        conflicts,
         confidence: parsed.confidence || "unknown",
+        schemaWarnings,
+        documentCheck: documentCheck(req, "cor", parsed.documentType),
       },
     });
   } catch (error) {
     console.error("❌ COR scan error:", error.message);
-    res.status(error.status || 500).json({
-      success: false,
-      error: getErrorMessage(error),
-    });
+    sendScanError(res, error);
   } finally {
-    try {
-      fs.unlinkSync(file.path);
-    } catch {}
+    removeUploads(req);
   }
-});
+}
+
+app.post("/api/scan-cor", limitClient, upload.single("image"), scanCor);
 
 // ==================== SCAN CURRICULUM ENDPOINT (ENHANCED) ====================
-app.post("/api/scan-curriculum", upload.array("image", 2), async (req, res) => {
+// Page 1: 1st & 2nd Year, page 2: 3rd Year, Summer & 4th Year
+const MAX_CURRICULUM_PAGES = 2;
+
+async function scanCurriculum(req, res) {
   console.log("\n📸 Received curriculum scan request");
 
   if (!req.files || req.files.length === 0) {
@@ -662,15 +1205,67 @@ app.post("/api/scan-curriculum", upload.array("image", 2), async (req, res) => {
     });
   }
 
-  if (!process.env.GROQ_API_KEY) {
+  let provider;
+  let curriculum;
+  let tileLayout;
+  let rescanBudget;
+  try {
+    provider = resolveProvider(req);
+    curriculum = resolveRequestCurriculum(req);
+    // Optional tiled extraction: "tiles=2x2" (or "true") field/query param
+    tileLayout = parseTileLayout(
+      req.body?.tiles ?? req.query.tiles ?? process.env.CURRICULUM_TILES
+    );
+    // Optional follow-up scans: "rescans=2" (or "true") field/query param
+    rescanBudget = {
+      left: parseRescanLimit(
+        req.body?.rescans ?? req.query.rescans ?? process.env.CURRICULUM_RESCANS
+      ),
+    };
+  } catch (error) {
+    removeUploads(req);
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      quality: "error",
+    });
+  }
+  const curriculumDetected = !curriculum;
+
+  if (!provider.isConfigured()) {
+    removeUploads(req);
     return res.status(500).json({
       success: false,
-      error: "GROQ_API_KEY not set",
+      error: provider.missingConfigMessage,
+      quality: "error",
+    });
+  }
+
+  // Two images, or one two-page PDF (any mix up to two pages)
+  let files;
+  try {
+    files = await prepareUploads(req, req.files);
+    if (files.length > MAX_CURRICULUM_PAGES) {
+      throw httpError(
+        400,
+        `A curriculum scan takes at most ${MAX_CURRICULUM_PAGES} pages (got ${files.length})`
+      );
+    }
+  } catch (error) {
+    removeUploads(req);
+    return res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
       quality: "error",
     });
   }
 
-  const files = req.files;
+  const rejection = await runPreflight(req, files);
+  if (rejection) {
+    removeUploads(req);
+    return res.status(422).json({ ...rejection, quality: "error" });
+  }
+
   const imageResults = [];
   let allSubjects = [];
 
@@ -694,6 +1289,16 @@ app.post("/api/scan-curriculum", upload.array("image", 2), async (req, res) => {
         quality: null,
       };
 
+      let processedPath = file.path;
+      const step = (name, message) =>
+        reportProgress(req, name, message, {
+          imageNumber: imageNum,
+          imageCount: files.length,
+        });
+
+      // Outside the per-image try: a cancelled job stops here
+      step("analyzing", "Analyzing image quality");
+
       try {
         // Step 1: Analyze original quality
         console.log("   🔍 Analyzing image quality...");
@@ -708,41 +1313,112 @@ app.post("/api/scan-curriculum", upload.array("image", 2), async (req, res) => {
         if (quality.isDark) {
           console.log("   ⚠️  Image appears dark");
         }
+        if (quality.isBlurry) {
+          console.log(`   ⚠️  Image appears blurry (score ${quality.blurScore})`);
+        }
+        if (quality.isSkewed) {
+          console.log(`   ⚠️  Page is tilted ${quality.skewAngle}°`);
+        }
+        if (quality.hasGlare) {
+          console.log(
+            `   ⚠️  Glare on ${Math.round(quality.glareRatio * 100)}% of the page`
+          );
+        }
 
-        // Step 2: Preprocess image
-        const processedPath = await preprocessImage(file.path);
-
-        // Step 3: Send to Groq
-        console.log("   🤖 Sending to Groq for extraction...");
-        const parsed = await sendToGroq(
-          { ...file, path: processedPath },
-          CURRICULUM_PROMPT
+        // Step 2: Preprocess image (crop, flatten, level, enhance)
+        step("preprocessing", "Cropping, flattening and enhancing");
+        const processed = await preprocessImage(file.path);
+        processedPath = processed.path;
+        quality.transforms = processed.transforms;
+
+        // Step 3: Send to Groq (whole page, or tile by tile)
+        const prompt = buildCurriculumPrompt(curriculum || getDefaultCurriculum());
+        const options = modelOptions(req, provider, "curriculum", curriculum);
+        step("sending", `Sending to ${provider.label}`);
+        let parsed;
+        let tileIndexes = null;
+        if (tileLayout) {
+          console.log(
+            `   🤖 Sending ${tileLayout.rows}x${tileLayout.columns} tiles to ${provider.label}...`
+          );
+          const tiled = await extractTiles(
+            { ...file, path: processedPath },
+            prompt,
+            tileLayout,
+            options
+          );
+          parsed = tiled.parsed;
+          tileIndexes = tiled.tileIndexes;
+          imageResult.tiles = tiled.tiles;
+          imageResult.schemaWarnings = tiled.schemaWarnings;
+        } else {
+          console.log(`   🤖 Sending to ${provider.label} for extraction...`);
+          const checked = coerceDocument(
+            "curriculum",
+            await sendToGroq({ ...file, path: processedPath }, prompt, options)
+          );
+          parsed = checked.value;
+          imageResult.schemaWarnings = checked.warnings;
+        }
+        logSchemaWarnings(imageResult.schemaWarnings);
+        imageResult.documentCheck = documentCheck(
+          req,
+          "curriculum",
+          parsed.documentType
         );
 
         if (parsed.subjects && Array.isArray(parsed.subjects)) {
-          const cleaned = parsed.subjects.map((s, idx) => ({
-            subjectCode: s.subjectCode || `UNKNOWN_${idx + 1}`,
-            subjectName: s.subjectName || "",
-            lecUnits: parseInt(s.lecUnits) || 0,
-            labUnits: parseInt(s.labUnits) || 0,
-            units: parseInt(s.units) || 0,
-            yearLevel: s.yearLevel || "Unknown",
-            semester: s.semester || "Unknown",
-          }));
-
-          // Step 4: Hydrate from reference
-          const hydrated = hydrateSubjectsFromReference(cleaned);
-          imageResult.subjects = hydrated;
-          allSubjects.push(...hydrated);
+          const cleaned = cleanCurriculumSubjects(parsed.subjects);
+
+          // Step 4: Hydrate from reference (auto-detect curriculum on first image)
+          step("hydrating", "Filling in names and units from the curriculum");
+          if (!curriculum) {
+            curriculum = detectCurriculumFromSubjects(cleaned);
+            console.log(`   🎓 Detected curriculum: ${curriculum.id}`);
+          }
+          let hydrated = hydrateSubjectsFromReference(cleaned, curriculum);
 
           console.log(`   📊 Extracted: ${hydrated.length} subjects`);
           console.log(
             `   ✨ Hydrated: ${hydrated.filter((s, idx) => s.subjectName !== cleaned[idx].subjectName).length} from reference`
           );
 
+          // Step 4b: Stitch tiles (drop overlap duplicates, fix year/semester)
+          if (tileIndexes) {
+            hydrated = stitchTileSubjects(hydrated, tileIndexes);
+            console.log(`   🧩 Stitched: ${hydrated.length} unique subjects`);
+          }
+
           // Step 5: Validate extraction quality
-          const validation = validateExtractionQuality(hydrated, imageNum);
+          step("validating", "Checking the extraction against the curriculum");
+          let validation = validateExtractionQuality(
+            hydrated,
+            imageNum,
+            curriculum
+          );
+
+          // Step 5b: Re-scan the missing subjects (when enabled)
+          if (!validation.isGood && rescanBudget.left > 0) {
+            const rescan = await rescanMissingSubjects(
+              { ...file, path: processedPath },
+              {
+                imageNumber: imageNum,
+                subjects: hydrated,
+                validation,
+                curriculum,
+                prompt,
+                options,
+                budget: rescanBudget,
+              }
+            );
+            hydrated = rescan.subjects;
+            validation = rescan.validation;
+            imageResult.rescans = rescan.attempts;
+          }
+
+          imageResult.subjects = hydrated;
           imageResult.validation = validation;
+          allSubjects.push(...hydrated);
 
           if (validation.isGood) {
             console.log(`   ✅ Quality: GOOD`);
@@ -753,14 +1429,9 @@ app.post("/api/scan-curriculum", upload.array("image", 2), async (req, res) => {
             );
           }
         }
-
-        // Clean up processed image
-        if (processedPath !== file.path) {
-          try {
-            fs.unlinkSync(processedPath);
-          } catch {}
-        }
       } catch (parseErr) {
+        // Out of model budget: the other images would fail the same way
+        if (parseErr.retryAfter) throw parseErr;
         console.log(`   ❌ Extraction failed: ${parseErr.message}`);
         imageResult.validation = {
           isGood: false,
@@ -768,6 +1439,13 @@ app.post("/api/scan-curriculum", upload.array("image", 2), async (req, res) => {
           warnings: [],
           subjectCount: 0,
         };
+      } finally {
+        // Clean up processed image, even when extraction failed
+        if (processedPath !== file.path) {
+          try {
+            fs.unlinkSync(processedPath);
+          } catch {}
+        }
       }
 
       imageResults.push(imageResult);
@@ -782,15 +1460,20 @@ app.post("/api/scan-curriculum", upload.array("image", 2), async (req, res) => {
       return true;
     });
 
-    // Overall validation
+    // Overall validation (every image failed → fall back to the default)
+    curriculum = curriculum || getDefaultCurriculum();
     const overallValidation = validateOverallExtraction(
       uniqueSubjects,
-      imageResults
+      imageResults,
+      curriculum
     );
 
     console.log(`\n${"=".repeat(90)}`);
     console.log(`📊 FINAL RESULTS:`);
-    console.log(`   Total: ${uniqueSubjects.length}/54 subjects`);
+    console.log(`   Curriculum: ${curriculum.id}`);
+    console.log(
+      `   Total: ${uniqueSubjects.length}/${curriculum.totalSubjects} subjects`
+    );
     console.log(`   Quality: ${overallValidation.quality.toUpperCase()}`);
 
     if (overallValidation.success) {
@@ -807,16 +1490,11 @@ app.post("/api/scan-curriculum", upload.array("image", 2), async (req, res) => {
     console.log("=".repeat(90));
 
     const sortedSubjects = [...uniqueSubjects].sort((a, b) => {
-      const yearOrder = {
-        "1st Year": 1,
-        "2nd Year": 2,
-        "3rd Year": 3,
-        "4th Year": 4,
-      };
+      const yearOrder = curriculum.yearLevels;
       const semOrder = { "1st Semester": 1, "2nd Semester": 2, Summer: 3 };
 
-      if (yearOrder[a.yearLevel] !== yearOrder[b.yearLevel]) {
-        return yearOrder[a.yearLevel] - yearOrder[b.yearLevel];
+      if (a.yearLevel !== b.yearLevel) {
+        return yearOrder.indexOf(a.yearLevel) - yearOrder.indexOf(b.yearLevel);
       }
       return semOrder[a.semester] - semOrder[b.semester];
     });
@@ -843,7 +1521,7 @@ app.post("/api/scan-curriculum", upload.array("image", 2), async (req, res) => {
         `\n⚠️  MISSING SUBJECTS (${overallValidation.missingCourses.length}):`
       );
       overallValidation.missingCourses.forEach((code) => {
-        const ref = CURRICULUM_REFERENCE[code];
+        const ref = curriculum.subjects[code];
         if (ref) {
           console.log(
             `   ❌ ${code.padEnd(18)} - ${ref.name} (${ref.yearLevel}, ${ref.semester})`
@@ -857,14 +1535,27 @@ app.post("/api/scan-curriculum", upload.array("image", 2), async (req, res) => {
     console.log("=".repeat(90));
 
     // Response
+    const checks = imageResults
+      .map((r) => r.documentCheck)
+      .filter(Boolean);
     res.json({
       success: overallValidation.success,
       quality: overallValidation.quality,
+      cache: cacheStatus(req),
       data: {
         subjects: uniqueSubjects,
         totalSubjectsFound: uniqueSubjects.length,
         imagesProcessed: files.length,
         imageCount: files.length,
+        curriculum: {
+          ...summarizeCurriculum(curriculum),
+          detected: curriculumDetected,
+        },
+        // First image that is not a curriculum page, if any
+        documentCheck:
+          checks.find((c) => !c.matches) ||
+          checks[0] ||
+          documentCheck(req, "curriculum", null),
       },
       validation: overallValidation,
       imageResults: imageResults,
@@ -876,114 +1567,407 @@ app.post("/api/scan-curriculum", upload.array("image", 2), async (req, res) => {
     });
   } catch (error) {
     console.error("❌ Fatal error:", error.message);
-    res.status(error.status || 500).json({
-      success: false,
-      error: getErrorMessage(error),
-      quality: "error",
-    });
+    sendScanError(res, error, { quality: "error" });
   } finally {
-    for (const file of files) {
-      try {
-        fs.unlinkSync(file.path);
-      } catch {}
-    }
+    removeUploads(req);
   }
-});
+}
+
+app.post(
+  "/api/scan-curriculum",
+  limitClient,
+  upload.array("image", MAX_CURRICULUM_PAGES),
+  scanCurriculum
+);
 
 // ==================== SCAN GRADES ENDPOINT ====================
-app.post("/api/scan-grades", upload.single("image"), async (req, res) => {
+async function scanGrades(req, res) {
   console.log("\n📊 Received grade scan request");
 
   if (!req.file) {
     return res.status(400).json({ success: false, error: "No image uploaded" });
   }
 
-  if (!process.env.GROQ_API_KEY) {
+  let provider;
+  let requestedCurriculum;
+  try {
+    provider = resolveProvider(req);
+    requestedCurriculum = resolveRequestCurriculum(req);
+  } catch (error) {
+    removeUploads(req);
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (!provider.isConfigured()) {
+    removeUploads(req);
     return res.status(500).json({
       success: false,
-      error: "GROQ_API_KEY not set. Add it to your .env file.",
+      error: provider.missingConfigMessage,
     });
   }
 
+  let pages;
+  try {
+    pages = await prepareUploads(req, [req.file]);
+  } catch (error) {
+    removeUploads(req);
+    return res
+      .status(error.status || 500)
+      .json({ success: false, error: error.message });
+  }
+
+  const rejection = await runPreflight(req, pages);
+  if (rejection) {
+    removeUploads(req);
+    return res.status(422).json(rejection);
+  }
+
   const file = req.file;
   console.log(
     `📎 Image: ${file.originalname} (${(file.size / 1024).toFixed(1)}KB)`,
   );
-  console.log("🤖 Sending to Groq (Llama 4 Scout) for grade extraction...");
+  console.log(`🤖 Sending to ${provider.label} for grade extraction...`);
 
   try {
-    const parsed = await sendToGroq(file, GRADES_PROMPT);
+    reportProgress(req, "sending", `Sending to ${provider.label}`);
+    const { value: parsed, warnings: schemaWarnings } = await extractFromPages(
+      pages,
+      GRADES_PROMPT,
+      modelOptions(req, provider, "grades", requestedCurriculum)
+    );
 
-    const grades = (parsed.grades || [])
-      .map((g, idx) => ({
-        subjectCode: g.subjectCode || `UNKNOWN_${idx + 1}`,
-        subjectName: g.subjectName || "",
-        grade: parseFloat(g.grade) || 0,
-      }))
-      .filter((g) => g.grade > 0 && g.grade <= 5.0);
+    // Numeric grades plus INC/DRP/PASSED/FAILED statuses (see grade-status.js)
+    const extractedGrades = parseGradeRecords(parsed.grades, schemaWarnings);
+    logSchemaWarnings(schemaWarnings);
+
+    const curriculum =
+      requestedCurriculum || detectCurriculumFromSubjects(extractedGrades);
+    reportProgress(req, "validating", "Checking grades against the curriculum");
+    const {
+      entries: grades,
+      notInCurriculum,
+      unitMismatches,
+      needsConfirmation,
+    } = validateAgainstReference(extractedGrades, curriculum);
 
     console.log(`✅ Extracted ${grades.length} grades`);
-    grades.forEach((g) => console.log(`   📊 ${g.subjectCode}: ${g.grade}`));
+    grades.forEach((g) =>
+      console.log(
+        `   📊 ${g.subjectCode}: ${g.grade ?? "-"}${g.status === "NUMERIC" ? "" : ` (${g.status})`}`
+      )
+    );
+
+    // Optional: computeGwa=true adds the GWA / honors summary
+    const wantsGwa = String(req.body?.computeGwa || req.query.computeGwa) === "true";
+    const gwa = wantsGwa ? computeGwa(grades, curriculum) : undefined;
+    if (gwa) {
+      console.log(`   🎓 Cumulative GWA: ${gwa.cumulative.gwa}`);
+    }
 
     res.json({
       success: true,
+      cache: cacheStatus(req),
       data: {
+        curriculum: summarizeCurriculum(curriculum),
         grades,
         totalFound: grades.length,
+        validation: { notInCurriculum, unitMismatches, needsConfirmation },
         confidence: parsed.confidence || "unknown",
+        schemaWarnings,
+        documentCheck: documentCheck(req, "grades", parsed.documentType),
+        gwa,
       },
     });
   } catch (error) {
     console.error("❌ Grade scan error:", error.message);
+    sendScanError(res, error);
+  } finally {
+    removeUploads(req);
+  }
+}
+
+app.post("/api/scan-grades", limitClient, upload.single("image"), scanGrades);
+
+// ==================== GWA ENDPOINT ====================
+// Body: { grades: [{ subjectCode, grade, status?, units?, yearLevel?, semester? }],
+//         program?, curriculumVersion?, thresholds? }
+// grades can be concatenated from several /api/scan-grades results.
+app.post("/api/gwa", (req, res) => {
+  const grades = req.body?.grades;
+  if (!Array.isArray(grades) || grades.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: "Request body needs a non-empty \"grades\" array",
+    });
+  }
+
+  try {
+    const curriculum =
+      resolveRequestCurriculum(req) || detectCurriculumFromSubjects(grades);
+    const result = computeGwa(grades, curriculum, req.body.thresholds);
+
+    res.json({
+      success: true,
+      data: { curriculum: summarizeCurriculum(curriculum), ...result },
+    });
+  } catch (error) {
     res.status(error.status || 500).json({
       success: false,
-      error: getErrorMessage(error),
+      error: error.message,
+    });
+  }
+});
+
+// ==================== GRADUATION AUDIT ENDPOINT ====================
+// Body: { grades?: [...], scans?: [<data of /api/scan-grades>, ...],
+//         inProgress?: ["CS 121", ...], program?, curriculumVersion? }
+app.post("/api/audit", (req, res) => {
+  const scans = Array.isArray(req.body?.scans) ? req.body.scans : [];
+  const grades = [
+    ...(Array.isArray(req.body?.grades) ? req.body.grades : []),
+    ...scans.flatMap((scan) => scan?.grades || []),
+  ];
+  const inProgress = Array.isArray(req.body?.inProgress)
+    ? req.body.inProgress
+    : [];
+  if (grades.length === 0 && inProgress.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: "Request body needs \"grades\" or \"scans\" from /api/scan-grades",
+    });
+  }
+
+  try {
+    const curriculum =
+      resolveRequestCurriculum(req) ||
+      detectCurriculumFromSubjects([
+        ...grades,
+        ...inProgress.map((subjectCode) => ({ subjectCode })),
+      ]);
+    const audit = auditGraduation(grades, curriculum, { inProgress });
+
+    res.json({
+      success: true,
+      data: { curriculum: summarizeCurriculum(curriculum), ...audit },
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// ==================== STUDY PLAN ENDPOINT ====================
+// Body: { completed?: ["CS 101", ...], failed?: ["CS 102", ...],
+//         grades?: [...] (sorted into completed/failed like /api/audit),
+//         maxUnits?, maxSummerUnits?, startSemester?, offerings?: { code: [semesters] },
+//         program?, curriculumVersion? }
+app.post("/api/study-plan", (req, res) => {
+  const body = req.body || {};
+  const grades = Array.isArray(body.grades) ? body.grades : [];
+  const completed = Array.isArray(body.completed) ? [...body.completed] : [];
+  const failed = Array.isArray(body.failed) ? [...body.failed] : [];
+
+  try {
+    const startSemester =
+      body.startSemester === undefined
+        ? undefined
+        : normalizeSemester(body.startSemester);
+    if (startSemester === null) {
+      throw httpError(400, `Invalid startSemester "${body.startSemester}"`);
+    }
+
+    const curriculum =
+      resolveRequestCurriculum(req) ||
+      detectCurriculumFromSubjects(
+        [...grades, ...completed, ...failed].map((g) =>
+          typeof g === "string" ? { subjectCode: g } : g
+        )
+      );
+
+    if (grades.length > 0) {
+      const audit = auditGraduation(grades, curriculum);
+      audit.completed.forEach((t) =>
+        t.subjects.forEach((s) => completed.push(s.subjectCode))
+      );
+      audit.failed.forEach((t) =>
+        t.subjects.forEach((s) => failed.push(s.subjectCode))
+      );
+    }
+
+    const plan = generateStudyPlan(curriculum, {
+      completed,
+      failed,
+      maxUnits: body.maxUnits,
+      maxSummerUnits: body.maxSummerUnits,
+      startSemester,
+      offerings: body.offerings,
+    });
+
+    res.json({
+      success: true,
+      data: { curriculum: summarizeCurriculum(curriculum), ...plan },
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// ==================== RECONCILE ENDPOINT ====================
+// Body: { cor: <data of /api/scan-cor>, timetable: <data of /api/scan-timetable>,
+//         program?, curriculumVersion? }
+app.post("/api/reconcile", (req, res) => {
+  const courses = req.body?.cor?.courses;
+  const subjects = req.body?.timetable?.subjects;
+  if (!Array.isArray(courses) || !Array.isArray(subjects)) {
+    return res.status(400).json({
+      success: false,
+      error:
+        "Request body needs \"cor\" (with courses) and \"timetable\" (with subjects)",
+    });
+  }
+
+  try {
+    const curriculum =
+      resolveRequestCurriculum(req) ||
+      detectCurriculumFromProgram(req.body.cor.program || "") ||
+      detectCurriculumFromSubjects(courses);
+    const result = reconcileSchedules(courses, subjects, curriculum);
+
+    res.json({
+      success: true,
+      data: {
+        curriculum: summarizeCurriculum(curriculum),
+        ...result,
+        conflicts: detectScheduleConflicts([
+          ...result.subjects,
+          ...result.corOnly,
+          ...result.timetableOnly,
+        ]),
+      },
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// ==================== CALENDAR EXPORT ENDPOINT ====================
+// Body: { courses?: <data.courses of /api/scan-cor>,
+//         subjects?: <data.subjects of /api/scan-timetable>,
+//         semesterStart?, semesterEnd?, holidays?: ["YYYY-MM-DD", ...] }
+// Responds with text/calendar; unreadable schedules are counted in
+// the X-Skipped-Schedules header.
+app.post("/api/calendar", (req, res) => {
+  const body = req.body || {};
+  const courses = Array.isArray(body.courses) ? body.courses : [];
+  const subjects = Array.isArray(body.subjects) ? body.subjects : [];
+  if (courses.length === 0 && subjects.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: "Request body needs \"courses\" (COR) or \"subjects\" (timetable)",
+    });
+  }
+
+  try {
+    const envHolidays = (process.env.SEMESTER_HOLIDAYS || "")
+      .split(",")
+      .map((h) => h.trim())
+      .filter(Boolean);
+    const { ics, skipped } = buildCalendar(
+      { courses, subjects },
+      {
+        semesterStart: body.semesterStart || process.env.SEMESTER_START,
+        semesterEnd: body.semesterEnd || process.env.SEMESTER_END,
+        holidays: Array.isArray(body.holidays) ? body.holidays : envHolidays,
+      }
+    );
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'attachment; filename="classync-schedule.ics"',
+      "X-Skipped-Schedules": String(skipped.length),
+    });
+    res.send(ics);
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
     });
-  } finally {
-    try {
-      fs.unlinkSync(file.path);
-    } catch {}
   }
 });
 
 // ==================== SCAN TIMETABLE ENDPOINT ====================
-app.post("/api/scan-timetable", upload.single("image"), async (req, res) => {
+async function scanTimetable(req, res) {
   console.log("\n📅 Received timetable scan request");
 
   if (!req.file) {
     return res.status(400).json({ success: false, error: "No image uploaded" });
   }
 
-  if (!process.env.GROQ_API_KEY) {
+  let provider;
+  try {
+    provider = resolveProvider(req);
+  } catch (error) {
+    removeUploads(req);
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (!provider.isConfigured()) {
+    removeUploads(req);
     return res.status(500).json({
       success: false,
-      error: "GROQ_API_KEY not set. Add it to your .env file.",
+      error: provider.missingConfigMessage,
     });
   }
 
+  let pages;
+  try {
+    pages = await prepareUploads(req, [req.file]);
+  } catch (error) {
+    removeUploads(req);
+    return res
+      .status(error.status || 500)
+      .json({ success: false, error: error.message });
+  }
+
+  const rejection = await runPreflight(req, pages);
+  if (rejection) {
+    removeUploads(req);
+    return res.status(422).json(rejection);
+  }
+
   const file = req.file;
   console.log(
     `📎 Image: ${file.originalname} (${(file.size / 1024).toFixed(1)}KB)`,
   );
-  console.log("🤖 Sending to Groq (Llama 4 Scout) for timetable extraction...");
+  console.log(`🤖 Sending to ${provider.label} for timetable extraction...`);
 
   try {
-    const parsed = await sendToGroq(file, TIMETABLE_PROMPT);
+    reportProgress(req, "sending", `Sending to ${provider.label}`);
+    const { value: parsed, warnings: schemaWarnings } = await extractFromPages(
+      pages,
+      TIMETABLE_PROMPT,
+      modelOptions(req, provider, "timetable", null)
+    );
+    logSchemaWarnings(schemaWarnings);
 
-    const academicYear = parsed.academicYear || "";
-    const semester = parsed.semester || "";
+    const { academicYear, semester } = parsed;
 
-    const subjects = (parsed.subjects || []).map((s, idx) => ({
+    const subjects = parsed.subjects.map((s, idx) => ({
       subjectName: s.subjectName || `Unknown Subject ${idx + 1}`,
-      subjectCode: s.subjectCode || "",
-      section: s.section || "",
-      room: s.room || "",
-      instructor: s.instructor || "",
-      schedules: (s.schedules || []).map((sched) => ({
-        day: sched.day || "",
-        startTime: sched.startTime || "",
-        endTime: sched.endTime || "",
-      })),
+      subjectCode: s.subjectCode,
+      section: s.section,
+      room: s.room,
+      instructor: s.instructor,
+      // Same canonical entries as /api/scan-cor, with the subject's room
+      schedules: normalizeSchedules(s.schedules, { room: s.room }),
     }));
 
     console.log(`✅ Extracted ${subjects.length} subjects from timetable`);
@@ -995,66 +1979,607 @@ app.post("/api/scan-timetable", upload.single("image"), async (req, res) => {
       console.log(`   📚 ${s.subjectName} | ${s.instructor} | ${days}`);
     });
 
+    reportProgress(req, "validating", "Checking for schedule conflicts");
+    const conflicts = detectScheduleConflicts(subjects);
+    if (conflicts.length > 0) {
+      console.log(`   ⚠️  ${conflicts.length} schedule conflict(s)`);
+    }
+
     res.json({
       success: true,
+      cache: cacheStatus(req),
       data: {
         academicYear,
         semester,
         subjects,
         totalSubjectsFound: subjects.length,
+        conflicts,
         confidence: parsed.confidence || "unknown",
+        schemaWarnings,
+        documentCheck: documentCheck(req, "timetable", parsed.documentType),
       },
     });
   } catch (error) {
     console.error("❌ Timetable scan error:", error.message);
-    res.status(error.status || 500).json({
+    sendScanError(res, error);
+  } finally {
+    removeUploads(req);
+  }
+}
+
+app.post(
+  "/api/scan-timetable",
+  limitClient,
+  upload.single("image"),
+  scanTimetable
+);
+
+// ==================== SCAN ANY DOCUMENT ENDPOINT ====================
+// Classifies the upload's first page (one extra model call), then runs the
+// scan route of the detected type on the same upload and fields. The answer
+// is that route's, with the classification under data.documentCheck.
+const SCAN_HANDLERS = {
+  curriculum: scanCurriculum,
+  cor: scanCor,
+  grades: scanGrades,
+  timetable: scanTimetable,
+};
+
+async function scanDocument(req, res) {
+  console.log("\n🔎 Received document scan request");
+
+  if (!req.files || req.files.length === 0) {
+    return res
+      .status(400)
+      .json({ success: false, error: "No image(s) uploaded" });
+  }
+
+  let provider;
+  try {
+    provider = resolveProvider(req);
+  } catch (error) {
+    removeUploads(req);
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  if (!provider.isConfigured()) {
+    removeUploads(req);
+    return res.status(500).json({
       success: false,
-      error: getErrorMessage(error),
+      error: provider.missingConfigMessage,
     });
+  }
+
+  // A PDF is rasterized here for its first page, and again by the scan route
+  let pages = [];
+  let classification;
+  try {
+    reportProgress(req, "classifying", "Identifying the document");
+    pages = await expandUploads([req.files[0]]);
+    console.log(`🤖 Sending to ${provider.label} for classification...`);
+    classification = readClassification(
+      await sendToGroq(pages[0], CLASSIFY_PROMPT, {
+        ...modelOptions(req, provider, "classify", null),
+        // Counted apart: the response's cache status is the dispatched scan's
+        cacheStats: { hits: 0, misses: 0 },
+      })
+    );
+  } catch (error) {
+    console.error("❌ Classification error:", error.message);
+    removeUploads(req);
+    return sendScanError(res, error);
   } finally {
-    try {
-      fs.unlinkSync(file.path);
-    } catch {}
+    removePages(pages);
+  }
+
+  const type = classification.documentType;
+  if (!type) {
+    console.log(`   ❓ Not a known document: ${classification.reason}`);
+    removeUploads(req);
+    return res.status(422).json({
+      success: false,
+      error:
+        "Could not tell what this document is. Use /api/scan-cor, /api/scan-curriculum, /api/scan-grades or /api/scan-timetable.",
+      classification,
+    });
+  }
+  if (type !== "curriculum" && req.files.length > 1) {
+    removeUploads(req);
+    return res.status(400).json({
+      success: false,
+      error: `This looks like a ${DOCUMENT_LABELS[type]}; a ${type} scan takes one image or PDF`,
+      classification,
+    });
+  }
+
+  console.log(`   🔎 Detected ${type} (${classification.confidence})`);
+  req.file = req.files[0];
+  req.classification = classification;
+  return SCAN_HANDLERS[type](req, res);
+}
+
+app.post(
+  "/api/scan",
+  limitClient,
+  upload.array("image", MAX_CURRICULUM_PAGES),
+  scanDocument
+);
+
+// ==================== SCAN JOBS ENDPOINTS ====================
+// POST /api/jobs takes the same fields as the scan endpoints plus "type"
+// (curriculum | cor | grades | timetable, or scan to detect it like /api/scan)
+// and answers 202 with the job id at once. The scan runs in the background
+// with the route handler of its type.
+const JOB_HANDLERS = { ...SCAN_HANDLERS, scan: scanDocument };
+
+function jobLinks(job) {
+  return {
+    self: `/api/jobs/${job.id}`,
+    events: `/api/jobs/${job.id}/events`,
+  };
+}
+
+function lookupJob(id) {
+  const job = getJob(id);
+  if (!job) throw httpError(404, `Job "${id}" not found`);
+  return job;
+}
+
+function startScanJob(req, res) {
+  const type = req.body?.type || req.query.type || "curriculum";
+
+  let job;
+  try {
+    validateJobType(type);
+    if (!req.files || req.files.length === 0) {
+      throw httpError(400, "No image(s) uploaded");
+    }
+    // An auto-detected scan checks the count once it knows the type
+    if (type !== "curriculum" && type !== "scan" && req.files.length > 1) {
+      throw httpError(400, `A ${type} scan takes one image or PDF`);
+    }
+    job = createJob(type, clientId(req));
+  } catch (error) {
+    removeUploads(req);
+    return res
+      .status(error.status || 500)
+      .json({ success: false, error: error.message });
+  }
+
+  // The upload outlives this request: hand the job its own copy of the fields
+  const jobReq = {
+    body: { ...req.body },
+    query: { ...req.query },
+    files: req.files,
+    file: req.files[0],
+    job,
+  };
+  runJob(job, () => JOB_HANDLERS[type](jobReq, createJobResponse(job)));
+  console.log(`🧾 Job ${job.id} (${type}) started`);
+
+  res.status(202).json({
+    success: true,
+    data: { ...describeJob(job), links: jobLinks(job) },
+  });
+}
+
+app.post(
+  "/api/jobs",
+  limitClient,
+  upload.array("image", MAX_CURRICULUM_PAGES),
+  startScanJob
+);
+
+app.get("/api/jobs/:id", (req, res) => {
+  try {
+    const job = lookupJob(req.params.id);
+    res.json({ success: true, data: { ...describeJob(job), links: jobLinks(job) } });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Server-Sent Events: past and new "progress" events, then one "done" event
+// with the job (including its result) before the stream closes
+app.get("/api/jobs/:id/events", (req, res) => {
+  let job;
+  try {
+    job = lookupJob(req.params.id);
+  } catch (error) {
+    return res
+      .status(error.status || 500)
+      .json({ success: false, error: error.message });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  const send = (event, data) =>
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  job.progress.forEach((event) => send("progress", event));
+  if (isFinished(job)) {
+    send("done", describeJob(job));
+    return res.end();
+  }
+
+  const onProgress = (event) => send("progress", event);
+  const onDone = (summary) => {
+    send("done", summary);
+    stop();
+    res.end();
+  };
+  const stop = () => {
+    job.events.off("progress", onProgress);
+    job.events.off("done", onDone);
+  };
+  job.events.on("progress", onProgress);
+  job.events.on("done", onDone);
+  req.on("close", stop);
+});
+
+// Cancels a queued or running job (409 once it has finished)
+app.delete("/api/jobs/:id", (req, res) => {
+  try {
+    const job = lookupJob(req.params.id);
+    cancelJob(job);
+    console.log(`🧾 Job ${job.id} cancelled`);
+    res.json({ success: true, data: { ...describeJob(job), links: jobLinks(job) } });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== CURRICULUM LOOKUP HELPERS ====================
+function httpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function lookupCurriculum(id) {
+  const curriculum = getCurriculum(id);
+  if (!curriculum) throw httpError(404, `Curriculum "${id}" not found`);
+  return curriculum;
+}
+
+function lookupSubjectCode(curriculum, code) {
+  const subjectCode = findSubjectCode(curriculum, code);
+  if (!subjectCode) {
+    throw httpError(404, `Subject "${code}" not found in ${curriculum.id}`);
+  }
+  return subjectCode;
+}
+
+// Optional ?yearLevel=&semester= filters; invalid values are a 400
+function parseTermFilters(query) {
+  const filters = {};
+  if (query.yearLevel) {
+    filters.yearLevel = normalizeYearLevel(query.yearLevel);
+    if (!filters.yearLevel) {
+      throw httpError(400, `Invalid yearLevel "${query.yearLevel}"`);
+    }
+  }
+  if (query.semester) {
+    filters.semester = normalizeSemester(query.semester);
+    if (!filters.semester) {
+      throw httpError(400, `Invalid semester "${query.semester}"`);
+    }
+  }
+  return filters;
+}
+
+// ==================== CURRICULUM QUERY ENDPOINTS ====================
+// Read-only views of the registry so clients don't keep their own copies
+app.get("/api/curricula", (req, res) => {
+  const curricula = listCurricula().map((curriculum) => {
+    const subjects = querySubjects(curriculum);
+    return {
+      ...summarizeCurriculum(curriculum),
+      yearLevels: curriculum.yearLevels,
+      totals: sumUnits(subjects),
+      terms: getTermTotals(subjects),
+    };
+  });
+
+  res.json({ success: true, data: { curricula } });
+});
+
+app.get("/api/curricula/:id/subjects", (req, res) => {
+  try {
+    const curriculum = lookupCurriculum(req.params.id);
+    const filters = parseTermFilters(req.query);
+    const subjects = querySubjects(curriculum, filters);
+
+    res.json({
+      success: true,
+      data: {
+        curriculumId: curriculum.id,
+        filters,
+        subjects,
+        totals: sumUnits(subjects),
+        terms: getTermTotals(subjects),
+      },
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.get("/api/curricula/:id/subjects/:code", (req, res) => {
+  try {
+    const curriculum = lookupCurriculum(req.params.id);
+    const code = lookupSubjectCode(curriculum, req.params.code);
+    const subject = formatSubject(code, curriculum.subjects[code]);
+    const [term] = getTermTotals(
+      querySubjects(curriculum, {
+        yearLevel: subject.yearLevel,
+        semester: subject.semester,
+      })
+    );
+
+    res.json({
+      success: true,
+      data: { curriculumId: curriculum.id, subject, term },
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// ==================== CURRICULUM GRAPH ENDPOINTS ====================
+
+function describeCourse(curriculum, code) {
+  const subject = curriculum.subjects[code];
+  return {
+    subjectCode: code,
+    subjectName: subject.name,
+    yearLevel: subject.yearLevel,
+    semester: subject.semester,
+  };
+}
+
+app.get("/api/curricula/:id/order", (req, res) => {
+  try {
+    const curriculum = lookupCurriculum(req.params.id);
+    const graph = getCurriculumGraph(curriculum);
+    const depths = getPrerequisiteDepths(graph);
+
+    res.json({
+      success: true,
+      data: {
+        curriculumId: curriculum.id,
+        order: topologicalOrder(graph).map((code) => ({
+          ...describeCourse(curriculum, code),
+          depth: depths.get(code),
+        })),
+      },
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.get("/api/curricula/:id/subjects/:code/prerequisites", (req, res) => {
+  try {
+    const curriculum = lookupCurriculum(req.params.id);
+    const code = lookupSubjectCode(curriculum, req.params.code);
+    const result = getPrerequisiteChain(getCurriculumGraph(curriculum), code);
+
+    res.json({
+      success: true,
+      data: {
+        ...describeCourse(curriculum, code),
+        direct: result.direct.map((c) => describeCourse(curriculum, c)),
+        corequisites: result.corequisites.map((c) =>
+          describeCourse(curriculum, c)
+        ),
+        chain: result.chain.map((c) => describeCourse(curriculum, c)),
+      },
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+app.get("/api/curricula/:id/subjects/:code/unlocks", (req, res) => {
+  try {
+    const curriculum = lookupCurriculum(req.params.id);
+    const code = lookupSubjectCode(curriculum, req.params.code);
+    const result = getUnlockedCourses(getCurriculumGraph(curriculum), code);
+
+    res.json({
+      success: true,
+      data: {
+        ...describeCourse(curriculum, code),
+        direct: result.direct.map((c) => describeCourse(curriculum, c)),
+        all: result.all.map((c) => describeCourse(curriculum, c)),
+      },
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// ==================== SCHEMA ENDPOINTS ====================
+// JSON Schemas of the model answers (see document-schemas.js). Scan
+// responses carry the same entries, so clients can validate with them too.
+app.get("/api/schemas", (req, res) => {
+  res.json({
+    success: true,
+    data: DOCUMENT_TYPES.map((type) => ({
+      type,
+      title: getDocumentSchema(type).title,
+      url: `/api/schemas/${type}`,
+    })),
+  });
+});
+
+// The schema document itself, with its URL as $id
+app.get("/api/schemas/:type", (req, res) => {
+  try {
+    const schema = getDocumentSchema(req.params.type);
+    const { $schema, ...rest } = schema;
+    res.type("application/schema+json").send(
+      JSON.stringify({
+        $schema,
+        $id: `${req.protocol}://${req.get("host")}/api/schemas/${req.params.type}`,
+        ...rest,
+      })
+    );
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+// ==================== ADMIN ENDPOINTS ====================
+// Disabled unless ADMIN_TOKEN is set; send "Authorization: Bearer <token>"
+function requireAdmin(req) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    throw httpError(403, "Admin endpoints are disabled (set ADMIN_TOKEN)");
+  }
+  const given = Buffer.from(
+    (req.headers.authorization || "").replace(/^Bearer\s+/i, "")
+  );
+  const expected = Buffer.from(token);
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw httpError(401, "Invalid admin token");
+  }
+}
+
+app.get("/api/admin/cache", (req, res) => {
+  try {
+    requireAdmin(req);
+    const cache = getScanCache();
+    res.json({
+      success: true,
+      data: cache ? { enabled: true, ...cache.stats() } : { enabled: false },
+    });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.delete("/api/admin/cache", (req, res) => {
+  try {
+    requireAdmin(req);
+    const cache = getScanCache();
+    const purged = cache ? cache.purge() : 0;
+    console.log(`🧹 Scan cache purged (${purged} entries)`);
+    res.json({ success: true, data: { purged } });
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message });
   }
 });
 
 // ==================== HEALTH CHECK ====================
 app.get("/api/health", (req, res) => {
+  const provider = getProvider();
   res.json({
     status: "ok",
-    provider: "Groq (Llama 4 Scout)",
-    apiKeySet: !!process.env.GROQ_API_KEY,
-    features: ["image_preprocessing", "quality_validation", "auto_hydration"],
+    provider: provider.label,
+    model: provider.model,
+    apiKeySet: provider.isConfigured(),
+    // Model calls waiting for rate budget and the wait for a new one
+    queue: getModelScheduler(provider).stats(),
+    availableProviders: getRequestProviderNames(),
+    features: [
+      "image_preprocessing",
+      "quality_validation",
+      "auto_hydration",
+      "pluggable_providers",
+      "scan_jobs",
+      "result_cache",
+      "rate_limiting",
+      "schema_validation",
+      "document_classification",
+    ],
   });
 });
 
 // ==================== START ====================
-app.listen(PORT, "0.0.0.0", () => {
-  console.log("");
-  console.log("╔════════════════════════════════════════════╗");
-  console.log("║   🚀 ClasSync Groq Server (ENHANCED)      ║");
-  console.log("╠════════════════════════════════════════════╣");
-  console.log(`║   URL:   http://localhost:${PORT}              ║`);
-  console.log(`║   Model: Llama 4 Scout 17B                ║`);
-  console.log(
-    `║   Key:   ${process.env.GROQ_API_KEY ? "✅ Set" : "❌ Missing"}                           ║`,
-  );
-  console.log("║   Features: Image Enhancement + QC        ║");
-  console.log("╠════════════════════════════════════════════╣");
-  console.log("║   POST /api/scan-cor         (COR scan)   ║");
-  console.log("║   POST /api/scan-curriculum  (curriculum)  ║");
-  console.log("║   POST /api/scan-grades      (grades)      ║");
-  console.log("║   POST /api/scan-timetable   (timetable)   ║");
-  console.log("║   GET  /api/health           (status)      ║");
-  console.log("╚════════════════════════════════════════════╝");
-
-  if (!process.env.GROQ_API_KEY) {
+// Only listen when run directly so tests can require the app
+if (require.main === module) {
+  app.listen(PORT, "0.0.0.0", () => {
+    const provider = getProvider();
+
     console.log("");
-    console.log("⚠️  Create .env file with:");
-    console.log("   GROQ_API_KEY=gsk_your_key_here");
+    console.log("╔════════════════════════════════════════════╗");
+    console.log("║   🚀 ClasSync Groq Server (ENHANCED)      ║");
+    console.log("╠════════════════════════════════════════════╣");
+    console.log(`║   URL:   http://localhost:${PORT}              ║`);
+    console.log(`║   Model: ${provider.label.padEnd(34)}║`);
+    console.log(
+      `║   Key:   ${provider.isConfigured() ? "✅ Set" : "❌ Missing"}                           ║`,
+    );
+    console.log("║   Features: Image Enhancement + QC        ║");
+    console.log("╠════════════════════════════════════════════╣");
+    console.log("║   POST /api/scan             (auto-detect) ║");
+    console.log("║   POST /api/scan-cor         (COR scan)    ║");
+    console.log("║   POST /api/scan-curriculum  (curriculum)  ║");
+    console.log("║   POST /api/scan-grades      (grades)      ║");
+    console.log("║   POST /api/scan-timetable   (timetable)   ║");
+    console.log("║   POST /api/gwa              (GWA/honors)  ║");
+    console.log("║   POST /api/audit            (grad audit)  ║");
+    console.log("║   POST /api/study-plan       (study plan)  ║");
+    console.log("║   POST /api/reconcile        (merge scans) ║");
+    console.log("║   POST /api/calendar         (.ics export) ║");
+    console.log("║   POST /api/jobs             (scan job)    ║");
+    console.log("║   GET  /api/jobs/:id[/events] (progress)   ║");
+    console.log("║   DELETE /api/jobs/:id       (cancel)      ║");
+    console.log("║   GET  /api/admin/cache      (cache stats) ║");
+    console.log("║   DELETE /api/admin/cache    (purge cache) ║");
+    console.log("║   GET  /api/schemas[/:type]  (JSON Schema) ║");
+    console.log("║   GET  /api/curricula        (curricula)   ║");
+    console.log("║   GET  /api/curricula/:id/subjects[/:code] ║");
+    console.log("║   GET  /api/curricula/:id/order            ║");
+    console.log("║   GET  /api/curricula/:id/subjects/:code/  ║");
+    console.log("║        prerequisites | unlocks             ║");
+    console.log("║   GET  /api/health           (status)      ║");
+    console.log("╚════════════════════════════════════════════╝");
+
+    // Reports an unreadable GWA_THRESHOLDS now rather than on the first request
+    getThresholds();
+
+    if (provider.name === "groq" && !provider.isConfigured()) {
+      console.log("");
+      console.log("⚠️  Create .env file with:");
+      console.log("   GROQ_API_KEY=gsk_your_key_here");
+      console.log("");
+      console.log("   Get your free key: https://console.groq.com/keys");
+    } else if (!provider.isConfigured()) {
+      console.log("");
+      console.log(`⚠️  ${provider.missingConfigMessage}`);
+    }
+
     console.log("");
-    console.log("   Get your free key: https://console.groq.com/keys");
-  }
+  });
+}
 
-  console.log("");
-});
\ No newline at end of file
+module.exports = {
+  app,
+  sendToGroq,
+  preprocessImage,
+  analyzeImageQuality,
+  hydrateSubjectsFromReference,
+  validateExtractionQuality,
+  validateOverallExtraction,
+};
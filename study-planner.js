@@ -0,0 +1,313 @@
+// study-planner.js
+// Semester-by-semester plan to graduation for irregular and shifting
+// students. Remaining subjects are placed greedily, term by term:
+//   - prerequisites must be passed in an earlier term
+//   - co-requisites are taken in the same term or earlier
+//   - a subject is only offered in its curriculum semester (e.g. CS 122 is
+//     Summer-only) unless the curriculum or request lists "offeredIn" terms
+//   - a term never exceeds maxUnits (maxSummerUnits for Summer)
+// Failed subjects are retaken first, then the ones that unlock the longest
+// prerequisite chains. Every subject that waits gets the reasons recorded.
+
+const {
+  SEMESTER_ORDER,
+  findSubjectCode,
+  formatSubject,
+  normalizeSemester,
+} = require("./curriculum-reference");
+const {
+  getCurriculumGraph,
+  topologicalOrder,
+} = require("./curriculum-graph");
+
+const DEFAULT_MAX_UNITS = 24;
+const DEFAULT_MAX_SUMMER_UNITS = 9;
+// Stops plans that can never finish (e.g. a subject never offered)
+const MAX_TERMS = 24;
+
+function plannerError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// ==================== HELPERS ====================
+// Limits come from JSON bodies: "24" or true is not a unit count
+function isNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function nextSemester(semester) {
+  return SEMESTER_ORDER[(SEMESTER_ORDER.indexOf(semester) + 1) % SEMESTER_ORDER.length];
+}
+
+// Longest chain of courses each subject unlocks (0 = unlocks nothing)
+function getUnlockHeights(graph) {
+  const heights = new Map();
+  topologicalOrder(graph)
+    .reverse()
+    .forEach((code) => {
+      const dependentHeights = graph.dependents
+        .get(code)
+        .map((d) => heights.get(d));
+      heights.set(
+        code,
+        dependentHeights.length ? Math.max(...dependentHeights) + 1 : 0
+      );
+    });
+  return heights;
+}
+
+// Overrides accept the spellings normalizeSemester reads ("2nd Sem", "summer")
+function getOfferings(curriculum, overrides = {}) {
+  const offerings = new Map();
+  Object.entries(curriculum.subjects).forEach(([code, subject]) => {
+    offerings.set(code, subject.offeredIn || [subject.semester]);
+  });
+  Object.entries(overrides || {}).forEach(([code, semesters]) => {
+    const terms = Array.isArray(semesters) ? semesters : [semesters];
+    const normalized = terms.map(normalizeSemester);
+    if (terms.length === 0 || normalized.includes(null)) {
+      throw plannerError(
+        `Invalid offerings for "${code}": ${JSON.stringify(semesters)}`
+      );
+    }
+    const refCode = findSubjectCode(curriculum, code);
+    if (refCode) offerings.set(refCode, [...new Set(normalized)]);
+  });
+  return offerings;
+}
+
+// Splits requested codes into curriculum codes and unknown ones
+function resolveCodes(curriculum, codes, unmatched) {
+  const resolved = [];
+  (codes || []).forEach((code) => {
+    const refCode = findSubjectCode(curriculum, code);
+    if (refCode) resolved.push(refCode);
+    else unmatched.push(code);
+  });
+  return resolved;
+}
+
+// Appends a reason unless it repeats the previous one (consecutive terms merge)
+function recordDeferral(deferrals, code, term, reason, detail) {
+  if (!deferrals.has(code)) deferrals.set(code, []);
+  const reasons = deferrals.get(code);
+  const last = reasons[reasons.length - 1];
+  if (last && last.reason === reason && last.detail === detail) {
+    last.terms.push(term);
+  } else {
+    reasons.push({ reason, detail, terms: [term] });
+  }
+}
+
+// ==================== PLANNER ====================
+function generateStudyPlan(curriculum, options = {}) {
+  const maxUnits = options.maxUnits ?? DEFAULT_MAX_UNITS;
+  const maxSummerUnits = options.maxSummerUnits ?? DEFAULT_MAX_SUMMER_UNITS;
+  if (!isNumber(maxUnits) || !(maxUnits > 0)) {
+    throw plannerError(`maxUnits must be a positive number, got ${JSON.stringify(maxUnits)}`);
+  }
+  if (!isNumber(maxSummerUnits) || !(maxSummerUnits >= 0)) {
+    throw plannerError(
+      `maxSummerUnits must be a non-negative number, got ${JSON.stringify(maxSummerUnits)}`
+    );
+  }
+  const startSemester = options.startSemester || SEMESTER_ORDER[0];
+  if (!SEMESTER_ORDER.includes(startSemester)) {
+    throw plannerError(`Unknown start semester "${startSemester}"`);
+  }
+
+  const graph = getCurriculumGraph(curriculum);
+  const heights = getUnlockHeights(graph);
+  const offerings = getOfferings(curriculum, options.offerings);
+  const checklistOrder = new Map(graph.codes.map((code, i) => [code, i]));
+
+  const unmatched = [];
+  const failed = new Set(resolveCodes(curriculum, options.failed, unmatched));
+  const passed = new Set(resolveCodes(curriculum, options.completed, unmatched));
+  // A later pass overrides an earlier failure
+  passed.forEach((code) => failed.delete(code));
+
+  const remaining = graph.codes
+    .filter((code) => !passed.has(code))
+    .sort(
+      (a, b) =>
+        failed.has(b) - failed.has(a) ||
+        heights.get(b) - heights.get(a) ||
+        checklistOrder.get(a) - checklistOrder.get(b)
+    );
+
+  const unitsOf = (code) => curriculum.subjects[code].units;
+  const terms = [];
+  const deferrals = new Map();
+  const unschedulable = [];
+
+  // Subjects that can never fit in a term are reported, not planned
+  remaining
+    .filter((code) => unitsOf(code) > maxUnits)
+    .forEach((code) => {
+      unschedulable.push({
+        subjectCode: code,
+        reason: "unit_limit",
+        detail: `${unitsOf(code)} units exceed the ${maxUnits}-unit term limit`,
+      });
+    });
+  let pending = remaining.filter((code) => unitsOf(code) <= maxUnits);
+
+  let semester = startSemester;
+  let termNumber = 0;
+  let idleTerms = 0;
+  while (pending.length > 0 && termNumber < MAX_TERMS) {
+    const limit = semester === "Summer" ? maxSummerUnits : maxUnits;
+    const offeredNow = pending.filter((code) =>
+      offerings.get(code).includes(semester)
+    );
+
+    // Summer terms only appear in the plan when something can be taken
+    const prereqsMet = (code) =>
+      graph.prerequisites.get(code).every((p) => passed.has(p));
+    if (semester === "Summer" && !offeredNow.some(prereqsMet)) {
+      semester = nextSemester(semester);
+      continue;
+    }
+
+    termNumber++;
+    const scheduled = [];
+    let units = 0;
+    const inTerm = new Set();
+
+    pending.forEach((code) => {
+      if (inTerm.has(code)) return;
+
+      const pendingPrereqs = graph.prerequisites
+        .get(code)
+        .filter((p) => !passed.has(p));
+      if (pendingPrereqs.length > 0) {
+        recordDeferral(
+          deferrals,
+          code,
+          termNumber,
+          "prerequisites",
+          `Needs ${pendingPrereqs.join(", ")} first`
+        );
+        return;
+      }
+      if (!offerings.get(code).includes(semester)) {
+        recordDeferral(
+          deferrals,
+          code,
+          termNumber,
+          "not_offered",
+          `Offered only in ${offerings.get(code).join(" / ")}`
+        );
+        return;
+      }
+
+      // Co-requisites not yet passed must come along in this term
+      const group = [
+        code,
+        ...graph.corequisites
+          .get(code)
+          .filter((c) => !passed.has(c) && !inTerm.has(c)),
+      ];
+      const blocked = group.filter(
+        (c) =>
+          c !== code &&
+          (!prereqsMet(c) || !offerings.get(c).includes(semester))
+      );
+      if (blocked.length > 0) {
+        recordDeferral(
+          deferrals,
+          code,
+          termNumber,
+          "corequisites",
+          `Co-requisite ${blocked.join(", ")} cannot be taken this term`
+        );
+        return;
+      }
+
+      const groupUnits = group.reduce((sum, c) => sum + unitsOf(c), 0);
+      if (units + groupUnits > limit) {
+        recordDeferral(
+          deferrals,
+          code,
+          termNumber,
+          "unit_limit",
+          groupUnits > limit
+            ? `Needs ${groupUnits} units with co-requisites; limit is ${limit}`
+            : `Term already has ${units} of ${limit} units`
+        );
+        return;
+      }
+
+      group.forEach((c) => {
+        inTerm.add(c);
+        scheduled.push(c);
+      });
+      units += groupUnits;
+    });
+
+    terms.push({
+      term: termNumber,
+      semester,
+      units,
+      subjects: scheduled.map((code) => ({
+        ...formatSubject(code, curriculum.subjects[code]),
+        ...(failed.has(code) && { retake: true }),
+      })),
+    });
+
+    scheduled.forEach((code) => passed.add(code));
+    pending = pending.filter((code) => !inTerm.has(code));
+
+    // Three empty terms in a row means a full year with no progress
+    idleTerms = scheduled.length === 0 ? idleTerms + 1 : 0;
+    if (idleTerms >= SEMESTER_ORDER.length) break;
+    semester = nextSemester(semester);
+  }
+
+  // Trailing empty terms carry no information
+  while (terms.length > 0 && terms[terms.length - 1].subjects.length === 0) {
+    terms.pop();
+  }
+
+  pending.forEach((code) => {
+    const reasons = deferrals.get(code) || [];
+    const last = reasons[reasons.length - 1];
+    unschedulable.push({
+      subjectCode: code,
+      reason: last ? last.reason : "term_limit",
+      detail: last ? last.detail : `Plan is limited to ${MAX_TERMS} terms`,
+    });
+  });
+
+  const plannedTerm = new Map();
+  terms.forEach((t) => t.subjects.forEach((s) => plannedTerm.set(s.subjectCode, t.term)));
+
+  return {
+    settings: { maxUnits, maxSummerUnits, startSemester },
+    terms,
+    totalTerms: terms.length,
+    unitsRemaining: remaining.reduce((sum, code) => sum + unitsOf(code), 0),
+    retakes: [...failed],
+    // Why each subject was not taken in the first term of the plan
+    deferred: [...deferrals.entries()]
+      .map(([code, reasons]) => ({
+        subjectCode: code,
+        plannedTerm: plannedTerm.get(code) ?? null,
+        reasons: reasons
+          .map((r) => ({ ...r, terms: r.terms.filter((t) => t <= terms.length) }))
+          .filter((r) => r.terms.length > 0),
+      }))
+      .filter((d) => d.reasons.length > 0),
+    unschedulable,
+    unmatched,
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_UNITS,
+  DEFAULT_MAX_SUMMER_UNITS,
+  generateStudyPlan,
+};
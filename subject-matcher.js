@@ -0,0 +1,170 @@
+// subject-matcher.js
+// Matches scanned subject codes to curriculum reference keys, tolerating
+// what vision models and OCR get wrong. Rules are tried in order; the first
+// one that finds exactly one reference code wins:
+//   exact            1.00  "CS101" / "cs 101" → "CS 101"
+//   elective_variant 0.95  "GEC Elect 21" / "CS Elective 1" → "... Elec ..."
+//   sub_numbered     0.85  "GEC Elect 21.3" → "GEC Elec 21"
+//   ocr_confusion    0.75  O/0, l/I/1, S/5: "CS1O1", "PATHFIT l"
+//   name             ≤0.70 subject name close to the official name, only
+//                         when no code was printed
+// Matches below LOW_CONFIDENCE should be confirmed by the user. A printed
+// code that matches nothing stays unmatched (a course outside the
+// curriculum); suggestSubjectCode offers the name match for it instead.
+
+const LOW_CONFIDENCE = 0.8;
+// Name fallback needs a close match; its confidence scales with similarity
+const MIN_NAME_SIMILARITY = 0.8;
+const NAME_CONFIDENCE = 0.7;
+
+const STOP_WORDS = new Set(["OF", "AND", "THE", "IN", "TO", "FOR", "A", "AN", "&"]);
+const ROMAN = { I: "1", II: "2", III: "3", IV: "4", V: "5", VI: "6" };
+
+const keyCache = new WeakMap();
+
+// ==================== NAMES ====================
+function nameTokens(name) {
+  return String(name || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9&]+/g, " ")
+    .split(" ")
+    .filter((t) => t && !STOP_WORDS.has(t))
+    .map((t) => ROMAN[t] || t);
+}
+
+// Dice coefficient over name tokens: 1 = same words
+function nameSimilarity(a, b) {
+  const left = nameTokens(a);
+  const right = nameTokens(b);
+  if (left.length === 0 || right.length === 0) return 0;
+  const shared = left.filter((t) => right.includes(t)).length;
+  return (2 * shared) / (left.length + right.length);
+}
+
+// Best curriculum code for a subject name → { subjectCode, similarity } or null.
+// Official names may carry a parenthetical ("Computer Programming 1 (…)")
+function matchSubjectName(curriculum, name) {
+  let best = null;
+  Object.entries(curriculum.subjects).forEach(([code, subject]) => {
+    const similarity = Math.max(
+      nameSimilarity(name, subject.name),
+      nameSimilarity(name, subject.name.replace(/\(.*?\)/g, ""))
+    );
+    if (similarity >= MIN_NAME_SIMILARITY && (!best || similarity > best.similarity)) {
+      best = { subjectCode: code, similarity };
+    }
+  });
+  return best;
+}
+
+// Curriculum code for a subject name, or null
+function findCodeByName(curriculum, name) {
+  const match = matchSubjectName(curriculum, name);
+  return match ? match.subjectCode : null;
+}
+
+// ==================== CODE RULES ====================
+function exactKey(code) {
+  return String(code || "").toUpperCase().replace(/\s+/g, "");
+}
+
+function electiveKey(code) {
+  return exactKey(String(code || "").replace(/elec(?:tive|t)?/gi, "ELEC"));
+}
+
+// Only codes that actually carry a ".3"-style suffix go through this rule
+function subNumberedKey(code) {
+  const text = String(code || "").trim();
+  if (!/\d\.\d+$/.test(text)) return null;
+  return electiveKey(text.replace(/\.\d+$/, ""));
+}
+
+// Confusable characters folded to one form on both sides. Lowercase "l" is
+// folded before uppercasing so it is not mistaken for a real "L"
+function ocrKey(code) {
+  const text = String(code || "")
+    .trim()
+    .replace(/\.\d+$/, "")
+    .replace(/elec(?:tive|t)?/gi, "ELEC")
+    .replace(/[lI]/g, "1")
+    .replace(/[oO]/g, "0")
+    .replace(/[sS]/g, "5");
+  return exactKey(text);
+}
+
+const CODE_RULES = [
+  { rule: "exact", confidence: 1, key: exactKey },
+  { rule: "elective_variant", confidence: 0.95, key: electiveKey },
+  { rule: "sub_numbered", confidence: 0.85, key: subNumberedKey },
+  { rule: "ocr_confusion", confidence: 0.75, key: ocrKey },
+];
+
+// Per curriculum: rule → key → reference codes sharing that key
+function getReferenceKeys(curriculum) {
+  if (!keyCache.has(curriculum)) {
+    const keys = new Map();
+    CODE_RULES.forEach(({ rule, key }) => {
+      const byKey = new Map();
+      Object.keys(curriculum.subjects).forEach((code) => {
+        // Reference codes never carry a sub-number; index them by elective key
+        const k = rule === "sub_numbered" ? electiveKey(code) : key(code);
+        if (!byKey.has(k)) byKey.set(k, []);
+        byKey.get(k).push(code);
+      });
+      keys.set(rule, byKey);
+    });
+    keyCache.set(curriculum, keys);
+  }
+  return keyCache.get(curriculum);
+}
+
+// ==================== MATCHER ====================
+// The scan routes put UNKNOWN_n where no code was printed
+function isPrintedCode(code) {
+  const text = String(code || "").trim();
+  return text !== "" && !/^UNKNOWN_\d+$/.test(text);
+}
+
+// → { subjectCode, confidence, rule, needsConfirmation } or null
+function matchSubjectCode(curriculum, code, name) {
+  const referenceKeys = getReferenceKeys(curriculum);
+
+  if (isPrintedCode(code)) {
+    for (const { rule, confidence, key } of CODE_RULES) {
+      const k = key(code);
+      if (!k) continue;
+      const candidates = referenceKeys.get(rule).get(k) || [];
+      if (candidates.length === 1) {
+        return {
+          subjectCode: candidates[0],
+          confidence,
+          rule,
+          needsConfirmation: confidence < LOW_CONFIDENCE,
+        };
+      }
+    }
+    return null;
+  }
+
+  return suggestSubjectCode(curriculum, name);
+}
+
+// Name match for a subject, in the shape of matchSubjectCode, or null
+function suggestSubjectCode(curriculum, name) {
+  const byName = name ? matchSubjectName(curriculum, name) : null;
+  if (!byName) return null;
+  return {
+    subjectCode: byName.subjectCode,
+    confidence: Math.round(byName.similarity * NAME_CONFIDENCE * 100) / 100,
+    rule: "name",
+    needsConfirmation: true,
+  };
+}
+
+module.exports = {
+  LOW_CONFIDENCE,
+  nameSimilarity,
+  findCodeByName,
+  matchSubjectCode,
+  suggestSubjectCode,
+};
@@ -0,0 +1,120 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  normalizeYearLevel,
+  normalizeSemester,
+} = require("../curriculum-reference");
+const { startTestServer } = require("./helpers/server");
+
+describe("term normalization", () => {
+  it("accepts loose year level spellings", () => {
+    assert.equal(normalizeYearLevel("1"), "1st Year");
+    assert.equal(normalizeYearLevel("2nd"), "2nd Year");
+    assert.equal(normalizeYearLevel("Third Year"), "3rd Year");
+    assert.equal(normalizeYearLevel("senior"), null);
+  });
+
+  it("accepts loose semester spellings", () => {
+    assert.equal(normalizeSemester("1st Sem"), "1st Semester");
+    assert.equal(normalizeSemester("second"), "2nd Semester");
+    assert.equal(normalizeSemester("SUMMER"), "Summer");
+    assert.equal(normalizeSemester("3"), null);
+  });
+});
+
+describe("curriculum query endpoints", () => {
+  let server;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  it("GET /api/curricula lists curricula with unit totals per term", async () => {
+    const { status, body } = await server.getJson("/api/curricula");
+    assert.equal(status, 200);
+
+    const bscs = body.data.curricula.find((c) => c.id === "bscs-2022");
+    assert.equal(bscs.totalSubjects, 54);
+    assert.equal(bscs.terms.length, 9);
+    assert.deepEqual(bscs.terms[0], {
+      yearLevel: "1st Year",
+      semester: "1st Semester",
+      subjectCount: 7,
+      lecUnits: 21,
+      labUnits: 1,
+      units: 22,
+    });
+    assert.deepEqual(bscs.terms[6], {
+      yearLevel: "3rd Year",
+      semester: "Summer",
+      subjectCount: 1,
+      lecUnits: 3,
+      labUnits: 0,
+      units: 3,
+    });
+    assert.equal(
+      bscs.totals.units,
+      bscs.terms.reduce((sum, t) => sum + t.units, 0)
+    );
+  });
+
+  it("GET /api/curricula/:id/subjects filters by year level and semester", async () => {
+    const { status, body } = await server.getJson(
+      "/api/curricula/bscs-2022/subjects?yearLevel=2&semester=2nd"
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.filters, {
+      yearLevel: "2nd Year",
+      semester: "2nd Semester",
+    });
+    assert.equal(body.data.subjects.length, 8);
+    assert.deepEqual(body.data.totals, {
+      subjectCount: 8,
+      lecUnits: 19,
+      labUnits: 2,
+      units: 21,
+    });
+    assert.equal(body.data.terms.length, 1);
+  });
+
+  it("rejects invalid filters", async () => {
+    const { status, body } = await server.getJson(
+      "/api/curricula/bscs-2022/subjects?semester=winter"
+    );
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Invalid semester "winter"');
+  });
+
+  it("GET /api/curricula/:id/subjects/:code returns one subject and its term", async () => {
+    const { status, body } = await server.getJson(
+      "/api/curricula/bscs-2022/subjects/cs%20102"
+    );
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.data.subject, {
+      subjectCode: "CS 102",
+      subjectName: "Computer Programming 1 (Fundamentals of Programming)",
+      lecUnits: 2,
+      labUnits: 1,
+      units: 3,
+      yearLevel: "1st Year",
+      semester: "1st Semester",
+      prerequisites: [],
+      corequisites: [],
+    });
+    assert.equal(body.data.term.units, 22);
+  });
+
+  it("returns 404 for an unknown curriculum", async () => {
+    const { status } = await server.getJson("/api/curricula/bsxx-1999/subjects");
+    assert.equal(status, 404);
+  });
+});
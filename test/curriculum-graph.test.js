@@ -0,0 +1,188 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  buildCurriculumGraph,
+  getCurriculumGraph,
+  getPrerequisiteChain,
+  getUnlockedCourses,
+  topologicalOrder,
+  getPrerequisiteDepths,
+} = require("../curriculum-graph");
+const {
+  getDefaultCurriculum,
+  registerCurriculum,
+} = require("../curriculum-reference");
+const { startTestServer } = require("./helpers/server");
+
+function tinyCurriculum(subjects) {
+  return {
+    id: "tiny",
+    program: "TINY",
+    subjects: Object.fromEntries(
+      Object.entries(subjects).map(([code, rel]) => [
+        code,
+        {
+          name: code,
+          units: 3,
+          yearLevel: "1st Year",
+          semester: "1st Semester",
+          ...rel,
+        },
+      ])
+    ),
+  };
+}
+
+describe("curriculum graph", () => {
+  const graph = () => getCurriculumGraph(getDefaultCurriculum());
+
+  it("gives every BSCS course prerequisite and co-requisite lists", () => {
+    Object.values(getDefaultCurriculum().subjects).forEach((subject) => {
+      assert.ok(Array.isArray(subject.prerequisites));
+      assert.ok(Array.isArray(subject.corequisites));
+    });
+  });
+
+  it("orders every course after its prerequisites", () => {
+    const order = topologicalOrder(graph());
+    assert.equal(order.length, 54);
+
+    const position = new Map(order.map((code, i) => [code, i]));
+    order.forEach((code) => {
+      graph().prerequisites.get(code).forEach((prereq) => {
+        assert.ok(position.get(prereq) < position.get(code), `${prereq} < ${code}`);
+      });
+    });
+  });
+
+  it("returns the full prerequisite chain in taking order", () => {
+    const { direct, chain } = getPrerequisiteChain(graph(), "CS 125");
+
+    assert.deepEqual(direct, ["CS 124"]);
+    assert.equal(chain[chain.length - 1], "CS 124");
+    ["CS 102", "CS 103", "CS 117", "CS 118"].forEach((code) =>
+      assert.ok(chain.includes(code), code)
+    );
+    assert.ok(chain.indexOf("CS 102") < chain.indexOf("CS 103"));
+  });
+
+  it("returns the courses a subject unlocks", () => {
+    const { direct, all } = getUnlockedCourses(graph(), "CS 109");
+
+    assert.deepEqual(direct, ["CS 110", "CS 111"]);
+    assert.ok(all.includes("CS 116"));
+    assert.ok(!all.includes("CS 109"));
+  });
+
+  it("computes prerequisite depth", () => {
+    const depths = getPrerequisiteDepths(graph());
+    assert.equal(depths.get("CS 101"), 0);
+    assert.equal(depths.get("CS 103"), 1);
+  });
+
+  it("treats co-requisites as symmetric", () => {
+    const tiny = buildCurriculumGraph(
+      tinyCurriculum({ A: {}, "A LAB": { corequisites: ["A"] } })
+    );
+    assert.deepEqual(tiny.corequisites.get("A"), ["A LAB"]);
+    assert.deepEqual(tiny.corequisites.get("A LAB"), ["A"]);
+  });
+
+  it("rejects prerequisite cycles", () => {
+    assert.throws(
+      () =>
+        buildCurriculumGraph(
+          tinyCurriculum({
+            A: { prerequisites: ["C"] },
+            B: { prerequisites: ["A"] },
+            C: { prerequisites: ["B"] },
+          })
+        ),
+      (error) => {
+        assert.equal(error.status, 422);
+        assert.deepEqual(error.cycle, ["A", "C", "B", "A"]);
+        return true;
+      }
+    );
+  });
+
+  it("rejects references to unknown courses", () => {
+    assert.throws(
+      () => buildCurriculumGraph(tinyCurriculum({ A: { prerequisites: ["Z"] } })),
+      /A references unknown course "Z"/
+    );
+  });
+
+  it("refuses to register a curriculum with a cycle", () => {
+    assert.throws(
+      () =>
+        registerCurriculum(
+          tinyCurriculum({ A: { prerequisites: ["A"] } })
+        ),
+      /prerequisite cycle A → A/
+    );
+  });
+});
+
+describe("curriculum graph endpoints", () => {
+  let server;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  it("GET /api/curricula/:id/order", async () => {
+    const { status, body } = await server.getJson("/api/curricula/bscs-2022/order");
+
+    assert.equal(status, 200);
+    assert.equal(body.data.order.length, 54);
+    assert.deepEqual(body.data.order[0], {
+      subjectCode: "CS 101",
+      subjectName: "Introduction to Computing",
+      yearLevel: "1st Year",
+      semester: "1st Semester",
+      depth: 0,
+    });
+  });
+
+  it("GET /api/curricula/:id/subjects/:code/prerequisites accepts loose codes", async () => {
+    const { status, body } = await server.getJson(
+      "/api/curricula/bscs-2022/subjects/cs103/prerequisites"
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.data.subjectCode, "CS 103");
+    assert.deepEqual(
+      body.data.chain.map((c) => c.subjectCode),
+      ["CS 102"]
+    );
+  });
+
+  it("GET /api/curricula/:id/subjects/:code/unlocks", async () => {
+    const { body } = await server.getJson(
+      `/api/curricula/bscs-2022/subjects/${encodeURIComponent("CS 124")}/unlocks`
+    );
+    assert.deepEqual(
+      body.data.direct.map((c) => c.subjectCode),
+      ["CS 125"]
+    );
+  });
+
+  it("returns 404 for unknown curricula and subjects", async () => {
+    const missingCurriculum = await server.getJson("/api/curricula/nope/order");
+    assert.equal(missingCurriculum.status, 404);
+
+    const missingSubject = await server.getJson(
+      "/api/curricula/bscs-2022/subjects/XYZ1/unlocks"
+    );
+    assert.equal(missingSubject.status, 404);
+    assert.equal(missingSubject.body.error, 'Subject "XYZ1" not found in bscs-2022');
+  });
+});
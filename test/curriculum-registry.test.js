@@ -0,0 +1,154 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+
+const {
+  CURRICULUM_REFERENCE,
+  loadCurriculaFromDir,
+  listCurricula,
+  getCurriculum,
+  getDefaultCurriculum,
+  resolveCurriculum,
+  detectCurriculumFromSubjects,
+  detectCurriculumFromProgram,
+} = require("../curriculum-reference");
+const {
+  validateExtractionQuality,
+  validateOverallExtraction,
+} = require("../server");
+
+describe("curriculum registry", () => {
+  before(() => {
+    loadCurriculaFromDir(path.join(__dirname, "fixtures", "curricula"));
+  });
+
+  it("loads BSCS 2022 from data files as the default curriculum", () => {
+    const bscs = getDefaultCurriculum();
+
+    assert.equal(bscs.id, "bscs-2022");
+    assert.equal(bscs.totalSubjects, 54);
+    assert.deepEqual(bscs.summerSubjects, ["CS 122"]);
+    assert.deepEqual(bscs.yearLevels, [
+      "1st Year",
+      "2nd Year",
+      "3rd Year",
+      "4th Year",
+    ]);
+    assert.equal(CURRICULUM_REFERENCE, bscs.subjects);
+  });
+
+  it("lists every registered curriculum", () => {
+    const ids = listCurricula().map((c) => c.id);
+    assert.ok(ids.includes("bscs-2022"));
+    assert.ok(ids.includes("test-bsit-2018"));
+  });
+
+  describe("resolveCurriculum", () => {
+    it("returns null when nothing was requested", () => {
+      assert.equal(resolveCurriculum({}), null);
+    });
+
+    it("accepts a curriculum id", () => {
+      assert.equal(
+        resolveCurriculum({ curriculumVersion: "test-bsit-2018" }).id,
+        "test-bsit-2018"
+      );
+    });
+
+    it("matches programs by code or alias and school year", () => {
+      assert.equal(resolveCurriculum({ program: "bsit" }).id, "test-bsit-2018");
+      assert.equal(
+        resolveCurriculum({
+          program: "BS Computer Science",
+          curriculumVersion: "2022",
+        }).id,
+        "bscs-2022"
+      );
+    });
+
+    it("rejects unknown programs and versions with a 400", () => {
+      assert.throws(() => resolveCurriculum({ program: "BSN" }), {
+        status: 400,
+        message: 'Unknown program "BSN"',
+      });
+      assert.throws(
+        () => resolveCurriculum({ program: "BSCS", curriculumVersion: "2010" }),
+        { status: 400 }
+      );
+      assert.throws(
+        () => resolveCurriculum({ program: "BSIT", curriculumVersion: "bscs-2022" }),
+        { status: 400 }
+      );
+    });
+  });
+
+  describe("auto-detection", () => {
+    it("detects the curriculum with the most matching codes", () => {
+      const subjects = ["IT101", "IT 102", "GEC 11"].map((subjectCode) => ({
+        subjectCode,
+      }));
+      assert.equal(detectCurriculumFromSubjects(subjects).id, "test-bsit-2018");
+    });
+
+    it("falls back to the default when nothing matches", () => {
+      assert.equal(
+        detectCurriculumFromSubjects([{ subjectCode: "XYZ 1" }]).id,
+        "bscs-2022"
+      );
+    });
+
+    it("detects the program line of a COR", () => {
+      assert.equal(
+        detectCurriculumFromProgram("Bachelor of Science in Computer Science").id,
+        "bscs-2022"
+      );
+      assert.equal(
+        detectCurriculumFromProgram("BSIT - 2nd Year").id,
+        "test-bsit-2018"
+      );
+      assert.equal(detectCurriculumFromProgram("BS Nursing"), null);
+    });
+  });
+
+  describe("validators use the selected curriculum", () => {
+    const bsit = () => getCurriculum("test-bsit-2018");
+
+    function bsitSubjects(codes) {
+      return codes.map((code) => ({
+        subjectCode: code,
+        ...bsit().subjects[code],
+      }));
+    }
+
+    it("takes expected counts and year minimums from the scan layout", () => {
+      const complete = validateExtractionQuality(
+        bsitSubjects(Object.keys(bsit().subjects)),
+        1,
+        bsit()
+      );
+      assert.equal(complete.isGood, true);
+
+      const partial = validateExtractionQuality(
+        bsitSubjects(["IT 101", "IT 104", "IT 105"]),
+        1,
+        bsit()
+      );
+      assert.deepEqual(partial.issues, [
+        "Only 3 subjects found (expected 5-7 for 1st & 2nd Year)",
+        "1st Year incomplete or missing",
+      ]);
+    });
+
+    it("skips Summer checks for curricula without Summer subjects", () => {
+      const validation = validateOverallExtraction(
+        bsitSubjects(Object.keys(bsit().subjects)),
+        [{ validation: { isGood: true } }],
+        bsit()
+      );
+
+      assert.equal(validation.quality, "excellent");
+      assert.equal(validation.expectedCount, 6);
+      assert.deepEqual(validation.issues, []);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseRescanLimit,
+  planRescan,
+  sectionRegion,
+  buildRescanPrompt,
+  mergeRescanSubjects,
+} = require("../curriculum-rescan");
+const { getDefaultCurriculum } = require("../curriculum-reference");
+
+const curriculum = getDefaultCurriculum();
+const subjectsOf = (predicate) =>
+  Object.entries(curriculum.subjects)
+    .filter(([, ref]) => predicate(ref))
+    .map(([subjectCode, ref]) => ({ subjectCode, ...ref }));
+
+describe("parseRescanLimit", () => {
+  it("reads a count, the default and off values", () => {
+    assert.equal(parseRescanLimit("3"), 3);
+    assert.equal(parseRescanLimit("true"), 2);
+    assert.equal(parseRescanLimit("false"), 0);
+    assert.equal(parseRescanLimit(undefined), 0);
+  });
+
+  it("rejects invalid limits with a 400", () => {
+    ["-1", "99", "lots"].forEach((value) =>
+      assert.throws(() => parseRescanLimit(value), { status: 400 })
+    );
+  });
+});
+
+describe("planRescan", () => {
+  it("targets the missing codes of the page's own years", () => {
+    const firstYear = subjectsOf((ref) => ref.yearLevel === "1st Year");
+    const target = planRescan(firstYear, curriculum, 1);
+
+    assert.deepEqual(target.years, ["2nd Year"]);
+    assert.ok(target.codes.includes("CS 104"));
+    assert.ok(
+      target.codes.every((code) => curriculum.subjects[code].yearLevel === "2nd Year")
+    );
+  });
+
+  it("returns null when the page is complete", () => {
+    const page2 = subjectsOf((ref) => ["3rd Year", "4th Year"].includes(ref.yearLevel));
+    assert.equal(planRescan(page2, curriculum, 2), null);
+  });
+});
+
+describe("sectionRegion", () => {
+  it("crops to the band of the missing year", () => {
+    const region = sectionRegion(1000, 2000, curriculum, 1, { years: ["2nd Year"] });
+    assert.deepEqual(region, { left: 0, top: 750, width: 1000, height: 1250 });
+  });
+
+  it("keeps the whole page when every year is missing something", () => {
+    const target = { years: ["3rd Year", "4th Year"] };
+    assert.equal(sectionRegion(1000, 2000, curriculum, 2, target), null);
+  });
+});
+
+describe("buildRescanPrompt", () => {
+  it("names the missing codes and the cropped section", () => {
+    const prompt = buildRescanPrompt(
+      "Extract.",
+      { years: ["3rd Year"], codes: ["CS 122"] },
+      curriculum,
+      true
+    );
+    assert.match(prompt, /only the 3rd Year section/);
+    assert.match(prompt, /- CS 122 \(Practicum \(240 hours\)\) – 3rd Year, Summer/);
+  });
+});
+
+describe("mergeRescanSubjects", () => {
+  it("adds only codes not on the page yet", () => {
+    const { subjects, added } = mergeRescanSubjects(
+      [{ subjectCode: "CS 121" }],
+      [{ subjectCode: "CS121" }, { subjectCode: "CS 122" }, { subjectCode: "CS 122" }]
+    );
+    assert.deepEqual(added.map((s) => s.subjectCode), ["CS 122"]);
+    assert.equal(subjects.length, 2);
+  });
+});
@@ -0,0 +1,330 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  hydrateSubjectsFromReference,
+  validateExtractionQuality,
+  validateOverallExtraction,
+} = require("../server");
+const {
+  CURRICULUM_REFERENCE,
+  validateAgainstReference,
+} = require("../curriculum-reference");
+const { readFixture } = require("./helpers/fake-llm");
+
+function fixtureSubjects(name) {
+  return JSON.parse(readFixture(name)).subjects;
+}
+
+function referenceSubjects(filter = () => true) {
+  return Object.entries(CURRICULUM_REFERENCE)
+    .filter(([code, ref]) => filter(code, ref))
+    .map(([code, ref]) => ({
+      subjectCode: code,
+      subjectName: ref.name,
+      lecUnits: ref.lecUnits,
+      labUnits: ref.labUnits,
+      units: ref.units,
+      yearLevel: ref.yearLevel,
+      semester: ref.semester,
+    }));
+}
+
+function imageResult(isGood) {
+  return { validation: { isGood } };
+}
+
+describe("hydrateSubjectsFromReference", () => {
+  it("maps spacing and case variants to the reference key", () => {
+    const hydrated = hydrateSubjectsFromReference([
+      { subjectCode: "CS101", subjectName: "" },
+      { subjectCode: "MATH 102", subjectName: "" },
+      { subjectCode: " Pathfit 1 ", subjectName: "" },
+      { subjectCode: "GEC ELEC 22", subjectName: "" },
+    ]);
+
+    assert.deepEqual(
+      hydrated.map((s) => s.subjectCode),
+      ["CS 101", "Math 102", "PATHFIT 1", "GEC Elec 22"]
+    );
+    assert.equal(hydrated[0].subjectName, "Introduction to Computing");
+    assert.equal(hydrated[1].units, 5);
+    assert.equal(hydrated[3].yearLevel, "4th Year");
+  });
+
+  it("overrides model-provided placement with the reference", () => {
+    const [cs122] = hydrateSubjectsFromReference([
+      {
+        subjectCode: "CS 122",
+        subjectName: "Practicum",
+        units: 6,
+        yearLevel: "4th Year",
+        semester: "1st Semester",
+      },
+    ]);
+    assert.equal(cs122.semester, "Summer");
+    assert.equal(cs122.yearLevel, "3rd Year");
+    assert.equal(cs122.units, 3);
+  });
+
+  it("hydrates OCR and elective variants and reports the match", () => {
+    const hydrated = hydrateSubjectsFromReference([
+      { subjectCode: "CS1O1", subjectName: "" },
+      { subjectCode: "GEC Elect 21.3", subjectName: "" },
+      { subjectCode: "CS 101", subjectName: "" },
+    ]);
+
+    assert.deepEqual(
+      hydrated.map((s) => s.subjectCode),
+      ["CS 101", "GEC Elec 21", "CS 101"]
+    );
+    assert.deepEqual(hydrated[0].match, {
+      confidence: 0.75,
+      rule: "ocr_confusion",
+      needsConfirmation: true,
+      extractedCode: "CS1O1",
+    });
+    assert.equal(hydrated[1].match.rule, "sub_numbered");
+    assert.equal(hydrated[2].match.rule, "exact");
+  });
+
+  it("returns subjects not in the reference unchanged", () => {
+    const unknown = { subjectCode: "IT 101", subjectName: "Something", units: 3 };
+    assert.deepEqual(hydrateSubjectsFromReference([unknown]), [unknown]);
+  });
+});
+
+describe("validateAgainstReference", () => {
+  it("maps codes and attaches official names and units", () => {
+    const { entries, notInCurriculum, unitMismatches } =
+      validateAgainstReference([
+        { subjectCode: "MATH 101", subjectName: "Math Analysis", units: 5 },
+      ]);
+
+    assert.equal(entries[0].subjectCode, "Math 101");
+    assert.equal(entries[0].subjectName, CURRICULUM_REFERENCE["Math 101"].name);
+    assert.equal(entries[0].inCurriculum, true);
+    assert.deepEqual(entries[0].flags, []);
+    assert.equal(entries[0].extracted.subjectCode, "MATH 101");
+    assert.deepEqual(notInCurriculum, []);
+    assert.deepEqual(unitMismatches, []);
+  });
+
+  it("flags unit mismatches and courses outside the curriculum", () => {
+    const { entries, notInCurriculum, unitMismatches } =
+      validateAgainstReference([
+        { subjectCode: "CS 101", subjectName: "Intro", units: 5, grade: 1.5 },
+        { subjectCode: "IT 999", subjectName: "Basket Weaving", units: 3 },
+        { subjectCode: "CS 102", subjectName: "Programming", units: 0 },
+      ]);
+
+    assert.deepEqual(entries[0].flags, ["unit_mismatch"]);
+    assert.equal(entries[0].units, 3);
+    assert.equal(entries[0].extracted.units, 5);
+    assert.equal(entries[0].grade, 1.5);
+    assert.deepEqual(unitMismatches, [
+      { subjectCode: "CS 101", extracted: 5, reference: 3 },
+    ]);
+    assert.deepEqual(entries[1].flags, ["not_in_curriculum"]);
+    assert.equal(entries[1].subjectName, "Basket Weaving");
+    assert.deepEqual(notInCurriculum, ["IT 999"]);
+    assert.equal("suggestion" in entries[1], false);
+    // Unreadable units (0) are not a mismatch
+    assert.deepEqual(entries[2].flags, []);
+  });
+
+  it("keeps a printed code it cannot match and suggests the name match", () => {
+    const { entries, notInCurriculum, needsConfirmation } =
+      validateAgainstReference([
+        { subjectCode: "IT 101", subjectName: "Introduction to Computing", units: 3 },
+      ]);
+
+    assert.equal(entries[0].subjectCode, "IT 101");
+    assert.equal(entries[0].inCurriculum, false);
+    assert.deepEqual(entries[0].flags, ["not_in_curriculum"]);
+    assert.deepEqual(entries[0].suggestion, {
+      subjectCode: "CS 101",
+      subjectName: "Introduction to Computing",
+      confidence: 0.7,
+      rule: "name",
+    });
+    assert.deepEqual(notInCurriculum, ["IT 101"]);
+    assert.deepEqual(needsConfirmation, []);
+  });
+
+  it("flags fuzzy matches for confirmation", () => {
+    const { entries, needsConfirmation } = validateAgainstReference([
+      { subjectCode: "CS 1O4", subjectName: "Data Structure", units: 3 },
+      { subjectCode: "", subjectName: "Operating Systems", units: 3 },
+      { subjectCode: "CS Elective 1", subjectName: "CS Elective 1", units: 3 },
+    ]);
+
+    assert.deepEqual(
+      entries.map((e) => e.subjectCode),
+      ["CS 104", "CS 114", "CS Elec 1"]
+    );
+    assert.deepEqual(entries[0].flags, ["low_confidence_match"]);
+    assert.deepEqual(entries[2].flags, []);
+    assert.deepEqual(needsConfirmation, [
+      { subjectCode: "CS 104", extractedCode: "CS 1O4", confidence: 0.75, rule: "ocr_confusion" },
+      { subjectCode: "CS 114", extractedCode: "", confidence: 0.7, rule: "name" },
+    ]);
+  });
+});
+
+describe("validateExtractionQuality", () => {
+  it("accepts a complete first image (1st & 2nd Year)", () => {
+    const subjects = hydrateSubjectsFromReference(
+      fixtureSubjects("curriculum-image1.json")
+    );
+    const validation = validateExtractionQuality(subjects, 1);
+
+    assert.equal(validation.isGood, true);
+    assert.equal(validation.subjectCount, 29);
+    assert.deepEqual(validation.issues, []);
+  });
+
+  it("accepts a complete second image including Summer", () => {
+    const subjects = hydrateSubjectsFromReference(
+      fixtureSubjects("curriculum-image2.json")
+    );
+    const validation = validateExtractionQuality(subjects, 2);
+
+    assert.equal(validation.isGood, true);
+    assert.deepEqual(validation.missingCourses, []);
+  });
+
+  it("flags too few subjects and incomplete years on image 1", () => {
+    const subjects = referenceSubjects((code, ref) => ref.yearLevel === "1st Year");
+    const validation = validateExtractionQuality(subjects, 1);
+
+    assert.equal(validation.isGood, false);
+    assert.match(validation.issues[0], /Only 14 subjects found \(expected 27-31/);
+    assert.ok(validation.issues.includes("2nd Year incomplete or missing"));
+    assert.ok(!validation.issues.includes("1st Year incomplete or missing"));
+  });
+
+  it("warns about possible duplicates above the expected range", () => {
+    const subjects = hydrateSubjectsFromReference(
+      fixtureSubjects("curriculum-image1.json")
+    );
+    const validation = validateExtractionQuality(
+      [...subjects, ...subjects.slice(0, 5)],
+      1
+    );
+
+    assert.equal(validation.isGood, true);
+    assert.match(validation.warnings[0], /Found 34 subjects .* May have duplicates/);
+  });
+
+  it("reports a missing Summer practicum on image 2", () => {
+    const subjects = hydrateSubjectsFromReference(
+      fixtureSubjects("curriculum-image2-missing-summer.json")
+    );
+    const validation = validateExtractionQuality(subjects, 2);
+
+    assert.equal(validation.isGood, false);
+    assert.ok(
+      validation.issues.includes("Summer semester missing (CS 122 - Practicum)")
+    );
+    assert.deepEqual(validation.missingCourses, ["CS 122"]);
+  });
+
+  it("warns when CS 122 is not placed in Summer", () => {
+    const subjects = referenceSubjects(
+      (code, ref) => ref.yearLevel === "3rd Year" || ref.yearLevel === "4th Year"
+    ).map((s) =>
+      s.subjectCode === "CS 122" ? { ...s, semester: "2nd Semester" } : s
+    );
+    const validation = validateExtractionQuality(subjects, 2);
+
+    assert.equal(validation.isGood, true);
+    assert.deepEqual(validation.warnings, [
+      "CS 122 in wrong semester (2nd Semester), should be Summer",
+    ]);
+  });
+});
+
+describe("validateOverallExtraction", () => {
+  const all = referenceSubjects();
+
+  it("rates a full 54-subject scan as excellent", () => {
+    const validation = validateOverallExtraction(all, [
+      imageResult(true),
+      imageResult(true),
+    ]);
+
+    assert.equal(validation.quality, "excellent");
+    assert.equal(validation.success, true);
+    assert.deepEqual(validation.missingCourses, []);
+    assert.deepEqual(validation.byYear, {
+      "1st Year": 14,
+      "2nd Year": 15,
+      "3rd Year": 14,
+      "4th Year": 11,
+    });
+  });
+
+  it("rates 50-53 subjects as good and lists the missing codes", () => {
+    const subjects = all.filter(
+      (s) => !["CS 101", "GEC 19", "CS Elec 3"].includes(s.subjectCode)
+    );
+    const validation = validateOverallExtraction(subjects, [
+      imageResult(false),
+      imageResult(false),
+    ]);
+
+    assert.equal(validation.quality, "good");
+    assert.equal(validation.success, true);
+    assert.deepEqual(validation.warnings, ["3 subjects missing"]);
+    assert.deepEqual(validation.missingCourses, ["CS 101", "CS Elec 3", "GEC 19"]);
+  });
+
+  it("accepts a moderate count only when both images validated", () => {
+    const subjects = all.slice(0, 47);
+
+    const trusted = validateOverallExtraction(subjects, [
+      imageResult(true),
+      imageResult(true),
+    ]);
+    assert.equal(trusted.quality, "moderate");
+    assert.equal(trusted.success, true);
+
+    const untrusted = validateOverallExtraction(subjects, [
+      imageResult(true),
+      imageResult(false),
+    ]);
+    assert.equal(untrusted.quality, "moderate");
+    assert.equal(untrusted.success, false);
+    assert.deepEqual(untrusted.issues, ["Only 47/54 subjects extracted"]);
+  });
+
+  it("treats a good single image as a partial scan", () => {
+    const subjects = hydrateSubjectsFromReference(
+      fixtureSubjects("curriculum-image1.json")
+    );
+    const validation = validateOverallExtraction(subjects, [imageResult(true)]);
+
+    assert.equal(validation.quality, "moderate");
+    assert.equal(validation.success, true);
+    assert.deepEqual(validation.warnings, [
+      "Partial scan: 29 subjects extracted from 1 image",
+    ]);
+  });
+
+  it("reports missing years and Summer on a poor two-image scan", () => {
+    const subjects = all.filter((s) => s.yearLevel === "1st Year");
+    const validation = validateOverallExtraction(subjects, [
+      imageResult(false),
+      imageResult(false),
+    ]);
+
+    assert.equal(validation.quality, "poor");
+    assert.equal(validation.success, false);
+    assert.ok(validation.issues.includes("Very poor extraction: only 14/54 subjects"));
+    assert.ok(validation.issues.includes("2nd Year completely missing"));
+    assert.ok(validation.issues.includes("4th Year completely missing"));
+    assert.ok(validation.issues.includes("Summer semester missing (CS 122)"));
+    assert.equal(validation.missingCourses.length, 40);
+  });
+});
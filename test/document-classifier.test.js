@@ -0,0 +1,61 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  normalizeDocumentType,
+  readClassification,
+  checkDocumentType,
+} = require("../document-classifier");
+
+describe("normalizeDocumentType", () => {
+  it("accepts the model's spellings", () => {
+    assert.equal(normalizeDocumentType("cor"), "cor");
+    assert.equal(normalizeDocumentType("curriculum_checklist"), "curriculum");
+    assert.equal(normalizeDocumentType("Grade Report"), "grades");
+    assert.equal(normalizeDocumentType(" Class Schedule "), "timetable");
+  });
+
+  it("returns null for other documents and non-strings", () => {
+    assert.equal(normalizeDocumentType("other"), null);
+    assert.equal(normalizeDocumentType("receipt"), null);
+    assert.equal(normalizeDocumentType(undefined), null);
+  });
+});
+
+describe("readClassification", () => {
+  it("normalizes type and confidence", () => {
+    assert.deepEqual(
+      readClassification({ documentType: "COR", confidence: "High", reason: "Schedule table" }),
+      { documentType: "cor", confidence: "high", reason: "Schedule table" }
+    );
+  });
+
+  it("tolerates a malformed answer", () => {
+    assert.deepEqual(readClassification([]), {
+      documentType: null,
+      confidence: "unknown",
+      reason: "",
+    });
+  });
+});
+
+describe("checkDocumentType", () => {
+  it("matches when nothing or the same type was detected", () => {
+    assert.deepEqual(checkDocumentType("cor", null), {
+      expected: "cor",
+      detected: null,
+      matches: true,
+    });
+    assert.equal(checkDocumentType("grades", "grades").matches, true);
+  });
+
+  it("names the endpoint to use on a mismatch", () => {
+    assert.deepEqual(checkDocumentType("curriculum", "timetable"), {
+      expected: "curriculum",
+      detected: "timetable",
+      matches: false,
+      warning:
+        "This looks like a class timetable, not a curriculum checklist. Use /api/scan-timetable or /api/scan.",
+    });
+  });
+});
@@ -0,0 +1,292 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DOCUMENT_TYPES,
+  getDocumentSchema,
+  coerceDocument,
+} = require("../document-schemas");
+const { normalizeSchedules } = require("../schedule-time");
+const { readFixture } = require("./helpers/fake-llm");
+const { startTestServer } = require("./helpers/server");
+const { validateSchema } = require("./helpers/json-schema");
+
+const codes = (warnings) => warnings.map((w) => [w.path, w.code]);
+
+describe("coerceDocument", () => {
+  it("passes a well-formed answer through without warnings", () => {
+    const raw = JSON.parse(readFixture("curriculum-image1.json"));
+    const { value, warnings } = coerceDocument("curriculum", raw);
+
+    assert.deepEqual(warnings, []);
+    assert.deepEqual(value, raw);
+  });
+
+  it("reads numbers from text and reports each conversion", () => {
+    const { value, warnings } = coerceDocument("cor", {
+      courses: [
+        {
+          subjectCode: "CS 125",
+          subjectName: "CS Thesis 2",
+          units: "1.5",
+          schedules: [],
+        },
+        {
+          subjectCode: "CS 126",
+          subjectName: "Practicum",
+          units: "3.0 3.0 0.0",
+          schedules: [],
+        },
+      ],
+      totalCoursesFound: "2",
+      confidence: "High",
+    });
+
+    assert.equal(value.courses[0].units, 1.5);
+    assert.equal(value.courses[1].units, 3);
+    assert.equal(value.totalCoursesFound, 2);
+    assert.equal(value.confidence, "high");
+    assert.deepEqual(codes(warnings), [
+      ["courses[0].units", "coerced"],
+      ["courses[1].units", "ambiguous"],
+      ["totalCoursesFound", "coerced"],
+      ["confidence", "coerced"],
+    ]);
+    assert.equal(
+      warnings[1].message,
+      '"3.0 3.0 0.0" has several values; used 3'
+    );
+  });
+
+  it("fills required fields with their defaults and says so", () => {
+    const { value, warnings } = coerceDocument("curriculum", {
+      subjects: [{ subjectCode: "CS 101", units: null }],
+    });
+
+    assert.deepEqual(value.subjects[0], {
+      subjectCode: "CS 101",
+      subjectName: "",
+      lecUnits: 0,
+      labUnits: 0,
+      units: 0,
+      yearLevel: "Unknown",
+      semester: "Unknown",
+    });
+    assert.deepEqual(
+      warnings.map((w) => w.path),
+      [
+        "subjects[0].subjectName",
+        "subjects[0].lecUnits",
+        "subjects[0].labUnits",
+        "subjects[0].units",
+        "subjects[0].yearLevel",
+        "subjects[0].semester",
+      ]
+    );
+    assert.ok(warnings.every((w) => w.code === "missing"));
+    assert.equal(warnings[3].value, null);
+  });
+
+  it("rejects unusable values instead of guessing", () => {
+    const { value, warnings } = coerceDocument("curriculum", {
+      subjects: [
+        {
+          subjectCode: "CS 101",
+          subjectName: "Intro",
+          lecUnits: "three",
+          labUnits: -1,
+          units: 300,
+          yearLevel: "1st Year",
+          semester: "",
+        },
+      ],
+      confidence: "certain",
+    });
+
+    const [subject] = value.subjects;
+    assert.equal(subject.lecUnits, 0);
+    assert.equal(subject.labUnits, 0);
+    assert.equal(subject.units, 0);
+    assert.equal(subject.semester, "Unknown");
+    assert.equal("confidence" in value, false);
+    assert.deepEqual(codes(warnings), [
+      ["subjects[0].lecUnits", "invalid"],
+      ["subjects[0].labUnits", "invalid"],
+      ["subjects[0].units", "invalid"],
+      ["subjects[0].semester", "invalid"],
+      ["confidence", "invalid"],
+    ]);
+  });
+
+  it("drops unknown fields and unusable entries", () => {
+    const { value, warnings } = coerceDocument("timetable", {
+      studentName: "Juan Dela Cruz",
+      subjects: [
+        "CS 101 Monday",
+        {
+          subjectName: "Networks",
+          schedules: { day: "Monday", startTime: "9:00 AM", endTime: "10:00 AM" },
+          teacher: "Reyes",
+        },
+      ],
+    });
+
+    assert.equal(value.subjects.length, 1);
+    assert.equal(value.subjects[0].schedules.length, 1);
+    assert.equal("teacher" in value.subjects[0], false);
+    assert.equal("studentName" in value, false);
+    assert.deepEqual(codes(warnings), [
+      ["subjects[0]", "dropped"],
+      ["subjects[1].schedules", "coerced"],
+      ["subjects[1].teacher", "dropped"],
+      ["studentName", "dropped"],
+    ]);
+    assert.equal(warnings[3].value, "Juan Dela Cruz");
+  });
+
+  it("keeps text grades for grade-status.js to read", () => {
+    const { value, warnings } = coerceDocument("grades", {
+      grades: [
+        { subjectCode: "CS 120", grade: "1.75 PASSED" },
+        { subjectCode: "CS 124", grade: "INC", remarks: null },
+        { subjectCode: "CS 119" },
+      ],
+    });
+
+    assert.deepEqual(
+      value.grades.map((g) => g.grade),
+      ["1.75 PASSED", "INC", null]
+    );
+    assert.deepEqual(codes(warnings), [["grades[2].grade", "missing"]]);
+  });
+
+  it("gives a non-object answer the schema's empty shape", () => {
+    const { value, warnings } = coerceDocument("cor", [1, 2]);
+
+    assert.deepEqual(value, { program: "", courses: [] });
+    assert.deepEqual(codes(warnings), [
+      ["", "invalid"],
+      ["courses", "missing"],
+    ]);
+  });
+
+  it("keeps both schedule row shapes readable by normalizeSchedules", () => {
+    const corRow = {
+      day: "Wednesday",
+      startTime: "1:00 PM",
+      endTime: "4:00 PM",
+      room: "L1",
+    };
+    const timetableRow = { day: "MWF", time: "1:00 - 2:00 PM" };
+    const cor = coerceDocument("cor", {
+      courses: [
+        {
+          subjectCode: "CS 125",
+          subjectName: "CS Thesis 2",
+          units: 3,
+          schedules: [corRow],
+        },
+      ],
+    });
+    const timetable = coerceDocument("timetable", {
+      subjects: [{ subjectName: "Networks", schedules: [timetableRow] }],
+    });
+
+    assert.deepEqual(cor.warnings, []);
+    assert.deepEqual(timetable.warnings, []);
+    assert.deepEqual(cor.value.courses[0].schedules, [corRow]);
+    assert.deepEqual(timetable.value.subjects[0].schedules, [timetableRow]);
+
+    const corEntries = normalizeSchedules(cor.value.courses[0].schedules);
+    assert.deepEqual(
+      corEntries.map((e) => [e.day, e.startTime, e.endTime, e.room, e.valid]),
+      [["Wednesday", "13:00", "16:00", "L1", true]]
+    );
+    const timetableEntries = normalizeSchedules(
+      timetable.value.subjects[0].schedules
+    );
+    assert.deepEqual(
+      timetableEntries.map((e) => [e.day, e.startTime, e.endTime, e.valid]),
+      [
+        ["Monday", "13:00", "14:00", true],
+        ["Wednesday", "13:00", "14:00", true],
+        ["Friday", "13:00", "14:00", true],
+      ]
+    );
+  });
+
+  it("rejects unknown document types", () => {
+    assert.throws(() => coerceDocument("diploma", {}), {
+      status: 404,
+      message: /Unknown document type "diploma"/,
+    });
+  });
+});
+
+describe("schema endpoints", () => {
+  let server;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  it("GET /api/schemas lists one schema per document type", async () => {
+    const { status, body } = await server.getJson("/api/schemas");
+
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.data.map((s) => s.type),
+      ["cor", "curriculum", "grades", "timetable"]
+    );
+    assert.equal(body.data[0].url, "/api/schemas/cor");
+  });
+
+  it("GET /api/schemas/:type serves the JSON Schema document", async () => {
+    const res = await fetch(`${server.baseUrl}/api/schemas/grades`);
+    const schema = await res.json();
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /application\/schema\+json/);
+    assert.equal(schema.$schema, "https://json-schema.org/draft/2020-12/schema");
+    assert.equal(schema.$id, `${server.baseUrl}/api/schemas/grades`);
+    assert.deepEqual(schema.required, getDocumentSchema("grades").required);
+    assert.deepEqual(schema.properties.grades.items.properties.grade.type, [
+      "number",
+      "string",
+      "null",
+    ]);
+  });
+
+  it("validates real scan responses, unreadable schedules included", async () => {
+    server.fakeLLM.enqueue("timetable.json", "cor-unvalidated.json");
+    const timetable = await server.postImages("/api/scan-timetable", [
+      Buffer.from("not really an image"),
+    ]);
+    const cor = await server.postImages("/api/scan-cor", [
+      Buffer.from("not really an image"),
+    ]);
+    // The timetable's second class has no end time: null in the response
+    assert.equal(timetable.body.data.subjects[1].schedules[0].endTime, null);
+
+    for (const [type, body] of [
+      ["timetable", timetable.body],
+      ["cor", cor.body],
+    ]) {
+      const res = await fetch(`${server.baseUrl}/api/schemas/${type}`);
+      assert.deepEqual(validateSchema(await res.json(), body.data), []);
+    }
+  });
+
+  it("answers 404 for an unknown type", async () => {
+    const { status, body } = await server.getJson("/api/schemas/diploma");
+
+    assert.equal(status, 404);
+    assert.match(body.error, new RegExp(DOCUMENT_TYPES.join(", ")));
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseGradeValue, parseGradeRecords } = require("../grade-status");
+const { readFixture } = require("./helpers/fake-llm");
+
+describe("parseGradeValue", () => {
+  it("reads numeric grades from numbers and strings", () => {
+    assert.deepEqual(parseGradeValue(1.5, ""), { grade: 1.5, status: "NUMERIC" });
+    assert.deepEqual(parseGradeValue("2.75", undefined), {
+      grade: 2.75,
+      status: "NUMERIC",
+    });
+  });
+
+  it("takes the status from the remarks column or the grade cell", () => {
+    assert.deepEqual(parseGradeValue(1.8, "PASSED"), { grade: 1.8, status: "PASSED" });
+    assert.deepEqual(parseGradeValue("1.75 PASSED", ""), {
+      grade: 1.75,
+      status: "PASSED",
+    });
+    assert.deepEqual(parseGradeValue("", "Failed"), { grade: null, status: "FAILED" });
+  });
+
+  it("never attaches a grade to INC or DRP", () => {
+    assert.deepEqual(parseGradeValue("INC", ""), { grade: null, status: "INC" });
+    assert.deepEqual(parseGradeValue("3.0", "Dropped"), { grade: null, status: "DRP" });
+  });
+
+  it("rejects out-of-range numbers without a status", () => {
+    assert.equal(parseGradeValue(85, ""), null);
+    assert.equal(parseGradeValue(null, ""), null);
+  });
+});
+
+describe("parseGradeRecords", () => {
+  it("keeps INC, DRP and remark-only rows as structured records", () => {
+    const records = parseGradeRecords(
+      JSON.parse(readFixture("grades-remarks.json")).grades
+    );
+
+    assert.deepEqual(
+      records.map((r) => [r.subjectCode, r.grade, r.status]),
+      [
+        ["GEC 18", 1.8, "PASSED"],
+        ["CS 124", null, "INC"],
+        ["CS 119", null, "DRP"],
+        ["NSTP 2", null, "PASSED"],
+        ["CS 121", 5, "FAILED"],
+        ["CS 120", 1.75, "PASSED"],
+        ["GEC 17", 2.25, "NUMERIC"],
+      ]
+    );
+  });
+
+  it("records dropped rows and grades read out of mixed text", () => {
+    const warnings = [];
+    parseGradeRecords(
+      [
+        { subjectCode: "CS 120", grade: "1.75 PASSED" },
+        { subjectCode: "GEC 16", grade: 85, remarks: "" },
+      ],
+      warnings
+    );
+
+    assert.deepEqual(warnings, [
+      {
+        path: "grades[0].grade",
+        code: "coerced",
+        message: '"1.75 PASSED" read as grade 1.75, status PASSED',
+        value: "1.75 PASSED",
+      },
+      {
+        path: "grades[1]",
+        code: "dropped",
+        message: "No valid grade or status",
+        value: { grade: 85, remarks: "" },
+      },
+    ]);
+  });
+});
@@ -0,0 +1,179 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  auditGraduation,
+  getElectiveCategory,
+} = require("../graduation-audit");
+const { getDefaultCurriculum } = require("../curriculum-reference");
+const { startTestServer } = require("./helpers/server");
+
+const curriculum = getDefaultCurriculum();
+
+// Every curriculum subject passed with 2.0, codes in scan spelling ("CS101")
+function fullTranscript() {
+  return Object.keys(curriculum.subjects).map((code) => ({
+    subjectCode: code.replace(/\s+/g, ""),
+    grade: 2.0,
+    status: "NUMERIC",
+  }));
+}
+
+function codesIn(groups) {
+  return groups.flatMap((term) => term.subjects.map((s) => s.subjectCode));
+}
+
+describe("getElectiveCategory", () => {
+  it("normalizes elective spellings and drops the slot number", () => {
+    assert.equal(getElectiveCategory("CS Elec 1"), "CS ELEC");
+    assert.equal(getElectiveCategory("CS Elective 4"), "CS ELEC");
+    assert.equal(getElectiveCategory("GEC Elect 21"), "GEC ELEC");
+    assert.equal(getElectiveCategory("Math Elec 101"), "MATH ELEC");
+    assert.equal(getElectiveCategory("CS 101"), null);
+  });
+});
+
+describe("auditGraduation", () => {
+  it("marks a complete transcript as eligible to graduate", () => {
+    const audit = auditGraduation(fullTranscript(), curriculum);
+
+    assert.equal(audit.eligibleToGraduate, true);
+    assert.equal(audit.summary.completed, curriculum.totalSubjects);
+    assert.equal(audit.summary.unitsEarned, audit.summary.unitsRequired);
+    assert.equal(audit.summary.percentComplete, 100);
+    assert.deepEqual(audit.missing, []);
+    assert.ok(audit.electives.every((e) => e.satisfied));
+  });
+
+  it("sorts subjects into completed, failed, in-progress and missing", () => {
+    const audit = auditGraduation(
+      [
+        { subjectCode: "CS 101", grade: 1.5, status: "NUMERIC" },
+        { subjectCode: "CS 102", grade: 5.0, status: "NUMERIC" },
+        { subjectCode: "CS 103", grade: null, status: "INC" },
+        { subjectCode: "Math 101", grade: 4.0, status: "NUMERIC" },
+        { subjectCode: "GEC 11", grade: null, status: "DRP" },
+      ],
+      curriculum,
+      { inProgress: ["CS104"] }
+    );
+
+    assert.deepEqual(codesIn(audit.completed), ["CS 101"]);
+    assert.deepEqual(codesIn(audit.failed), ["CS 102"]);
+    assert.deepEqual(codesIn(audit.inProgress).sort(), [
+      "CS 103",
+      "CS 104",
+      "Math 101",
+    ]);
+    // Dropped subjects still have to be taken
+    const missingCodes = codesIn(audit.missing);
+    assert.ok(missingCodes.includes("GEC 11"));
+    assert.equal(missingCodes.length, curriculum.totalSubjects - 5);
+    assert.equal(audit.eligibleToGraduate, false);
+  });
+
+  it("groups subjects by year and semester in academic order", () => {
+    const audit = auditGraduation([], curriculum);
+    const terms = audit.missing.map((t) => `${t.yearLevel}|${t.semester}`);
+
+    assert.equal(terms[0], "1st Year|1st Semester");
+    assert.ok(terms.indexOf("3rd Year|Summer") < terms.indexOf("4th Year|1st Semester"));
+    assert.equal(
+      audit.missing.reduce((sum, t) => sum + t.units, 0),
+      audit.summary.unitsRequired
+    );
+  });
+
+  it("keeps the best attempt when a subject was retaken", () => {
+    const audit = auditGraduation(
+      [
+        { subjectCode: "CS 102", grade: 5.0, status: "NUMERIC" },
+        { subjectCode: "CS 102", grade: 2.25, status: "NUMERIC" },
+      ],
+      curriculum
+    );
+
+    const [entry] = audit.completed[0].subjects;
+    assert.equal(entry.subjectCode, "CS 102");
+    assert.equal(entry.grade, 2.25);
+    assert.equal(entry.attempts.length, 2);
+    assert.deepEqual(audit.failed, []);
+  });
+
+  it("fills open elective slots with passed electives outside the curriculum", () => {
+    const grades = fullTranscript().filter(
+      (g) => !["CSElec3", "GECElec22"].includes(g.subjectCode)
+    );
+    grades.push(
+      { subjectCode: "CS Elective 4", grade: 1.75, status: "NUMERIC" },
+      { subjectCode: "GEC Elect 30", grade: 5.0, status: "NUMERIC" },
+      { subjectCode: "PE 99", grade: 1.0, status: "NUMERIC" }
+    );
+
+    const audit = auditGraduation(grades, curriculum);
+    const slot = (code) => audit.electives.find((e) => e.subjectCode === code);
+
+    assert.equal(slot("CS Elec 3").satisfied, true);
+    assert.equal(slot("CS Elec 3").satisfiedBy, "CS Elective 4");
+    // A failed elective does not fill a slot
+    assert.equal(slot("GEC Elec 22").satisfied, false);
+    assert.deepEqual(codesIn(audit.missing), ["GEC Elec 22"]);
+    assert.deepEqual(
+      audit.unmatched.map((u) => u.subjectCode),
+      ["GEC Elect 30", "PE 99"]
+    );
+  });
+});
+
+describe("POST /api/audit", () => {
+  let server;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  async function postAudit(body) {
+    const res = await fetch(`${server.baseUrl}/api/audit`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it("merges several /api/scan-grades results", async () => {
+    const transcript = fullTranscript();
+    const { status, body } = await postAudit({
+      scans: [
+        { grades: transcript.slice(0, 30) },
+        { grades: transcript.slice(30) },
+      ],
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.curriculum.id, "bscs-2022");
+    assert.equal(body.data.eligibleToGraduate, true);
+  });
+
+  it("rejects a request without grades", async () => {
+    const { status, body } = await postAudit({});
+
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+  });
+
+  it("rejects an unknown program", async () => {
+    const { status } = await postAudit({
+      program: "BS Astrology",
+      grades: [{ subjectCode: "CS 101", grade: 1.0 }],
+    });
+
+    assert.equal(status, 400);
+  });
+});
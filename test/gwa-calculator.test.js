@@ -0,0 +1,235 @@
+const { describe, it, before, after, afterEach, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  DEFAULT_THRESHOLDS,
+  getThresholds,
+  computeGwa,
+} = require("../gwa-calculator");
+const { getDefaultCurriculum } = require("../curriculum-reference");
+const { startTestServer } = require("./helpers/server");
+
+const FIRST_TERM = [
+  { subjectCode: "CS101", grade: 1.0 },
+  { subjectCode: "CS 102", grade: 1.5 },
+  { subjectCode: "MATH 101", grade: 1.25 },
+  { subjectCode: "Phys 1", grade: 1.75 },
+  { subjectCode: "GEC 11", grade: 1.0 },
+  { subjectCode: "PATHFIT 1", grade: 1.0 },
+  { subjectCode: "NSTP 11", grade: 1.5 },
+];
+
+const SECOND_TERM = [
+  { subjectCode: "CS 103", grade: 5.0 },
+  { subjectCode: "Math 102", grade: 4.0 },
+  { subjectCode: "GEC 12", grade: 2.0 },
+];
+
+describe("computeGwa", () => {
+  const curriculum = getDefaultCurriculum();
+
+  it("weights grades by curriculum units and skips PATHFIT/NSTP", () => {
+    const result = computeGwa(FIRST_TERM, curriculum);
+
+    assert.equal(result.terms.length, 1);
+    assert.equal(result.terms[0].gwa, 1.2941); // 22 / 17
+    assert.equal(result.terms[0].units, 17);
+    assert.deepEqual(
+      result.excluded.map((e) => e.subjectCode),
+      ["PATHFIT 1", "NSTP 11"]
+    );
+  });
+
+  it("computes per-term and cumulative GWA", () => {
+    const result = computeGwa([...SECOND_TERM, ...FIRST_TERM], curriculum);
+
+    assert.deepEqual(
+      result.terms.map((t) => [t.semester, t.gwa]),
+      [
+        ["1st Semester", 1.2941],
+        ["2nd Semester", 3.7273], // 41 / 11
+      ]
+    );
+    assert.deepEqual(result.cumulative, { gwa: 2.25, units: 28, subjectCount: 8 });
+  });
+
+  it("reports failed and conditional subjects", () => {
+    const result = computeGwa(SECOND_TERM, curriculum);
+
+    assert.deepEqual(result.failed.map((e) => e.subjectCode), ["CS 103"]);
+    assert.deepEqual(result.conditional.map((e) => e.subjectCode), ["Math 102"]);
+  });
+
+  it("flags Dean's list per term", () => {
+    const result = computeGwa([...FIRST_TERM, ...SECOND_TERM], curriculum);
+
+    assert.deepEqual(result.terms[0].deansList, { eligible: true, reasons: [] });
+    assert.equal(result.terms[1].deansList.eligible, false);
+    assert.deepEqual(result.terms[1].deansList.reasons, [
+      "Term GWA must be 1.75 or better",
+      "No grade lower than 2.5 allowed",
+      "At least 15 GWA units required (has 11)",
+    ]);
+  });
+
+  it("awards the best Latin honor the cumulative GWA qualifies for", () => {
+    assert.deepEqual(computeGwa(FIRST_TERM, curriculum).latinHonors, {
+      eligible: true,
+      title: "Magna Cum Laude",
+      reasons: [],
+    });
+
+    const blocked = computeGwa([...FIRST_TERM, ...SECOND_TERM], curriculum);
+    assert.equal(blocked.latinHonors.eligible, false);
+    assert.ok(blocked.latinHonors.reasons.includes("Has failed or conditional grades"));
+  });
+
+  it("applies threshold overrides", () => {
+    const result = computeGwa(FIRST_TERM, curriculum, {
+      excludedPrefixes: [],
+      deansList: { minUnits: 30 },
+      latinHonors: { levels: [{ title: "Summa Cum Laude", maxGwa: 1.3 }] },
+    });
+
+    assert.equal(result.terms[0].units, 22);
+    assert.equal(result.terms[0].deansList.eligible, false);
+    assert.equal(result.latinHonors.title, "Summa Cum Laude");
+  });
+
+  it("rejects threshold overrides of the wrong shape", () => {
+    const overrides = [
+      [{ excludedPrefixes: "NSTP" }, /excludedPrefixes must be a list of strings/],
+      [{ latinHonors: { levels: [] } }, /latinHonors.levels must be a non-empty list/],
+      [{ latinHonors: { levels: [{ title: "Cum Laude", maxGwa: "1.75" }] } }, /latinHonors.levels/],
+      [{ failingGrade: "5" }, /failingGrade must be a number/],
+      [{ deansList: null }, /deansList.maxGwa must be a number/],
+    ];
+    for (const [override, message] of overrides) {
+      assert.throws(() => computeGwa(FIRST_TERM, curriculum, override), {
+        status: 400,
+        message,
+      });
+    }
+  });
+
+  it("uses given units for subjects outside the curriculum", () => {
+    const result = computeGwa(
+      [
+        { subjectCode: "IT 101", grade: 1.0, units: 3 },
+        { subjectCode: "XYZ 9", grade: 2.0 },
+      ],
+      curriculum
+    );
+
+    assert.equal(result.cumulative.units, 3);
+    assert.deepEqual(result.unmatched.map((e) => e.subjectCode), ["XYZ 9"]);
+  });
+
+  it("matches misread codes like the scan routes do", () => {
+    const result = computeGwa(
+      [
+        { subjectCode: "CS 1O4", grade: 1.5 },
+        { subjectCode: "", subjectName: "Operating Systems", grade: 2.0 },
+      ],
+      curriculum
+    );
+    const [misread, byName] = result.terms.flatMap((t) => t.subjects);
+
+    assert.equal(misread.subjectCode, "CS 104");
+    assert.equal(misread.extractedCode, "CS 1O4");
+    assert.equal(misread.needsConfirmation, true);
+    assert.equal(byName.subjectCode, "CS 114");
+    assert.deepEqual(result.unmatched, []);
+  });
+
+  describe("GWA_THRESHOLDS", () => {
+    afterEach(() => {
+      delete process.env.GWA_THRESHOLDS;
+      mock.restoreAll();
+    });
+
+    it("applies the configured thresholds", () => {
+      process.env.GWA_THRESHOLDS = JSON.stringify({ excludedPrefixes: [] });
+
+      assert.equal(computeGwa(FIRST_TERM, curriculum).terms[0].units, 22);
+    });
+
+    it("falls back to the defaults when the configured shape is wrong", () => {
+      const log = mock.method(console, "log", () => {});
+      process.env.GWA_THRESHOLDS = JSON.stringify({ excludedPrefixes: "NSTP" });
+
+      assert.deepEqual(getThresholds(), DEFAULT_THRESHOLDS);
+      assert.match(log.mock.calls[0].arguments[0], /excludedPrefixes/);
+    });
+
+    it("logs unreadable JSON once and falls back to the defaults", () => {
+      const log = mock.method(console, "log", () => {});
+      process.env.GWA_THRESHOLDS = "{ failingGrade: 5 ";
+
+      assert.deepEqual(getThresholds(), DEFAULT_THRESHOLDS);
+      assert.equal(computeGwa(FIRST_TERM, curriculum).terms[0].units, 17);
+      assert.equal(log.mock.callCount(), 1);
+      assert.match(log.mock.calls[0].arguments[0], /Ignoring GWA_THRESHOLDS/);
+    });
+  });
+});
+
+describe("POST /api/gwa", () => {
+  let server;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  async function postJson(body) {
+    const res = await fetch(`${server.baseUrl}/api/gwa`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it("computes GWA for grades merged from several scans", async () => {
+    const { status, body } = await postJson({
+      grades: [...FIRST_TERM, ...SECOND_TERM],
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.curriculum.id, "bscs-2022");
+    assert.equal(body.data.cumulative.gwa, 2.25);
+  });
+
+  it("requires a grades array", async () => {
+    const { status } = await postJson({});
+    assert.equal(status, 400);
+  });
+
+  it("answers 400 for malformed thresholds", async () => {
+    const { status, body } = await postJson({
+      grades: FIRST_TERM,
+      thresholds: { excludedPrefixes: "NSTP" },
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /excludedPrefixes/);
+  });
+
+  it("is available as an option on /api/scan-grades", async () => {
+    server.fakeLLM.enqueue("grades-prose.txt");
+    const { body } = await server.postImages(
+      "/api/scan-grades",
+      [Buffer.from("not really an image")],
+      { computeGwa: "true" }
+    );
+
+    assert.equal(body.data.gwa.failed[0].subjectCode, "CS 113");
+    assert.equal(body.data.gwa.cumulative.units, 7);
+  });
+});
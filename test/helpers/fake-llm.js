@@ -0,0 +1,109 @@
+// test/helpers/fake-llm.js
+// Deterministic OpenAI-compatible completion backend for tests.
+// Responses are recorded model outputs from test/fixtures/llm, served in the
+// order they were queued, so the real provider/client code path is exercised
+// without a Groq key or network access.
+
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+
+const FIXTURE_DIR = path.join(__dirname, "..", "fixtures", "llm");
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURE_DIR, name), "utf8");
+}
+
+async function startFakeLLM() {
+  const queue = [];
+  const requests = [];
+  const timers = new Set();
+
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      if (req.method !== "POST" || !req.url.endsWith("/chat/completions")) {
+        res.writeHead(404, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ error: { message: "Not found" } }));
+      }
+
+      const payload = JSON.parse(body);
+      requests.push(payload);
+
+      const next = queue.shift();
+      if (!next) {
+        res.writeHead(500, { "Content-Type": "application/json" });
+        return res.end(
+          JSON.stringify({ error: { message: "No fake response queued" } })
+        );
+      }
+
+      if (next.status) {
+        res.writeHead(next.status, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ error: { message: next.message } }));
+      }
+
+      const respond = () => {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(
+          JSON.stringify({
+            id: `chatcmpl-fake-${requests.length}`,
+            object: "chat.completion",
+            created: 0,
+            model: payload.model,
+            choices: [
+              {
+                index: 0,
+                message: { role: "assistant", content: next.content },
+                finish_reason: "stop",
+              },
+            ],
+          })
+        );
+      };
+
+      if (!next.delayMs) return respond();
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        if (!res.destroyed) respond();
+      }, next.delayMs);
+      timers.add(timer);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    baseURL: `http://127.0.0.1:${port}/v1`,
+    requests,
+
+    // Queue fixture files (by name) to be returned by the next calls
+    enqueue(...fixtureNames) {
+      fixtureNames.forEach((name) => queue.push({ content: readFixture(name) }));
+    },
+
+    // Queue a fixture answered only after delayMs (slow model, cancellation)
+    enqueueDelayed(delayMs, fixtureName) {
+      queue.push({ content: readFixture(fixtureName), delayMs });
+    },
+
+    // Queue an HTTP error response (e.g. 429 rate limit)
+    enqueueError(status, message) {
+      queue.push({ status, message });
+    },
+
+    reset() {
+      queue.length = 0;
+      requests.length = 0;
+    },
+
+    close() {
+      timers.forEach((timer) => clearTimeout(timer));
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { startFakeLLM, readFixture };
@@ -0,0 +1,97 @@
+// test/helpers/images.js
+// Sample document images generated with sharp, so tests need no binary fixtures.
+
+const sharp = require("sharp");
+
+// A white "page" with grey table rows, roughly like a scanned checklist
+async function createDocumentImage({
+  width = 1200,
+  height = 900,
+  rows = 30,
+  background = "#ffffff",
+} = {}) {
+  const rowHeight = Math.floor(height / (rows + 2));
+  const overlays = [];
+
+  for (let i = 0; i < rows; i++) {
+    overlays.push({
+      input: {
+        create: {
+          width: Math.floor(width * 0.8),
+          height: Math.max(1, Math.floor(rowHeight / 3)),
+          channels: 3,
+          background: "#555555",
+        },
+      },
+      left: Math.floor(width * 0.1),
+      top: rowHeight * (i + 1),
+    });
+  }
+
+  return sharp({ create: { width, height, channels: 3, background } })
+    .composite(overlays)
+    .png()
+    .toBuffer();
+}
+
+function createLowResImage() {
+  return createDocumentImage({ width: 400, height: 300, rows: 5 });
+}
+
+function createDarkImage() {
+  return sharp({
+    create: { width: 1000, height: 800, channels: 3, background: "#111111" },
+  })
+    .png()
+    .toBuffer();
+}
+
+async function createBlurryImage(sigma = 8) {
+  return sharp(await createDocumentImage()).blur(sigma).png().toBuffer();
+}
+
+// Rotated clockwise by `angle` degrees on white
+async function createSkewedImage(angle) {
+  return sharp(await createDocumentImage())
+    .rotate(angle, { background: "#ffffff" })
+    .png()
+    .toBuffer();
+}
+
+// Grey paper with a blown-out white patch, like a lamp reflection
+async function createGlareImage({ width = 500, height = 400 } = {}) {
+  return sharp(await createDocumentImage({ background: "#bbbbbb" }))
+    .composite([
+      {
+        input: { create: { width, height, channels: 3, background: "#ffffff" } },
+        left: 300,
+        top: 200,
+      },
+    ])
+    .png()
+    .toBuffer();
+}
+
+// Portrait page rotated by `angle` on a dark desk, like a handheld phone photo
+async function createDeskPhoto(angle = 12) {
+  const page = await createDocumentImage({ width: 900, height: 1200 });
+  const tilted = await sharp(page)
+    .rotate(angle, { background: "#403020" })
+    .toBuffer();
+  return sharp({
+    create: { width: 1600, height: 1600, channels: 3, background: "#403020" },
+  })
+    .composite([{ input: tilted, left: 200, top: 100 }])
+    .png()
+    .toBuffer();
+}
+
+module.exports = {
+  createDocumentImage,
+  createLowResImage,
+  createDarkImage,
+  createBlurryImage,
+  createSkewedImage,
+  createGlareImage,
+  createDeskPhoto,
+};
@@ -0,0 +1,65 @@
+// test/helpers/json-schema.js
+// Checks a value against the JSON Schema keywords document-schemas.js uses
+// (type, properties, required, items, enum, minimum, maximum, minLength).
+// → list of "path: problem" strings, empty when the value is valid
+
+function hasType(value, type) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return typeof value === "object" && value !== null && !Array.isArray(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function validateSchema(schema, value, path = "") {
+  const at = path || "(root)";
+  const types = schema.type === undefined ? [] : [].concat(schema.type);
+  if (types.length > 0 && !types.some((type) => hasType(value, type))) {
+    return [`${at}: expected ${types.join(" or ")}, got ${JSON.stringify(value)}`];
+  }
+
+  const problems = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${at}: ${JSON.stringify(value)} is not in the enum`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push(`${at}: ${value} is below ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push(`${at}: ${value} is above ${schema.maximum}`);
+    }
+  }
+  if (typeof value === "string" && value.length < (schema.minLength || 0)) {
+    problems.push(`${at}: shorter than ${schema.minLength}`);
+  }
+  if (hasType(value, "object")) {
+    (schema.required || [])
+      .filter((key) => !(key in value))
+      .forEach((key) => problems.push(`${at}: missing ${key}`));
+    Object.entries(schema.properties || {})
+      .filter(([key]) => key in value)
+      .forEach(([key, property]) =>
+        problems.push(
+          ...validateSchema(property, value[key], path ? `${path}.${key}` : key)
+        )
+      );
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) =>
+      problems.push(...validateSchema(schema.items, item, `${path}[${index}]`))
+    );
+  }
+  return problems;
+}
+
+module.exports = { validateSchema };
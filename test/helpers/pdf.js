@@ -0,0 +1,60 @@
+// test/helpers/pdf.js
+// Minimal PDFs written by hand, so tests need no binary fixtures. Each page
+// carries grey table rows like the sample document images, plus a line of
+// text so text rendering is exercised too.
+
+// width/height in points (1/72 inch); US Letter by default
+function createPdf({ pages = 1, width = 612, height = 792, rows = 20 } = {}) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalog = add(null);
+  const pageTree = add(null);
+  const font = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>");
+
+  const pageIds = [];
+  for (let p = 0; p < pages; p++) {
+    const rowHeight = height / (rows + 4);
+    const bars = [];
+    for (let i = 0; i < rows; i++) {
+      const y = height - rowHeight * (i + 3);
+      bars.push(`${width * 0.1} ${y.toFixed(1)} ${width * 0.8} ${(rowHeight / 3).toFixed(1)} re f`);
+    }
+    const stream = [
+      "0.33 g",
+      ...bars,
+      "0 g",
+      `BT /F1 18 Tf ${width * 0.1} ${height - rowHeight * 1.5} Td (Page ${p + 1}) Tj ET`,
+    ].join("\n");
+    const content = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    pageIds.push(
+      add(
+        `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+          `/Resources << /Font << /F1 ${font} 0 R >> >> /Contents ${content} 0 R >>`
+      )
+    );
+  }
+
+  objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+  objects[pageTree - 1] =
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages} >>`;
+
+  let pdf = "%PDF-1.4\n";
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  offsets.forEach((offset) => {
+    pdf += `${String(offset).padStart(10, "0")} 00000 n \n`;
+  });
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+module.exports = { createPdf };
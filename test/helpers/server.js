@@ -0,0 +1,77 @@
+// test/helpers/server.js
+// Boots the Express app on a random port against the fake LLM backend.
+
+const { startFakeLLM } = require("./fake-llm");
+
+async function startTestServer() {
+  const fakeLLM = await startFakeLLM();
+
+  process.env.VISION_PROVIDER = "openai-compatible";
+  process.env.OPENAI_COMPATIBLE_BASE_URL = fakeLLM.baseURL;
+  process.env.OPENAI_COMPATIBLE_MODEL = "fake-vision";
+  process.env.VISION_MAX_RETRIES = "0";
+  delete process.env.VISION_FALLBACK_PROVIDER;
+  // Tests reuse one image with different responses; cache tests opt back in
+  process.env.SCAN_CACHE = "false";
+  // Every test request comes from 127.0.0.1; limit tests opt back in
+  process.env.CLIENT_REQUESTS_PER_MINUTE = "0";
+
+  const { app } = require("../../server");
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, "127.0.0.1", () => resolve(s));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    baseUrl,
+    fakeLLM,
+
+    // POST one or more image buffers as multipart "image" fields
+    async postImages(route, images, fields = {}) {
+      const form = new FormData();
+      Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+      images.forEach((buffer, i) => {
+        form.append(
+          "image",
+          new Blob([buffer], { type: "image/png" }),
+          `page-${i + 1}.png`
+        );
+      });
+
+      const res = await fetch(`${baseUrl}${route}`, {
+        method: "POST",
+        body: form,
+      });
+      return { status: res.status, headers: res.headers, body: await res.json() };
+    },
+
+    // POST a PDF buffer as the "image" field
+    async postPdf(route, buffer, fields = {}) {
+      const form = new FormData();
+      Object.entries(fields).forEach(([key, value]) => form.append(key, value));
+      form.append(
+        "image",
+        new Blob([buffer], { type: "application/pdf" }),
+        "document.pdf"
+      );
+
+      const res = await fetch(`${baseUrl}${route}`, {
+        method: "POST",
+        body: form,
+      });
+      return { status: res.status, body: await res.json() };
+    },
+
+    async getJson(route) {
+      const res = await fetch(`${baseUrl}${route}`);
+      return { status: res.status, body: await res.json() };
+    },
+
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      await fakeLLM.close();
+    },
+  };
+}
+
+module.exports = { startTestServer };
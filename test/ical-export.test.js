@@ -0,0 +1,156 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildCalendar, escapeText, foldLine } = require("../ical-export");
+const { startTestServer } = require("./helpers/server");
+
+const SEMESTER = {
+  semesterStart: "2024-08-12", // a Monday
+  semesterEnd: "2024-12-20",
+  now: new Date("2024-08-01T00:00:00Z"),
+};
+
+const COURSES = [
+  {
+    subjectCode: "CS 117",
+    subjectName: "Software Engineering 1",
+    section: "BSCS-P-3A",
+    instructor: "ALMONTE, R.",
+    schedules: [
+      { days: "W", time: "01:00 PM - 02:30 PM", room: "CSD 25" },
+      { days: "F", time: "TBA", room: "" },
+    ],
+  },
+];
+
+// Unfolded content lines of the events in order
+function eventsOf(ics) {
+  const lines = ics.replace(/\r\n /g, "").split("\r\n");
+  const events = [];
+  let current = null;
+  lines.forEach((line) => {
+    if (line === "BEGIN:VEVENT") current = [];
+    else if (line === "END:VEVENT") {
+      events.push(current);
+      current = null;
+    }
+    else if (current) current.push(line);
+  });
+  return events;
+}
+
+describe("buildCalendar", () => {
+  it("creates a weekly event bounded by the semester", () => {
+    const { ics, eventCount, skipped } = buildCalendar({ courses: COURSES }, SEMESTER);
+    const [event] = eventsOf(ics);
+
+    assert.equal(eventCount, 1);
+    assert.equal(skipped.length, 1);
+    assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\nVERSION:2.0\r\n"));
+    assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+    // First Wednesday on or after the start date
+    assert.ok(event.includes("DTSTART;TZID=Asia/Manila:20240814T130000"));
+    assert.ok(event.includes("DTEND;TZID=Asia/Manila:20240814T143000"));
+    // 23:59 Manila time on the end date, in UTC
+    assert.ok(event.includes("RRULE:FREQ=WEEKLY;UNTIL=20241220T155900Z"));
+    assert.ok(event.includes("LOCATION:CSD 25"));
+    assert.ok(
+      event.includes(
+        "DESCRIPTION:Instructor: ALMONTE\\, R.\\nSection: BSCS-P-3A\\nRoom: CSD 25"
+      )
+    );
+    assert.ok(event.includes("DTSTAMP:20240801T000000Z"));
+  });
+
+  it("excludes holidays that fall on a class day", () => {
+    const { ics } = buildCalendar(
+      {
+        subjects: [
+          {
+            subjectName: "Programming 1",
+            room: "CL 1",
+            schedules: [
+              { day: "Friday", startTime: "9:00 AM", endTime: "10:30 AM" },
+              { day: "Monday", startTime: "9:00 AM", endTime: "10:30 AM" },
+            ],
+          },
+        ],
+      },
+      { ...SEMESTER, holidays: ["2024-11-01", "2024-12-25"] }
+    );
+    const [friday, monday] = eventsOf(ics);
+
+    assert.ok(friday.includes("EXDATE;TZID=Asia/Manila:20241101T090000"));
+    assert.ok(!monday.some((line) => line.startsWith("EXDATE")));
+  });
+
+  it("rejects missing or inverted semester dates", () => {
+    assert.throws(() => buildCalendar({ courses: COURSES }, {}), { status: 400 });
+    assert.throws(
+      () =>
+        buildCalendar(
+          { courses: COURSES },
+          { semesterStart: "2024-12-20", semesterEnd: "2024-08-12" }
+        ),
+      { status: 400 }
+    );
+    assert.throws(
+      () => buildCalendar({ courses: COURSES }, { ...SEMESTER, holidays: ["Nov 1"] }),
+      /Invalid holiday/
+    );
+  });
+});
+
+describe("text encoding", () => {
+  it("escapes commas, semicolons and newlines", () => {
+    assert.equal(escapeText("a,b;c\nd\\e"), "a\\,b\\;c\\nd\\\\e");
+  });
+
+  it("folds lines longer than 75 octets", () => {
+    const folded = foldLine(`SUMMARY:${"x".repeat(100)}`);
+    const [first, second] = folded.split("\r\n");
+
+    assert.equal(first.length, 75);
+    assert.ok(second.startsWith(" "));
+    assert.equal(folded.replace(/\r\n /g, ""), `SUMMARY:${"x".repeat(100)}`);
+  });
+});
+
+describe("POST /api/calendar", () => {
+  let server;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  async function postCalendar(body) {
+    return fetch(`${server.baseUrl}/api/calendar`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+  }
+
+  it("returns an .ics attachment", async () => {
+    const res = await postCalendar({ courses: COURSES, ...SEMESTER });
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/calendar/);
+    assert.match(res.headers.get("content-disposition"), /\.ics"$/);
+    assert.equal(res.headers.get("x-skipped-schedules"), "1");
+    assert.match(await res.text(), /RRULE:FREQ=WEEKLY/);
+  });
+
+  it("rejects a request without semester dates", async () => {
+    const res = await postCalendar({ courses: COURSES });
+
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /semesterStart/);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+
+const {
+  findDocumentCorners,
+  warpPerspective,
+  preprocessImage,
+} = require("../image-preprocess");
+const { analyzeImageQuality } = require("../image-quality");
+const {
+  createDocumentImage,
+  createSkewedImage,
+  createDeskPhoto,
+} = require("./helpers/images");
+
+async function greyPage(buffer) {
+  const { data, info } = await sharp(buffer)
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+describe("findDocumentCorners", () => {
+  it("finds the paper on a darker background", async () => {
+    const corners = await findDocumentCorners(await greyPage(await createDeskPhoto()));
+
+    assert.equal(corners.length, 4);
+    const [topLeft, topRight, bottomRight, bottomLeft] = corners;
+    // Clockwise tilt: the top-left corner is the highest point
+    assert.ok(topLeft[1] < topRight[1]);
+    assert.ok(bottomRight[1] > bottomLeft[1]);
+    // Side lengths of the 900x1200 page survive within a few percent
+    assert.ok(Math.abs(Math.hypot(topRight[0] - topLeft[0], topRight[1] - topLeft[1]) - 900) < 40);
+    assert.ok(Math.abs(Math.hypot(bottomLeft[0] - topLeft[0], bottomLeft[1] - topLeft[1]) - 1200) < 40);
+  });
+
+  it("returns null when the page fills the frame", async () => {
+    assert.equal(await findDocumentCorners(await greyPage(await createDocumentImage())), null);
+  });
+});
+
+describe("warpPerspective", () => {
+  it("maps the corners to a flat rectangle", () => {
+    // 4x4 gradient; the inner quad warps to a 2x2 copy of it
+    const page = {
+      data: Buffer.from([...Array(16).keys()].map((i) => i * 10)),
+      width: 4,
+      height: 4,
+    };
+    const flat = warpPerspective(page, [[1, 1], [3, 1], [3, 3], [1, 3]]);
+
+    assert.equal(flat.width, 2);
+    assert.equal(flat.height, 2);
+    assert.deepEqual([...flat.data], [50, 60, 90, 100]);
+  });
+});
+
+describe("preprocessImage", () => {
+  let dir;
+
+  before(() => {
+    mock.method(console, "log", () => {});
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "classync-preprocess-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    mock.restoreAll();
+  });
+
+  async function run(buffer) {
+    const file = path.join(dir, `page-${Date.now()}`);
+    fs.writeFileSync(file, buffer);
+    return preprocessImage(file);
+  }
+
+  it("flattens a photographed page and reports the transforms", async () => {
+    const { path: output, transforms } = await run(await createDeskPhoto());
+
+    assert.deepEqual(
+      transforms.map((t) => t.type),
+      ["perspective", "crop", "upscale"]
+    );
+    const quality = await analyzeImageQuality(output);
+    assert.equal(quality.skewAngle, 0);
+    assert.ok(quality.height > quality.width);
+  });
+
+  it("levels tilted text", async () => {
+    const { path: output, transforms } = await run(await createSkewedImage(4));
+
+    assert.deepEqual(transforms[0], { type: "rotate", angle: -4 });
+    assert.equal((await analyzeImageQuality(output)).skewAngle, 0);
+  });
+
+  it("trims plain margins", async () => {
+    const page = await sharp(await createDocumentImage({ width: 800, height: 600 }))
+      .extend({ top: 300, bottom: 300, left: 300, right: 300, background: "#ffffff" })
+      .png()
+      .toBuffer();
+    const { transforms } = await run(page);
+
+    const crop = transforms.find((t) => t.type === "crop");
+    assert.ok(crop.left > 300);
+    assert.ok(crop.width < 800);
+  });
+
+  it("returns the original file when it cannot be read", async () => {
+    const file = path.join(dir, "broken");
+    fs.writeFileSync(file, "not an image");
+    assert.deepEqual(await preprocessImage(file), { path: file, transforms: [] });
+  });
+});
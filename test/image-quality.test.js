@@ -0,0 +1,120 @@
+const { describe, it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+
+const { analyzeImageQuality, checkPreflight } = require("../image-quality");
+const {
+  createDocumentImage,
+  createDarkImage,
+  createBlurryImage,
+  createSkewedImage,
+  createGlareImage,
+} = require("./helpers/images");
+
+describe("analyzeImageQuality", () => {
+  let sharpPage;
+
+  before(async () => {
+    sharpPage = await analyzeImageQuality(await createDocumentImage());
+  });
+
+  it("passes a sharp, level, evenly lit page", () => {
+    assert.equal(sharpPage.isBlurry, false);
+    assert.equal(sharpPage.skewAngle, 0);
+    assert.equal(sharpPage.isSkewed, false);
+    assert.equal(sharpPage.glareRatio, 0);
+    assert.equal(sharpPage.isLowContrast, false);
+    assert.equal(sharpPage.width, 1200);
+  });
+
+  it("scores blur with the Laplacian variance", async () => {
+    const slight = await analyzeImageQuality(await createBlurryImage(1.5));
+    const heavy = await analyzeImageQuality(await createBlurryImage(8));
+
+    assert.ok(slight.blurScore < sharpPage.blurScore);
+    assert.ok(heavy.blurScore < slight.blurScore);
+    assert.equal(heavy.isBlurry, true);
+  });
+
+  it("estimates the skew angle and its direction", async () => {
+    const clockwise = await analyzeImageQuality(await createSkewedImage(5));
+    const counter = await analyzeImageQuality(await createSkewedImage(-3));
+
+    assert.ok(Math.abs(clockwise.skewAngle - 5) <= 0.3);
+    assert.ok(Math.abs(counter.skewAngle + 3) <= 0.3);
+    assert.equal(clockwise.isSkewed, true);
+  });
+
+  it("detects glare brighter than the paper, not white paper itself", async () => {
+    const glare = await analyzeImageQuality(await createGlareImage());
+    assert.equal(glare.hasGlare, true);
+    assert.ok(glare.glareRatio > 0.1);
+    assert.equal(sharpPage.hasGlare, false);
+  });
+
+  it("measures contrast and brightness", async () => {
+    const dark = await analyzeImageQuality(await createDarkImage());
+    assert.equal(dark.contrast, 0);
+    assert.equal(dark.isLowContrast, true);
+    assert.equal(dark.isDark, true);
+    assert.equal(dark.skewAngle, null);
+  });
+
+  it("judges resolution on the size the photo is displayed at", async () => {
+    // Stored 1000x700, shown 700x1000: a portrait phone photo
+    const portrait = await analyzeImageQuality(
+      await sharp(await createDocumentImage({ width: 1000, height: 700 }))
+        .withMetadata({ orientation: 6 })
+        .jpeg()
+        .toBuffer()
+    );
+    // Stored 700x1000, shown 1000x700
+    const landscape = await analyzeImageQuality(
+      await sharp(await createDocumentImage({ width: 700, height: 1000 }))
+        .withMetadata({ orientation: 8 })
+        .jpeg()
+        .toBuffer()
+    );
+
+    assert.deepEqual([portrait.width, portrait.height], [700, 1000]);
+    assert.equal(portrait.isLowRes, true);
+    assert.deepEqual([landscape.width, landscape.height], [1000, 700]);
+    assert.equal(landscape.isLowRes, false);
+  });
+
+  it("reports unreadable input", async () => {
+    const quality = await analyzeImageQuality(Buffer.from("not an image"));
+    assert.ok(quality.error);
+  });
+});
+
+describe("checkPreflight", () => {
+  it("accepts usable photos, with warnings for fixable problems", async () => {
+    const result = checkPreflight(await analyzeImageQuality(await createSkewedImage(5)));
+    assert.equal(result.usable, true);
+    assert.deepEqual(result.problems, []);
+    assert.deepEqual(result.warnings.map((w) => w.code), ["skewed"]);
+  });
+
+  it("rejects dark, blurry and glare-covered photos with guidance", async () => {
+    const dark = checkPreflight(await analyzeImageQuality(await createDarkImage()));
+    const blurry = checkPreflight(await analyzeImageQuality(await createBlurryImage(8)));
+    const glare = checkPreflight(
+      await analyzeImageQuality(await createGlareImage({ width: 700, height: 600 }))
+    );
+
+    assert.deepEqual(dark.problems.map((p) => p.code), ["too_dark"]);
+    assert.deepEqual(blurry.problems.map((p) => p.code), ["too_blurry"]);
+    assert.deepEqual(glare.problems.map((p) => p.code), ["glare"]);
+    [dark, blurry, glare].forEach((result) => {
+      assert.equal(result.usable, false);
+      assert.ok(result.problems[0].guidance);
+    });
+  });
+
+  it("rejects unreadable files", () => {
+    const result = checkPreflight({ error: "Input buffer contains unsupported image format" });
+    assert.equal(result.usable, false);
+    assert.equal(result.problems[0].code, "unreadable");
+  });
+});
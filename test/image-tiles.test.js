@@ -0,0 +1,104 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseTileLayout,
+  planTiles,
+  buildTilePrompt,
+  stitchTileSubjects,
+} = require("../image-tiles");
+
+describe("parseTileLayout", () => {
+  it("reads ROWSxCOLUMNS, the default and off values", () => {
+    assert.deepEqual(parseTileLayout("2x1"), { rows: 2, columns: 1 });
+    assert.deepEqual(parseTileLayout("true"), { rows: 2, columns: 2 });
+    assert.equal(parseTileLayout("false"), null);
+    assert.equal(parseTileLayout(undefined), null);
+  });
+
+  it("rejects invalid layouts with a 400", () => {
+    ["1x1", "5x2", "2 by 2"].forEach((value) =>
+      assert.throws(() => parseTileLayout(value), { status: 400 })
+    );
+  });
+});
+
+describe("planTiles", () => {
+  it("covers the page with overlapping tiles", () => {
+    const tiles = planTiles(1000, 800, { rows: 2, columns: 2 });
+
+    assert.equal(tiles.length, 4);
+    assert.deepEqual(tiles[0], {
+      index: 0, row: 0, column: 0, left: 0, top: 0, width: 575, height: 460,
+    });
+    assert.deepEqual(tiles[3], {
+      index: 3, row: 1, column: 1, left: 425, top: 340, width: 575, height: 460,
+    });
+  });
+
+  it("tells the model which section it is looking at", () => {
+    const [, tile] = planTiles(1000, 800, { rows: 2, columns: 1 });
+    const prompt = buildTilePrompt("Extract.", tile, { rows: 2, columns: 1 });
+    assert.match(prompt, /row 2 of 2 \(from the top\), column 1 of 1/);
+  });
+});
+
+describe("stitchTileSubjects", () => {
+  const matched = (code, yearLevel, semester) => ({
+    subjectCode: code,
+    yearLevel,
+    semester,
+    match: { confidence: 1, rule: "exact" },
+  });
+  const other = (code, yearLevel, semester) => ({ subjectCode: code, yearLevel, semester });
+
+  it("keeps one copy of subjects from the overlap", () => {
+    const stitched = stitchTileSubjects(
+      [
+        matched("CS 101", "1st Year", "1st Semester"),
+        matched("CS 102", "1st Year", "1st Semester"),
+        matched("CS 102", "1st Year", "1st Semester"),
+        matched("CS 104", "2nd Year", "1st Semester"),
+      ],
+      [0, 0, 1, 1]
+    );
+    assert.deepEqual(stitched.map((s) => s.subjectCode), ["CS 101", "CS 102", "CS 104"]);
+  });
+
+  it("keeps the copy that fits its neighbours", () => {
+    const stitched = stitchTileSubjects(
+      [
+        matched("NSTP 2", "1st Year", "2nd Semester"),
+        other("BU 100", "1st Year", "2nd Semester"),
+        matched("CS 104", "2nd Year", "1st Semester"),
+        matched("NSTP 2", "1st Year", "2nd Semester"),
+        other("BU 100", "2nd Year", "2nd Semester"),
+        matched("CS 104", "2nd Year", "1st Semester"),
+      ],
+      [0, 0, 0, 1, 1, 1]
+    );
+    const bu = stitched.find((s) => s.subjectCode === "BU 100");
+    assert.equal(stitched.length, 3);
+    assert.equal(bu.yearLevel, "1st Year");
+    assert.equal(bu.semester, "2nd Semester");
+  });
+
+  it("places entries by neighbours that agree, and fills unknown terms", () => {
+    const stitched = stitchTileSubjects(
+      [
+        matched("CS 105", "2nd Year", "2nd Semester"),
+        other("BU 200", "Unknown", "Unknown"),
+        other("BU 300", "1st Year", "1st Semester"),
+        matched("CS 110", "2nd Year", "2nd Semester"),
+      ],
+      [1, 1, 1, 1]
+    );
+    assert.deepEqual(
+      stitched.slice(1, 3).map((s) => [s.yearLevel, s.semester]),
+      [
+        ["2nd Year", "2nd Semester"],
+        ["2nd Year", "2nd Semester"],
+      ]
+    );
+  });
+});
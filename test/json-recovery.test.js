@@ -0,0 +1,125 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { sendToGroq } = require("../server");
+const { readFixture } = require("./helpers/fake-llm");
+const { createDocumentImage } = require("./helpers/images");
+
+function fakeProvider(name, complete) {
+  return { name, label: name, model: name, isConfigured: () => true, complete };
+}
+
+function respondWith(text) {
+  return fakeProvider("fake", async () => text);
+}
+
+describe("sendToGroq JSON recovery", () => {
+  let file;
+
+  before(async () => {
+    const filePath = path.join(os.tmpdir(), `classync-json-${process.pid}.png`);
+    fs.writeFileSync(filePath, await createDocumentImage({ rows: 3 }));
+    file = { path: filePath, mimetype: "image/png" };
+    mock.method(console, "log", () => {});
+  });
+
+  after(() => {
+    fs.unlinkSync(file.path);
+    mock.restoreAll();
+    delete process.env.VISION_FALLBACK_PROVIDER;
+  });
+
+  it("parses a plain JSON response", async () => {
+    const parsed = await sendToGroq(file, "prompt", {
+      provider: respondWith(readFixture("timetable.json")),
+      documentType: "timetable",
+    });
+    assert.equal(parsed.academicYear, "AY 2021-2022");
+    assert.equal(parsed.subjects.length, 2);
+  });
+
+  it("unwraps JSON inside a ```json fence", async () => {
+    const parsed = await sendToGroq(file, "prompt", {
+      provider: respondWith(readFixture("cor-fenced.txt")),
+      documentType: "cor",
+    });
+    assert.equal(parsed.courses[0].subjectCode, "CS 125");
+  });
+
+  it("extracts the JSON object from surrounding prose", async () => {
+    const parsed = await sendToGroq(file, "prompt", {
+      provider: respondWith(readFixture("grades-prose.txt")),
+      documentType: "grades",
+    });
+    assert.equal(parsed.grades.length, 5);
+  });
+
+  it("rejects a response with no JSON at all", async () => {
+    await assert.rejects(
+      sendToGroq(file, "prompt", {
+        provider: respondWith(readFixture("malformed.txt")),
+        documentType: "curriculum",
+      }),
+      /Could not parse AI response as JSON/
+    );
+  });
+
+  it("rejects truncated JSON", async () => {
+    await assert.rejects(
+      sendToGroq(file, "prompt", {
+        provider: respondWith(readFixture("truncated.txt")),
+        documentType: "curriculum",
+      }),
+      /Could not parse AI response as JSON/
+    );
+  });
+
+  it("sends the image as a base64 data URL", async () => {
+    let request;
+    await sendToGroq(file, "the prompt", {
+      provider: fakeProvider("fake", async (req) => {
+        request = req;
+        return "{}";
+      }),
+      documentType: "cor",
+    });
+    assert.equal(request.prompt, "the prompt");
+    assert.equal(request.documentType, "cor");
+    assert.match(request.imageUrl, /^data:image\/png;base64,/);
+  });
+
+  it("retries with the fallback provider when the primary is down", async () => {
+    process.env.VISION_FALLBACK_PROVIDER = "stub";
+    const down = fakeProvider("groq", async () => {
+      const error = new Error("Service unavailable");
+      error.status = 503;
+      throw error;
+    });
+
+    const parsed = await sendToGroq(file, "prompt", {
+      provider: down,
+      documentType: "grades",
+    });
+    assert.ok(Array.isArray(parsed.grades));
+  });
+
+  it("does not fall back on client errors such as 401", async () => {
+    process.env.VISION_FALLBACK_PROVIDER = "stub";
+    const unauthorized = fakeProvider("groq", async () => {
+      const error = new Error("Invalid API key");
+      error.status = 401;
+      throw error;
+    });
+
+    await assert.rejects(
+      sendToGroq(file, "prompt", {
+        provider: unauthorized,
+        documentType: "grades",
+      }),
+      /Invalid API key/
+    );
+  });
+});
@@ -0,0 +1,141 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const sharp = require("sharp");
+
+const {
+  isPdf,
+  pageScale,
+  rasterizePdf,
+  expandUploads,
+  removePages,
+  mergePageResults,
+} = require("../pdf-pages");
+const { createPdf } = require("./helpers/pdf");
+const { createDocumentImage } = require("./helpers/images");
+
+describe("PDF pages", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "classync-pdf-"));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function write(name, buffer) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, buffer);
+    return file;
+  }
+
+  it("recognizes PDFs by type or content", async () => {
+    const pdf = write("upload-a", createPdf());
+    const png = write("upload-b", await createDocumentImage());
+
+    assert.equal(isPdf({ path: pdf, mimetype: "application/octet-stream" }), true);
+    assert.equal(isPdf({ path: png, mimetype: "image/png" }), false);
+  });
+
+  it("rasterizes each page to a PNG at the requested resolution", async () => {
+    const file = write("report", createPdf({ pages: 2 }));
+    const pages = await rasterizePdf(file, { dpi: 100 });
+
+    assert.deepEqual(
+      pages.map((p) => [p.pageNumber, p.width, p.height]),
+      [
+        [1, 850, 1100],
+        [2, 850, 1100],
+      ]
+    );
+    const metadata = await sharp(pages[0].path).metadata();
+    assert.equal(metadata.format, "png");
+    // Drawn rows and white paper, not a blank or black canvas
+    const { channels } = await sharp(pages[0].path).stats();
+    assert.equal(channels[0].max, 255);
+    assert.ok(channels[0].min < 100);
+  });
+
+  it("renders large-format pages at a lower scale", async () => {
+    // 34 × 44 in: 6800 × 8800 px at 200 dpi
+    const file = write("poster", createPdf({ width: 2448, height: 3168 }));
+    const [page] = await rasterizePdf(file, { dpi: 200, maxPixels: 1000000 });
+
+    const scale = pageScale(2448, 3168, 200, 1000000);
+    assert.deepEqual(
+      [page.width, page.height],
+      [Math.ceil(2448 * scale), Math.ceil(3168 * scale)]
+    );
+    removePages([{ ...page, generated: true }]);
+  });
+
+  it("caps the scale by total pixels and by the longest side", () => {
+    assert.equal(pageScale(612, 792, 200), 200 / 72);
+    const scale = pageScale(2448, 3168, 200, 1000000);
+    assert.ok(Math.abs(2448 * scale * 3168 * scale - 1000000) < 1);
+    // A very long strip: limited by its length, not its area
+    assert.equal(pageScale(100, 40000, 200), 8000 / 40000);
+  });
+
+  it("rejects unreadable and over-long PDFs with a 400", async () => {
+    const broken = write("broken", Buffer.from("%PDF-1.4\nnot really"));
+    const long = write("long", createPdf({ pages: 3 }));
+
+    await assert.rejects(rasterizePdf(broken), { status: 400, message: /Could not read PDF/ });
+    await assert.rejects(rasterizePdf(long, { maxPages: 2 }), {
+      status: 400,
+      message: "PDF has 3 pages (at most 2 allowed)",
+    });
+  });
+
+  it("expands uploads into page files and removes only those", async () => {
+    const image = { path: write("photo", await createDocumentImage()), originalname: "photo.png", mimetype: "image/png" };
+    const pdf = { path: write("doc", createPdf({ pages: 2 })), originalname: "cor.pdf", mimetype: "application/pdf" };
+
+    const pages = await expandUploads([image, pdf], { dpi: 50 });
+    assert.deepEqual(
+      pages.map((p) => p.originalname),
+      ["photo.png", "cor.pdf (page 1)", "cor.pdf (page 2)"]
+    );
+    assert.equal(pages[1].mimetype, "image/png");
+
+    removePages(pages);
+    assert.equal(fs.existsSync(image.path), true);
+    assert.equal(fs.existsSync(pages[1].path), false);
+  });
+});
+
+describe("mergePageResults", () => {
+  it("concatenates lists and keeps the first value and lowest confidence", () => {
+    const merged = mergePageResults([
+      { program: "BSCS", semester: "", courses: [{ subjectCode: "CS 101" }], confidence: "high" },
+      { program: "", semester: "1st Semester", courses: [{ subjectCode: "CS 102" }], confidence: "medium" },
+    ]);
+
+    assert.deepEqual(merged, {
+      program: "BSCS",
+      semester: "1st Semester",
+      courses: [{ subjectCode: "CS 101" }, { subjectCode: "CS 102" }],
+      confidence: "medium",
+    });
+  });
+
+  it("adds up the counts of every page", () => {
+    const merged = mergePageResults([
+      { courses: [{ subjectCode: "CS 101" }], totalCoursesFound: 1 },
+      { courses: [{ subjectCode: "CS 102" }, { subjectCode: "CS 103" }], totalCoursesFound: 2 },
+    ]);
+
+    assert.equal(merged.courses.length, 3);
+    assert.equal(merged.totalCoursesFound, 3);
+  });
+
+  it("returns a single page result unchanged", () => {
+    const result = { grades: [], confidence: "low" };
+    assert.equal(mergePageResults([result]), result);
+  });
+});
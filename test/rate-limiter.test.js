@@ -0,0 +1,159 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  createTokenBucket,
+  retryAfterMs,
+  createModelScheduler,
+  createClientLimiter,
+} = require("../rate-limiter");
+
+function httpError(status, headers) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  error.headers = headers;
+  return error;
+}
+
+describe("createTokenBucket", () => {
+  it("spends the per-minute budget and refills it over time", () => {
+    let clock = 0;
+    const bucket = createTokenBucket({ perMinute: 2, now: () => clock });
+
+    assert.equal(bucket.take(), 0);
+    assert.equal(bucket.take(), 0);
+    assert.equal(bucket.take(), 30000);
+    assert.equal(bucket.msUntil(2), 60000);
+
+    clock += 30000;
+    assert.equal(bucket.take(), 0);
+  });
+});
+
+describe("retryAfterMs", () => {
+  it("reads seconds or an HTTP date from plain or Headers objects", () => {
+    assert.equal(retryAfterMs(httpError(429, { "retry-after": "3" })), 3000);
+    assert.equal(retryAfterMs(httpError(429, new Headers({ "retry-after": "2" }))), 2000);
+    assert.equal(
+      retryAfterMs(
+        httpError(503, { "retry-after": "Sun, 01 Mar 2026 08:00:10 GMT" }),
+        () => Date.parse("2026-03-01T08:00:00Z")
+      ),
+      10000
+    );
+    assert.equal(retryAfterMs(httpError(503)), 0);
+  });
+});
+
+describe("createModelScheduler", () => {
+  // Waiting advances a fake clock instead of sleeping
+  function scheduler(options) {
+    const delays = [];
+    let clock = Date.parse("2026-03-01T08:00:00Z");
+    const wait = async (ms) => {
+      delays.push(ms);
+      clock += ms;
+    };
+    return {
+      delays,
+      scheduler: createModelScheduler({ wait, now: () => clock, ...options }),
+    };
+  }
+
+  it("retries 429 and 5xx with exponential backoff", async () => {
+    const { scheduler: s, delays } = scheduler({ maxRetries: 3 });
+    const failures = [httpError(503), httpError(500), httpError(429)];
+    const result = await s.run(async () => {
+      if (failures.length) throw failures.shift();
+      return "ok";
+    });
+
+    assert.equal(result, "ok");
+    assert.deepEqual(delays, [1000, 2000, 4000]);
+  });
+
+  it("honors a longer Retry-After", async () => {
+    const { scheduler: s, delays } = scheduler({ maxRetries: 1 });
+    let calls = 0;
+    await s.run(async () => {
+      if (calls++ === 0) throw httpError(429, { "retry-after": "7" });
+      return "ok";
+    });
+    assert.deepEqual(delays, [7000]);
+  });
+
+  it("gives up after maxRetries and never retries client errors", async () => {
+    const { scheduler: s } = scheduler({ maxRetries: 1 });
+    let calls = 0;
+    await assert.rejects(
+      s.run(async () => {
+        calls++;
+        throw httpError(503);
+      }),
+      { status: 503 }
+    );
+    assert.equal(calls, 2);
+
+    calls = 0;
+    await assert.rejects(
+      s.run(async () => {
+        calls++;
+        throw httpError(400);
+      }),
+      { status: 400 }
+    );
+    assert.equal(calls, 1);
+  });
+
+  it("queues calls beyond the budget and reports the position and wait", async () => {
+    const { scheduler: s } = scheduler({ perMinute: 2 });
+    await s.run(async () => 1);
+    await s.run(async () => 2);
+
+    const controller = new AbortController();
+    const queued = [];
+    const waiting = s.run(async () => 3, {
+      signal: controller.signal,
+      onQueued: (info) => queued.push(info),
+    });
+
+    assert.deepEqual(queued.map((q) => q.position), [1]);
+    assert.ok(queued[0].etaMs > 29000 && queued[0].etaMs <= 30000);
+    assert.equal(s.stats().queued, 1);
+
+    controller.abort();
+    await assert.rejects(waiting);
+    assert.equal(s.stats().queued, 0);
+  });
+
+  it("refuses calls that would wait too long, with the expected wait", async () => {
+    const { scheduler: s } = scheduler({ perMinute: 1, maxWaitMs: 10000 });
+    await s.run(async () => "first");
+
+    await assert.rejects(s.run(async () => "second"), (error) => {
+      assert.equal(error.status, 429);
+      assert.equal(error.retryAfter, 60);
+      return true;
+    });
+  });
+});
+
+describe("createClientLimiter", () => {
+  it("limits each client separately", () => {
+    let clock = 0;
+    const limiter = createClientLimiter({ perMinute: 2, now: () => clock });
+
+    assert.equal(limiter.check("1.2.3.4").allowed, true);
+    assert.equal(limiter.check("1.2.3.4").allowed, true);
+    assert.deepEqual(limiter.check("1.2.3.4"), { allowed: false, retryAfter: 30 });
+    assert.equal(limiter.check("key-abc").allowed, true);
+
+    clock += 30000;
+    assert.equal(limiter.check("1.2.3.4").allowed, true);
+  });
+
+  it("is off at 0 per minute", () => {
+    const limiter = createClientLimiter({ perMinute: 0 });
+    for (let i = 0; i < 100; i++) assert.equal(limiter.check("x").allowed, true);
+  });
+});
@@ -0,0 +1,125 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const {
+  getCacheConfig,
+  scanCacheKey,
+  createScanCache,
+  getScanCache,
+} = require("../scan-cache");
+
+const HOUR = 60 * 60 * 1000;
+
+describe("scanCacheKey", () => {
+  const parts = {
+    image: Buffer.from("image bytes"),
+    documentType: "cor",
+    prompt: "Extract the COR.",
+    model: "groq/llama",
+    curriculumVersion: "bscs-2022",
+  };
+
+  it("is stable for the same inputs", () => {
+    assert.equal(scanCacheKey(parts), scanCacheKey({ ...parts }));
+    assert.match(scanCacheKey(parts), /^[0-9a-f]{64}$/);
+  });
+
+  it("changes with every part of the key", () => {
+    const changed = [
+      { image: Buffer.from("other bytes") },
+      { documentType: "grades" },
+      { prompt: "Extract the COR!" },
+      { model: "groq/other" },
+      { curriculumVersion: "auto" },
+    ];
+    changed.forEach((change) =>
+      assert.notEqual(scanCacheKey({ ...parts, ...change }), scanCacheKey(parts))
+    );
+  });
+});
+
+describe("createScanCache", () => {
+  let dir;
+  let clock;
+  let cache;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "classync-cache-"));
+    clock = Date.parse("2026-03-01T08:00:00Z");
+    cache = createScanCache({ dir, ttlMs: HOUR, maxEntries: 2, now: () => clock });
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("stores results on disk, readable by a new instance", () => {
+    cache.set("a", { courses: [1] }, { documentType: "cor" });
+    const reopened = createScanCache({ dir, ttlMs: HOUR, maxEntries: 2, now: () => clock });
+
+    assert.deepEqual(reopened.get("a"), { courses: [1] });
+    assert.equal(reopened.get("missing"), null);
+    const stored = JSON.parse(fs.readFileSync(path.join(dir, "a.json"), "utf8"));
+    assert.equal(stored.documentType, "cor");
+  });
+
+  it("expires entries after the TTL", () => {
+    cache.set("a", { ok: true });
+    clock += HOUR - 1;
+    assert.deepEqual(cache.get("a"), { ok: true });
+    clock += 2;
+    assert.equal(cache.get("a"), null);
+    assert.equal(cache.stats().entries, 0);
+  });
+
+  it("deletes entries without a readable creation time", () => {
+    const file = path.join(dir, "a.json");
+    for (const createdAt of [undefined, "yesterday-ish"]) {
+      fs.writeFileSync(file, JSON.stringify({ key: "a", createdAt, value: 1 }));
+
+      assert.equal(cache.get("a"), null);
+      assert.equal(fs.existsSync(file), false);
+    }
+  });
+
+  it("evicts the least recently used entry past the size bound", () => {
+    cache.set("a", 1);
+    clock += 1000;
+    cache.set("b", 2);
+    clock += 1000;
+    cache.get("a");
+    clock += 1000;
+    cache.set("c", 3);
+
+    assert.equal(cache.get("b"), null);
+    assert.equal(cache.get("a"), 1);
+    assert.equal(cache.get("c"), 3);
+  });
+
+  it("throws on a failed write without leaving the temp file", () => {
+    // A directory where the entry file should go makes the rename fail
+    fs.mkdirSync(path.join(dir, "a.json"));
+
+    assert.throws(() => cache.set("a", 1));
+    assert.deepEqual(fs.readdirSync(dir), ["a.json"]);
+  });
+
+  it("purges every entry", () => {
+    cache.set("a", 1);
+    cache.set("b", 2);
+    assert.equal(cache.purge(), 2);
+    assert.equal(cache.stats().entries, 0);
+  });
+});
+
+describe("getScanCache", () => {
+  it("follows the environment", () => {
+    assert.equal(getScanCache({ SCAN_CACHE: "false" }), null);
+
+    const env = { SCAN_CACHE_DIR: "/tmp/x", SCAN_CACHE_TTL_HOURS: "2" };
+    assert.equal(getScanCache(env), getScanCache({ ...env }));
+    assert.equal(getCacheConfig(env).ttlMs, 2 * HOUR);
+    assert.equal(getCacheConfig({}).maxEntries, 500);
+  });
+});
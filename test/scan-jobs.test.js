@@ -0,0 +1,137 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  JOB_TTL_MS,
+  createJob,
+  getJob,
+  isFinished,
+  runJob,
+  reportJobProgress,
+  cancelJob,
+  pruneJobs,
+  createJobResponse,
+  describeJob,
+} = require("../scan-jobs");
+
+function whenDone(job) {
+  return new Promise((resolve) => job.events.once("done", resolve));
+}
+
+describe("scan jobs", () => {
+  it("rejects unknown job types with a 400", () => {
+    assert.throws(() => createJob("diploma"), { status: 400 });
+  });
+
+  it("records progress and the handler's response", async () => {
+    const job = createJob("cor");
+    const steps = [];
+    job.events.on("progress", (event) => steps.push(event.step));
+
+    const done = whenDone(job);
+    runJob(job, async () => {
+      reportJobProgress(job, "sending", "Sending", { imageNumber: 1 });
+      createJobResponse(job).json({ success: true, data: { courses: [] } });
+    });
+    const summary = await done;
+
+    assert.deepEqual(steps, ["sending"]);
+    assert.equal(summary.status, "completed");
+    assert.equal(summary.step, "sending");
+    assert.equal(summary.progress[0].imageNumber, 1);
+    assert.equal(summary.httpStatus, 200);
+    assert.deepEqual(summary.result, { success: true, data: { courses: [] } });
+    assert.equal(getJob(job.id), job);
+  });
+
+  it("fails the job on an error response or a throw", async () => {
+    const rejected = createJob("grades");
+    runJob(rejected, async () =>
+      createJobResponse(rejected).status(422).json({ success: false, error: "Blurry" })
+    );
+    assert.equal((await whenDone(rejected)).status, "failed");
+
+    const crashed = createJob("grades");
+    runJob(crashed, async () => {
+      throw new Error("boom");
+    });
+    const summary = await whenDone(crashed);
+    assert.equal(summary.httpStatus, 500);
+    assert.deepEqual(summary.result, { success: false, error: "boom" });
+  });
+
+  it("cancels a running job: aborts, stops the next step, ignores the response", async () => {
+    const job = createJob("curriculum");
+    runJob(job, () => new Promise(() => {}));
+
+    cancelJob(job);
+    assert.equal(job.controller.signal.aborted, true);
+    assert.throws(() => reportJobProgress(job, "sending", "Sending"), /Job cancelled/);
+
+    createJobResponse(job).json({ success: true });
+    assert.equal(describeJob(job).status, "cancelled");
+    assert.equal(describeJob(job).result, null);
+    assert.throws(() => cancelJob(job), { status: 409 });
+  });
+
+  describe("limits", () => {
+    const started = [];
+    const start = (type, client) => {
+      const job = createJob(type, client);
+      started.push(job);
+      return job;
+    };
+
+    afterEach(() => {
+      started.splice(0).forEach((job) => {
+        if (!isFinished(job)) cancelJob(job);
+      });
+      delete process.env.MAX_ACTIVE_JOBS;
+      delete process.env.MAX_ACTIVE_JOBS_PER_CLIENT;
+      delete process.env.MAX_STORED_JOBS;
+    });
+
+    it("caps running jobs per client and in total with a 429", () => {
+      process.env.MAX_ACTIVE_JOBS = "3";
+      process.env.MAX_ACTIVE_JOBS_PER_CLIENT = "2";
+
+      start("cor", "ip:1");
+      const first = start("cor", "ip:1");
+      assert.throws(() => start("cor", "ip:1"), {
+        status: 429,
+        message: /At most 2 scan jobs per client/,
+      });
+      start("cor", "ip:2");
+      assert.throws(() => start("cor", "ip:3"), {
+        status: 429,
+        message: /Too many scan jobs are running/,
+      });
+
+      // A finished job frees its slot
+      createJobResponse(first).json({ success: true });
+      start("cor", "ip:3");
+    });
+
+    it("drops the oldest finished jobs past the stored limit", () => {
+      process.env.MAX_STORED_JOBS = "2";
+      const oldest = start("cor");
+      createJobResponse(oldest).json({ success: true });
+      const running = start("cor");
+      const newest = start("cor");
+
+      assert.equal(getJob(oldest.id), null);
+      assert.equal(getJob(running.id), running);
+      assert.equal(getJob(newest.id), newest);
+    });
+  });
+
+  it("drops finished jobs after the TTL", () => {
+    const job = createJob("timetable");
+    createJobResponse(job).json({ success: true });
+
+    pruneJobs(Date.parse(job.finishedAt) + JOB_TTL_MS - 1);
+    assert.equal(getJob(job.id), job);
+    pruneJobs(Date.parse(job.finishedAt) + JOB_TTL_MS + 1);
+    assert.equal(getJob(job.id), null);
+  });
+});
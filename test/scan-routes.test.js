@@ -0,0 +1,991 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+  mock,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const sharp = require("sharp");
+
+const { startTestServer } = require("./helpers/server");
+const { createPdf } = require("./helpers/pdf");
+const {
+  createDocumentImage,
+  createLowResImage,
+  createDarkImage,
+  createBlurryImage,
+} = require("./helpers/images");
+
+describe("scan routes (fake LLM)", () => {
+  let server;
+  let page;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    mock.method(console, "error", () => {});
+    server = await startTestServer();
+    page = await createDocumentImage();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  beforeEach(() => server.fakeLLM.reset());
+
+  describe("POST /api/scan-cor", () => {
+    it("normalizes fenced COR output", async () => {
+      server.fakeLLM.enqueue("cor-fenced.txt");
+      const { status, body } = await server.postImages("/api/scan-cor", [page]);
+
+      assert.equal(status, 200);
+      assert.equal(body.success, true);
+      assert.equal(body.data.program, "Bachelor of Science in Computer Science");
+      assert.equal(body.data.curriculum.id, "bscs-2022");
+      assert.equal(body.data.totalCoursesFound, 2);
+      assert.equal(body.data.confidence, "medium");
+
+      const [thesis, rizal] = body.data.courses;
+      assert.equal(thesis.units, 3);
+      // No code on the COR: matched by name, for the user to confirm
+      assert.equal(rizal.subjectCode, "GEC 19");
+      assert.equal(rizal.match.rule, "name");
+      assert.deepEqual(rizal.flags, ["low_confidence_match"]);
+      assert.equal(rizal.extracted.subjectCode, "UNKNOWN_2");
+      assert.equal(rizal.instructor, "");
+      assert.deepEqual(rizal.schedules[0], {
+        day: "Tuesday",
+        isoWeekday: 2,
+        startTime: "09:00",
+        endTime: "10:30",
+        durationMinutes: 90,
+        room: "",
+        valid: true,
+        source: { days: "T", time: "09:00 AM - 10:30 AM" },
+      });
+      assert.deepEqual(body.data.conflicts, []);
+      // The text units and the empty code are reported, not silently fixed
+      assert.deepEqual(
+        body.data.schemaWarnings.map((w) => [w.path, w.code, w.value]),
+        [
+          ["courses[0].units", "coerced", "3.0"],
+          ["courses[1].subjectCode", "invalid", ""],
+        ]
+      );
+    });
+
+    it("hydrates courses from the reference and flags problems", async () => {
+      server.fakeLLM.enqueue("cor-unvalidated.json");
+      const { body } = await server.postImages("/api/scan-cor", [page]);
+
+      const [math, unknown] = body.data.courses;
+      assert.equal(math.subjectCode, "Math 101");
+      assert.equal(math.subjectName, "Mathematical Analysis 1");
+      assert.equal(math.units, 5);
+      assert.deepEqual(math.flags, ["unit_mismatch"]);
+      assert.equal(unknown.inCurriculum, false);
+      assert.deepEqual(body.data.validation, {
+        notInCurriculum: ["IT 999"],
+        unitMismatches: [{ subjectCode: "Math 101", extracted: 3, reference: 5 }],
+        needsConfirmation: [],
+      });
+    });
+
+    it("reports schedule conflicts", async () => {
+      server.fakeLLM.enqueue("cor-conflicts.json");
+      const { body } = await server.postImages("/api/scan-cor", [page]);
+
+      assert.deepEqual(
+        body.data.conflicts.map((c) => c.type),
+        ["student_overlap", "room_double_booked"]
+      );
+    });
+
+    it("warns when the upload looks like another document", async () => {
+      server.fakeLLM.enqueue("cor-wrong-document.json");
+      const { status, body } = await server.postImages("/api/scan-cor", [page]);
+
+      assert.equal(status, 200);
+      assert.equal(body.data.documentCheck.matches, false);
+      assert.equal(body.data.documentCheck.detected, "grades");
+      assert.match(body.data.documentCheck.warning, /Use \/api\/scan-grades or \/api\/scan/);
+    });
+
+    it("sends the COR prompt and image to the configured model", async () => {
+      server.fakeLLM.enqueue("cor-fenced.txt");
+      await server.postImages("/api/scan-cor", [page]);
+
+      const [request] = server.fakeLLM.requests;
+      assert.equal(request.model, "fake-vision");
+      assert.equal(request.temperature, 0);
+      const [text, image] = request.messages[0].content;
+      assert.match(text.text, /Certificate of Registration/);
+      assert.match(image.image_url.url, /^data:image\/png;base64,/);
+    });
+
+    it("rejects an unusable photo before calling the model when asked", async () => {
+      const { status, body } = await server.postImages(
+        "/api/scan-cor",
+        [await createBlurryImage()],
+        { preflight: "true" }
+      );
+
+      assert.equal(status, 422);
+      assert.equal(body.success, false);
+      assert.match(body.error, /too blurry/);
+      assert.equal(body.preflight[0].usable, false);
+      assert.match(body.preflight[0].problems[0].guidance, /steady/);
+      assert.equal(server.fakeLLM.requests.length, 0);
+    });
+
+    it("scans every page of a PDF and merges the courses", async () => {
+      server.fakeLLM.enqueue("cor-fenced.txt", "cor-unvalidated.json");
+      const { status, body } = await server.postPdf(
+        "/api/scan-cor",
+        createPdf({ pages: 2 })
+      );
+
+      assert.equal(status, 200);
+      assert.equal(server.fakeLLM.requests.length, 2);
+      const [, image] = server.fakeLLM.requests[0].messages[0].content;
+      assert.match(image.image_url.url, /^data:image\/png;base64,/);
+      assert.equal(body.data.totalCoursesFound, 4);
+      assert.equal(body.data.program, "Bachelor of Science in Computer Science");
+      assert.deepEqual(body.data.validation.notInCurriculum, ["IT 999"]);
+    });
+
+    it("lets usable photos through pre-flight", async () => {
+      server.fakeLLM.enqueue("cor-fenced.txt");
+      const { status } = await server.postImages("/api/scan-cor", [page], {
+        preflight: "true",
+      });
+      assert.equal(status, 200);
+    });
+
+    it("returns 400 when no image is uploaded", async () => {
+      const { status, body } = await server.postImages("/api/scan-cor", []);
+      assert.equal(status, 400);
+      assert.equal(body.error, "No image uploaded");
+    });
+
+    it("passes rate limit errors through with a friendly message", async () => {
+      server.fakeLLM.enqueueError(429, "Rate limit reached");
+      const { status, body } = await server.postImages("/api/scan-cor", [page]);
+
+      assert.equal(status, 429);
+      assert.equal(body.success, false);
+      assert.match(body.error, /Rate limited/);
+    });
+
+    it("rejects an unknown provider", async () => {
+      const { status, body } = await server.postImages("/api/scan-cor", [page], {
+        provider: "nope",
+      });
+      assert.equal(status, 400);
+      assert.match(body.error, /Unknown provider "nope"/);
+    });
+
+    it("offers the stub provider to requests only when enabled", async () => {
+      const refused = await server.postImages("/api/scan-cor", [page], {
+        provider: "stub",
+      });
+      assert.equal(refused.status, 400);
+      assert.match(refused.body.error, /Provider "stub" is not available/);
+
+      process.env.VISION_ALLOW_STUB = "true";
+      try {
+        const allowed = await server.postImages("/api/scan-cor", [page], {
+          provider: "stub",
+        });
+        assert.equal(allowed.status, 200);
+        assert.equal(server.fakeLLM.requests.length, 0);
+      } finally {
+        delete process.env.VISION_ALLOW_STUB;
+      }
+    });
+  });
+
+  describe("POST /api/scan-grades", () => {
+    it("keeps numeric grades and INC rows from prose-wrapped output", async () => {
+      server.fakeLLM.enqueue("grades-prose.txt");
+      const { status, body } = await server.postImages("/api/scan-grades", [page]);
+
+      assert.equal(status, 200);
+      assert.deepEqual(
+        body.data.grades.map((g) => [g.subjectCode, g.grade, g.status]),
+        [
+          ["CS 111", 1.5, "NUMERIC"],
+          ["GEC 18", 1.75, "NUMERIC"],
+          ["CS 112", null, "INC"],
+          ["CS 113", 5, "NUMERIC"],
+        ]
+      );
+      assert.equal(body.data.totalFound, 4);
+      assert.equal(body.data.grades[0].subjectName, "Design and Analysis of Algorithms");
+      assert.equal(body.data.grades[0].units, 3);
+      assert.ok(body.data.grades.every((g) => g.inCurriculum));
+      assert.deepEqual(body.data.validation.notInCurriculum, []);
+    });
+
+    it("reports incompletes and drops in the GWA summary", async () => {
+      server.fakeLLM.enqueue("grades-remarks.json");
+      const { body } = await server.postImages("/api/scan-grades", [page], {
+        computeGwa: "true",
+      });
+
+      const { gwa } = body.data;
+      assert.deepEqual(gwa.incomplete.map((e) => e.subjectCode), ["CS 124"]);
+      assert.deepEqual(gwa.dropped.map((e) => e.subjectCode), ["CS 119"]);
+      assert.deepEqual(gwa.failed.map((e) => e.subjectCode), ["CS 121"]);
+      assert.ok(gwa.latinHonors.reasons.includes("Has unresolved INC grades"));
+      assert.deepEqual(
+        body.data.schemaWarnings.map((w) => [w.path, w.code]),
+        [
+          ["grades[5].grade", "coerced"],
+          ["grades[7]", "dropped"],
+        ]
+      );
+    });
+
+    it("checks each PDF page before merging mismatched answers", async () => {
+      // Page 1 sends one object, page 3 text where the grades list belongs
+      server.fakeLLM.enqueue(
+        "grades-single-object.json",
+        "grades-remarks.json",
+        "grades-text.json"
+      );
+      const { status, body } = await server.postPdf(
+        "/api/scan-grades",
+        createPdf({ pages: 3 })
+      );
+
+      assert.equal(status, 200);
+      assert.equal(body.data.grades.length, 8);
+      assert.equal(body.data.grades[0].subjectCode, "CS 111");
+      assert.equal(body.data.totalFound, 8);
+      assert.deepEqual(
+        body.data.schemaWarnings.map((w) => [w.page, w.path, w.code]),
+        [
+          [1, "grades", "coerced"],
+          [3, "grades", "invalid"],
+          // Grade reading runs on the merged list: no page, merged indexes
+          [undefined, "grades[6].grade", "coerced"],
+          [undefined, "grades[8]", "dropped"],
+        ]
+      );
+    });
+
+    it("returns a 500 when the model output is not JSON", async () => {
+      server.fakeLLM.enqueue("malformed.txt");
+      const { status, body } = await server.postImages("/api/scan-grades", [page]);
+
+      assert.equal(status, 500);
+      assert.equal(body.error, "Could not parse AI response as JSON");
+    });
+  });
+
+  describe("POST /api/scan-timetable", () => {
+    it("fills defaults for missing timetable fields", async () => {
+      server.fakeLLM.enqueue("timetable.json");
+      const { status, body } = await server.postImages("/api/scan-timetable", [
+        page,
+      ]);
+
+      assert.equal(status, 200);
+      assert.equal(body.data.academicYear, "AY 2021-2022");
+      assert.equal(body.data.semester, "1st Semester");
+      assert.equal(body.data.confidence, "unknown");
+
+      const [intro, second] = body.data.subjects;
+      assert.equal(intro.schedules.length, 2);
+      assert.equal(second.subjectName, "Unknown Subject 2");
+      assert.equal(intro.schedules[0].room, "Gym 51");
+      assert.deepEqual(second.schedules, [
+        {
+          day: "Monday",
+          isoWeekday: 1,
+          startTime: null,
+          endTime: null,
+          durationMinutes: null,
+          room: "",
+          valid: false,
+          issues: ['Unreadable or inverted time "6:00 PM - "'],
+          source: { day: "Monday", startTime: "6:00 PM" },
+        },
+      ]);
+      assert.deepEqual(
+        body.data.schemaWarnings.map((w) => [w.path, w.code]),
+        [["subjects[1].subjectName", "missing"]]
+      );
+      // The missing end time is flagged instead of silently ignored
+      assert.deepEqual(
+        body.data.conflicts.map((c) => c.type),
+        ["unparseable_time"]
+      );
+    });
+  });
+
+  describe("POST /api/scan", () => {
+    it("classifies the upload and runs the matching scan", async () => {
+      server.fakeLLM.enqueue("classify-timetable.json", "timetable.json");
+      const { status, body } = await server.postImages("/api/scan", [page]);
+
+      assert.equal(status, 200);
+      assert.equal(body.data.academicYear, "AY 2021-2022");
+      assert.deepEqual(body.data.documentCheck, {
+        expected: "timetable",
+        detected: null,
+        matches: true,
+        classification: {
+          documentType: "timetable",
+          confidence: "high",
+          reason: "Weekly grid with days as columns and colored class blocks",
+        },
+      });
+
+      const [classify, extract] = server.fakeLLM.requests.map(
+        (r) => r.messages[0].content[0].text
+      );
+      assert.match(classify, /document classifier/);
+      assert.match(extract, /TIMETABLE/);
+    });
+
+    it("answers 422 when the document is none of the known types", async () => {
+      server.fakeLLM.enqueue("classify-other.json");
+      const { status, body } = await server.postImages("/api/scan", [page]);
+
+      assert.equal(status, 422);
+      assert.equal(body.classification.documentType, null);
+      assert.match(body.error, /Could not tell what this document is/);
+      assert.equal(server.fakeLLM.requests.length, 1);
+    });
+
+    it("takes several images only for a curriculum", async () => {
+      server.fakeLLM.enqueue("classify-grades.json");
+      const { status, body } = await server.postImages("/api/scan", [page, page]);
+
+      assert.equal(status, 400);
+      assert.equal(body.classification.documentType, "grades");
+      assert.match(body.error, /grade report; a grades scan takes one image/);
+    });
+  });
+
+  describe("POST /api/scan-curriculum", () => {
+    it("hydrates and validates a complete two-image scan", async () => {
+      server.fakeLLM.enqueue("curriculum-image1.json", "curriculum-image2.json");
+      const { status, body } = await server.postImages("/api/scan-curriculum", [
+        page,
+        page,
+      ]);
+
+      assert.equal(status, 200);
+      assert.equal(body.success, true);
+      assert.equal(body.quality, "excellent");
+      assert.equal(body.data.totalSubjectsFound, 54);
+      assert.equal(body.data.imagesProcessed, 2);
+      assert.deepEqual(body.imageSummary, {
+        image1Good: true,
+        image2Good: true,
+        totalImages: 2,
+      });
+
+      const cs101 = body.data.subjects.find((s) => s.subjectCode === "CS 101");
+      assert.equal(cs101.subjectName, "Introduction to Computing");
+      assert.equal(server.fakeLLM.requests.length, 2);
+      assert.equal(body.data.curriculum.id, "bscs-2022");
+      assert.equal(body.data.curriculum.detected, true);
+      assert.deepEqual(
+        body.imageResults.map((r) => r.schemaWarnings),
+        [[], []]
+      );
+    });
+
+    it("uses the requested curriculum and rejects unknown programs", async () => {
+      server.fakeLLM.enqueue("curriculum-image1.json");
+      const { body } = await server.postImages("/api/scan-curriculum", [page], {
+        program: "BSCS",
+        curriculumVersion: "2022-2023",
+      });
+      assert.equal(body.data.curriculum.detected, false);
+      const [text] = server.fakeLLM.requests[0].messages[0].content;
+      assert.match(text.text, /Bicol University BSCS curriculum/);
+
+      const rejected = await server.postImages("/api/scan-curriculum", [page], {
+        program: "BSN",
+      });
+      assert.equal(rejected.status, 400);
+      assert.equal(rejected.body.error, 'Unknown program "BSN"');
+    });
+
+    it("reports the missing Summer block from image 2", async () => {
+      server.fakeLLM.enqueue(
+        "curriculum-image1.json",
+        "curriculum-image2-missing-summer.json"
+      );
+      const { body } = await server.postImages("/api/scan-curriculum", [
+        page,
+        page,
+      ]);
+
+      assert.equal(body.quality, "good");
+      assert.equal(body.imageSummary.image2Good, false);
+      assert.ok(body.validation.issues.includes("Summer semester missing (CS 122)"));
+      assert.deepEqual(body.validation.missingCourses, [
+        "CS 122",
+        "GEC 19",
+        "GEC Elec 21",
+      ]);
+    });
+
+    it("records a per-image failure when one response is malformed", async () => {
+      server.fakeLLM.enqueue("curriculum-image1.json", "malformed.txt");
+      const { body } = await server.postImages("/api/scan-curriculum", [
+        page,
+        page,
+      ]);
+
+      assert.equal(body.success, false);
+      assert.equal(body.data.totalSubjectsFound, 29);
+      assert.deepEqual(body.imageResults[1].validation.issues, [
+        "Could not parse AI response as JSON",
+      ]);
+    });
+
+    it("extracts tile by tile and stitches the tiles when asked", async () => {
+      server.fakeLLM.enqueue("curriculum-tile-top.json", "curriculum-tile-bottom.json");
+      const { status, body } = await server.postImages(
+        "/api/scan-curriculum",
+        [page],
+        { tiles: "2x1" }
+      );
+
+      assert.equal(status, 200);
+      assert.equal(server.fakeLLM.requests.length, 2);
+      const [text] = server.fakeLLM.requests[1].messages[0].content;
+      assert.match(text.text, /row 2 of 2/);
+
+      const [image] = body.imageResults;
+      assert.deepEqual(
+        image.tiles.map((t) => [t.row, t.subjectCount]),
+        [
+          [0, 17],
+          [1, 19],
+        ]
+      );
+      // 29 checklist subjects + 2 outside the curriculum, overlap removed
+      assert.equal(body.data.totalSubjectsFound, 31);
+      assert.equal(image.validation.isGood, true);
+
+      const find = (code) => body.data.subjects.find((s) => s.subjectCode === code);
+      assert.equal(find("PATHFIT 2").yearLevel, "1st Year");
+      assert.deepEqual(
+        [find("BU 100").yearLevel, find("BU 100").semester],
+        ["1st Year", "2nd Semester"]
+      );
+      assert.deepEqual(
+        [find("BU 200").yearLevel, find("BU 200").semester],
+        ["2nd Year", "2nd Semester"]
+      );
+    });
+
+    it("rejects an invalid tile layout", async () => {
+      const { status, body } = await server.postImages(
+        "/api/scan-curriculum",
+        [page],
+        { tiles: "9x9" }
+      );
+      assert.equal(status, 400);
+      assert.match(body.error, /Invalid tiles/);
+    });
+
+    it("re-scans the missing year on a crop of the page", async () => {
+      server.fakeLLM.enqueue("curriculum-tile-top.json", "curriculum-tile-bottom.json");
+      const { status, body } = await server.postImages(
+        "/api/scan-curriculum",
+        [page],
+        { rescans: "2" }
+      );
+
+      assert.equal(status, 200);
+      assert.equal(server.fakeLLM.requests.length, 2);
+      const [text, image] = server.fakeLLM.requests[1].messages[0].content;
+      assert.match(text.text, /FOLLOW-UP SCAN: a previous pass missed subjects in 2nd Year/);
+      assert.match(text.text, /- CS 105 /);
+      const sent = await sharp(
+        Buffer.from(image.image_url.url.split(",")[1], "base64")
+      ).metadata();
+
+      const [result] = body.imageResults;
+      assert.equal(result.rescans.length, 1);
+      const [attempt] = result.rescans;
+      assert.deepEqual(attempt.years, ["2nd Year"]);
+      assert.equal(attempt.isGood, true);
+      assert.ok(attempt.found.includes("CS 105"));
+      assert.ok(attempt.region.top > 0);
+      assert.equal(sent.height, attempt.region.height);
+
+      assert.equal(result.validation.isGood, true);
+      assert.equal(body.data.totalSubjectsFound, 31);
+    });
+
+    it("stops re-scanning when the request's cap is used up", async () => {
+      server.fakeLLM.enqueue(
+        "curriculum-image1.json",
+        "curriculum-image2-missing-summer.json",
+        "malformed.txt"
+      );
+      const { body } = await server.postImages(
+        "/api/scan-curriculum",
+        [page, page],
+        { rescans: "1" }
+      );
+
+      assert.equal(server.fakeLLM.requests.length, 3);
+      assert.equal(body.imageResults[0].rescans, undefined);
+      assert.deepEqual(body.imageResults[1].rescans, [
+        {
+          attempt: 1,
+          years: ["3rd Year", "4th Year"],
+          codes: ["CS 122", "GEC 19", "GEC Elec 21"],
+          region: null,
+          found: [],
+          error: "Could not parse AI response as JSON",
+        },
+      ]);
+      assert.equal(body.imageSummary.image2Good, false);
+    });
+
+    it("merges what the whole-page re-scan finds", async () => {
+      server.fakeLLM.enqueue(
+        "curriculum-image1.json",
+        "curriculum-image2-missing-summer.json",
+        "curriculum-rescan-image2.json"
+      );
+      const { body } = await server.postImages(
+        "/api/scan-curriculum",
+        [page, page],
+        { rescans: "true" }
+      );
+
+      assert.deepEqual(body.imageResults[1].rescans[0].found, [
+        "CS 122",
+        "GEC 19",
+        "GEC Elec 21",
+      ]);
+      assert.equal(body.imageSummary.image2Good, true);
+      assert.equal(body.quality, "excellent");
+      assert.deepEqual(body.validation.missingCourses, []);
+    });
+
+    it("accepts one two-page PDF instead of two images", async () => {
+      server.fakeLLM.enqueue("curriculum-image1.json", "curriculum-image2.json");
+      const { status, body } = await server.postPdf(
+        "/api/scan-curriculum",
+        createPdf({ pages: 2 })
+      );
+
+      assert.equal(status, 200);
+      assert.equal(body.quality, "excellent");
+      assert.equal(body.data.imagesProcessed, 2);
+      assert.deepEqual(
+        body.imageResults.map((r) => r.originalFile),
+        ["document.pdf (page 1)", "document.pdf (page 2)"]
+      );
+    });
+
+    it("rejects a curriculum PDF with more than two pages", async () => {
+      const { status, body } = await server.postPdf(
+        "/api/scan-curriculum",
+        createPdf({ pages: 3 })
+      );
+
+      assert.equal(status, 400);
+      assert.equal(body.quality, "error");
+      assert.match(body.error, /at most 2 pages \(got 3\)/);
+      assert.equal(server.fakeLLM.requests.length, 0);
+    });
+
+    it("reports image quality for each upload", async () => {
+      server.fakeLLM.enqueue("curriculum-image1.json", "curriculum-image2.json");
+      const { body } = await server.postImages("/api/scan-curriculum", [
+        await createLowResImage(),
+        await createDarkImage(),
+      ]);
+
+      const [lowRes, dark] = body.imageResults.map((r) => r.quality);
+      assert.equal(lowRes.isLowRes, true);
+      assert.equal(lowRes.width, 400);
+      assert.equal(dark.isLowRes, false);
+      assert.equal(dark.isDark, true);
+      assert.equal(dark.isBlurry, true);
+      // Applied preprocessing steps are reported with the metrics
+      assert.ok(lowRes.transforms.some((t) => t.type === "upscale"));
+      assert.deepEqual(dark.transforms, [{ type: "upscale", scale: 2 }]);
+    });
+
+    it("rejects the whole scan when any image fails pre-flight", async () => {
+      const { status, body } = await server.postImages(
+        "/api/scan-curriculum",
+        [page, await createDarkImage()],
+        { preflight: "true" }
+      );
+
+      assert.equal(status, 422);
+      assert.equal(body.quality, "error");
+      assert.deepEqual(
+        body.preflight.map((r) => r.usable),
+        [true, false]
+      );
+      assert.equal(body.preflight[1].problems[0].code, "too_dark");
+      assert.equal(server.fakeLLM.requests.length, 0);
+    });
+
+    it("returns 400 when no images are uploaded", async () => {
+      const { status, body } = await server.postImages("/api/scan-curriculum", []);
+      assert.equal(status, 400);
+      assert.equal(body.quality, "error");
+    });
+  });
+
+  describe("/api/jobs", () => {
+    // Reads the event stream to its end → [{ event, data }]
+    async function readEvents(id) {
+      const res = await fetch(`${server.baseUrl}/api/jobs/${id}/events`);
+      assert.equal(res.headers.get("content-type"), "text/event-stream");
+      return (await res.text())
+        .trim()
+        .split("\n\n")
+        .map((block) => {
+          const [event, data] = block.split("\n");
+          return {
+            event: event.replace("event: ", ""),
+            data: JSON.parse(data.replace("data: ", "")),
+          };
+        });
+    }
+
+    it("runs a curriculum scan in the background and streams its steps", async () => {
+      server.fakeLLM.enqueueDelayed(300, "curriculum-image1.json");
+      const { status, body } = await server.postImages("/api/jobs", [page], {
+        type: "curriculum",
+      });
+
+      assert.equal(status, 202);
+      assert.equal(body.data.status, "running");
+      assert.equal(body.data.links.events, `/api/jobs/${body.data.id}/events`);
+
+      const events = await readEvents(body.data.id);
+      const done = events.pop();
+      assert.deepEqual(
+        events.map((e) => e.data.step),
+        ["analyzing", "preprocessing", "sending", "hydrating", "validating"]
+      );
+      assert.equal(events[0].data.imageNumber, 1);
+      assert.equal(done.event, "done");
+      assert.equal(done.data.status, "completed");
+      assert.equal(done.data.result.data.totalSubjectsFound, 29);
+
+      const job = await server.getJson(`/api/jobs/${body.data.id}`);
+      assert.equal(job.body.data.status, "completed");
+      assert.equal(job.body.data.httpStatus, 200);
+      assert.equal(job.body.data.result.imageResults[0].validation.isGood, true);
+    });
+
+    it("detects the document type in a \"scan\" job", async () => {
+      server.fakeLLM.enqueue("classify-timetable.json", "timetable.json");
+      const { status, body } = await server.postImages("/api/jobs", [page], {
+        type: "scan",
+      });
+      assert.equal(status, 202);
+
+      const events = await readEvents(body.data.id);
+      const done = events.pop();
+      assert.equal(events[0].data.step, "classifying");
+      assert.equal(done.data.status, "completed");
+      assert.equal(done.data.result.data.documentCheck.expected, "timetable");
+    });
+
+    it("reports a failed scan as a failed job", async () => {
+      server.fakeLLM.enqueue("malformed.txt");
+      const { body } = await server.postImages("/api/jobs", [page], { type: "cor" });
+
+      const done = (await readEvents(body.data.id)).pop();
+      assert.equal(done.data.status, "failed");
+      assert.equal(done.data.httpStatus, 500);
+      assert.equal(done.data.result.error, "Could not parse AI response as JSON");
+    });
+
+    it("cancels a running job and aborts the model call", async () => {
+      server.fakeLLM.enqueueDelayed(5000, "curriculum-image1.json");
+      const { body } = await server.postImages("/api/jobs", [page]);
+      const id = body.data.id;
+
+      // Wait until the model call is in flight
+      const stream = readEvents(id);
+      while (server.fakeLLM.requests.length === 0) {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+      }
+      const res = await fetch(`${server.baseUrl}/api/jobs/${id}`, {
+        method: "DELETE",
+      });
+      const cancelled = await res.json();
+
+      assert.equal(res.status, 200);
+      assert.equal(cancelled.data.status, "cancelled");
+      assert.equal((await stream).pop().data.status, "cancelled");
+
+      const again = await fetch(`${server.baseUrl}/api/jobs/${id}`, {
+        method: "DELETE",
+      });
+      assert.equal(again.status, 409);
+      const job = await server.getJson(`/api/jobs/${id}`);
+      assert.equal(job.body.data.result, null);
+    });
+
+    it("answers 429 past the running jobs allowed per client", async () => {
+      process.env.MAX_ACTIVE_JOBS_PER_CLIENT = "1";
+      server.fakeLLM.enqueueDelayed(5000, "cor-unvalidated.json");
+      try {
+        const first = await server.postImages("/api/jobs", [page], { type: "cor" });
+        const second = await server.postImages("/api/jobs", [page], { type: "cor" });
+
+        assert.equal(first.status, 202);
+        assert.equal(second.status, 429);
+        assert.match(second.body.error, /At most 1 scan jobs per client/);
+
+        await fetch(`${server.baseUrl}/api/jobs/${first.body.data.id}`, {
+          method: "DELETE",
+        });
+      } finally {
+        delete process.env.MAX_ACTIVE_JOBS_PER_CLIENT;
+      }
+    });
+
+    it("rejects unknown types, missing images and unknown jobs", async () => {
+      const type = await server.postImages("/api/jobs", [page], { type: "diploma" });
+      assert.equal(type.status, 400);
+      assert.match(type.body.error, /Unknown job type/);
+
+      const images = await server.postImages("/api/jobs", [page, page], {
+        type: "cor",
+      });
+      assert.equal(images.status, 400);
+
+      const missing = await server.getJson("/api/jobs/nope");
+      assert.equal(missing.status, 404);
+    });
+  });
+
+  describe("result cache", () => {
+    let dir;
+
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "classync-scan-cache-"));
+      process.env.SCAN_CACHE = "true";
+      process.env.SCAN_CACHE_DIR = dir;
+      process.env.ADMIN_TOKEN = "secret-token";
+    });
+
+    after(() => {
+      process.env.SCAN_CACHE = "false";
+      delete process.env.SCAN_CACHE_DIR;
+      delete process.env.ADMIN_TOKEN;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() =>
+      fs.readdirSync(dir).forEach((name) => fs.unlinkSync(path.join(dir, name)))
+    );
+
+    function admin(method, token = "secret-token") {
+      return fetch(`${server.baseUrl}/api/admin/cache`, {
+        method,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      });
+    }
+
+    it("answers a re-upload from the cache without a model call", async () => {
+      server.fakeLLM.enqueue("cor-unvalidated.json");
+      const first = await server.postImages("/api/scan-cor", [page]);
+      const second = await server.postImages("/api/scan-cor", [page]);
+
+      assert.equal(first.body.cache, "miss");
+      assert.equal(second.body.cache, "hit");
+      assert.equal(server.fakeLLM.requests.length, 1);
+      assert.deepEqual(second.body.data, first.body.data);
+    });
+
+    it("still answers when the result cannot be cached", async () => {
+      // A file where the cache directory should be: every write fails
+      const blocked = path.join(dir, "not-a-dir");
+      fs.writeFileSync(blocked, "");
+      process.env.SCAN_CACHE_DIR = blocked;
+      try {
+        server.fakeLLM.enqueue("cor-unvalidated.json");
+        const { status, body } = await server.postImages("/api/scan-cor", [page]);
+
+        assert.equal(status, 200);
+        assert.equal(body.cache, "miss");
+        assert.equal(body.data.courses.length, 2);
+      } finally {
+        process.env.SCAN_CACHE_DIR = dir;
+      }
+    });
+
+    it("reports the cache status of the scan /api/scan dispatched to", async () => {
+      server.fakeLLM.enqueue("grades-remarks.json", "classify-grades.json");
+      await server.postImages("/api/scan-grades", [page]);
+      const { status, body } = await server.postImages("/api/scan", [page]);
+
+      assert.equal(status, 200);
+      assert.equal(body.data.documentCheck.classification.documentType, "grades");
+      // The classification call missed; the grade scan came from the cache
+      assert.equal(body.cache, "hit");
+      assert.equal(server.fakeLLM.requests.length, 2);
+    });
+
+    it("keys on the document type and can be bypassed per request", async () => {
+      server.fakeLLM.enqueue(
+        "cor-unvalidated.json",
+        "grades-remarks.json",
+        "cor-conflicts.json"
+      );
+      await server.postImages("/api/scan-cor", [page]);
+      const grades = await server.postImages("/api/scan-grades", [page]);
+      const fresh = await server.postImages("/api/scan-cor", [page], { cache: "false" });
+      const again = await server.postImages("/api/scan-cor", [page]);
+
+      assert.equal(grades.body.cache, "miss");
+      assert.equal(fresh.body.cache, "miss");
+      assert.equal(server.fakeLLM.requests.length, 3);
+      // The fresh answer replaced the cached one
+      assert.equal(again.body.cache, "hit");
+      assert.deepEqual(again.body.data.courses, fresh.body.data.courses);
+    });
+
+    it("reports and purges the cache through the admin endpoint", async () => {
+      server.fakeLLM.enqueue("timetable.json", "timetable.json");
+      await server.postImages("/api/scan-timetable", [page]);
+
+      assert.equal((await admin("DELETE", null)).status, 401);
+      assert.equal((await admin("DELETE", "wrong-token!")).status, 401);
+
+      const stats = await (await admin("GET")).json();
+      assert.equal(stats.data.enabled, true);
+      assert.ok(stats.data.entries >= 1);
+
+      const purge = await admin("DELETE");
+      assert.equal(purge.status, 200);
+      assert.equal((await purge.json()).data.purged, stats.data.entries);
+
+      const after = await server.postImages("/api/scan-timetable", [page]);
+      assert.equal(after.body.cache, "miss");
+      assert.equal(server.fakeLLM.requests.length, 2);
+    });
+
+    it("keeps admin endpoints off without ADMIN_TOKEN", async () => {
+      delete process.env.ADMIN_TOKEN;
+      try {
+        const res = await admin("DELETE");
+        assert.equal(res.status, 403);
+      } finally {
+        process.env.ADMIN_TOKEN = "secret-token";
+      }
+    });
+  });
+
+  describe("rate limits", () => {
+    const saved = {};
+    const env = (values) =>
+      Object.entries(values).forEach(([key, value]) => {
+        if (!(key in saved)) saved[key] = process.env[key];
+        process.env[key] = value;
+      });
+
+    afterEach(() => {
+      Object.entries(saved).forEach(([key, value]) => {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+        delete saved[key];
+      });
+    });
+
+    it("limits scan requests per client before storing the upload", async () => {
+      env({ CLIENT_REQUESTS_PER_MINUTE: "2", CLIENT_API_KEYS: "student-app, kiosk" });
+      const post = (headers = {}) =>
+        fetch(`${server.baseUrl}/api/scan-cor`, {
+          method: "POST",
+          headers,
+          body: new FormData(),
+        });
+
+      assert.equal((await post()).status, 400);
+      assert.equal((await post()).status, 400);
+      const limited = await post();
+      assert.equal(limited.status, 429);
+      assert.equal(limited.headers.get("retry-after"), "30");
+      assert.match((await limited.json()).error, /Too many scan requests/);
+
+      // A made-up key does not escape the IP's budget; a configured one has its own
+      assert.equal((await post({ "X-API-Key": "made-up-1" })).status, 429);
+      assert.equal((await post({ "X-API-Key": "made-up-2" })).status, 429);
+      assert.equal((await post({ "X-API-Key": "student-app" })).status, 400);
+    });
+
+    it("retries a failing model call with backoff", async () => {
+      env({ VISION_MAX_RETRIES: "1" });
+      server.fakeLLM.enqueueError(503, "Overloaded");
+      server.fakeLLM.enqueue("cor-unvalidated.json");
+      const { status } = await server.postImages("/api/scan-cor", [page]);
+
+      assert.equal(status, 200);
+      assert.equal(server.fakeLLM.requests.length, 2);
+    });
+
+    it("answers with the expected wait once the model budget is used up", async () => {
+      env({
+        OPENAI_COMPATIBLE_REQUESTS_PER_MINUTE: "1",
+        VISION_QUEUE_MAX_WAIT_SECONDS: "30",
+      });
+      server.fakeLLM.enqueue("cor-unvalidated.json", "cor-unvalidated.json");
+      const first = await server.postImages("/api/scan-cor", [page]);
+      const { status, headers, body } = await server.postImages("/api/scan-cor", [page]);
+
+      assert.equal(first.status, 200);
+      assert.equal(status, 429);
+      assert.equal(body.retryAfter, 60);
+      assert.equal(headers.get("retry-after"), "60");
+      assert.match(body.error, /Try again in 60s/);
+      assert.equal(server.fakeLLM.requests.length, 1);
+    });
+
+    it("tells a queued job its position and wait", async () => {
+      env({ OPENAI_COMPATIBLE_REQUESTS_PER_MINUTE: "1" });
+      server.fakeLLM.enqueue("cor-unvalidated.json", "cor-unvalidated.json");
+      await server.postImages("/api/scan-cor", [page]);
+
+      const { body } = await server.postImages("/api/jobs", [page], { type: "cor" });
+      let job;
+      do {
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        job = (await server.getJson(`/api/jobs/${body.data.id}`)).body.data;
+      } while (job.step !== "queued");
+
+      const queued = job.progress.find((e) => e.step === "queued");
+      assert.equal(queued.position, 1);
+      assert.ok(queued.etaMs > 50000 && queued.etaMs <= 60000);
+      assert.match(queued.message, /#1 in queue/);
+
+      await fetch(`${server.baseUrl}/api/jobs/${body.data.id}`, { method: "DELETE" });
+      assert.equal(server.fakeLLM.requests.length, 1);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { detectScheduleConflicts } = require("../schedule-conflicts");
+
+describe("detectScheduleConflicts on COR courses", () => {
+  const courses = require("./fixtures/llm/cor-conflicts.json").courses;
+
+  it("reports overlapping classes and double-booked rooms", () => {
+    const conflicts = detectScheduleConflicts(courses);
+
+    assert.deepEqual(
+      conflicts.map((c) => c.type),
+      ["student_overlap", "room_double_booked"]
+    );
+    const [overlap, room] = conflicts;
+    assert.equal(overlap.day, "Wednesday");
+    assert.equal(overlap.start, "14:00");
+    assert.equal(overlap.end, "14:30");
+    assert.deepEqual(
+      overlap.classes.map((c) => c.subjectCode),
+      ["CS 117", "CS 114"]
+    );
+    assert.equal(room.room, "CSD 25");
+  });
+
+  it("does not flag back-to-back classes", () => {
+    const conflicts = detectScheduleConflicts([
+      { subjectCode: "A", schedules: [{ days: "M", time: "8:00 AM - 9:00 AM", room: "L1" }] },
+      { subjectCode: "B", schedules: [{ days: "M", time: "9:00 AM - 10:00 AM", room: "L1" }] },
+    ]);
+
+    assert.deepEqual(conflicts, []);
+  });
+
+  it("flags schedules it cannot read", () => {
+    const conflicts = detectScheduleConflicts([
+      { subjectCode: "CS 125", schedules: [{ days: "W", time: "TBA", room: "" }] },
+    ]);
+
+    assert.equal(conflicts.length, 1);
+    assert.equal(conflicts[0].type, "unparseable_time");
+    assert.match(conflicts[0].message, /CS 125/);
+  });
+});
+
+describe("detectScheduleConflicts on timetable subjects", () => {
+  it("uses the subject room for each meeting", () => {
+    const conflicts = detectScheduleConflicts([
+      {
+        subjectName: "Programming 1",
+        room: "CL 1",
+        schedules: [{ day: "Tuesday", startTime: "1:00 PM", endTime: "3:00 PM" }],
+      },
+      {
+        subjectName: "Discrete Math",
+        room: "cl1",
+        schedules: [{ day: "Tuesday", startTime: "2:30 PM", endTime: "4:00 PM" }],
+      },
+    ]);
+
+    assert.deepEqual(
+      conflicts.map((c) => c.type),
+      ["student_overlap", "room_double_booked"]
+    );
+    assert.match(conflicts[0].message, /Programming 1 and Discrete Math/);
+  });
+});
@@ -0,0 +1,189 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { reconcileSchedules } = require("../schedule-reconcile");
+const { getDefaultCurriculum } = require("../curriculum-reference");
+const { startTestServer } = require("./helpers/server");
+
+const curriculum = getDefaultCurriculum();
+
+// Shapes as returned by /api/scan-cor and /api/scan-timetable
+const COR = {
+  program: "BS Computer Science",
+  courses: [
+    {
+      subjectCode: "CS 101",
+      subjectName: "Introduction to Computing",
+      units: 3,
+      section: "PC-BSCS1A",
+      instructor: "AGANAN, J.",
+      schedules: [
+        { days: "W", time: "10:30 AM - 12:00 PM", room: "Gym 51" },
+        { days: "T", time: "3:00 PM - 4:00 PM", room: "Gym 51" },
+      ],
+    },
+    {
+      subjectCode: "UNKNOWN_2",
+      subjectName: "Computer Programming I",
+      units: 3,
+      section: "PC-BSCS1A",
+      instructor: "NOPRE, A.",
+      schedules: [{ days: "MTh", time: "1:00 - 2:30 PM", room: "CL 1" }],
+    },
+    {
+      subjectCode: "NSTP 11",
+      subjectName: "National Service Training Program 1",
+      units: 3,
+      section: "PC-BSCS1A",
+      instructor: "",
+      schedules: [{ days: "Sat", time: "8:00 AM - 11:00 AM", room: "" }],
+    },
+  ],
+};
+
+const TIMETABLE = {
+  subjects: [
+    {
+      subjectCode: "",
+      subjectName: "Computer Programming 1",
+      section: "PC-BSCS1A",
+      room: "CL 2",
+      instructor: "Andy Nopre",
+      schedules: [
+        { day: "Monday", startTime: "1:00 PM", endTime: "2:30 PM" },
+        { day: "Thursday", startTime: "1:00 PM", endTime: "2:30 PM" },
+      ],
+    },
+    {
+      subjectCode: "",
+      subjectName: "Introduction to Computing",
+      section: "PC-BSCS1A",
+      room: "Gym 51",
+      instructor: "Jorge Sulpicio S. Aganan",
+      schedules: [
+        { day: "Wednesday", startTime: "10:30 AM", endTime: "12:00 PM" },
+        { day: "Tuesday", startTime: "3:00 PM", endTime: "4:30 PM" },
+      ],
+    },
+    {
+      subjectCode: "",
+      subjectName: "Purposive Communication",
+      section: "PC-BSCS1A",
+      room: "CSD 24",
+      instructor: "Maria Santos",
+      schedules: [{ day: "Friday", startTime: "9:00 AM", endTime: "10:30 AM" }],
+    },
+  ],
+};
+
+describe("reconcileSchedules", () => {
+  const result = reconcileSchedules(COR.courses, TIMETABLE.subjects, curriculum);
+  const merged = (code) => result.subjects.find((s) => s.subjectCode === code);
+
+  it("pairs entries by name, section and instructor", () => {
+    assert.deepEqual(
+      result.subjects.map((s) => [s.sources.cor, s.sources.timetable]),
+      [
+        [0, 1],
+        [1, 0],
+      ]
+    );
+    assert.deepEqual(merged("CS 101").match.matchedOn, [
+      "subjectName",
+      "section",
+      "instructor",
+    ]);
+  });
+
+  it("fills missing codes from the curriculum", () => {
+    const programming = merged("CS 102");
+
+    assert.equal(programming.codeSource, "curriculum");
+    assert.equal(programming.subjectName, curriculum.subjects["CS 102"].name);
+    assert.equal(programming.instructor, "Andy Nopre");
+    assert.equal(merged("CS 101").codeSource, "cor");
+  });
+
+  it("reports time and room disagreements per day", () => {
+    assert.deepEqual(merged("CS 101").diffs, [
+      { field: "time", day: "Tuesday", cor: ["15:00-16:00"], timetable: ["15:00-16:30"] },
+    ]);
+    assert.deepEqual(
+      merged("CS 102").diffs.map((d) => [d.field, d.day, d.cor, d.timetable]),
+      [
+        ["room", "Monday", ["CL 1"], ["CL 2"]],
+        ["room", "Thursday", ["CL 1"], ["CL 2"]],
+      ]
+    );
+    assert.equal(result.totalDiffs, 3);
+  });
+
+  it("keeps the timetable's times for merged entries", () => {
+    const tuesday = merged("CS 101").schedules.find((s) => s.day === "Tuesday");
+
+    assert.equal(tuesday.endTime, "16:30");
+  });
+
+  it("reports a days disagreement", () => {
+    const { subjects } = reconcileSchedules(
+      [{ subjectCode: "CS 101", schedules: [{ days: "MW", time: "8:00 - 9:00 AM" }] }],
+      [
+        {
+          subjectCode: "CS101",
+          schedules: [{ day: "Tuesday", startTime: "8:00 AM", endTime: "9:00 AM" }],
+        },
+      ],
+      curriculum
+    );
+
+    assert.deepEqual(subjects[0].match.matchedOn, ["subjectCode"]);
+    assert.deepEqual(subjects[0].diffs, [
+      { field: "days", cor: ["Monday", "Wednesday"], timetable: ["Tuesday"] },
+    ]);
+  });
+
+  it("lists entries found in only one document", () => {
+    assert.deepEqual(result.corOnly.map((c) => c.subjectCode), ["NSTP 11"]);
+    const [communication] = result.timetableOnly;
+    assert.equal(communication.subjectCode, "GEC 15");
+    assert.equal(communication.codeSource, "curriculum");
+  });
+});
+
+describe("POST /api/reconcile", () => {
+  let server;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  async function postReconcile(body) {
+    const res = await fetch(`${server.baseUrl}/api/reconcile`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it("merges the two scans", async () => {
+    const { status, body } = await postReconcile({ cor: COR, timetable: TIMETABLE });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.curriculum.id, "bscs-2022");
+    assert.equal(body.data.subjects.length, 2);
+    assert.ok(Array.isArray(body.data.conflicts));
+  });
+
+  it("rejects a request missing one of the scans", async () => {
+    const { status } = await postReconcile({ cor: COR });
+
+    assert.equal(status, 400);
+  });
+});
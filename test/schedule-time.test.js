@@ -0,0 +1,122 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseDays,
+  parseTimeRange,
+  parseTimeText,
+  normalizeSchedule,
+  normalizeSchedules,
+} = require("../schedule-time");
+
+describe("parseDays", () => {
+  it("expands compact day codes", () => {
+    assert.deepEqual(parseDays("MWF"), ["Monday", "Wednesday", "Friday"]);
+    assert.deepEqual(parseDays("TTh"), ["Tuesday", "Thursday"]);
+    assert.deepEqual(parseDays("Th"), ["Thursday"]);
+    assert.deepEqual(parseDays("TuTh"), ["Tuesday", "Thursday"]);
+    assert.deepEqual(parseDays("Tu"), ["Tuesday"]);
+    assert.deepEqual(parseDays("MTuW"), ["Monday", "Tuesday", "Wednesday"]);
+    assert.deepEqual(parseDays("Sat"), ["Saturday"]);
+    assert.deepEqual(parseDays("Monday"), ["Monday"]);
+    assert.deepEqual(parseDays("M/W"), ["Monday", "Wednesday"]);
+  });
+
+  it("rejects values that are not days", () => {
+    assert.equal(parseDays(""), null);
+    assert.equal(parseDays("CSD 25"), null);
+  });
+});
+
+describe("parseTimeRange", () => {
+  it("converts 12-hour and 24-hour times to minutes", () => {
+    assert.deepEqual(parseTimeRange("9:30 AM", "11:00 AM"), { start: 570, end: 660 });
+    assert.deepEqual(parseTimeRange("12:00 PM", "1:30 PM"), { start: 720, end: 810 });
+    assert.deepEqual(parseTimeRange("13:00", "14:30"), { start: 780, end: 870 });
+    assert.deepEqual(parseTimeText("01:00 PM - 04:00 PM"), { start: 780, end: 960 });
+  });
+
+  it("borrows AM/PM from the end time", () => {
+    assert.deepEqual(parseTimeText("1:00 - 2:30 PM"), { start: 780, end: 870 });
+    assert.deepEqual(parseTimeText("11:00 - 1:00 PM"), { start: 660, end: 780 });
+  });
+
+  it("rejects misread or inverted times", () => {
+    assert.equal(parseTimeRange("6:00 PM", ""), null);
+    assert.equal(parseTimeRange("4:00 PM", "1:00 PM"), null);
+    assert.equal(parseTimeRange("25:00", "26:00"), null);
+    assert.equal(parseTimeText("TBA"), null);
+  });
+});
+
+describe("readClock formats", () => {
+  it("accepts compact, dotted and noon spellings", () => {
+    assert.deepEqual(parseTimeRange("0730", "0900"), { start: 450, end: 540 });
+    assert.deepEqual(parseTimeRange("10:30 a.m.", "12:00 NN"), { start: 630, end: 720 });
+    assert.deepEqual(parseTimeText("1:00PM to 4:00PM"), { start: 780, end: 960 });
+    assert.deepEqual(parseTimeText("1:00–4:00 PM"), { start: 780, end: 960 });
+  });
+});
+
+describe("normalizeSchedule", () => {
+  it("turns a COR row into one canonical entry per day", () => {
+    const entries = normalizeSchedule({
+      days: "MWF",
+      time: "01:00 PM - 02:30 PM",
+      room: "CSD 25",
+    });
+
+    assert.equal(entries.length, 3);
+    assert.deepEqual(entries[1], {
+      day: "Wednesday",
+      isoWeekday: 3,
+      startTime: "13:00",
+      endTime: "14:30",
+      durationMinutes: 90,
+      room: "CSD 25",
+      valid: true,
+      source: { days: "MWF", time: "01:00 PM - 02:30 PM" },
+    });
+  });
+
+  it("gives timetable rows the same shape, with the subject's room", () => {
+    const [entry] = normalizeSchedule(
+      { day: "Sunday", startTime: "9:00 AM", endTime: "12:00 PM" },
+      { room: "Gym 51" }
+    );
+
+    assert.equal(entry.day, "Sunday");
+    assert.equal(entry.isoWeekday, 7);
+    assert.equal(entry.startTime, "09:00");
+    assert.equal(entry.endTime, "12:00");
+    assert.equal(entry.durationMinutes, 180);
+    assert.equal(entry.room, "Gym 51");
+  });
+
+  it("splits days the model left inside the time", () => {
+    const entries = normalizeSchedule({ days: "", time: "TTh 9:00 - 10:30 AM" });
+
+    assert.deepEqual(entries.map((e) => e.day), ["Tuesday", "Thursday"]);
+    assert.ok(entries.every((e) => e.valid && e.startTime === "09:00"));
+  });
+
+  it("flags unreadable values instead of passing them through", () => {
+    const [badTime] = normalizeSchedule({ day: "Monday", startTime: "6:00 PM", endTime: "" });
+    const [badDay] = normalizeSchedule({ days: "X", time: "1:00 PM - 2:00 PM" });
+
+    assert.equal(badTime.valid, false);
+    assert.equal(badTime.day, "Monday");
+    assert.equal(badTime.startTime, null);
+    assert.match(badTime.issues[0], /time/);
+    assert.equal(badDay.valid, false);
+    assert.equal(badDay.day, null);
+    assert.equal(badDay.startTime, "13:00");
+    assert.match(badDay.issues[0], /day "X"/);
+  });
+
+  it("leaves canonical entries unchanged", () => {
+    const entries = normalizeSchedules([{ days: "MW", time: "8:00 - 9:30 AM" }]);
+
+    assert.deepEqual(normalizeSchedules(entries), entries);
+  });
+});
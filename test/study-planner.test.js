@@ -0,0 +1,228 @@
+const { describe, it, before, after, mock } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { generateStudyPlan } = require("../study-planner");
+const { getDefaultCurriculum } = require("../curriculum-reference");
+const { startTestServer } = require("./helpers/server");
+
+const curriculum = getDefaultCurriculum();
+const ALL_CODES = Object.keys(curriculum.subjects);
+
+function plannedCodes(plan) {
+  return plan.terms.flatMap((t) => t.subjects.map((s) => s.subjectCode));
+}
+
+function termOf(plan, code) {
+  return plan.terms.find((t) => t.subjects.some((s) => s.subjectCode === code));
+}
+
+// Small curriculum with a lecture/lab co-requisite pair
+const LAB_CURRICULUM = {
+  id: "test-lab",
+  subjects: {
+    "SCI 1": { name: "Science", units: 3, yearLevel: "1st Year", semester: "1st Semester", prerequisites: [], corequisites: ["SCI 1L"] },
+    "SCI 1L": { name: "Science Lab", units: 1, yearLevel: "1st Year", semester: "1st Semester", prerequisites: [], corequisites: [] },
+    "SCI 2": { name: "Science 2", units: 3, yearLevel: "1st Year", semester: "2nd Semester", prerequisites: ["SCI 1"], corequisites: [] },
+  },
+};
+
+describe("generateStudyPlan", () => {
+  it("plans every remaining subject after its prerequisites", () => {
+    const plan = generateStudyPlan(curriculum);
+
+    assert.deepEqual([...plannedCodes(plan)].sort(), [...ALL_CODES].sort());
+    plan.terms.forEach((term) => {
+      term.subjects.forEach((s) => {
+        s.prerequisites.forEach((p) => {
+          assert.ok(termOf(plan, p).term < term.term, `${p} before ${s.subjectCode}`);
+        });
+      });
+    });
+    assert.deepEqual(plan.unschedulable, []);
+  });
+
+  it("keeps every term within the unit limits", () => {
+    const plan = generateStudyPlan(curriculum, { maxUnits: 15, maxSummerUnits: 3 });
+
+    plan.terms.forEach((t) =>
+      assert.ok(t.units <= (t.semester === "Summer" ? 3 : 15))
+    );
+    assert.ok(
+      plan.deferred.some((d) => d.reasons.some((r) => r.reason === "unit_limit"))
+    );
+  });
+
+  it("only schedules CS 122 in a Summer term", () => {
+    const plan = generateStudyPlan(curriculum, {
+      completed: ALL_CODES.filter((code) => code !== "CS 122"),
+    });
+
+    assert.equal(plan.totalTerms, 3);
+    assert.equal(termOf(plan, "CS 122").semester, "Summer");
+    const [deferral] = plan.deferred;
+    assert.equal(deferral.subjectCode, "CS 122");
+    assert.equal(deferral.plannedTerm, 3);
+    assert.deepEqual(deferral.reasons, [
+      { reason: "not_offered", detail: "Offered only in Summer", terms: [1, 2] },
+    ]);
+  });
+
+  it("honors offering overrides", () => {
+    const plan = generateStudyPlan(curriculum, {
+      completed: ALL_CODES.filter((code) => code !== "CS 101"),
+      offerings: { CS101: ["2nd Semester"] },
+    });
+
+    assert.equal(termOf(plan, "CS 101").semester, "2nd Semester");
+  });
+
+  it("reads offering overrides in any semester spelling", () => {
+    const plan = generateStudyPlan(curriculum, {
+      completed: ALL_CODES.filter((code) => code !== "CS 101"),
+      offerings: { "CS 101": ["summer"] },
+    });
+
+    assert.equal(termOf(plan, "CS 101").semester, "Summer");
+  });
+
+  it("rejects offering overrides it cannot read", () => {
+    for (const semesters of [["3rd Semester"], [], "sometime", [null]]) {
+      assert.throws(
+        () => generateStudyPlan(curriculum, { offerings: { "CS 101": semesters } }),
+        { status: 400, message: /Invalid offerings for "CS 101"/ }
+      );
+    }
+  });
+
+  it("retakes failed subjects first and flags them", () => {
+    const firstYear = ALL_CODES.filter(
+      (code) => curriculum.subjects[code].yearLevel === "1st Year"
+    );
+    const plan = generateStudyPlan(curriculum, {
+      completed: firstYear.filter((code) => code !== "CS 102"),
+      failed: ["cs102"],
+      maxUnits: 18,
+    });
+
+    const [retake] = plan.terms[0].subjects;
+    assert.equal(retake.subjectCode, "CS 102");
+    assert.equal(retake.retake, true);
+    assert.deepEqual(plan.retakes, ["CS 102"]);
+  });
+
+  it("explains prerequisite waits", () => {
+    const plan = generateStudyPlan(curriculum);
+    const cs122 = plan.deferred.find((d) => d.subjectCode === "CS 122");
+
+    assert.equal(cs122.reasons[0].reason, "prerequisites");
+    assert.match(cs122.reasons[0].detail, /CS 118/);
+  });
+
+  it("takes co-requisites together", () => {
+    const plan = generateStudyPlan(LAB_CURRICULUM, { maxUnits: 6 });
+
+    assert.deepEqual(plan.terms[0].subjects.map((s) => s.subjectCode), [
+      "SCI 1",
+      "SCI 1L",
+    ]);
+    assert.equal(plan.terms[1].subjects[0].subjectCode, "SCI 2");
+  });
+
+  it("reports subjects that cannot fit any term", () => {
+    // SCI 1 + SCI 1L (4 units) must share a term
+    const plan = generateStudyPlan(LAB_CURRICULUM, { maxUnits: 3 });
+
+    assert.deepEqual(plannedCodes(plan), []);
+    assert.deepEqual(
+      plan.unschedulable.map((u) => [u.subjectCode, u.reason]),
+      [
+        ["SCI 1", "unit_limit"],
+        ["SCI 1L", "unit_limit"],
+        ["SCI 2", "prerequisites"],
+      ]
+    );
+  });
+
+  it("rejects invalid unit limits", () => {
+    assert.throws(() => generateStudyPlan(curriculum, { maxUnits: 0 }), {
+      status: 400,
+    });
+    for (const maxUnits of ["24", true, Infinity]) {
+      assert.throws(() => generateStudyPlan(curriculum, { maxUnits }), {
+        status: 400,
+        message: /maxUnits must be a positive number/,
+      });
+    }
+    assert.throws(() => generateStudyPlan(curriculum, { maxSummerUnits: "6" }), {
+      status: 400,
+      message: /maxSummerUnits must be a non-negative number/,
+    });
+  });
+});
+
+describe("POST /api/study-plan", () => {
+  let server;
+
+  before(async () => {
+    mock.method(console, "log", () => {});
+    server = await startTestServer();
+  });
+
+  after(async () => {
+    await server.close();
+    mock.restoreAll();
+  });
+
+  async function postPlan(body) {
+    const res = await fetch(`${server.baseUrl}/api/study-plan`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  it("plans from scanned grades", async () => {
+    const { status, body } = await postPlan({
+      grades: [
+        { subjectCode: "CS101", grade: 1.5, status: "NUMERIC" },
+        { subjectCode: "CS102", grade: 5.0, status: "NUMERIC" },
+      ],
+      maxUnits: 21,
+      startSemester: "2nd sem",
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.curriculum.id, "bscs-2022");
+    assert.equal(body.data.terms[0].semester, "2nd Semester");
+    assert.ok(!plannedCodesFromBody(body).includes("CS 101"));
+    assert.deepEqual(body.data.retakes, ["CS 102"]);
+  });
+
+  it("rejects an invalid start semester", async () => {
+    const { status, body } = await postPlan({ startSemester: "winter" });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /startSemester/);
+  });
+
+  it("rejects unit limits sent as text", async () => {
+    const { status, body } = await postPlan({ maxUnits: "24" });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /maxUnits must be a positive number, got "24"/);
+  });
+
+  it("rejects offerings it cannot read", async () => {
+    const { status, body } = await postPlan({
+      offerings: { "CS 101": ["Fall"] },
+    });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /Invalid offerings for "CS 101"/);
+  });
+
+  function plannedCodesFromBody(body) {
+    return body.data.terms.flatMap((t) => t.subjects.map((s) => s.subjectCode));
+  }
+});
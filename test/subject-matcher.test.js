@@ -0,0 +1,93 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  LOW_CONFIDENCE,
+  nameSimilarity,
+  findCodeByName,
+  matchSubjectCode,
+  suggestSubjectCode,
+} = require("../subject-matcher");
+const { getDefaultCurriculum } = require("../curriculum-reference");
+
+const curriculum = getDefaultCurriculum();
+
+function match(code, name) {
+  return matchSubjectCode(curriculum, code, name);
+}
+
+describe("matchSubjectCode", () => {
+  it("matches spacing and case variants exactly", () => {
+    assert.deepEqual(match("cs101"), {
+      subjectCode: "CS 101",
+      confidence: 1,
+      rule: "exact",
+      needsConfirmation: false,
+    });
+    assert.equal(match("Math Elec101").subjectCode, "Math Elec 101");
+    assert.equal(match("Math Elec101").rule, "exact");
+  });
+
+  it("normalizes Elect / Elective spellings", () => {
+    const elect = match("GEC Elect 21");
+    assert.equal(elect.subjectCode, "GEC Elec 21");
+    assert.equal(elect.rule, "elective_variant");
+    assert.equal(elect.confidence, 0.95);
+    assert.equal(match("CS Elective 2").subjectCode, "CS Elec 2");
+  });
+
+  it("maps sub-numbered electives to their slot", () => {
+    const sub = match("GEC Elect 21.3");
+    assert.equal(sub.subjectCode, "GEC Elec 21");
+    assert.equal(sub.rule, "sub_numbered");
+    assert.equal(sub.needsConfirmation, false);
+  });
+
+  it("folds O/0, l/I/1 and S/5 confusions", () => {
+    assert.equal(match("CS1O1").subjectCode, "CS 101");
+    assert.equal(match("PATHFIT l").subjectCode, "PATHFIT 1");
+    assert.equal(match("C5 1I4").subjectCode, "CS 114");
+    const ocr = match("CS 1O2");
+    assert.equal(ocr.rule, "ocr_confusion");
+    assert.ok(ocr.confidence < LOW_CONFIDENCE);
+    assert.equal(ocr.needsConfirmation, true);
+  });
+
+  it("falls back to the subject name when no code was printed", () => {
+    const byName = match("", "Operating Systems");
+    assert.equal(byName.subjectCode, "CS 114");
+    assert.equal(byName.rule, "name");
+    assert.equal(byName.confidence, 0.7);
+    assert.equal(byName.needsConfirmation, true);
+    assert.equal(match(undefined, "Computer Programming 1").subjectCode, "CS 102");
+    assert.equal(match("UNKNOWN_3", "Computer Programming 1").subjectCode, "CS 102");
+  });
+
+  it("never swaps a printed code for a name match", () => {
+    assert.equal(match("IT 101", "Introduction to Computing"), null);
+    assert.deepEqual(suggestSubjectCode(curriculum, "Introduction to Computing"), {
+      subjectCode: "CS 101",
+      confidence: 0.7,
+      rule: "name",
+      needsConfirmation: true,
+    });
+  });
+
+  it("returns null when nothing matches", () => {
+    assert.equal(match("IT 999", "Basket Weaving"), null);
+    assert.equal(match(undefined), null);
+  });
+});
+
+describe("nameSimilarity", () => {
+  it("ignores case, punctuation, stop words and roman numerals", () => {
+    assert.equal(nameSimilarity("Computer Programming I", "computer programming 1"), 1);
+    assert.equal(nameSimilarity("Art Appreciation", "The Art of Appreciation"), 1);
+    assert.equal(nameSimilarity("Discrete Structures 1", "Automata Theory"), 0);
+  });
+
+  it("finds curriculum codes for official names with a parenthetical", () => {
+    assert.equal(findCodeByName(curriculum, "Computer Programming 1"), "CS 102");
+    assert.equal(findCodeByName(curriculum, "Basket Weaving"), null);
+  });
+});
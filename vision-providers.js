@@ -0,0 +1,193 @@
+// vision-providers.js
+// Vision model providers for the scan endpoints.
+// Model names, token limits and temperature are defined here and nowhere else.
+
+const fs = require("fs");
+const path = require("path");
+const OpenAI = require("openai");
+
+const DEFAULT_PROVIDER = "groq";
+
+// ==================== PROVIDER CONFIG ====================
+// Retries of 429/5xx answers by the model scheduler (rate-limiter.js); 0 disables
+function parseRetries(value) {
+  const retries = parseInt(value);
+  return Number.isNaN(retries) ? 2 : retries;
+}
+
+// Read from the environment on every call so .env changes and tests that
+// set process.env are picked up without re-requiring the module.
+function getProviderConfig(env = process.env) {
+  return {
+    groq: {
+      label: "Groq (Llama 4 Scout)",
+      baseURL: "https://api.groq.com/openai/v1",
+      apiKey: env.GROQ_API_KEY,
+      missingConfigMessage: "GROQ_API_KEY not set. Add it to your .env file.",
+      model: env.GROQ_MODEL || "meta-llama/llama-4-scout-17b-16e-instruct",
+      maxTokens: parseInt(env.GROQ_MAX_TOKENS) || 8192,
+      temperature: 0,
+      maxRetries: parseRetries(env.VISION_MAX_RETRIES),
+      // Groq free tier: 30 requests per minute
+      requestsPerMinute: parseInt(env.GROQ_REQUESTS_PER_MINUTE ?? "30") || 0,
+    },
+    "openai-compatible": {
+      label: "OpenAI-compatible",
+      baseURL: env.OPENAI_COMPATIBLE_BASE_URL,
+      // Local servers (LM Studio, Ollama, vLLM) usually accept any key
+      apiKey: env.OPENAI_COMPATIBLE_API_KEY || "not-needed",
+      missingConfigMessage:
+        "OPENAI_COMPATIBLE_BASE_URL and OPENAI_COMPATIBLE_MODEL must be set in your .env file.",
+      model: env.OPENAI_COMPATIBLE_MODEL,
+      maxTokens: parseInt(env.OPENAI_COMPATIBLE_MAX_TOKENS) || 8192,
+      temperature: 0,
+      maxRetries: parseRetries(env.VISION_MAX_RETRIES),
+      // Local servers have no quota; set it for hosted ones (0 = no limit)
+      requestsPerMinute: parseInt(env.OPENAI_COMPATIBLE_REQUESTS_PER_MINUTE) || 0,
+    },
+    stub: {
+      label: "Local stub (fixtures)",
+      fixtureDir:
+        env.STUB_FIXTURE_DIR || path.join(__dirname, "fixtures", "stub"),
+      model: "stub",
+      maxTokens: 0,
+      temperature: 0,
+    },
+  };
+}
+
+// ==================== PROVIDER IMPLEMENTATIONS ====================
+function createOpenAIProvider(name, config) {
+  let client = null;
+
+  return {
+    name,
+    label: config.label,
+    model: config.model,
+    isConfigured: () => !!(config.apiKey && config.baseURL && config.model),
+    missingConfigMessage: config.missingConfigMessage,
+    requestsPerMinute: config.requestsPerMinute,
+    maxRetries: config.maxRetries,
+
+    // signal (optional AbortSignal) cancels the call, e.g. for a cancelled job
+    async complete({ prompt, imageUrl, signal }) {
+      if (!client) {
+        // Retries happen in the model scheduler, within the rate budget
+        client = new OpenAI({
+          baseURL: config.baseURL,
+          apiKey: config.apiKey,
+          maxRetries: 0,
+        });
+      }
+
+      const completion = await client.chat.completions.create(
+        {
+          model: config.model,
+          messages: [
+            {
+              role: "user",
+              content: [
+                { type: "text", text: prompt },
+                { type: "image_url", image_url: { url: imageUrl } },
+              ],
+            },
+          ],
+          temperature: config.temperature,
+          max_tokens: config.maxTokens,
+        },
+        { signal }
+      );
+
+      return completion.choices[0]?.message?.content || "";
+    },
+  };
+}
+
+// Returns the recorded response in <fixtureDir>/<documentType>.txt verbatim,
+// so the scan routes can run without any network access.
+function createStubProvider(config) {
+  return {
+    name: "stub",
+    label: config.label,
+    model: config.model,
+    isConfigured: () => fs.existsSync(config.fixtureDir),
+    missingConfigMessage: `Stub fixture directory not found: ${config.fixtureDir}`,
+
+    async complete({ documentType }) {
+      const fixturePath = path.join(config.fixtureDir, `${documentType}.txt`);
+      if (!fs.existsSync(fixturePath)) {
+        throw new Error(`No stub fixture for document type "${documentType}"`);
+      }
+      return fs.readFileSync(fixturePath, "utf8");
+    },
+  };
+}
+
+// ==================== PROVIDER LOOKUP ====================
+function getProviderNames() {
+  return Object.keys(getProviderConfig());
+}
+
+function getProvider(name) {
+  const providerName = name || process.env.VISION_PROVIDER || DEFAULT_PROVIDER;
+  const config = getProviderConfig()[providerName];
+
+  if (!config) {
+    const error = new Error(
+      `Unknown provider "${providerName}". Use one of: ${getProviderNames().join(", ")}`
+    );
+    error.status = 400;
+    throw error;
+  }
+
+  if (providerName === "stub") {
+    return createStubProvider(config);
+  }
+  return createOpenAIProvider(providerName, config);
+}
+
+// Providers a request may pick with its "provider" field. The stub only when
+// VISION_ALLOW_STUB=true or it is the configured provider: otherwise any
+// caller could get fixture data back as a real scan, outside the rate budget.
+function isRequestable(name, env = process.env) {
+  return (
+    name !== "stub" ||
+    env.VISION_ALLOW_STUB === "true" ||
+    env.VISION_PROVIDER === "stub"
+  );
+}
+
+function getRequestProviderNames(env = process.env) {
+  return getProviderNames().filter((name) => isRequestable(name, env));
+}
+
+// Provider for a request's own "provider" choice (none → the configured one)
+function getRequestProvider(name, env = process.env) {
+  if (name && !isRequestable(name, env)) {
+    const error = new Error(
+      `Provider "${name}" is not available. Use one of: ${getRequestProviderNames(env).join(", ")}`
+    );
+    error.status = 400;
+    throw error;
+  }
+  return getProvider(name);
+}
+
+// Provider to retry with when the primary one is down (5xx / network error)
+function getFallbackProvider(primaryName) {
+  const fallbackName = process.env.VISION_FALLBACK_PROVIDER;
+  if (!fallbackName || fallbackName === primaryName) return null;
+
+  const fallback = getProvider(fallbackName);
+  return fallback.isConfigured() ? fallback : null;
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getProviderConfig,
+  getProviderNames,
+  getProvider,
+  getRequestProviderNames,
+  getRequestProvider,
+  getFallbackProvider,
+};